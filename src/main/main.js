@@ -1,6 +1,8 @@
-import { app, BrowserWindow, ipcMain, dialog } from 'electron';
+import { app, BrowserWindow, ipcMain, dialog, protocol, net } from 'electron';
 import path from 'node:path';
-import { fileURLToPath } from 'node:url';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { ATTACHMENT_PROTOCOL, JOURNAL_FOLDER, getDevContentSecurityPolicy } from '../shared/constants.js';
+import { IPC_CHANNELS, isInvokeChannel, validatePayload } from '../shared/ipc-channels.js';
 
 // Do not import configService/fileService until after devStoragePath is set and initialized
 
@@ -81,6 +83,15 @@ if (savedStoragePath) {
   console.log('Found saved storage location:', savedStoragePath);
 }
 
+// Why the saved storage location can't be opened (newer format, failed migration);
+// config.get reports it so the renderer asks for another folder
+let storageError = null;
+
+// The preview loads note attachments through this scheme; it must be registered before the app is ready
+protocol.registerSchemesAsPrivileged([
+  { scheme: ATTACHMENT_PROTOCOL, privileges: { standard: true, secure: true, supportFetchAPI: true, stream: true } },
+]);
+
 function createWindow() {
   // Resolve icon path - in dev from project root, in production from app resources
   // Use .ico on Windows for best quality, .png as fallback
@@ -97,10 +108,10 @@ function createWindow() {
     minHeight: 600,
     show: false,
     webPreferences: {
-      preload: path.join(__dirname, 'preload.js'),
+      preload: path.join(__dirname, 'preload.cjs'),
       contextIsolation: true,
       nodeIntegration: false,
-      sandbox: false,
+      sandbox: true,
     },
   });
 
@@ -109,6 +120,23 @@ function createWindow() {
   });
 
   if (isDev) {
+    // Pages of the dev server get the policy as a header that lets hot reload connect;
+    // the bundled index.html carries it as a meta tag instead (see vite.config.js)
+    const devOrigin = new URL(process.env.VITE_DEV_SERVER_URL).origin;
+    const devPolicy = getDevContentSecurityPolicy(process.env.VITE_DEV_SERVER_URL);
+    mainWindow.webContents.session.webRequest.onHeadersReceived((details, callback) => {
+      if (new URL(details.url).origin !== devOrigin) {
+        callback({});
+        return;
+      }
+      callback({
+        responseHeaders: {
+          ...details.responseHeaders,
+          'Content-Security-Policy': [devPolicy],
+        },
+      });
+    });
+
     mainWindow.loadURL(process.env.VITE_DEV_SERVER_URL);
     mainWindow.webContents.openDevTools({ mode: 'detach' });
   } else {
@@ -129,23 +157,90 @@ app.whenReady().then(async () => {
   // Import services
   const fileService = (await import('./services/file-service.js')).fileService;
   const configService = (await import('./services/config-service.js')).configService;
+  const noteIndexService = (await import('./services/note-index-service.js')).noteIndexService;
+  const noteSearchService = (await import('./services/note-search-service.js')).noteSearchService;
+  const noteLinkService = (await import('./services/note-link-service.js')).noteLinkService;
+  const noteHistoryService = (await import('./services/note-history-service.js')).noteHistoryService;
+  const noteTagService = (await import('./services/note-tag-service.js')).noteTagService;
+  const trashService = (await import('./services/trash-service.js')).trashService;
+  const storageWatcherService = (await import('./services/storage-watcher-service.js')).storageWatcherService;
+  const templateService = (await import('./services/template-service.js')).templateService;
+  const journalService = (await import('./services/journal-service.js')).journalService;
+  const globalSearchService = (await import('./services/global-search-service.js')).globalSearchService;
+  const migrationService = (await import('./services/migration-service.js')).migrationService;
+  const storageCheckService = (await import('./services/storage-check-service.js')).storageCheckService;
+  const backupService = (await import('./services/backup-service.js')).backupService;
+
+  // Snapshot to the backup folder before the storage format changes
+  migrationService.onBeforeMigrate(() => backupService.createAutomaticBackup('migration'));
 
   // If we have a saved storage path, initialize the file service with it
   if (savedStoragePath) {
     console.log('Initializing fileService/configService with saved storage path:', savedStoragePath);
     try {
+      // A folder from a newer app version is refused before anything is written to it
+      await migrationService.checkStorage(savedStoragePath);
       await fileService.initialize(savedStoragePath);
       // Try to read existing config to verify the path is valid
       await fileService.readConfig();
+      // Upgrade the storage format; a folder from a newer app version is not opened
+      await migrationService.run();
+      // Bring the note index up to date before the first request
+      await noteIndexService.initialize(savedStoragePath);
+      storageWatcherService.start(savedStoragePath);
+      backupService.start().catch(error => console.error('Error starting backups:', error));
     } catch (e) {
       console.warn('Could not initialize with saved path, may need setup:', e.message);
       // Path may be invalid or config deleted - let the renderer handle setup
+      if (/^(STORAGE_TOO_NEW|MIGRATION_FAILED)/.test(e.message)) {
+        storageError = e.message;
+        // Nothing may run on a folder this version can't handle
+        fileService.storageRoot = null;
+        fileService.configPath = null;
+      }
     }
   }
 
   // Attach to global for IPC handlers
   global.fileService = fileService;
   global.configService = configService;
+  global.noteIndexService = noteIndexService;
+  global.noteSearchService = noteSearchService;
+  global.noteLinkService = noteLinkService;
+  global.noteHistoryService = noteHistoryService;
+  global.noteTagService = noteTagService;
+  global.trashService = trashService;
+  global.storageWatcherService = storageWatcherService;
+  global.templateService = templateService;
+  global.journalService = journalService;
+  global.globalSearchService = globalSearchService;
+  global.storageCheckService = storageCheckService;
+  global.backupService = backupService;
+
+  // Push external storage changes to every window
+  storageWatcherService.onChange((event) => {
+    for (const window of BrowserWindow.getAllWindows()) {
+      window.webContents.send('storage.changed', event);
+    }
+  });
+
+  // Serve attachments as kb-attachment://note/<noteId>/attachments/<file>, only from the note's attachments folder
+  protocol.handle(ATTACHMENT_PROTOCOL, async (request) => {
+    try {
+      const url = new URL(request.url);
+      const [noteId, ...rest] = url.pathname.slice(1).split('/').map(decodeURIComponent);
+      await noteIndexService.initialize(fileService.storageRoot);
+      const note = url.hostname === 'note' ? noteIndexService.get(noteId) : null;
+      if (!note) {
+        return new Response('Not found', { status: 404 });
+      }
+
+      const filePath = fileService.resolveAttachmentPath(note.filePath, rest.join('/'));
+      return await net.fetch(pathToFileURL(filePath).toString());
+    } catch {
+      return new Response('Not found', { status: 404 });
+    }
+  });
 
   setupIpcHandlers();
   createWindow();
@@ -157,6 +252,11 @@ app.whenReady().then(async () => {
   });
 });
 
+app.on('will-quit', () => {
+  global.storageWatcherService?.stop();
+  global.backupService?.stop();
+});
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
     app.quit();
@@ -167,149 +267,216 @@ app.on('window-all-closed', () => {
 
 async function setupIpcHandlers() {
   // Remove previous handlers to avoid duplicate registration in dev/hot reload
-  ipcMain.removeHandler('config.get');
-  ipcMain.removeHandler('snippets.list');
-  ipcMain.removeHandler('snippets.get');
-  ipcMain.removeHandler('snippets.create');
-  ipcMain.removeHandler('snippets.update');
-  ipcMain.removeHandler('snippets.delete');
-  ipcMain.removeHandler('snippets.search');
-  ipcMain.removeHandler('config.update');
-  ipcMain.removeHandler('config.setStorageLocation');
-  ipcMain.removeHandler('fs.selectFolder');
-  ipcMain.removeHandler('fs.validatePath');
-  ipcMain.removeHandler('notes.list');
-  ipcMain.removeHandler('notes.get');
-  ipcMain.removeHandler('notes.create');
-  ipcMain.removeHandler('notes.update');
-  ipcMain.removeHandler('notes.delete');
-  ipcMain.removeHandler('notes.search');
-  ipcMain.removeHandler('todos.list');
-  ipcMain.removeHandler('todos.create');
-  ipcMain.removeHandler('todos.update');
-  ipcMain.removeHandler('todos.toggleComplete');
-  ipcMain.removeHandler('todos.delete');
-  ipcMain.removeHandler('projects.list');
-  ipcMain.removeHandler('projects.get');
-  ipcMain.removeHandler('projects.create');
-  ipcMain.removeHandler('projects.update');
-  ipcMain.removeHandler('projects.delete');
-  ipcMain.removeHandler('milestones.list');
-  ipcMain.removeHandler('milestones.create');
-  ipcMain.removeHandler('milestones.update');
-  ipcMain.removeHandler('milestones.toggleComplete');
-  ipcMain.removeHandler('milestones.delete');
-  ipcMain.removeHandler('tools.list');
-  ipcMain.removeHandler('tools.create');
-  ipcMain.removeHandler('tools.update');
-  ipcMain.removeHandler('tools.delete');
-  ipcMain.removeHandler('tools.launch');
-  ipcMain.removeHandler('dailyTodos.list');
-  ipcMain.removeHandler('dailyTodos.create');
-  ipcMain.removeHandler('dailyTodos.toggleComplete');
-  ipcMain.removeHandler('dailyTodos.delete');
-  ipcMain.removeHandler('dailyTodos.rollover');
-  ipcMain.removeHandler('dailyTodos.getArchive');
-  ipcMain.removeHandler('dailyTodos.updatePriority');
+  for (const channel of Object.keys(IPC_CHANNELS)) {
+    ipcMain.removeHandler(channel);
+  }
 
   // Use global.fileService/configService for all handlers
   const fileService = global.fileService;
   const configService = global.configService;
+  const noteIndexService = global.noteIndexService;
+  const noteSearchService = global.noteSearchService;
+  const noteLinkService = global.noteLinkService;
+  const noteHistoryService = global.noteHistoryService;
+  const noteTagService = global.noteTagService;
+  const trashService = global.trashService;
+  const storageWatcherService = global.storageWatcherService;
+  const templateService = global.templateService;
+  const journalService = global.journalService;
+  const globalSearchService = global.globalSearchService;
+  const storageCheckService = global.storageCheckService;
+  const backupService = global.backupService;
+
+  // Load the note index for the active storage location (cached after the first call)
+  const ensureNoteIndex = () => noteIndexService.initialize(fileService.storageRoot);
+
+  // Store a note revision; history problems must never fail a save
+  const recordRevision = async (note) => {
+    try {
+      noteHistoryService.initialize(fileService.storageRoot);
+      const preferences = (await configService.getConfig())?.preferences || {};
+      await noteHistoryService.record(note, {
+        maxRevisions: preferences.historyMaxRevisions,
+        maxAgeDays: preferences.historyMaxAgeDays,
+      });
+    } catch (error) {
+      console.error(`Error recording revision of note ${note.id}:`, error);
+    }
+  };
+
+  // Point the trash at the active storage location
+  const ensureTrash = () => {
+    if (!fileService.storageRoot) {
+      throw new Error('STORAGE_NOT_CONFIGURED');
+    }
+    trashService.initialize(fileService.storageRoot);
+    noteHistoryService.initialize(fileService.storageRoot);
+  };
+
+  // Revisions of trashed notes are kept until the note is purged
+  const removeTrashedHistory = async (manifest) => {
+    const noteIds = manifest.type === 'note' ? [manifest.itemId] : manifest.data?.noteIds || [];
+    for (const noteId of noteIds) {
+      try {
+        await noteHistoryService.remove(noteId);
+      } catch (error) {
+        console.error(`Error removing history of note ${noteId}:`, error);
+      }
+    }
+  };
+
+  // Purge items older than the configured retention
+  const purgeExpiredTrash = async () => {
+    ensureTrash();
+    const preferences = (await configService.getConfig())?.preferences || {};
+    const purged = await trashService.purgeExpired(trashService.getRetentionDays(preferences));
+    for (const manifest of purged) {
+      await removeTrashedHistory(manifest);
+    }
+    return purged;
+  };
+
+  // Point the templates at the active storage location
+  const ensureTemplates = () => {
+    if (!fileService.storageRoot) {
+      throw new Error('STORAGE_NOT_CONFIGURED');
+    }
+    templateService.initialize(fileService.storageRoot);
+  };
+
+  const projectExists = async (projectId) => {
+    const projectsData = await fileService.readJSON('projects.json');
+    return Boolean(projectsData?.projects?.some(p => p.id === projectId));
+  };
+
+  // Register a handler for a declared channel. Payloads that don't match the
+  // channel's schema are answered with VALIDATION_ERROR before the handler runs.
+  const handle = (channel, handler) => {
+    if (!isInvokeChannel(channel)) {
+      throw new Error(`IPC channel ${channel} is not declared in ipc-channels.js`);
+    }
+    ipcMain.handle(channel, (event, ...args) => {
+      const problem = args.length > 1
+        ? `${channel} takes a single payload`
+        : validatePayload(channel, args[0]);
+      if (problem) {
+        return { success: false, error: `VALIDATION_ERROR: ${problem}` };
+      }
+      return handler(event, args[0]);
+    });
+  };
 
   // App version API
-  ipcMain.handle('app.getVersion', () => {
+  handle('app.getVersion', () => {
     return { success: true, data: app.getVersion() };
   });
 
   // Configuration API
-  ipcMain.handle('config.get', async () => {
-  // ==================== Snippet API ====================
-  ipcMain.handle('snippets.list', async () => {
+  handle('config.get', async () => {
     try {
-      const snippets = await fileService.listSnippets();
-      return { success: true, data: snippets };
+      if (storageError) {
+        return { success: false, error: storageError };
+      }
+      const config = await configService.getConfig();
+      if (!config) {
+        return { success: false, error: 'CONFIG_NOT_FOUND' };
+      }
+      return { success: true, data: config };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('snippets.get', async (_event, id) => {
+  handle('config.update', async (_event, updates) => {
     try {
-      const snippet = await fileService.getSnippet(id);
-      return { success: true, data: snippet };
+      const config = await configService.updateConfig(updates);
+      // The backup folder or interval may have changed
+      backupService.schedule().catch(error => console.error('Error scheduling backups:', error));
+      return { success: true, data: config };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('snippets.create', async (_event, snippetData) => {
+  handle('config.setStorageLocation', async (_event, storagePath) => {
     try {
-      const snippet = await fileService.createSnippet(snippetData);
-      return { success: true, data: snippet };
+      const result = await configService.setStorageLocation(storagePath);
+      storageError = null;
+      // Save to bootstrap config so app remembers on next startup
+      writeBootstrapConfig(storagePath);
+      storageWatcherService.start(storagePath);
+      backupService.schedule().catch(error => console.error('Error scheduling backups:', error));
+      return { success: true, data: result };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('snippets.update', async (_event, id, updates) => {
+  // ==================== Snippet API ====================
+  handle('snippets.list', async () => {
     try {
-      const snippet = await fileService.updateSnippet(id, updates);
-      return { success: true, data: snippet };
+      const snippets = await fileService.listSnippets();
+      return { success: true, data: snippets };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('snippets.delete', async (_event, id) => {
+  handle('snippets.get', async (_event, id) => {
     try {
-      await fileService.deleteSnippet(id);
-      return { success: true, data: { deleted: true } };
+      const snippet = await fileService.getSnippet(id);
+      return { success: true, data: snippet };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('snippets.search', async (_event, query, tagFilters) => {
+  handle('snippets.create', async (_event, snippetData) => {
     try {
-      const results = await fileService.searchSnippets(query, tagFilters);
-      return { success: true, data: results };
+      const snippet = await fileService.createSnippet(snippetData);
+      return { success: true, data: snippet };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
+
+  handle('snippets.update', async (_event, { id, updates }) => {
     try {
-      const config = await configService.getConfig();
-      if (!config) {
-        return { success: false, error: 'CONFIG_NOT_FOUND' };
-      }
-      return { success: true, data: config };
+      const snippet = await fileService.updateSnippet(id, updates);
+      return { success: true, data: snippet };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('config.update', async (_event, updates) => {
+  handle('snippets.delete', async (_event, id) => {
     try {
-      const config = await configService.updateConfig(updates);
-      return { success: true, data: config };
+      const snippet = await fileService.getSnippet(id);
+      const filePath = path.join(fileService.storageRoot, 'snippets', `${id}.json`);
+      ensureTrash();
+      await trashService.add('snippet', {
+        itemId: id,
+        title: snippet.title,
+        files: [filePath],
+      });
+      await fileService.removeBackup(filePath);
+      return { success: true, data: { deleted: true } };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('config.setStorageLocation', async (_event, storagePath) => {
+  handle('snippets.search', async (_event, { query = '', tagFilters }) => {
     try {
-      const result = await configService.setStorageLocation(storagePath);
-      // Save to bootstrap config so app remembers on next startup
-      writeBootstrapConfig(storagePath);
-      return { success: true, data: result };
+      const results = await fileService.searchSnippets(query, tagFilters);
+      return { success: true, data: results };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
   // File System API
-  ipcMain.handle('fs.selectFolder', async () => {
+  handle('fs.selectFolder', async () => {
     try {
       const result = await dialog.showOpenDialog({
         properties: ['openDirectory', 'createDirectory'],
@@ -326,7 +493,7 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('fs.validatePath', async (_event, targetPath) => {
+  handle('fs.validatePath', async (_event, targetPath) => {
     try {
       const isValid = await fileService.validatePath(targetPath);
       return { success: true, data: { valid: isValid } };
@@ -336,10 +503,19 @@ async function setupIpcHandlers() {
   });
 
   // Notes API
-  ipcMain.handle('notes.list', async (_event, options = {}) => {
+  handle('notes.list', async (_event, options = {}) => {
     try {
-      const projectFolder = options.projectId || '';
-      let notes = await fileService.listNotes(projectFolder);
+      await ensureNoteIndex();
+      let notes = noteIndexService.list();
+      if (options.projectId) {
+        notes = notes.filter(note => note.projectId === options.projectId);
+      }
+
+      // Tag filter: 'and' needs every tag, 'or' any of them
+      if (options.tags && options.tags.length > 0) {
+        const tagMode = options.tagMode === 'or' ? 'or' : 'and';
+        notes = notes.filter(note => noteTagService.matchesTags(note, options.tags, tagMode));
+      }
 
       // Apply sorting
       const sortBy = options.sortBy || 'modifiedAt';
@@ -362,46 +538,85 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('notes.get', async (_event, id) => {
+  handle('notes.get', async (_event, id) => {
     try {
       // Find note by ID
-      const notes = await fileService.listNotes();
-      const noteMetadata = notes.find(n => n.id === id);
+      await ensureNoteIndex();
+      const noteMetadata = noteIndexService.get(id);
 
       if (!noteMetadata) {
         return { success: false, error: 'NOTE_NOT_FOUND' };
       }
 
       const note = await fileService.readNote(noteMetadata.filePath);
-      return { success: true, data: note };
+      return {
+        success: true,
+        data: { ...note, inlineTags: noteTagService.extractInlineTags(note.content) },
+      };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('notes.create', async (_event, noteData) => {
+  handle('notes.create', async (_event, noteData) => {
     try {
+      let { title = '', content = '', tags = [] } = noteData;
+
+      // Project notes are stored in the project's folder
+      let project = null;
+      if (noteData.projectId) {
+        const projectsData = await fileService.readJSON('projects.json');
+        project = projectsData?.projects?.find(p => p.id === noteData.projectId);
+        if (!project) {
+          return { success: false, error: 'PROJECT_NOT_FOUND' };
+        }
+      }
+
+      // Fill in the template; its title pattern is used when no title was entered
+      if (noteData.templateId) {
+        ensureTemplates();
+        const template = await templateService.get(noteData.templateId);
+        const rendered = templateService.render(template, {
+          title,
+          project: project?.name,
+          values: noteData.fields || {},
+        });
+        ({ title, content } = rendered);
+        tags = [...rendered.tags, ...tags];
+      }
+
       // Validate title
-      if (!noteData.title || noteData.title.trim() === '') {
+      if (!title || title.trim() === '') {
         return { success: false, error: 'VALIDATION_ERROR: Title cannot be empty' };
       }
 
-      if (/[/\\:*?"<>|]/.test(noteData.title)) {
+      if (/[/\\:*?"<>|]/.test(title)) {
         return { success: false, error: 'VALIDATION_ERROR: Title contains invalid characters' };
       }
 
-      const note = await fileService.createNote(noteData);
-      return { success: true, data: note };
+      const note = await fileService.createNote({
+        ...noteData,
+        title,
+        content,
+        tags: noteTagService.normalizeTags(tags),
+      }, project?.folder);
+      await ensureNoteIndex();
+      await noteIndexService.upsert({ ...note, content }, note.filePath);
+      await recordRevision({ ...note, content });
+      return {
+        success: true,
+        data: { ...note, inlineTags: noteTagService.extractInlineTags(content) },
+      };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('notes.update', async (_event, { id, updates }) => {
+  handle('notes.update', async (_event, { id, updates, updateLinks = false, baseHash }) => {
     try {
       // Find note by ID
-      const notes = await fileService.listNotes();
-      const noteMetadata = notes.find(n => n.id === id);
+      await ensureNoteIndex();
+      const noteMetadata = noteIndexService.get(id);
 
       if (!noteMetadata) {
         return { success: false, error: 'NOTE_NOT_FOUND' };
@@ -410,6 +625,18 @@ async function setupIpcHandlers() {
       // Read current note
       const note = await fileService.readNote(noteMetadata.filePath);
 
+      // Refuse to overwrite changes made after the editor loaded the note
+      if (baseHash && baseHash !== note.hash) {
+        return { success: false, error: 'CONFLICT', data: { current: note } };
+      }
+
+      if (updates.tags !== undefined) {
+        updates = { ...updates, tags: noteTagService.normalizeTags(updates.tags) };
+      }
+
+      // Keep the version on disk in case it was never recorded (older notes, external edits)
+      await recordRevision(note);
+
       // Apply updates
       const updatedNote = {
         ...note,
@@ -417,25 +644,71 @@ async function setupIpcHandlers() {
         modifiedAt: new Date().toISOString(),
       };
 
-      // If title changed, may need to rename file
-      let newFilePath = noteMetadata.filePath;
-      if (updates.title && updates.title !== note.title) {
-        const newSlug = fileService.slugify(updates.title);
-        const dir = path.dirname(noteMetadata.filePath);
-        newFilePath = path.join(dir, `${newSlug}.md`);
+      // A new title renames the file, a new project moves it into the project's folder
+      const titleChanged = Boolean(updates.title && updates.title !== note.title);
+      const projectChanged = updates.projectId !== undefined && (updates.projectId || null) !== (note.projectId || null);
+      let dir = path.dirname(noteMetadata.filePath);
+      if (projectChanged) {
+        // The journal finds its notes by path, moving one would lose the day's entry
+        if (dir === path.join(fileService.storageRoot, 'notes', JOURNAL_FOLDER)) {
+          return { success: false, error: 'VALIDATION_ERROR: Journal notes cannot belong to a project' };
+        }
+        let folder = '';
+        if (updates.projectId) {
+          const projectsData = await fileService.readJSON('projects.json');
+          const project = projectsData?.projects?.find(p => p.id === updates.projectId);
+          if (!project) {
+            return { success: false, error: 'PROJECT_NOT_FOUND' };
+          }
+          folder = project.folder;
+        }
+        dir = path.join(fileService.storageRoot, 'notes', folder);
+      }
+      const newFilePath = titleChanged || projectChanged
+        ? path.join(dir, titleChanged ? `${fileService.slugify(updates.title)}.md` : path.basename(noteMetadata.filePath))
+        : noteMetadata.filePath;
+      const moved = newFilePath !== noteMetadata.filePath;
+
+      if (moved) {
+        if (fs.existsSync(newFilePath)) {
+          return { success: false, error: 'DUPLICATE_TITLE' };
+        }
+        // Attachments come along into another folder; renamed copies get their links rewritten
+        updatedNote.content = await fileService.copyNoteAttachments(updatedNote.content, noteMetadata.filePath, newFilePath);
+      }
 
-        // Delete old file
+      // Write updated note, then remove the old file
+      updatedNote.hash = await fileService.writeNote(newFilePath, updatedNote);
+      if (moved) {
         await fileService.deleteNote(noteMetadata.filePath);
       }
+      await noteIndexService.upsert(updatedNote, newFilePath);
+
+      // Point [[Old Title]] links in other notes at the new title
+      let linksUpdated = [];
+      if (titleChanged && updateLinks) {
+        try {
+          linksUpdated = await noteLinkService.rewriteLinks(note.title, `[[${updates.title}]]`, { excludeId: id });
+        } catch (error) {
+          // Undo the rename so the title and the links stay consistent
+          if (moved) {
+            await fileService.deleteNote(newFilePath);
+          }
+          await fileService.writeNote(noteMetadata.filePath, note);
+          await noteIndexService.upsert(note, noteMetadata.filePath);
+          throw error;
+        }
+      }
 
-      // Write updated note
-      await fileService.writeNote(newFilePath, updatedNote);
+      await recordRevision(updatedNote);
 
       return {
         success: true,
         data: {
           ...updatedNote,
+          inlineTags: noteTagService.extractInlineTags(updatedNote.content),
           filePath: newFilePath,
+          linksUpdated,
         },
       };
     } catch (error) {
@@ -443,35 +716,64 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('notes.delete', async (_event, id) => {
+  handle('notes.merge', async (_event, { id, base, mine }) => {
+    try {
+      await ensureNoteIndex();
+      const noteMetadata = noteIndexService.get(id);
+
+      if (!noteMetadata) {
+        return { success: false, error: 'NOTE_NOT_FOUND' };
+      }
+
+      const current = await fileService.readNote(noteMetadata.filePath);
+      const { chunks, conflicts } = noteHistoryService.mergeLines(base, mine, current.content);
+
+      return { success: true, data: { current, chunks, conflicts } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  handle('notes.delete', async (_event, payload) => {
     try {
+      // Accept a plain ID or { id, unlinkReferences }
+      const { id, unlinkReferences = false } = typeof payload === 'string' ? { id: payload } : payload;
+
       // Find note by ID
-      const notes = await fileService.listNotes();
-      const noteMetadata = notes.find(n => n.id === id);
+      await ensureNoteIndex();
+      const noteMetadata = noteIndexService.get(id);
 
       if (!noteMetadata) {
         return { success: false, error: 'NOTE_NOT_FOUND' };
       }
 
       // Find referencing notes (containing [[Title]])
-      const referencingNotes = [];
-      for (const otherNote of notes) {
-        if (otherNote.id === id) continue;
+      const referencingNotes = (await noteLinkService.getReferencingNoteIds(noteMetadata.title))
+        .filter(noteId => noteId !== id);
 
-        const fullNote = await fileService.readNote(otherNote.filePath);
-        if (fullNote.content.includes(`[[${noteMetadata.title}]]`)) {
-          referencingNotes.push(otherNote.id);
-        }
+      // Turn [[Title]] links into plain text so they don't dangle
+      let linksRemoved = [];
+      if (unlinkReferences && referencingNotes.length > 0) {
+        linksRemoved = await noteLinkService.rewriteLinks(noteMetadata.title, noteMetadata.title, { excludeId: id });
       }
 
-      // Delete the note
-      await fileService.deleteNote(noteMetadata.filePath);
+      // Move the note to the trash, with the attachments no other note uses; the note stays first
+      ensureTrash();
+      const attachmentPaths = await fileService.findNoteOnlyAttachments(noteMetadata.filePath);
+      await trashService.add('note', {
+        itemId: id,
+        title: noteMetadata.title,
+        files: [noteMetadata.filePath, ...attachmentPaths],
+        data: { projectId: noteMetadata.projectId },
+      });
+      await noteIndexService.remove(id);
 
       return {
         success: true,
         data: {
           deleted: true,
           referencingNotes,
+          linksRemoved,
         },
       };
     } catch (error) {
@@ -479,50 +781,117 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('notes.search', async (_event, { query, projectId }) => {
+  handle('notes.search', async (_event, { query, projectId, limit }) => {
     try {
-      const notes = await fileService.listNotes(projectId || '');
-      const results = [];
+      await ensureNoteIndex();
+      // Project names are needed to resolve project: filters
+      const projectsData = await fileService.readJSON('projects.json');
+      const results = await noteSearchService.search(query, {
+        projectId: projectId || null,
+        projects: projectsData?.projects || [],
+        limit,
+      });
 
-      for (const noteMetadata of notes) {
-        const note = await fileService.readNote(noteMetadata.filePath);
-        const searchText = `${note.title} ${note.content}`.toLowerCase();
-        const queryLower = query.toLowerCase();
+      return { success: true, data: results };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
 
-        if (searchText.includes(queryLower)) {
-          // Find snippet context
-          const contentLower = note.content.toLowerCase();
-          const index = contentLower.indexOf(queryLower);
-          let snippet = '';
+  handle('notes.tags', async (_event, options = {}) => {
+    try {
+      await ensureNoteIndex();
+      const notes = noteIndexService.list()
+        .filter(note => !options.projectId || note.projectId === options.projectId);
+      return { success: true, data: noteTagService.countTags(notes) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
 
-          if (index !== -1) {
-            const start = Math.max(0, index - 50);
-            const end = Math.min(note.content.length, index + query.length + 50);
-            snippet = '...' + note.content.substring(start, end) + '...';
-          } else {
-            snippet = note.content.substring(0, 100) + '...';
-          }
+  handle('notes.previewRename', async (_event, { id, newTitle }) => {
+    try {
+      await ensureNoteIndex();
+      const noteMetadata = noteIndexService.get(id);
+      if (!noteMetadata) {
+        return { success: false, error: 'NOTE_NOT_FOUND' };
+      }
 
-          results.push({
-            id: note.id,
-            title: note.title,
-            snippet,
-            relevance: searchText.split(queryLower).length - 1,
-          });
-        }
+      const affectedNotes = await noteLinkService.previewLinkChanges(id);
+      return {
+        success: true,
+        data: {
+          oldTitle: noteMetadata.title,
+          newTitle,
+          affectedNotes,
+        },
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  handle('notes.history', async (_event, id) => {
+    try {
+      await ensureNoteIndex();
+      if (!noteIndexService.get(id)) {
+        return { success: false, error: 'NOTE_NOT_FOUND' };
       }
 
-      // Sort by relevance
-      results.sort((a, b) => b.relevance - a.relevance);
+      noteHistoryService.initialize(fileService.storageRoot);
+      const revisions = await noteHistoryService.list(id);
+      return { success: true, data: revisions };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
 
-      return { success: true, data: results };
+  handle('notes.getRevision', async (_event, { id, revisionId }) => {
+    try {
+      await ensureNoteIndex();
+      const noteMetadata = noteIndexService.get(id);
+      if (!noteMetadata) {
+        return { success: false, error: 'NOTE_NOT_FOUND' };
+      }
+
+      noteHistoryService.initialize(fileService.storageRoot);
+      const revision = await noteHistoryService.get(id, revisionId);
+      const current = await fileService.readNote(noteMetadata.filePath);
+
+      return {
+        success: true,
+        data: {
+          ...revision,
+          diff: noteHistoryService.diffLines(revision.content, current.content),
+        },
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  handle('notes.backlinks', async (_event, id) => {
+    try {
+      await ensureNoteIndex();
+      const backlinks = await noteLinkService.getBacklinks(id);
+      return { success: true, data: backlinks };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  handle('notes.linkGraph', async (_event, options = {}) => {
+    try {
+      await ensureNoteIndex();
+      const graph = await noteLinkService.getLinkGraph(options);
+      return { success: true, data: graph };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
   // Todos API
-  ipcMain.handle('todos.list', async () => {
+  handle('todos.list', async () => {
     try {
       const data = await fileService.readJSON('todos.json');
       const todos = data?.todos || [];
@@ -547,26 +916,26 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('todos.create', async (_event, todoData) => {
+  handle('todos.create', async (_event, todoData) => {
     try {
-      const data = await fileService.readJSON('todos.json') || { todos: [] };
-      const now = new Date().toISOString();
-
-      const newTodo = {
-        id: fileService.generateId(),
-        title: todoData.title,
-        description: todoData.description || '',
-        priority: todoData.priority || 'medium',
-        deadline: todoData.deadline || null,
-        completed: false,
-        completedAt: null,
-        projectId: todoData.projectId || null,
-        createdAt: now,
-        modifiedAt: now,
-      };
-
-      data.todos.push(newTodo);
-      await fileService.writeJSON('todos.json', data);
+      const newTodo = await fileService.updateJSON('todos.json', { todos: [] }, (data) => {
+        const now = new Date().toISOString();
+        const todo = {
+          id: fileService.generateId(),
+          title: todoData.title,
+          description: todoData.description || '',
+          priority: todoData.priority || 'medium',
+          deadline: todoData.deadline || null,
+          completed: false,
+          completedAt: null,
+          projectId: todoData.projectId || null,
+          createdAt: now,
+          modifiedAt: now,
+        };
+
+        data.todos.push(todo);
+        return todo;
+      });
 
       return { success: true, data: newTodo };
     } catch (error) {
@@ -574,50 +943,41 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('todos.update', async (_event, { id, updates }) => {
+  handle('todos.update', async (_event, { id, updates }) => {
     try {
-      const data = await fileService.readJSON('todos.json');
-      if (!data || !data.todos) {
-        return { success: false, error: 'TODO_NOT_FOUND' };
-      }
-
-      const todoIndex = data.todos.findIndex(t => t.id === id);
-      if (todoIndex === -1) {
-        return { success: false, error: 'TODO_NOT_FOUND' };
-      }
-
-      data.todos[todoIndex] = {
-        ...data.todos[todoIndex],
-        ...updates,
-        modifiedAt: new Date().toISOString(),
-      };
+      const todo = await fileService.updateJSON('todos.json', { todos: [] }, (data) => {
+        const todoIndex = data.todos?.findIndex(t => t.id === id) ?? -1;
+        if (todoIndex === -1) {
+          throw new Error('TODO_NOT_FOUND');
+        }
 
-      await fileService.writeJSON('todos.json', data);
+        data.todos[todoIndex] = {
+          ...data.todos[todoIndex],
+          ...updates,
+          modifiedAt: new Date().toISOString(),
+        };
+        return data.todos[todoIndex];
+      });
 
-      return { success: true, data: data.todos[todoIndex] };
+      return { success: true, data: todo };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('todos.toggleComplete', async (_event, id) => {
+  handle('todos.toggleComplete', async (_event, id) => {
     try {
-      const data = await fileService.readJSON('todos.json');
-      if (!data || !data.todos) {
-        return { success: false, error: 'TODO_NOT_FOUND' };
-      }
-
-      const todoIndex = data.todos.findIndex(t => t.id === id);
-      if (todoIndex === -1) {
-        return { success: false, error: 'TODO_NOT_FOUND' };
-      }
-
-      const todo = data.todos[todoIndex];
-      todo.completed = !todo.completed;
-      todo.completedAt = todo.completed ? new Date().toISOString() : null;
-      todo.modifiedAt = new Date().toISOString();
+      const todo = await fileService.updateJSON('todos.json', { todos: [] }, (data) => {
+        const match = data.todos?.find(t => t.id === id);
+        if (!match) {
+          throw new Error('TODO_NOT_FOUND');
+        }
 
-      await fileService.writeJSON('todos.json', data);
+        match.completed = !match.completed;
+        match.completedAt = match.completed ? new Date().toISOString() : null;
+        match.modifiedAt = new Date().toISOString();
+        return match;
+      });
 
       return { success: true, data: todo };
     } catch (error) {
@@ -625,20 +985,20 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('todos.delete', async (_event, id) => {
+  handle('todos.delete', async (_event, id) => {
     try {
-      const data = await fileService.readJSON('todos.json');
-      if (!data || !data.todos) {
-        return { success: false, error: 'TODO_NOT_FOUND' };
-      }
+      await fileService.updateJSON('todos.json', { todos: [] }, async (data) => {
+        const todoIndex = data.todos?.findIndex(t => t.id === id) ?? -1;
+        if (todoIndex === -1) {
+          throw new Error('TODO_NOT_FOUND');
+        }
 
-      const todoIndex = data.todos.findIndex(t => t.id === id);
-      if (todoIndex === -1) {
-        return { success: false, error: 'TODO_NOT_FOUND' };
-      }
+        const todo = data.todos[todoIndex];
+        ensureTrash();
+        await trashService.add('todo', { itemId: id, title: todo.title, data: { todo } });
 
-      data.todos.splice(todoIndex, 1);
-      await fileService.writeJSON('todos.json', data);
+        data.todos.splice(todoIndex, 1);
+      });
 
       return { success: true, data: { deleted: true } };
     } catch (error) {
@@ -647,7 +1007,7 @@ async function setupIpcHandlers() {
   });
 
   // Projects API
-  ipcMain.handle('projects.list', async () => {
+  handle('projects.list', async () => {
     try {
       const data = await fileService.readJSON('projects.json');
       const projects = data?.projects || [];
@@ -661,7 +1021,7 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('projects.get', async (_event, id) => {
+  handle('projects.get', async (_event, id) => {
     try {
       const data = await fileService.readJSON('projects.json');
       if (!data || !data.projects) {
@@ -674,7 +1034,8 @@ async function setupIpcHandlers() {
       }
 
       // Get all notes and filter by projectId
-      const allNotes = await fileService.listNotes();
+      await ensureNoteIndex();
+      const allNotes = noteIndexService.list();
       const notes = allNotes.filter(note => note.projectId === id);
 
       return {
@@ -689,30 +1050,32 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('projects.create', async (_event, projectData) => {
+  handle('projects.create', async (_event, projectData) => {
     try {
-      const data = await fileService.readJSON('projects.json');
-      if (!data.projects) {
-        data.projects = [];
-      }
+      const newProject = await fileService.updateJSON('projects.json', { projects: [] }, async (data) => {
+        if (!data.projects) {
+          data.projects = [];
+        }
 
-      const now = new Date().toISOString();
-      const folder = fileService.slugify(projectData.name);
+        const now = new Date().toISOString();
+        const folder = fileService.getProjectFolderName(projectData.name);
 
-      const newProject = {
-        id: fileService.generateId(),
-        name: projectData.name,
-        description: projectData.description || '',
-        folder,
-        createdAt: now,
-        modifiedAt: now,
-      };
+        const project = {
+          id: fileService.generateId(),
+          name: projectData.name,
+          description: projectData.description || '',
+          defaultTemplateId: projectData.defaultTemplateId || null,
+          folder,
+          createdAt: now,
+          modifiedAt: now,
+        };
 
-      // Create project folder
-      await fileService.createProjectFolder(folder);
+        // Create project folder
+        await fileService.createProjectFolder(folder);
 
-      data.projects.push(newProject);
-      await fileService.writeJSON('projects.json', data);
+        data.projects.push(project);
+        return project;
+      });
 
       return { success: true, data: newProject };
     } catch (error) {
@@ -720,88 +1083,412 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('projects.update', async (_event, { id, updates }) => {
+  handle('projects.update', async (_event, { id, updates }) => {
     try {
-      const data = await fileService.readJSON('projects.json');
-      if (!data || !data.projects) {
-        return { success: false, error: 'PROJECT_NOT_FOUND' };
-      }
+      let folderRenamed = false;
+      const project = await fileService.updateJSON('projects.json', { projects: [] }, async (data) => {
+        const projectIndex = data.projects?.findIndex(p => p.id === id) ?? -1;
+        if (projectIndex === -1) {
+          throw new Error('PROJECT_NOT_FOUND');
+        }
 
-      const projectIndex = data.projects.findIndex(p => p.id === id);
-      if (projectIndex === -1) {
-        return { success: false, error: 'PROJECT_NOT_FOUND' };
-      }
+        // If name changed, update folder
+        if (updates.name && updates.name !== data.projects[projectIndex].name) {
+          const oldFolder = data.projects[projectIndex].folder;
+          const newFolder = fileService.getProjectFolderName(updates.name);
+          await fileService.renameProjectFolder(oldFolder, newFolder);
+          updates.folder = newFolder;
+          folderRenamed = newFolder !== oldFolder;
+        }
 
-      // If name changed, update folder
-      let newFolder = data.projects[projectIndex].folder;
-      if (updates.name && updates.name !== data.projects[projectIndex].name) {
-        const oldFolder = data.projects[projectIndex].folder;
-        newFolder = fileService.slugify(updates.name);
-        await fileService.renameProjectFolder(oldFolder, newFolder);
-        updates.folder = newFolder;
+        data.projects[projectIndex] = {
+          ...data.projects[projectIndex],
+          ...updates,
+          modifiedAt: new Date().toISOString(),
+        };
+        return data.projects[projectIndex];
+      });
+
+      // Note paths changed with the folder rename
+      if (folderRenamed) {
+        await ensureNoteIndex();
+        await noteIndexService.reconcile();
       }
 
-      data.projects[projectIndex] = {
-        ...data.projects[projectIndex],
-        ...updates,
-        modifiedAt: new Date().toISOString(),
+      return { success: true, data: project };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  handle('projects.delete', async (_event, { id, deleteNotes = false }) => {
+    try {
+      await fileService.updateJSON('projects.json', { projects: [] }, async (data) => {
+        const projectIndex = data.projects?.findIndex(p => p.id === id) ?? -1;
+        if (projectIndex === -1) {
+          throw new Error('PROJECT_NOT_FOUND');
+        }
+
+        const project = data.projects[projectIndex];
+        await ensureNoteIndex();
+        ensureTrash();
+
+        // Remember linked todos so a restore can link them again
+        const todosData = await fileService.readJSON('todos.json');
+        const unlinkedTodoIds = (todosData?.todos || [])
+          .filter(todo => todo.projectId === id)
+          .map(todo => todo.id);
+
+        if (deleteNotes) {
+          // Move the project folder with all its notes to the trash
+          const folderPath = path.join(fileService.storageRoot, 'notes', project.folder);
+          const folderExists = fs.existsSync(folderPath);
+          await trashService.add('project', {
+            itemId: id,
+            title: project.name,
+            files: folderExists ? [folderPath] : [],
+            data: {
+              project,
+              unlinkedTodoIds,
+              noteIds: noteIndexService.list(project.folder).map(note => note.id),
+            },
+          });
+        } else {
+          // Move notes to root (unlink from project), with the attachments they link to
+          const notes = await fileService.listNotes(project.folder);
+          for (const note of notes) {
+            const fullNote = await fileService.readNote(note.filePath);
+            const rootPath = path.join(
+              path.dirname(path.dirname(note.filePath)),
+              path.basename(note.filePath)
+            );
+            const content = await fileService.copyNoteAttachments(fullNote.content, note.filePath, rootPath);
+            await fileService.deleteNote(note.filePath);
+            await fileService.writeNote(rootPath, { ...fullNote, content, projectId: null });
+          }
+          // What is left of the project folder goes to the trash, not away
+          const folderPath = path.join(fileService.storageRoot, 'notes', project.folder);
+          await trashService.add('project', {
+            itemId: id,
+            title: project.name,
+            files: fs.existsSync(folderPath) ? [folderPath] : [],
+            data: { project, unlinkedTodoIds, noteIds: [] },
+          });
+        }
+
+        // Pick up moved and removed note files
+        await noteIndexService.reconcile();
+
+        // Unlink todos from this project
+        if (todosData && todosData.todos) {
+          await fileService.updateJSON('todos.json', { todos: [] }, (todos) => {
+            todos.todos?.forEach(todo => {
+              if (todo.projectId === id) {
+                todo.projectId = null;
+              }
+            });
+          });
+        }
+
+        data.projects.splice(projectIndex, 1);
+      });
+
+      return { success: true, data: { deleted: true } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ==================== Templates API ====================
+  handle('templates.list', async () => {
+    try {
+      ensureTemplates();
+      const templates = await templateService.list();
+      return {
+        success: true,
+        data: templates.map(({ id, name, description, title, fields }) => ({ id, name, description, title, fields })),
       };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  handle('templates.openFolder', async () => {
+    try {
+      ensureTemplates();
+      const folder = await templateService.ensureTemplatesFolder();
+      const { shell } = await import('electron');
+      const errorMessage = await shell.openPath(folder);
+      if (errorMessage) {
+        return { success: false, error: 'OPEN_ERROR' };
+      }
+      return { success: true, data: { opened: true } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ==================== Attachments API ====================
+  handle('attachments.add', async (_event, { noteId, fileName, data }) => {
+    try {
+      await ensureNoteIndex();
+      const note = noteIndexService.get(noteId);
+      if (!note) {
+        return { success: false, error: 'NOTE_NOT_FOUND' };
+      }
 
-      await fileService.writeJSON('projects.json', data);
+      // ArrayBuffers arrive as-is, typed arrays as Uint8Array
+      const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+      const attachment = await fileService.saveAttachment(note.filePath, fileName, bytes);
 
-      return { success: true, data: data.projects[projectIndex] };
+      return { success: true, data: { fileName: attachment.fileName, path: attachment.relativePath } };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('projects.delete', async (_event, { id, deleteNotes = false }) => {
+  handle('attachments.open', async (_event, { noteId, path: relativePath }) => {
     try {
-      const data = await fileService.readJSON('projects.json');
-      if (!data || !data.projects) {
-        return { success: false, error: 'PROJECT_NOT_FOUND' };
+      await ensureNoteIndex();
+      const note = noteIndexService.get(noteId);
+      if (!note) {
+        return { success: false, error: 'NOTE_NOT_FOUND' };
       }
 
-      const projectIndex = data.projects.findIndex(p => p.id === id);
-      if (projectIndex === -1) {
-        return { success: false, error: 'PROJECT_NOT_FOUND' };
+      const filePath = fileService.resolveAttachmentPath(note.filePath, relativePath);
+      const { shell } = await import('electron');
+      // openPath resolves to an error message instead of rejecting
+      const errorMessage = await shell.openPath(filePath);
+      if (errorMessage) {
+        return { success: false, error: 'OPEN_ERROR' };
       }
 
-      const project = data.projects[projectIndex];
+      return { success: true, data: { opened: true } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
 
-      if (deleteNotes) {
-        // Delete all notes in the project folder
-        await fileService.deleteProjectFolder(project.folder);
-      } else {
-        // Move notes to root (unlink from project)
-        const notes = await fileService.listNotes(project.folder);
-        for (const note of notes) {
-          const fullNote = await fileService.readNote(note.filePath);
-          const rootPath = path.join(
-            path.dirname(path.dirname(note.filePath)),
-            path.basename(note.filePath)
-          );
-          await fileService.deleteNote(note.filePath);
-          await fileService.writeNote(rootPath, { ...fullNote, projectId: null });
-        }
-        // Delete empty project folder
-        await fileService.deleteProjectFolder(project.folder);
+  handle('attachments.listOrphans', async () => {
+    try {
+      const orphans = await fileService.findOrphanedAttachments();
+      return { success: true, data: orphans.map(({ relativePath, size }) => ({ path: relativePath, size })) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  handle('attachments.cleanOrphans', async () => {
+    try {
+      ensureTrash();
+      const orphans = await fileService.findOrphanedAttachments();
+
+      // All orphans go to the trash as one item so they can be restored together
+      if (orphans.length > 0) {
+        await trashService.add('attachments', {
+          itemId: null,
+          title: `${orphans.length} unused attachment${orphans.length === 1 ? '' : 's'}`,
+          files: orphans.map(orphan => orphan.filePath),
+        });
       }
 
-      // Unlink todos from this project
-      const todosData = await fileService.readJSON('todos.json');
-      if (todosData && todosData.todos) {
-        todosData.todos.forEach(todo => {
-          if (todo.projectId === id) {
+      return { success: true, data: { removed: orphans.length } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ==================== Trash API ====================
+  handle('trash.list', async () => {
+    try {
+      await purgeExpiredTrash();
+      const preferences = (await configService.getConfig())?.preferences || {};
+      const items = await trashService.list();
+
+      return {
+        success: true,
+        data: {
+          items: items.map(({ id, type, itemId, title, deletedAt }) => ({ id, type, itemId, title, deletedAt })),
+          retentionDays: trashService.getRetentionDays(preferences),
+        },
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  handle('trash.restore', async (_event, trashId) => {
+    try {
+      ensureTrash();
+      const manifest = await trashService.get(trashId);
+
+      if (manifest.type === 'note') {
+        await ensureNoteIndex();
+        if (noteIndexService.get(manifest.itemId)) {
+          return { success: false, error: 'RESTORE_CONFLICT' };
+        }
+
+        // The note comes back first, followed by its attachments
+        const { restoredPaths: [filePath] } = await trashService.restore(trashId);
+        let note = await fileService.readNote(filePath);
+
+        // The project may have been deleted while the note was in the trash
+        if (note.projectId && !(await projectExists(note.projectId))) {
+          note = { ...note, projectId: null };
+          await fileService.writeNote(filePath, note);
+        }
+        await noteIndexService.upsert(note, filePath);
+      } else if (manifest.type === 'snippet' || manifest.type === 'attachments') {
+        await trashService.restore(trashId);
+      } else if (manifest.type === 'todo') {
+        await fileService.updateJSON('todos.json', { todos: [] }, async (todosData) => {
+          if (todosData.todos.some(todo => todo.id === manifest.itemId)) {
+            throw new Error('RESTORE_CONFLICT');
+          }
+
+          const { todo } = manifest.data;
+          if (todo.projectId && !(await projectExists(todo.projectId))) {
             todo.projectId = null;
           }
+
+          await trashService.restore(trashId);
+          todosData.todos.push(todo);
+        });
+      } else if (manifest.type === 'project') {
+        const { project, unlinkedTodoIds = [] } = manifest.data;
+        await fileService.updateJSON('projects.json', { projects: [] }, async (projectsData) => {
+          if (projectsData.projects.some(p => p.id === project.id || p.folder === project.folder)) {
+            throw new Error('RESTORE_CONFLICT');
+          }
+
+          await trashService.restore(trashId);
+          projectsData.projects.push(project);
         });
-        await fileService.writeJSON('todos.json', todosData);
+
+        // Link todos again unless they were assigned elsewhere in the meantime
+        await fileService.updateJSON('todos.json', { todos: [] }, (todosData) => {
+          todosData.todos?.forEach(todo => {
+            if (unlinkedTodoIds.includes(todo.id) && !todo.projectId) {
+              todo.projectId = project.id;
+            }
+          });
+        });
+
+        await ensureNoteIndex();
+        await noteIndexService.reconcile();
+      }
+
+      return { success: true, data: { restored: true, type: manifest.type, itemId: manifest.itemId } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  handle('trash.purge', async (_event, trashId) => {
+    try {
+      ensureTrash();
+      const manifest = await trashService.purge(trashId);
+      await removeTrashedHistory(manifest);
+      return { success: true, data: { purged: true } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  handle('trash.empty', async () => {
+    try {
+      ensureTrash();
+      let purged = 0;
+      for (const item of await trashService.list()) {
+        await removeTrashedHistory(await trashService.purge(item.id));
+        purged++;
+      }
+      return { success: true, data: { purged } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Purge expired trash once per start
+  if (fileService.storageRoot && !storageError) {
+    purgeExpiredTrash().catch(error => console.error('Error purging trash:', error));
+  }
+
+  // ==================== Storage Check API ====================
+  handle('storage.check', async () => {
+    try {
+      const result = await storageCheckService.check();
+      return { success: true, data: result };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  handle('storage.repair', async (_event, { ids }) => {
+    try {
+      const result = await storageCheckService.repair(ids);
+      return { success: true, data: result };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ==================== Backups API ====================
+  handle('backups.list', async () => {
+    try {
+      const result = await backupService.list();
+      return { success: true, data: result };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  handle('backups.create', async () => {
+    try {
+      const backup = await backupService.createBackup('manual');
+      return { success: true, data: backup };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  handle('backups.preview', async (_event, id) => {
+    try {
+      const preview = await backupService.preview(id);
+      return { success: true, data: preview };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  handle('backups.restore', async (_event, { id, paths }) => {
+    try {
+      const result = await backupService.restore(id, paths);
+
+      // Restored files count as the app's own writes, so the watcher stays quiet; open views must reload
+      const filesIn = (folder) => [...result.restored, ...result.removed]
+        .filter(name => path.posix.dirname(name) === folder)
+        .map(name => path.posix.basename(name));
+      const events = [
+        { type: 'notes', changed: result.notes.changed, removed: result.notes.removed },
+        { type: 'snippets', files: filesIn('snippets') },
+        { type: 'data', files: filesIn('.knowledgebase') },
+      ];
+      for (const event of events) {
+        if ((event.files || [...event.changed, ...event.removed]).length > 0) {
+          storageWatcherService.emit(event);
+        }
       }
 
-      data.projects.splice(projectIndex, 1);
-      await fileService.writeJSON('projects.json', data);
+      return { success: true, data: result };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
 
+  handle('backups.delete', async (_event, id) => {
+    try {
+      await backupService.delete(id);
       return { success: true, data: { deleted: true } };
     } catch (error) {
       return { success: false, error: error.message };
@@ -809,7 +1496,7 @@ async function setupIpcHandlers() {
   });
 
   // ==================== Milestones API ====================
-  ipcMain.handle('milestones.list', async (_event, projectId) => {
+  handle('milestones.list', async (_event, projectId) => {
     try {
       const data = await fileService.readJSON('milestones.json');
       let milestones = data?.milestones || [];
@@ -828,25 +1515,25 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('milestones.create', async (_event, milestoneData) => {
+  handle('milestones.create', async (_event, milestoneData) => {
     try {
-      const data = await fileService.readJSON('milestones.json') || { milestones: [] };
-      const now = new Date().toISOString();
-
-      const newMilestone = {
-        id: fileService.generateId(),
-        projectId: milestoneData.projectId,
-        title: milestoneData.title,
-        description: milestoneData.description || '',
-        deadline: milestoneData.deadline,
-        completed: false,
-        completedAt: null,
-        createdAt: now,
-        modifiedAt: now,
-      };
-
-      data.milestones.push(newMilestone);
-      await fileService.writeJSON('milestones.json', data);
+      const newMilestone = await fileService.updateJSON('milestones.json', { milestones: [] }, (data) => {
+        const now = new Date().toISOString();
+        const milestone = {
+          id: fileService.generateId(),
+          projectId: milestoneData.projectId,
+          title: milestoneData.title,
+          description: milestoneData.description || '',
+          deadline: milestoneData.deadline,
+          completed: false,
+          completedAt: null,
+          createdAt: now,
+          modifiedAt: now,
+        };
+
+        data.milestones.push(milestone);
+        return milestone;
+      });
 
       return { success: true, data: newMilestone };
     } catch (error) {
@@ -854,50 +1541,41 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('milestones.update', async (_event, { id, updates }) => {
+  handle('milestones.update', async (_event, { id, updates }) => {
     try {
-      const data = await fileService.readJSON('milestones.json');
-      if (!data || !data.milestones) {
-        return { success: false, error: 'MILESTONE_NOT_FOUND' };
-      }
-
-      const milestoneIndex = data.milestones.findIndex(m => m.id === id);
-      if (milestoneIndex === -1) {
-        return { success: false, error: 'MILESTONE_NOT_FOUND' };
-      }
-
-      data.milestones[milestoneIndex] = {
-        ...data.milestones[milestoneIndex],
-        ...updates,
-        modifiedAt: new Date().toISOString(),
-      };
+      const milestone = await fileService.updateJSON('milestones.json', { milestones: [] }, (data) => {
+        const milestoneIndex = data.milestones?.findIndex(m => m.id === id) ?? -1;
+        if (milestoneIndex === -1) {
+          throw new Error('MILESTONE_NOT_FOUND');
+        }
 
-      await fileService.writeJSON('milestones.json', data);
+        data.milestones[milestoneIndex] = {
+          ...data.milestones[milestoneIndex],
+          ...updates,
+          modifiedAt: new Date().toISOString(),
+        };
+        return data.milestones[milestoneIndex];
+      });
 
-      return { success: true, data: data.milestones[milestoneIndex] };
+      return { success: true, data: milestone };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('milestones.toggleComplete', async (_event, id) => {
+  handle('milestones.toggleComplete', async (_event, id) => {
     try {
-      const data = await fileService.readJSON('milestones.json');
-      if (!data || !data.milestones) {
-        return { success: false, error: 'MILESTONE_NOT_FOUND' };
-      }
-
-      const milestoneIndex = data.milestones.findIndex(m => m.id === id);
-      if (milestoneIndex === -1) {
-        return { success: false, error: 'MILESTONE_NOT_FOUND' };
-      }
-
-      const milestone = data.milestones[milestoneIndex];
-      milestone.completed = !milestone.completed;
-      milestone.completedAt = milestone.completed ? new Date().toISOString() : null;
-      milestone.modifiedAt = new Date().toISOString();
+      const milestone = await fileService.updateJSON('milestones.json', { milestones: [] }, (data) => {
+        const match = data.milestones?.find(m => m.id === id);
+        if (!match) {
+          throw new Error('MILESTONE_NOT_FOUND');
+        }
 
-      await fileService.writeJSON('milestones.json', data);
+        match.completed = !match.completed;
+        match.completedAt = match.completed ? new Date().toISOString() : null;
+        match.modifiedAt = new Date().toISOString();
+        return match;
+      });
 
       return { success: true, data: milestone };
     } catch (error) {
@@ -905,20 +1583,16 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('milestones.delete', async (_event, id) => {
+  handle('milestones.delete', async (_event, id) => {
     try {
-      const data = await fileService.readJSON('milestones.json');
-      if (!data || !data.milestones) {
-        return { success: false, error: 'MILESTONE_NOT_FOUND' };
-      }
-
-      const milestoneIndex = data.milestones.findIndex(m => m.id === id);
-      if (milestoneIndex === -1) {
-        return { success: false, error: 'MILESTONE_NOT_FOUND' };
-      }
+      await fileService.updateJSON('milestones.json', { milestones: [] }, (data) => {
+        const milestoneIndex = data.milestones?.findIndex(m => m.id === id) ?? -1;
+        if (milestoneIndex === -1) {
+          throw new Error('MILESTONE_NOT_FOUND');
+        }
 
-      data.milestones.splice(milestoneIndex, 1);
-      await fileService.writeJSON('milestones.json', data);
+        data.milestones.splice(milestoneIndex, 1);
+      });
 
       return { success: true, data: { deleted: true } };
     } catch (error) {
@@ -927,7 +1601,7 @@ async function setupIpcHandlers() {
   });
 
   // ==================== Tools API ====================
-  ipcMain.handle('tools.list', async () => {
+  handle('tools.list', async () => {
     try {
       const data = await fileService.readJSON('tools.json');
       const tools = data?.tools || [];
@@ -946,24 +1620,24 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('tools.create', async (_event, toolData) => {
+  handle('tools.create', async (_event, toolData) => {
     try {
-      const data = await fileService.readJSON('tools.json') || { tools: [] };
-      const now = new Date().toISOString();
-
-      const newTool = {
-        id: fileService.generateId(),
-        name: toolData.name,
-        description: toolData.description || '',
-        launchPath: toolData.launchPath,
-        launchType: toolData.launchType || 'application',
-        category: toolData.category || 'General',
-        createdAt: now,
-        modifiedAt: now,
-      };
-
-      data.tools.push(newTool);
-      await fileService.writeJSON('tools.json', data);
+      const newTool = await fileService.updateJSON('tools.json', { tools: [] }, (data) => {
+        const now = new Date().toISOString();
+        const tool = {
+          id: fileService.generateId(),
+          name: toolData.name,
+          description: toolData.description || '',
+          launchPath: toolData.launchPath,
+          launchType: toolData.launchType || 'application',
+          category: toolData.category || 'General',
+          createdAt: now,
+          modifiedAt: now,
+        };
+
+        data.tools.push(tool);
+        return tool;
+      });
 
       return { success: true, data: newTool };
     } catch (error) {
@@ -971,46 +1645,38 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('tools.update', async (_event, { id, updates }) => {
+  handle('tools.update', async (_event, { id, updates }) => {
     try {
-      const data = await fileService.readJSON('tools.json');
-      if (!data || !data.tools) {
-        return { success: false, error: 'TOOL_NOT_FOUND' };
-      }
-
-      const toolIndex = data.tools.findIndex(t => t.id === id);
-      if (toolIndex === -1) {
-        return { success: false, error: 'TOOL_NOT_FOUND' };
-      }
-
-      data.tools[toolIndex] = {
-        ...data.tools[toolIndex],
-        ...updates,
-        modifiedAt: new Date().toISOString(),
-      };
+      const tool = await fileService.updateJSON('tools.json', { tools: [] }, (data) => {
+        const toolIndex = data.tools?.findIndex(t => t.id === id) ?? -1;
+        if (toolIndex === -1) {
+          throw new Error('TOOL_NOT_FOUND');
+        }
 
-      await fileService.writeJSON('tools.json', data);
+        data.tools[toolIndex] = {
+          ...data.tools[toolIndex],
+          ...updates,
+          modifiedAt: new Date().toISOString(),
+        };
+        return data.tools[toolIndex];
+      });
 
-      return { success: true, data: data.tools[toolIndex] };
+      return { success: true, data: tool };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('tools.delete', async (_event, id) => {
+  handle('tools.delete', async (_event, id) => {
     try {
-      const data = await fileService.readJSON('tools.json');
-      if (!data || !data.tools) {
-        return { success: false, error: 'TOOL_NOT_FOUND' };
-      }
-
-      const toolIndex = data.tools.findIndex(t => t.id === id);
-      if (toolIndex === -1) {
-        return { success: false, error: 'TOOL_NOT_FOUND' };
-      }
+      await fileService.updateJSON('tools.json', { tools: [] }, (data) => {
+        const toolIndex = data.tools?.findIndex(t => t.id === id) ?? -1;
+        if (toolIndex === -1) {
+          throw new Error('TOOL_NOT_FOUND');
+        }
 
-      data.tools.splice(toolIndex, 1);
-      await fileService.writeJSON('tools.json', data);
+        data.tools.splice(toolIndex, 1);
+      });
 
       return { success: true, data: { deleted: true } };
     } catch (error) {
@@ -1018,7 +1684,7 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('tools.launch', async (_event, id) => {
+  handle('tools.launch', async (_event, id) => {
     try {
       const data = await fileService.readJSON('tools.json');
       if (!data || !data.tools) {
@@ -1047,11 +1713,11 @@ async function setupIpcHandlers() {
   // ==================== Daily Todos API ====================
   // Import and initialize dailyTodosService
   const { dailyTodosService } = await import('./services/daily-todos-service.js');
-  if (fileService.storageRoot) {
+  if (fileService.storageRoot && !storageError) {
     dailyTodosService.initialize(fileService.storageRoot);
   }
 
-  ipcMain.handle('dailyTodos.list', async () => {
+  handle('dailyTodos.list', async () => {
     try {
       if (!fileService.storageRoot) {
         return { success: false, error: 'STORAGE_NOT_CONFIGURED' };
@@ -1064,7 +1730,7 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('dailyTodos.create', async (_event, todoData) => {
+  handle('dailyTodos.create', async (_event, todoData) => {
     try {
       if (!fileService.storageRoot) {
         return { success: false, error: 'STORAGE_NOT_CONFIGURED' };
@@ -1077,7 +1743,7 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('dailyTodos.toggleComplete', async (_event, id) => {
+  handle('dailyTodos.toggleComplete', async (_event, id) => {
     try {
       if (!fileService.storageRoot) {
         return { success: false, error: 'STORAGE_NOT_CONFIGURED' };
@@ -1090,7 +1756,7 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('dailyTodos.delete', async (_event, id) => {
+  handle('dailyTodos.delete', async (_event, id) => {
     try {
       if (!fileService.storageRoot) {
         return { success: false, error: 'STORAGE_NOT_CONFIGURED' };
@@ -1103,7 +1769,7 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('dailyTodos.rollover', async () => {
+  handle('dailyTodos.rollover', async () => {
     try {
       if (!fileService.storageRoot) {
         return { success: false, error: 'STORAGE_NOT_CONFIGURED' };
@@ -1116,7 +1782,7 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('dailyTodos.getArchive', async (_event, options) => {
+  handle('dailyTodos.getArchive', async (_event, options) => {
     try {
       if (!fileService.storageRoot) {
         return { success: false, error: 'STORAGE_NOT_CONFIGURED' };
@@ -1129,7 +1795,7 @@ async function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('dailyTodos.updatePriority', async (_event, id, priority) => {
+  handle('dailyTodos.updatePriority', async (_event, { id, priority }) => {
     try {
       if (!fileService.storageRoot) {
         return { success: false, error: 'STORAGE_NOT_CONFIGURED' };
@@ -1141,4 +1807,61 @@ async function setupIpcHandlers() {
       return { success: false, error: error.message };
     }
   });
+
+  // ==================== Journal API ====================
+
+  handle('journal.open', async (_event, { date, create = true } = {}) => {
+    try {
+      if (!fileService.storageRoot) {
+        return { success: false, error: 'STORAGE_NOT_CONFIGURED' };
+      }
+      ensureTemplates();
+      dailyTodosService.initialize(fileService.storageRoot);
+      journalService.initialize(fileService.storageRoot);
+
+      const result = await journalService.open(date || dailyTodosService.getTodayDate(), { create });
+      const { note } = result;
+      if (note && (result.created || result.updated)) {
+        await ensureNoteIndex();
+        await noteIndexService.upsert(note, note.filePath);
+      }
+      if (note && result.created) {
+        await recordRevision(note);
+      }
+
+      return {
+        success: true,
+        data: {
+          ...result,
+          note: note && { ...note, inlineTags: noteTagService.extractInlineTags(note.content) },
+        },
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ==================== Search API ====================
+
+  handle('search.global', async (_event, { query, projectId, fromDate, toDate, types, limit } = {}) => {
+    try {
+      if (!fileService.storageRoot) {
+        return { success: false, error: 'STORAGE_NOT_CONFIGURED' };
+      }
+      await ensureNoteIndex();
+      dailyTodosService.initialize(fileService.storageRoot);
+
+      const results = await globalSearchService.search(query, {
+        projectId: projectId || null,
+        fromDate,
+        toDate,
+        types,
+        limit,
+      });
+
+      return { success: true, data: results };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
 }
@@ -1,10 +1,20 @@
 import { contextBridge, ipcRenderer } from 'electron';
+import { EVENT_CHANNELS, isInvokeChannel } from '../shared/ipc-channels.js';
 
-const safeInvoke = (channel, payload) => ipcRenderer.invoke(channel, payload);
+// Only channels declared in the registry reach the main process
+const safeInvoke = (channel, payload) => {
+  if (!isInvokeChannel(channel)) {
+    return Promise.reject(new Error(`Unknown IPC channel: ${channel}`));
+  }
+  return ipcRenderer.invoke(channel, payload);
+};
 
 contextBridge.exposeInMainWorld('knowledgeBase', {
   invoke: safeInvoke,
   on(channel, listener) {
+    if (!EVENT_CHANNELS.includes(channel)) {
+      throw new Error(`Unknown IPC event: ${channel}`);
+    }
     const subscription = (_event, ...args) => listener(...args);
     ipcRenderer.on(channel, subscription);
     return () => ipcRenderer.removeListener(channel, subscription);
@@ -0,0 +1,546 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { STORAGE_VERSION, ATTACHMENTS_FOLDER } from '../../shared/constants.js';
+import { fileService } from './file-service.js';
+import { migrationService, compareVersions } from './migration-service.js';
+import { noteIndexService } from './note-index-service.js';
+import { readZip, writeZip } from './zip-archive.js';
+
+/**
+ * Backup Service
+ * Writes snapshots of the storage folder as timestamped zip archives to a
+ * second folder chosen by the user: on startup, every few hours and before
+ * migrations. Only the newest automatic snapshots are kept. A snapshot can be
+ * previewed and restored completely or file by file.
+ */
+
+export const DEFAULT_BACKUP_INTERVAL_HOURS = 24;
+export const DEFAULT_BACKUP_KEEP = 10;
+// Snapshots taken without the user asking; only these are pruned
+const AUTOMATIC_REASONS = ['startup', 'scheduled'];
+const ARCHIVE_NAME = /^knowledgebase-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z-([a-z]+)\.zip$/;
+const MANIFEST_NAME = 'backup.json';
+// Entries of .knowledgebase left out of snapshots: large, rebuilt, or backups themselves
+const DATA_EXCLUDES = ['history', 'trash', 'migration-backups', 'notes-index.json'];
+const CONTENT_FOLDERS = ['notes', 'snippets', 'templates'];
+// The config stays as it is on restore: it holds the storage location and the backup settings
+const CONFIG_ENTRY = '.knowledgebase/config.json';
+// setTimeout can't wait longer than about 24 days
+const MAX_TIMER_DELAY = 24 * 60 * 60 * 1000;
+
+/**
+ * List the files below a folder
+ * @param {string} dirPath - Absolute folder path
+ * @returns {Promise<Array<string>>} Absolute file paths, empty if the folder is missing
+ */
+async function listFiles(dirPath) {
+  let entries;
+  try {
+    entries = await fs.readdir(dirPath, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = await Promise.all(entries.map((entry) => {
+    const fullPath = path.join(dirPath, entry.name);
+    return entry.isDirectory() ? listFiles(fullPath) : [fullPath];
+  }));
+  return files.flat();
+}
+
+/**
+ * Check whether a file holds data, as opposed to the leftovers of interrupted
+ * writes and the rolling .bak copies of writeFileAtomic
+ * @param {string} filePath - File path
+ * @returns {boolean}
+ */
+function isDataFile(filePath) {
+  return !/\.tmp-[0-9a-f]+$/.test(filePath) && !filePath.endsWith('.bak');
+}
+
+/**
+ * Tell what kind of data an archive entry holds
+ * @param {string} name - Entry name like 'notes/web-app/design.md'
+ * @returns {string} 'note', 'attachment', 'snippet', 'template' or 'store'
+ */
+function getEntryKind(name) {
+  const parts = name.split('/');
+  if (parts[0] === 'notes') {
+    return parts.includes(ATTACHMENTS_FOLDER) ? 'attachment' : 'note';
+  }
+  if (parts[0] === 'snippets') return 'snippet';
+  if (parts[0] === 'templates') return 'template';
+  return 'store';
+}
+
+class BackupService {
+  constructor() {
+    this.timer = null;
+    // Time of the last automatic snapshot, also when it failed
+    this.lastAttemptAt = 0;
+  }
+
+  /**
+   * Get the backup settings from the config preferences
+   * @param {Object} [preferences] - Config preferences
+   * @returns {Object} { folder, onStartup, intervalHours, keep }
+   */
+  getSettings(preferences = {}) {
+    return {
+      folder: preferences.backupFolder || null,
+      onStartup: preferences.backupOnStartup ?? true,
+      intervalHours: preferences.backupIntervalHours ?? DEFAULT_BACKUP_INTERVAL_HOURS,
+      keep: preferences.backupKeep ?? DEFAULT_BACKUP_KEEP,
+    };
+  }
+
+  /**
+   * Read the backup settings of the current storage folder
+   * @returns {Promise<Object>} Settings, see getSettings
+   */
+  async loadSettings() {
+    if (!fileService.storageRoot) {
+      throw new Error('STORAGE_NOT_CONFIGURED');
+    }
+    return this.getSettings((await fileService.readConfig()).preferences);
+  }
+
+  /**
+   * Get the backup folder
+   * @returns {Promise<string>} Absolute folder path
+   * @throws {Error} BACKUP_FOLDER_NOT_SET when backups are off
+   */
+  async getFolder() {
+    const { folder } = await this.loadSettings();
+    if (!folder) {
+      throw new Error('BACKUP_FOLDER_NOT_SET');
+    }
+    return folder;
+  }
+
+  /**
+   * List the snapshots in the backup folder
+   * @returns {Promise<Object>} { settings, backups: Array<{ id, createdAt, reason, size }> } newest first
+   */
+  async list() {
+    const settings = await this.loadSettings();
+    return {
+      settings,
+      backups: settings.folder ? await this.listArchives(settings.folder) : [],
+    };
+  }
+
+  /**
+   * List the snapshots of a folder
+   * @param {string} folder - Backup folder
+   * @returns {Promise<Array<Object>>} Snapshots, newest first
+   */
+  async listArchives(folder) {
+    let files;
+    try {
+      files = await fs.readdir(folder);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const backups = [];
+    for (const file of files) {
+      const match = file.match(ARCHIVE_NAME);
+      if (!match) continue;
+
+      const [, date, hours, minutes, seconds, milliseconds, reason] = match;
+      const { size } = await fs.stat(path.join(folder, file));
+      backups.push({ id: file, createdAt: `${date}T${hours}:${minutes}:${seconds}.${milliseconds}Z`, reason, size });
+    }
+
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Write a snapshot of the storage folder to the backup folder
+   * @param {string} reason - 'startup', 'scheduled', 'manual', 'migration' or 'restore'
+   * @returns {Promise<Object>} The new snapshot { id, createdAt, reason, size }
+   * @throws {Error} BACKUP_FOLDER_NOT_SET, ARCHIVE_TOO_LARGE
+   */
+  async createBackup(reason) {
+    const settings = await this.loadSettings();
+    if (!settings.folder) {
+      throw new Error('BACKUP_FOLDER_NOT_SET');
+    }
+
+    // One snapshot at a time per backup folder
+    return fileService.withFileLock(settings.folder, async () => {
+      const config = await fileService.readConfig();
+      const createdAt = new Date().toISOString();
+      const manifest = {
+        name: MANIFEST_NAME,
+        data: JSON.stringify({
+          createdAt,
+          reason,
+          storageVersion: migrationService.getVersion(config),
+          storageLocation: fileService.storageRoot,
+        }, null, 2),
+      };
+
+      await fileService.ensureDirectoryExists(settings.folder);
+      const id = `knowledgebase-${createdAt.replace(/[:.]/g, '-')}-${reason}.zip`;
+      const archivePath = path.join(settings.folder, id);
+      // Files are read and written one at a time into a temp file, renamed once complete
+      const tempPath = `${archivePath}.tmp-${crypto.randomBytes(4).toString('hex')}`;
+      let size;
+      try {
+        size = await writeZip(tempPath, this.readStorageEntries(manifest, await this.listStorageFiles()));
+        await fs.rename(tempPath, archivePath);
+      } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+      }
+      await this.prune(settings.folder, settings.keep);
+
+      return { id, createdAt, reason, size };
+    });
+  }
+
+  /**
+   * Read the files of a snapshot one by one
+   * @param {Object} manifest - Manifest entry, yielded first
+   * @param {Array<string>} filePaths - Absolute paths from listStorageFiles
+   * @returns {AsyncGenerator<Object>} Archive entries { name, data, modifiedAt }
+   */
+  async *readStorageEntries(manifest, filePaths) {
+    yield manifest;
+
+    for (const filePath of filePaths) {
+      const name = path.relative(fileService.storageRoot, filePath).split(path.sep).join('/');
+      let entry;
+      try {
+        // Stores are read under their lock so no half-applied change is saved
+        const data = name.startsWith('.knowledgebase/')
+          ? await fileService.withFileLock(filePath, () => fs.readFile(filePath))
+          : await fs.readFile(filePath);
+        const { mtime } = await fs.stat(filePath);
+        entry = { name, data, modifiedAt: mtime };
+      } catch (error) {
+        // Deleted while the snapshot was taken
+        if (error.code !== 'ENOENT') throw error;
+        continue;
+      }
+      yield entry;
+    }
+  }
+
+  /**
+   * Take a snapshot if a backup folder is set. Failures are logged, not thrown,
+   * so startup, timers and migrations go on without a backup.
+   * @param {string} reason - Why the snapshot is taken
+   * @returns {Promise<Object|null>} The snapshot, or null
+   */
+  async createAutomaticBackup(reason) {
+    this.lastAttemptAt = Date.now();
+    try {
+      if (!(await this.loadSettings()).folder) {
+        return null;
+      }
+      const backup = await this.createBackup(reason);
+      console.log(`Backup written: ${backup.id}`);
+      return backup;
+    } catch (error) {
+      console.error(`Backup (${reason}) failed:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * List the files a snapshot contains
+   * @returns {Promise<Array<string>>} Absolute file paths
+   */
+  async listStorageFiles() {
+    const dataDir = path.join(fileService.storageRoot, '.knowledgebase');
+    const files = [];
+
+    for (const entry of await fs.readdir(dataDir, { withFileTypes: true })) {
+      if (DATA_EXCLUDES.includes(entry.name)) continue;
+
+      const entryPath = path.join(dataDir, entry.name);
+      files.push(...(entry.isDirectory() ? await listFiles(entryPath) : [entryPath]));
+    }
+    for (const folder of CONTENT_FOLDERS) {
+      files.push(...await listFiles(path.join(fileService.storageRoot, folder)));
+    }
+
+    return files.filter(isDataFile);
+  }
+
+  /**
+   * Delete automatic snapshots beyond the newest `keep`. Manual snapshots and
+   * those taken before migrations or restores stay until the user deletes them.
+   * @param {string} folder - Backup folder
+   * @param {number} keep - Automatic snapshots to keep
+   */
+  async prune(folder, keep) {
+    const automatic = (await this.listArchives(folder)).filter(backup => AUTOMATIC_REASONS.includes(backup.reason));
+    for (const backup of automatic.slice(keep)) {
+      await fs.rm(path.join(folder, backup.id), { force: true });
+    }
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} id - Snapshot file name
+   */
+  async delete(id) {
+    const filePath = await this.getArchivePath(id);
+    await fs.rm(filePath);
+  }
+
+  /**
+   * Get the path of a snapshot in the backup folder
+   * @param {string} id - Snapshot file name
+   * @returns {Promise<string>} Absolute path
+   * @throws {Error} BACKUP_NOT_FOUND
+   */
+  async getArchivePath(id) {
+    const folder = await this.getFolder();
+    const filePath = path.join(folder, id);
+
+    try {
+      if (!ARCHIVE_NAME.test(id)) throw new Error('invalid name');
+      await fs.access(filePath);
+    } catch {
+      throw new Error('BACKUP_NOT_FOUND');
+    }
+    return filePath;
+  }
+
+  /**
+   * Read a snapshot
+   * @param {string} id - Snapshot file name
+   * @returns {Promise<Object>} { manifest, entries } with entries as returned by readZip, without the manifest
+   * @throws {Error} BACKUP_NOT_FOUND, ARCHIVE_CORRUPT
+   */
+  async readArchive(id) {
+    const entries = readZip(await fs.readFile(await this.getArchivePath(id)));
+    const manifestEntry = entries.find(entry => entry.name === MANIFEST_NAME);
+    if (!manifestEntry) {
+      throw new Error('ARCHIVE_CORRUPT');
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse((await manifestEntry.read()).toString('utf-8'));
+    } catch {
+      throw new Error('ARCHIVE_CORRUPT');
+    }
+
+    // Names come from a file on disk; none may point outside the storage folder
+    for (const entry of entries) {
+      if (entry.name.startsWith('/') || entry.name.split(/[/\\]/).includes('..')) {
+        throw new Error('ARCHIVE_CORRUPT');
+      }
+    }
+
+    return { manifest, entries: entries.filter(entry => entry !== manifestEntry) };
+  }
+
+  /**
+   * Show what a snapshot contains and how it differs from the storage folder
+   * @param {string} id - Snapshot file name
+   * @returns {Promise<Object>} { id, createdAt, reason, storageVersion, entries: Array<{ path, kind, size, status }> }
+   *   status is 'unchanged', 'changed' or 'missing' (not in the storage folder anymore)
+   */
+  async preview(id) {
+    const { manifest, entries } = await this.readArchive(id);
+    const previewEntries = [];
+
+    for (const entry of entries.filter(item => item.name !== CONFIG_ENTRY)) {
+      // Compared by size and checksum, the snapshot content isn't inflated
+      let status = 'missing';
+      try {
+        const filePath = path.join(fileService.storageRoot, entry.name);
+        status = (await fs.stat(filePath)).size === entry.size && zlib.crc32(await fs.readFile(filePath)) === entry.crc
+          ? 'unchanged'
+          : 'changed';
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      previewEntries.push({ path: entry.name, kind: getEntryKind(entry.name), size: entry.size, status });
+    }
+
+    return {
+      id,
+      createdAt: manifest.createdAt,
+      reason: manifest.reason,
+      storageVersion: manifest.storageVersion,
+      entries: previewEntries,
+    };
+  }
+
+  /**
+   * Restore a snapshot. A snapshot of the current state is taken first.
+   * Restoring everything also removes notes, snippets and templates created
+   * after the snapshot and migrates an older snapshot to the current format.
+   * Single files can only be restored from snapshots of the current format.
+   * @param {string} id - Snapshot file name
+   * @param {Array<string>} [paths] - Entries to restore; notes bring the attachments they link to. All when omitted.
+   * @returns {Promise<Object>} { restored: Array<string>, removed: Array<string>,
+   *   notes: { changed, removed } note IDs, safetyBackup }
+   * @throws {Error} BACKUP_NOT_FOUND, ARCHIVE_CORRUPT, BACKUP_TOO_NEW,
+   *   BACKUP_VERSION_MISMATCH, BACKUP_ENTRY_NOT_FOUND
+   */
+  async restore(id, paths) {
+    const { manifest, entries } = await this.readArchive(id);
+    const backupVersion = manifest.storageVersion;
+    const currentVersion = migrationService.getVersion(await fileService.readConfig());
+
+    if (compareVersions(backupVersion, STORAGE_VERSION) > 0) {
+      throw new Error('BACKUP_TOO_NEW');
+    }
+    if (paths && compareVersions(backupVersion, currentVersion) !== 0) {
+      throw new Error('BACKUP_VERSION_MISMATCH');
+    }
+
+    const restorable = new Map(entries.filter(entry => entry.name !== CONFIG_ENTRY).map(entry => [entry.name, entry]));
+    const selected = paths ? await this.selectEntries(restorable, paths) : [...restorable.values()];
+
+    const safetyBackup = await this.createBackup('restore');
+
+    const restored = [];
+    for (const entry of selected) {
+      await this.writeEntry(entry.name, await entry.read());
+      restored.push(entry.name);
+    }
+
+    const removed = [];
+    if (!paths) {
+      for (const folder of CONTENT_FOLDERS) {
+        for (const filePath of (await listFiles(path.join(fileService.storageRoot, folder))).filter(isDataFile)) {
+          const name = path.relative(fileService.storageRoot, filePath).split(path.sep).join('/');
+          if (!restorable.has(name)) {
+            await fs.rm(filePath, { force: true });
+            await fileService.removeBackup(filePath);
+            removed.push(name);
+          }
+        }
+      }
+
+      // An older snapshot is brought up to the current format again
+      if (compareVersions(backupVersion, currentVersion) !== 0) {
+        await fileService.updateConfig((config) => {
+          config.version = backupVersion;
+        });
+        await migrationService.run();
+      }
+    }
+
+    let notes = { changed: [], removed: [] };
+    if ([...restored, ...removed].some(name => name.startsWith('notes/'))) {
+      await noteIndexService.initialize(fileService.storageRoot);
+      notes = await noteIndexService.reconcile();
+    }
+
+    return { restored, removed, notes, safetyBackup: safetyBackup.id };
+  }
+
+  /**
+   * Pick the entries to restore, adding the attachments of selected notes
+   * @param {Map<string, Object>} restorable - Entries by name
+   * @param {Array<string>} paths - Requested entry names
+   * @returns {Promise<Array<Object>>} Entries
+   * @throws {Error} BACKUP_ENTRY_NOT_FOUND
+   */
+  async selectEntries(restorable, paths) {
+    const selected = new Map();
+
+    for (const name of paths) {
+      const entry = restorable.get(name);
+      if (!entry) {
+        throw new Error('BACKUP_ENTRY_NOT_FOUND');
+      }
+      selected.set(name, entry);
+
+      if (getEntryKind(name) === 'note') {
+        const folder = path.posix.dirname(name);
+        for (const attachment of fileService.extractAttachmentReferences((await entry.read()).toString('utf-8'))) {
+          const attachmentName = path.posix.join(folder, ATTACHMENTS_FOLDER, attachment);
+          if (restorable.has(attachmentName)) {
+            selected.set(attachmentName, restorable.get(attachmentName));
+          }
+        }
+      }
+    }
+
+    return [...selected.values()];
+  }
+
+  /**
+   * Write a restored file into the storage folder
+   * @param {string} name - Entry name
+   * @param {Buffer} data - File content
+   */
+  async writeEntry(name, data) {
+    const filePath = path.join(fileService.storageRoot, ...name.split('/'));
+    await fileService.ensureDirectoryExists(path.dirname(filePath));
+
+    if (getEntryKind(name) === 'store') {
+      await fileService.withFileLock(filePath, () => fileService.writeFileAtomic(filePath, data, { backup: true }));
+    } else {
+      await fileService.writeFileAtomic(filePath, data, { backup: getEntryKind(name) === 'snippet' });
+    }
+  }
+
+  /**
+   * Take the startup snapshot and schedule the next ones
+   */
+  async start() {
+    const settings = await this.loadSettings();
+    if (settings.folder && settings.onStartup) {
+      await this.createAutomaticBackup('startup');
+    }
+    await this.schedule();
+  }
+
+  /**
+   * Schedule the next snapshot after the newest one, e.g. after the settings changed
+   */
+  async schedule() {
+    this.stop();
+
+    const { folder, intervalHours } = await this.loadSettings();
+    if (!folder || intervalHours === 0) {
+      return;
+    }
+
+    // A failed snapshot is retried after the interval, not right away
+    const [newest] = await this.listArchives(folder);
+    const lastAt = Math.max(newest ? Date.parse(newest.createdAt) : 0, this.lastAttemptAt);
+    const dueAt = lastAt + intervalHours * 60 * 60 * 1000;
+    const delay = Math.min(Math.max(dueAt - Date.now(), 0), MAX_TIMER_DELAY);
+
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      // The timer may also fire early because of MAX_TIMER_DELAY, schedule() checks again
+      if (Date.now() >= dueAt) {
+        await this.createAutomaticBackup('scheduled');
+      }
+      this.schedule().catch(error => console.error('Error scheduling backups:', error));
+    }, delay);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop scheduled snapshots
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+export const backupService = new BackupService();
@@ -1,4 +1,6 @@
+import path from 'node:path';
 import { fileService } from './file-service.js';
+import { migrationService } from './migration-service.js';
 
 /**
  * Configuration Service
@@ -59,20 +61,71 @@ class ConfigService {
           throw new Error('VALIDATION_ERROR: editorFontSize must be between 10 and 24');
         }
       }
-    }
 
-    // Merge updates
-    config.preferences = {
-      ...config.preferences,
-      ...updates.preferences,
-    };
+      if (updates.preferences.historyMaxRevisions !== undefined) {
+        const maxRevisions = Number(updates.preferences.historyMaxRevisions);
+        if (!Number.isInteger(maxRevisions) || maxRevisions < 1 || maxRevisions > 1000) {
+          throw new Error('VALIDATION_ERROR: historyMaxRevisions must be between 1 and 1000');
+        }
+      }
 
-    config.lastModified = new Date().toISOString();
+      if (updates.preferences.historyMaxAgeDays !== undefined) {
+        const maxAgeDays = Number(updates.preferences.historyMaxAgeDays);
+        if (!Number.isInteger(maxAgeDays) || maxAgeDays < 0 || maxAgeDays > 3650) {
+          throw new Error('VALIDATION_ERROR: historyMaxAgeDays must be between 0 and 3650');
+        }
+      }
 
-    await fileService.writeConfig(config);
-    this.config = config;
+      if (updates.preferences.trashRetentionDays !== undefined) {
+        const retentionDays = Number(updates.preferences.trashRetentionDays);
+        if (!Number.isInteger(retentionDays) || retentionDays < 0 || retentionDays > 3650) {
+          throw new Error('VALIDATION_ERROR: trashRetentionDays must be between 0 and 3650');
+        }
+      }
+
+      // Empty or null turns backups off
+      if (updates.preferences.backupFolder) {
+        const backupFolder = updates.preferences.backupFolder;
+        if (!path.isAbsolute(backupFolder)) {
+          throw new Error('VALIDATION_ERROR: backupFolder must be an absolute path');
+        }
+
+        // Snapshots inside the storage folder would be lost with it and end up in the next snapshot
+        const storageRoot = fileService.storageRoot || config.storageLocation;
+        const isInside = (parent, child) => {
+          const relative = path.relative(parent, child);
+          return !relative.startsWith('..') && !path.isAbsolute(relative);
+        };
+        if (isInside(storageRoot, backupFolder) || isInside(backupFolder, storageRoot)) {
+          throw new Error('VALIDATION_ERROR: backupFolder must be outside the storage folder');
+        }
+      }
 
-    return config;
+      if (updates.preferences.backupIntervalHours !== undefined) {
+        const intervalHours = Number(updates.preferences.backupIntervalHours);
+        if (!Number.isInteger(intervalHours) || intervalHours < 0 || intervalHours > 720) {
+          throw new Error('VALIDATION_ERROR: backupIntervalHours must be between 0 and 720');
+        }
+      }
+
+      if (updates.preferences.backupKeep !== undefined) {
+        const keep = Number(updates.preferences.backupKeep);
+        if (!Number.isInteger(keep) || keep < 1 || keep > 100) {
+          throw new Error('VALIDATION_ERROR: backupKeep must be between 1 and 100');
+        }
+      }
+    }
+
+    // Merge into the config on disk, which other services may have changed since it was cached
+    this.config = await fileService.updateConfig((current) => {
+      current.preferences = {
+        ...current.preferences,
+        ...updates.preferences,
+      };
+      current.lastModified = new Date().toISOString();
+    });
+
+    return this.config;
   }
 
   /**
@@ -87,18 +140,28 @@ class ConfigService {
       throw new Error('INVALID_PATH');
     }
 
+    // Where the app stays when the new folder is refused
+    const previousRoot = fileService.storageRoot;
+    const previousConfigPath = fileService.configPath;
+
     try {
+      // Refuse a folder of a newer app version before anything is created in it
+      await migrationService.checkStorage(storagePath);
+
       // Initialize file service with new storage path
       await fileService.initialize(storagePath);
 
       // Check if config already exists
       let config;
       try {
-        config = await fileService.readConfig();
-        // Config exists, update storage location
-        config.storageLocation = storagePath;
-        config.lastModified = new Date().toISOString();
-        await fileService.writeConfig(config);
+        await fileService.readConfig();
+        // Config exists: bring the storage format up to date, a folder from a newer app version is refused
+        await migrationService.run();
+        // Then update storage location
+        config = await fileService.updateConfig((current) => {
+          current.storageLocation = storagePath;
+          current.lastModified = new Date().toISOString();
+        });
       } catch (error) {
         if (error.message === 'CONFIG_NOT_FOUND') {
           // First-time setup, create new config
@@ -118,7 +181,12 @@ class ConfigService {
         initialized: true,
       };
     } catch (error) {
-      if (error.message === 'INVALID_PATH' || error.message === 'WRITE_ERROR') {
+      // Nothing may be written to a folder this version can't handle
+      fileService.storageRoot = previousRoot;
+      fileService.configPath = previousConfigPath;
+
+      if (error.message === 'INVALID_PATH' || error.message === 'WRITE_ERROR' ||
+          /^(STORAGE_TOO_NEW|MIGRATION_FAILED)/.test(error.message)) {
         throw error;
       }
       throw new Error('INITIALIZATION_ERROR');
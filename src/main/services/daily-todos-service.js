@@ -1,6 +1,7 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { v4 as uuidv4 } from 'uuid';
+import { fileService } from './file-service.js';
 
 /**
  * Daily Todos Service
@@ -58,8 +59,7 @@ class DailyTodosService {
    */
   async loadDailyTodos() {
     try {
-      const data = await fs.readFile(this.dailyTodosPath, 'utf-8');
-      return JSON.parse(data);
+      return await fileService.readJSONFile(this.dailyTodosPath);
     } catch (error) {
       if (error.code === 'ENOENT') {
         // Initialize with empty data
@@ -75,14 +75,12 @@ class DailyTodosService {
   }
 
   /**
-   * Save daily todos to file with atomic write
+   * Save daily todos to file with atomic write, keeping a backup
    * @param {Object} data - Daily todos data
    */
   async saveDailyTodos(data) {
     await this.ensureDirectoryExists(path.dirname(this.dailyTodosPath));
-    const tempPath = this.dailyTodosPath + '.tmp';
-    await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
-    await fs.rename(tempPath, this.dailyTodosPath);
+    await fileService.writeFileAtomic(this.dailyTodosPath, JSON.stringify(data, null, 2), { backup: true });
   }
 
   /**
@@ -91,8 +89,7 @@ class DailyTodosService {
    */
   async loadArchive() {
     try {
-      const data = await fs.readFile(this.archivePath, 'utf-8');
-      return JSON.parse(data);
+      return await fileService.readJSONFile(this.archivePath);
     } catch (error) {
       if (error.code === 'ENOENT') {
         // Initialize with empty data
@@ -108,14 +105,22 @@ class DailyTodosService {
   }
 
   /**
-   * Save archive to file with atomic write
+   * Save archive to file with atomic write, keeping a backup
    * @param {Object} data - Archive data
    */
   async saveArchive(data) {
     await this.ensureDirectoryExists(path.dirname(this.archivePath));
-    const tempPath = this.archivePath + '.tmp';
-    await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
-    await fs.rename(tempPath, this.archivePath);
+    await fileService.writeFileAtomic(this.archivePath, JSON.stringify(data, null, 2), { backup: true });
+  }
+
+  /**
+   * Run a change of the daily todos while holding the lock of their file.
+   * The archive is only written inside such changes, so it is covered too.
+   * @param {Function} task - Async function that loads, changes and saves
+   * @returns {Promise<*>} Result of the task
+   */
+  withLock(task) {
+    return fileService.withFileLock(this.dailyTodosPath, task);
   }
 
   /**
@@ -248,22 +253,24 @@ class DailyTodosService {
    * @returns {Promise<Object>} Response with todos list
    */
   async list() {
-    const data = await this.loadDailyTodos();
-    const today = this.getTodayDate();
-
-    // Check if rollover is needed
-    if (data.lastRolloverDate < today) {
-      const daysMissed = this.daysBetween(data.lastRolloverDate, today);
-      const archive = await this.loadArchive();
-      await this.performRollover(data, archive, daysMissed);
-      await this.saveDailyTodos(data);
-      await this.saveArchive(archive);
-    }
+    return this.withLock(async () => {
+      const data = await this.loadDailyTodos();
+      const today = this.getTodayDate();
+
+      // Check if rollover is needed
+      if (data.lastRolloverDate < today) {
+        const daysMissed = this.daysBetween(data.lastRolloverDate, today);
+        const archive = await this.loadArchive();
+        await this.performRollover(data, archive, daysMissed);
+        await this.saveDailyTodos(data);
+        await this.saveArchive(archive);
+      }
 
-    return {
-      todos: this.sortTodos(data.dailyTodos),
-      lastRolloverDate: data.lastRolloverDate
-    };
+      return {
+        todos: this.sortTodos(data.dailyTodos),
+        lastRolloverDate: data.lastRolloverDate
+      };
+    });
   }
 
   /**
@@ -282,25 +289,27 @@ class DailyTodosService {
       throw new Error(`VALIDATION_ERROR: Title exceeds ${MAX_TITLE_LENGTH} characters`);
     }
 
-    const data = await this.loadDailyTodos();
-    const now = new Date().toISOString();
-    const today = this.getTodayDate();
-
-    const newTodo = {
-      id: uuidv4(),
-      title,
-      priority: DEFAULT_PRIORITY,
-      completed: false,
-      completedAt: null,
-      createdAt: now,
-      createdDate: today,
-      daysOverdue: 0
-    };
+    return this.withLock(async () => {
+      const data = await this.loadDailyTodos();
+      const now = new Date().toISOString();
+      const today = this.getTodayDate();
+
+      const newTodo = {
+        id: uuidv4(),
+        title,
+        priority: DEFAULT_PRIORITY,
+        completed: false,
+        completedAt: null,
+        createdAt: now,
+        createdDate: today,
+        daysOverdue: 0
+      };
 
-    data.dailyTodos.push(newTodo);
-    await this.saveDailyTodos(data);
+      data.dailyTodos.push(newTodo);
+      await this.saveDailyTodos(data);
 
-    return newTodo;
+      return newTodo;
+    });
   }
 
   /**
@@ -309,23 +318,25 @@ class DailyTodosService {
    * @returns {Promise<Object>} Updated todo
    */
   async toggleComplete(id) {
-    const data = await this.loadDailyTodos();
-    const todo = data.dailyTodos.find(t => t.id === id);
+    return this.withLock(async () => {
+      const data = await this.loadDailyTodos();
+      const todo = data.dailyTodos.find(t => t.id === id);
 
-    if (!todo) {
-      throw new Error('DAILY_TODO_NOT_FOUND');
-    }
+      if (!todo) {
+        throw new Error('DAILY_TODO_NOT_FOUND');
+      }
 
-    todo.completed = !todo.completed;
-    todo.completedAt = todo.completed ? new Date().toISOString() : null;
+      todo.completed = !todo.completed;
+      todo.completedAt = todo.completed ? new Date().toISOString() : null;
 
-    await this.saveDailyTodos(data);
+      await this.saveDailyTodos(data);
 
-    return {
-      id: todo.id,
-      completed: todo.completed,
-      completedAt: todo.completedAt
-    };
+      return {
+        id: todo.id,
+        completed: todo.completed,
+        completedAt: todo.completedAt
+      };
+    });
   }
 
   /**
@@ -334,17 +345,19 @@ class DailyTodosService {
    * @returns {Promise<Object>} Delete confirmation
    */
   async delete(id) {
-    const data = await this.loadDailyTodos();
-    const todoIndex = data.dailyTodos.findIndex(t => t.id === id);
+    return this.withLock(async () => {
+      const data = await this.loadDailyTodos();
+      const todoIndex = data.dailyTodos.findIndex(t => t.id === id);
 
-    if (todoIndex === -1) {
-      throw new Error('DAILY_TODO_NOT_FOUND');
-    }
+      if (todoIndex === -1) {
+        throw new Error('DAILY_TODO_NOT_FOUND');
+      }
 
-    data.dailyTodos.splice(todoIndex, 1);
-    await this.saveDailyTodos(data);
+      data.dailyTodos.splice(todoIndex, 1);
+      await this.saveDailyTodos(data);
 
-    return { deleted: true };
+      return { deleted: true };
+    });
   }
 
   /**
@@ -352,31 +365,33 @@ class DailyTodosService {
    * @returns {Promise<Object>} Rollover result
    */
   async rollover() {
-    const data = await this.loadDailyTodos();
-    const today = this.getTodayDate();
-
-    if (data.lastRolloverDate >= today) {
-      return {
-        rolledOver: false,
-        todosArchived: 0,
-        todosEscalated: 0,
-        newRolloverDate: data.lastRolloverDate
-      };
-    }
+    return this.withLock(async () => {
+      const data = await this.loadDailyTodos();
+      const today = this.getTodayDate();
+
+      if (data.lastRolloverDate >= today) {
+        return {
+          rolledOver: false,
+          todosArchived: 0,
+          todosEscalated: 0,
+          newRolloverDate: data.lastRolloverDate
+        };
+      }
 
-    const daysMissed = this.daysBetween(data.lastRolloverDate, today);
-    const archive = await this.loadArchive();
-    const result = await this.performRollover(data, archive, daysMissed);
+      const daysMissed = this.daysBetween(data.lastRolloverDate, today);
+      const archive = await this.loadArchive();
+      const result = await this.performRollover(data, archive, daysMissed);
 
-    await this.saveDailyTodos(data);
-    await this.saveArchive(archive);
+      await this.saveDailyTodos(data);
+      await this.saveArchive(archive);
 
-    return {
-      rolledOver: true,
-      todosArchived: result.todosArchived,
-      todosEscalated: result.todosEscalated,
-      newRolloverDate: today
-    };
+      return {
+        rolledOver: true,
+        todosArchived: result.todosArchived,
+        todosEscalated: result.todosEscalated,
+        newRolloverDate: today
+      };
+    });
   }
 
   /**
@@ -424,20 +439,22 @@ class DailyTodosService {
       throw new Error('VALIDATION_ERROR: Invalid priority value');
     }
 
-    const data = await this.loadDailyTodos();
-    const todo = data.dailyTodos.find(t => t.id === id);
+    return this.withLock(async () => {
+      const data = await this.loadDailyTodos();
+      const todo = data.dailyTodos.find(t => t.id === id);
 
-    if (!todo) {
-      throw new Error('DAILY_TODO_NOT_FOUND');
-    }
+      if (!todo) {
+        throw new Error('DAILY_TODO_NOT_FOUND');
+      }
 
-    todo.priority = priority;
-    await this.saveDailyTodos(data);
+      todo.priority = priority;
+      await this.saveDailyTodos(data);
 
-    return {
-      id: todo.id,
-      priority: todo.priority
-    };
+      return {
+        id: todo.id,
+        priority: todo.priority
+      };
+    });
   }
 }
 
@@ -1,6 +1,9 @@
+import crypto from 'node:crypto';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { v4 as uuidv4 } from 'uuid';
+import YAML from 'yaml';
+import { ATTACHMENTS_FOLDER, MAX_ATTACHMENT_BYTES, RESERVED_NOTE_FOLDERS, STORAGE_VERSION } from '../../shared/constants.js';
 
 /**
  * File Service
@@ -58,8 +61,7 @@ class FileService {
      * Helper: Read snippet JSON file by path
      */
     async getSnippetByFile(filePath) {
-      const data = await fs.readFile(filePath, 'utf-8');
-      return JSON.parse(data);
+      return this.readJSONFile(filePath);
     }
 
     /**
@@ -95,7 +97,7 @@ class FileService {
         modifiedAt: now,
       };
       const filePath = path.join(snippetsDir, fileName);
-      await fs.writeFile(filePath, JSON.stringify(snippet, null, 2), 'utf-8');
+      await this.writeFileAtomic(filePath, JSON.stringify(snippet, null, 2));
       return snippet;
     }
 
@@ -136,7 +138,7 @@ class FileService {
         snippet.modifiedAt = new Date().toISOString();
         const snippetsDir = path.join(this.storageRoot, 'snippets');
         const filePath = path.join(snippetsDir, `${id}.json`);
-        await fs.writeFile(filePath, JSON.stringify(snippet, null, 2), 'utf-8');
+        await this.writeFileAtomic(filePath, JSON.stringify(snippet, null, 2), { backup: true });
       }
       return snippet;
     }
@@ -150,6 +152,7 @@ class FileService {
       const filePath = path.join(snippetsDir, `${id}.json`);
       try {
         await fs.unlink(filePath);
+        await this.removeBackup(filePath);
       } catch (error) {
         if (error.code === 'ENOENT') throw new Error('SNIPPET_NOT_FOUND');
         throw new Error('DELETE_ERROR');
@@ -188,6 +191,9 @@ class FileService {
   constructor() {
     this.storageRoot = null;
     this.configPath = null;
+    this.writtenHashes = new Map();
+    // Tail of the queued tasks per file, see withFileLock
+    this.fileLocks = new Map();
   }
 
   /**
@@ -231,6 +237,151 @@ class FileService {
     }
   }
 
+  /**
+   * Remember what we are about to write to a file, so the storage watcher can
+   * tell our own writes apart from edits made by other programs
+   * @param {string} filePath - Absolute file path
+   * @param {string} content - File content
+   */
+  rememberWrite(filePath, content) {
+    this.writtenHashes.set(path.resolve(filePath), this.hashContent(content));
+  }
+
+  /**
+   * Check whether a file still holds the content we last wrote to it
+   * @param {string} filePath - Absolute file path
+   * @param {string} content - Current file content
+   * @returns {boolean} True if the content is our own last write
+   */
+  isOwnWrite(filePath, content) {
+    return this.writtenHashes.get(path.resolve(filePath)) === this.hashContent(content);
+  }
+
+  /**
+   * Hash file content for write tracking
+   * @param {string} content - File content
+   * @returns {string} SHA-1 hex digest
+   */
+  hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+  }
+
+  // ==================== File Locks ====================
+
+  /**
+   * Run a task while holding the lock of a file. Tasks for the same file run
+   * one after another in call order, so two read-modify-write operations can't
+   * interleave and lose one of the updates.
+   * @param {string} filePath - Absolute path of the file the task reads and writes
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Result of the task
+   */
+  async withFileLock(filePath, task) {
+    const key = path.resolve(filePath);
+    const previous = this.fileLocks.get(key) || Promise.resolve();
+    const current = previous.then(() => task());
+    // A failed task must not block the next one
+    const tail = current.catch(() => {});
+    this.fileLocks.set(key, tail);
+
+    try {
+      return await current;
+    } finally {
+      if (this.fileLocks.get(key) === tail) {
+        this.fileLocks.delete(key);
+      }
+    }
+  }
+
+  // ==================== Durable Writes ====================
+
+  /**
+   * Write a file so a crash never leaves it half-written. The content goes to a
+   * temp file next to the target, is flushed to disk and then renamed over the
+   * target, so readers see either the old or the new version.
+   * @param {string} filePath - Absolute file path
+   * @param {string} content - File content
+   * @param {Object} [options]
+   * @param {boolean} [options.backup=false] - Keep the previous version as <file>.bak
+   */
+  async writeFileAtomic(filePath, content, { backup = false } = {}) {
+    // Unique per write, so concurrent writes to the same file can't share a temp file
+    const tempPath = `${filePath}.tmp-${crypto.randomBytes(4).toString('hex')}`;
+    this.rememberWrite(filePath, content);
+
+    try {
+      await fs.writeFile(tempPath, content, { encoding: 'utf-8', flush: true });
+      if (backup) {
+        await this.rollBackup(filePath);
+      }
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      try {
+        await fs.rm(tempPath, { force: true });
+      } catch {
+        // The temp file may never have been created
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the path of the backup kept by writeFileAtomic
+   * @param {string} filePath - Absolute file path
+   * @returns {string} Backup file path
+   */
+  getBackupPath(filePath) {
+    return `${filePath}.bak`;
+  }
+
+  /**
+   * Copy the current version of a file to its backup before it is replaced
+   * @param {string} filePath - Absolute file path
+   */
+  async rollBackup(filePath) {
+    try {
+      await fs.copyFile(filePath, this.getBackupPath(filePath));
+    } catch (error) {
+      // Nothing to back up on the first write
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Delete the backup of a file that was deleted or moved away
+   * @param {string} filePath - Absolute file path
+   */
+  async removeBackup(filePath) {
+    await fs.rm(this.getBackupPath(filePath), { force: true });
+  }
+
+  /**
+   * Read and parse a JSON file. When the file is damaged (e.g. written by
+   * another program that crashed), the backup is parsed instead and restored.
+   * @param {string} filePath - Absolute file path
+   * @returns {Promise<Object>} Parsed JSON data
+   * @throws {Error} The read error (e.g. ENOENT), or the parse error when there is no usable backup
+   */
+  async readJSONFile(filePath) {
+    const content = await fs.readFile(filePath, 'utf-8');
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      let backupContent;
+      let data;
+      try {
+        backupContent = await fs.readFile(this.getBackupPath(filePath), 'utf-8');
+        data = JSON.parse(backupContent);
+      } catch {
+        throw error;
+      }
+
+      console.warn(`${filePath} could not be parsed, restored it from ${this.getBackupPath(filePath)}`);
+      await this.writeFileAtomic(filePath, backupContent);
+      return data;
+    }
+  }
+
   // ==================== Configuration Operations ====================
 
   /**
@@ -239,8 +390,7 @@ class FileService {
    */
   async readConfig() {
     try {
-      const data = await fs.readFile(this.configPath, 'utf-8');
-      return JSON.parse(data);
+      return await this.readJSONFile(this.configPath);
     } catch (error) {
       if (error.code === 'ENOENT') {
         throw new Error('CONFIG_NOT_FOUND');
@@ -256,12 +406,28 @@ class FileService {
   async writeConfig(config) {
     try {
       await this.ensureDirectoryExists(path.dirname(this.configPath));
-      await fs.writeFile(this.configPath, JSON.stringify(config, null, 2), 'utf-8');
+      await this.writeFileAtomic(this.configPath, JSON.stringify(config, null, 2), { backup: true });
     } catch {
       throw new Error('WRITE_ERROR');
     }
   }
 
+  /**
+   * Change the configuration file under its lock, so concurrent updates
+   * don't overwrite each other with a stale copy
+   * @param {(config: Object) => Promise<void>|void} update - Changes the config in place
+   * @returns {Promise<Object>} Written configuration
+   * @throws {Error} CONFIG_NOT_FOUND, CONFIG_PARSE_ERROR, WRITE_ERROR
+   */
+  async updateConfig(update) {
+    return this.withFileLock(this.configPath, async () => {
+      const config = await this.readConfig();
+      await update(config);
+      await this.writeConfig(config);
+      return config;
+    });
+  }
+
   /**
    * Create initial configuration
    * @param {string} storagePath - Storage location path
@@ -270,7 +436,7 @@ class FileService {
   async createInitialConfig(storagePath) {
     const now = new Date().toISOString();
     const config = {
-      version: '1.0.0',
+      version: STORAGE_VERSION,
       storageLocation: storagePath,
       createdAt: now,
       lastModified: now,
@@ -335,10 +501,13 @@ class FileService {
   async readDirectoryRecursive(dirPath) {
     const entries = await fs.readdir(dirPath, { withFileTypes: true });
     const files = await Promise.all(
-      entries.map(async (entry) => {
-        const fullPath = path.join(dirPath, entry.name);
-        return entry.isDirectory() ? this.readDirectoryRecursive(fullPath) : fullPath;
-      })
+      entries
+        // Attachment folders hold files used by notes, never notes themselves
+        .filter(entry => !(entry.isDirectory() && entry.name === ATTACHMENTS_FOLDER))
+        .map(async (entry) => {
+          const fullPath = path.join(dirPath, entry.name);
+          return entry.isDirectory() ? this.readDirectoryRecursive(fullPath) : fullPath;
+        })
     );
     return files.flat();
   }
@@ -353,14 +522,27 @@ class FileService {
       const content = await fs.readFile(filePath, 'utf-8');
       const { frontmatter, body } = this.parseFrontmatter(content);
 
+      // Files from other tools may use numbers or a single string where we expect text or lists
+      const text = value => (value === undefined || value === null ? value : String(value));
+      const list = value => (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+      const tags = frontmatter.tags ? list(frontmatter.tags) : [];
+
       return {
-        id: frontmatter.id,
-        title: frontmatter.title,
-        createdAt: frontmatter.createdAt,
-        modifiedAt: frontmatter.modifiedAt,
-        projectId: frontmatter.projectId || null,
-        tags: frontmatter.tags || [],
+        id: text(frontmatter.id),
+        title: text(frontmatter.title),
+        createdAt: text(frontmatter.createdAt),
+        modifiedAt: text(frontmatter.modifiedAt),
+        projectId: text(frontmatter.projectId) || null,
+        tags,
+        // Alternative titles other tools (e.g. Obsidian) keep in frontmatter
+        aliases: frontmatter.aliases ? list(frontmatter.aliases) : [],
         content: body,
+        // All frontmatter keys, so writeNote can keep the ones other tools added
+        frontmatter,
+        // Identifies the version on disk, see notes.update baseHash
+        hash: this.hashContent(content),
         filePath,
       };
     } catch (error) {
@@ -377,57 +559,63 @@ class FileService {
    * @returns {Object} { frontmatter: Object, body: string }
    */
   parseFrontmatter(content) {
-    const frontmatterRegex = /^---\n([\s\S]*?)\n---\n([\s\S]*)$/;
-    const match = content.match(frontmatterRegex);
+    const match = content.match(/^\uFEFF?---\r?\n([\s\S]*?\r?\n)?---[ \t]*(?:\r?\n|$)/);
 
     if (!match) {
       return { frontmatter: {}, body: content };
     }
 
-    const frontmatterYaml = match[1];
-    const body = match[2];
+    // The blank line writeNote puts after the closing fence is not part of the body
+    const body = content.slice(match[0].length).replace(/^\r?\n/, '');
+    const doc = YAML.parseDocument(match[1] || '');
 
-    // Simple YAML parser for our specific use case
-    const frontmatter = {};
-    const lines = frontmatterYaml.split('\n');
-
-    for (const line of lines) {
-      const colonIndex = line.indexOf(':');
-      if (colonIndex === -1) continue;
+    if (doc.errors.length > 0) {
+      throw new Error('FRONTMATTER_PARSE_ERROR');
+    }
 
-      const key = line.substring(0, colonIndex).trim();
-      let value = line.substring(colonIndex + 1).trim();
+    const frontmatter = doc.toJS();
+    if (!frontmatter || typeof frontmatter !== 'object' || Array.isArray(frontmatter)) {
+      return { frontmatter: {}, body };
+    }
 
-      // Remove quotes if present
-      if ((value.startsWith('"') && value.endsWith('"')) ||
-          (value.startsWith("'") && value.endsWith("'"))) {
-        value = value.slice(1, -1);
-      }
+    return { frontmatter, body };
+  }
 
-      // Handle arrays
-      if (value.startsWith('[') && value.endsWith(']')) {
-        value = value
-          .slice(1, -1)
-          .split(',')
-          .map(v => v.trim().replace(/^["']|["']$/g, ''));
-      }
+  /**
+   * Serialize frontmatter to YAML. Strings are double-quoted so other tools
+   * don't read IDs or timestamps as numbers or dates.
+   * @param {Object} frontmatter - Frontmatter object
+   * @returns {string} YAML text ending with a newline
+   */
+  stringifyFrontmatter(frontmatter) {
+    const doc = new YAML.Document(frontmatter);
 
-      frontmatter[key] = value;
+    // Keep tags on one line like before
+    const tags = doc.get('tags', true);
+    if (YAML.isSeq(tags)) {
+      tags.flow = true;
     }
 
-    return { frontmatter, body };
+    return doc.toString({
+      defaultStringType: 'QUOTE_DOUBLE',
+      defaultKeyType: 'PLAIN',
+      flowCollectionPadding: false,
+      lineWidth: 0,
+    });
   }
 
   /**
    * Write a note file with frontmatter
    * @param {string} filePath - Absolute path to note file
-   * @param {Object} note - Note object
+   * @param {Object} note - Note object (note.frontmatter keeps unknown keys and their order)
+   * @returns {Promise<string>} Hash of the written file content
    */
   async writeNote(filePath, note) {
     try {
       await this.ensureDirectoryExists(path.dirname(filePath));
 
       const frontmatter = {
+        ...(note.frontmatter || {}),
         id: note.id,
         title: note.title,
         createdAt: note.createdAt,
@@ -436,21 +624,23 @@ class FileService {
 
       if (note.projectId) {
         frontmatter.projectId = note.projectId;
+      } else {
+        delete frontmatter.projectId;
       }
 
-      if (note.tags && note.tags.length > 0) {
-        frontmatter.tags = note.tags;
+      if ((note.tags && note.tags.length > 0) || 'tags' in frontmatter) {
+        frontmatter.tags = note.tags || [];
       }
 
-      const yamlLines = Object.entries(frontmatter).map(([key, value]) => {
-        if (Array.isArray(value)) {
-          return `${key}: [${value.map(v => `"${v}"`).join(', ')}]`;
-        }
-        return `${key}: "${value}"`;
-      });
+      // Keep the line endings of the note body
+      const body = note.content || '';
+      const eol = body.includes('\r\n') ? '\r\n' : '\n';
+      const yaml = this.stringifyFrontmatter(frontmatter).replace(/\n/g, eol);
 
-      const content = `---\n${yamlLines.join('\n')}\n---\n\n${note.content}`;
-      await fs.writeFile(filePath, content, 'utf-8');
+      const content = `---${eol}${yaml}---${eol}${eol}${body}`;
+      // No .bak next to notes: the note history keeps their earlier versions
+      await this.writeFileAtomic(filePath, content);
+      return this.hashContent(content);
     } catch {
       throw new Error('WRITE_ERROR');
     }
@@ -494,16 +684,15 @@ class FileService {
   /**
    * Create a new note
    * @param {Object} noteData - Note data
+   * @param {string} [projectFolder] - Folder of the note's project below notes/
    * @returns {Promise<Object>} Created note
    */
-  async createNote(noteData) {
+  async createNote(noteData, projectFolder = '') {
     const now = new Date().toISOString();
     const id = uuidv4();
     const slug = this.slugify(noteData.title);
     
-    const folderPath = noteData.projectId
-      ? path.join(this.storageRoot, 'notes', noteData.projectId)
-      : path.join(this.storageRoot, 'notes');
+    const folderPath = path.join(this.storageRoot, 'notes', projectFolder);
 
     const filePath = path.join(folderPath, `${slug}.md`);
 
@@ -528,7 +717,7 @@ class FileService {
       tags: noteData.tags || [],
     };
 
-    await this.writeNote(filePath, note);
+    const hash = await this.writeNote(filePath, note);
 
     return {
       id,
@@ -537,22 +726,298 @@ class FileService {
       modifiedAt: note.modifiedAt,
       projectId: note.projectId,
       tags: note.tags,
+      hash,
       filePath,
     };
   }
 
+  // ==================== Attachment Operations ====================
+
+  /**
+   * Get the attachments folder of a note
+   * @param {string} noteFilePath - Absolute path to note file
+   * @returns {string} Absolute path of the attachments folder next to the note
+   */
+  getAttachmentsDir(noteFilePath) {
+    return path.join(path.dirname(noteFilePath), ATTACHMENTS_FOLDER);
+  }
+
+  /**
+   * Turn a user-supplied file name into a safe attachment file name
+   * @param {string} fileName - Original file name
+   * @returns {{name: string, ext: string}} Base name and lowercase extension
+   */
+  sanitizeAttachmentName(fileName) {
+    // Drop any folder part, the name may come from another OS
+    const base = String(fileName || '').split(/[/\\]/).pop();
+    const ext = path.extname(base).toLowerCase().replace(/[^a-z0-9.]/g, '');
+    const name = base
+      .slice(0, base.length - path.extname(base).length)
+      .replace(/[^\p{L}\p{N}_.-]+/gu, '-')
+      .replace(/^[-.]+|[-.]+$/g, '')
+      .slice(0, 100);
+
+    return { name: name || 'attachment', ext };
+  }
+
+  /**
+   * Copy a file into the attachments folder of a note
+   * @param {string} noteFilePath - Absolute path to note file
+   * @param {string} fileName - Original file name; a number is appended when it is taken
+   * @param {Uint8Array} data - File content
+   * @returns {Promise<Object>} { fileName, relativePath, filePath }, relativePath is relative to the note
+   * @throws {Error} VALIDATION_ERROR for non-binary data, ATTACHMENT_TOO_LARGE, WRITE_ERROR
+   */
+  async saveAttachment(noteFilePath, fileName, data) {
+    if (!(data instanceof Uint8Array)) {
+      throw new Error('VALIDATION_ERROR: Attachment data must be binary');
+    }
+    if (data.byteLength > MAX_ATTACHMENT_BYTES) {
+      throw new Error('ATTACHMENT_TOO_LARGE');
+    }
+
+    const attachmentsDir = this.getAttachmentsDir(noteFilePath);
+    const { name, ext } = this.sanitizeAttachmentName(fileName);
+
+    try {
+      await this.ensureDirectoryExists(attachmentsDir);
+
+      for (let counter = 1; ; counter++) {
+        const candidate = counter === 1 ? `${name}${ext}` : `${name}-${counter}${ext}`;
+        const filePath = path.join(attachmentsDir, candidate);
+        try {
+          // 'wx' fails instead of overwriting an existing attachment
+          await fs.writeFile(filePath, data, { flag: 'wx' });
+          return { fileName: candidate, relativePath: `${ATTACHMENTS_FOLDER}/${candidate}`, filePath };
+        } catch (error) {
+          if (error.code !== 'EEXIST') throw error;
+        }
+      }
+    } catch {
+      throw new Error('WRITE_ERROR');
+    }
+  }
+
+  /**
+   * Resolve an attachment link of a note to a file path
+   * @param {string} noteFilePath - Absolute path to note file
+   * @param {string} relativePath - Link target as written in the note, e.g. attachments/shot.png
+   * @returns {string} Absolute path inside the note's attachments folder
+   * @throws {Error} VALIDATION_ERROR when the path points anywhere else
+   */
+  resolveAttachmentPath(noteFilePath, relativePath) {
+    const attachmentsDir = this.getAttachmentsDir(noteFilePath);
+    const filePath = path.resolve(path.dirname(noteFilePath), String(relativePath));
+
+    if (path.dirname(filePath) !== attachmentsDir) {
+      throw new Error('VALIDATION_ERROR: Attachment path is outside the attachments folder');
+    }
+    return filePath;
+  }
+
+  /**
+   * Find attachments that no note links to anymore.
+   * A file is in use while a note in the same folder mentions attachments/<file name>.
+   * @returns {Promise<Array<Object>>} { filePath, relativePath, size }, relativePath is relative to the storage root
+   */
+  async findOrphanedAttachments() {
+    const orphans = [];
+
+    for (const attachmentsDir of await this.findAttachmentDirs(path.join(this.storageRoot, 'notes'))) {
+      const noteDir = path.dirname(attachmentsDir);
+      const referenced = new Set();
+
+      for (const entry of await fs.readdir(noteDir, { withFileTypes: true })) {
+        if (entry.isFile() && path.extname(entry.name) === '.md') {
+          const content = await fs.readFile(path.join(noteDir, entry.name), 'utf-8');
+          for (const name of this.extractAttachmentReferences(content)) {
+            referenced.add(name);
+          }
+        }
+      }
+
+      for (const entry of await fs.readdir(attachmentsDir, { withFileTypes: true })) {
+        if (entry.isFile() && !referenced.has(entry.name)) {
+          const filePath = path.join(attachmentsDir, entry.name);
+          const stats = await fs.stat(filePath);
+          orphans.push({
+            filePath,
+            relativePath: path.relative(this.storageRoot, filePath).split(path.sep).join('/'),
+            size: stats.size,
+          });
+        }
+      }
+    }
+
+    return orphans;
+  }
+
+  /**
+   * Find the attachments only one note links to, so they can go to the trash
+   * with it. Files other notes in the same folder link to are left out.
+   * @param {string} noteFilePath - Absolute note file path
+   * @returns {Promise<Array<string>>} Absolute paths of existing attachment files
+   */
+  async findNoteOnlyAttachments(noteFilePath) {
+    const own = this.extractAttachmentReferences(await fs.readFile(noteFilePath, 'utf-8'));
+    if (own.length === 0) {
+      return [];
+    }
+
+    const noteDir = path.dirname(noteFilePath);
+    const shared = new Set();
+    for (const entry of await fs.readdir(noteDir, { withFileTypes: true })) {
+      const filePath = path.join(noteDir, entry.name);
+      if (entry.isFile() && path.extname(entry.name) === '.md' && filePath !== noteFilePath) {
+        for (const name of this.extractAttachmentReferences(await fs.readFile(filePath, 'utf-8'))) {
+          shared.add(name);
+        }
+      }
+    }
+
+    const attachmentsDir = this.getAttachmentsDir(noteFilePath);
+    const files = [];
+    for (const name of own) {
+      const filePath = path.join(attachmentsDir, name);
+      // Links to other notes' files or outside the folder stay where they are
+      if (shared.has(name) || path.dirname(filePath) !== attachmentsDir) continue;
+      try {
+        if ((await fs.stat(filePath)).isFile()) {
+          files.push(filePath);
+        }
+      } catch (error) {
+        // Links to missing files are left alone
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Find all attachments folders below a folder
+   * @param {string} dirPath - Folder to search
+   * @returns {Promise<Array<string>>} Absolute folder paths
+   */
+  async findAttachmentDirs(dirPath) {
+    let entries;
+    try {
+      entries = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const dirs = await Promise.all(
+      entries
+        .filter(entry => entry.isDirectory())
+        .map(async (entry) => {
+          const fullPath = path.join(dirPath, entry.name);
+          return entry.name === ATTACHMENTS_FOLDER ? [fullPath] : this.findAttachmentDirs(fullPath);
+        })
+    );
+    return dirs.flat();
+  }
+
+  /**
+   * List the attachment file names a note links to
+   * @param {string} content - Note content
+   * @returns {Array<string>} File names inside the attachments folder
+   */
+  extractAttachmentReferences(content) {
+    const regex = new RegExp(`(?:^|[\\s(<"'/])${ATTACHMENTS_FOLDER}/([^\\s)<>"'#?]+)`, 'g');
+    const names = new Set();
+
+    for (const match of content.matchAll(regex)) {
+      try {
+        names.add(decodeURIComponent(match[1]));
+      } catch {
+        names.add(match[1]);
+      }
+    }
+    return [...names];
+  }
+
+  /**
+   * Copy the attachments a note links to into the attachments folder of
+   * another note location. Copies, not moves: other notes in the old folder
+   * may link the same files. A different file with the same name in the
+   * target folder is kept and the copy gets a free name.
+   * @param {string} content - Note content
+   * @param {string} sourceNotePath - Absolute path the note is stored at now
+   * @param {string} targetNotePath - Absolute path the note moves to
+   * @returns {Promise<string>} Content with links to renamed copies rewritten
+   */
+  async copyNoteAttachments(content, sourceNotePath, targetNotePath) {
+    const sourceDir = this.getAttachmentsDir(sourceNotePath);
+    const targetDir = this.getAttachmentsDir(targetNotePath);
+    if (sourceDir === targetDir) {
+      return content;
+    }
+
+    let result = content;
+    for (const fileName of this.extractAttachmentReferences(content)) {
+      let data;
+      try {
+        data = await fs.readFile(path.join(sourceDir, fileName));
+      } catch (error) {
+        // Broken links stay as they are
+        if (error.code === 'ENOENT' || error.code === 'EISDIR') continue;
+        throw error;
+      }
+
+      await this.ensureDirectoryExists(targetDir);
+      const ext = path.extname(fileName);
+      const name = fileName.slice(0, fileName.length - ext.length);
+
+      for (let counter = 1; ; counter++) {
+        const candidate = counter === 1 ? fileName : `${name}-${counter}${ext}`;
+        const filePath = path.join(targetDir, candidate);
+        try {
+          await fs.writeFile(filePath, data, { flag: 'wx' });
+        } catch (error) {
+          if (error.code !== 'EEXIST') throw error;
+          // The same file was copied before
+          if (!data.equals(await fs.readFile(filePath))) continue;
+        }
+
+        if (candidate !== fileName) {
+          result = this.replaceAttachmentReference(result, fileName, candidate);
+        }
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Point the links to one attachment of a note at another file name
+   * @param {string} content - Note content
+   * @param {string} fileName - Linked file name
+   * @param {string} newFileName - File name to link instead
+   * @returns {string} Updated content
+   */
+  replaceAttachmentReference(content, fileName, newFileName) {
+    const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const forms = [...new Set([fileName, encodeURI(fileName), encodeURIComponent(fileName)])];
+    const regex = new RegExp(
+      `((?:^|[\\s(<"'/])${ATTACHMENTS_FOLDER}/)(?:${forms.map(escape).join('|')})(?=[\\s)<>"'#?]|$)`,
+      'g'
+    );
+    return content.replace(regex, (_match, prefix) => `${prefix}${encodeURI(newFileName)}`);
+  }
+
   // ==================== JSON Storage Operations ====================
 
   /**
-   * Read a JSON file
+   * Read a JSON file, recovering it from its backup when it is damaged
    * @param {string} filename - Filename (e.g., 'projects.json')
    * @returns {Promise<Object>} Parsed JSON data
    */
   async readJSON(filename) {
     const filePath = path.join(this.storageRoot, '.knowledgebase', filename);
     try {
-      const data = await fs.readFile(filePath, 'utf-8');
-      return JSON.parse(data);
+      return await this.readJSONFile(filePath);
     } catch (error) {
       if (error.code === 'ENOENT') {
         return null;
@@ -562,7 +1027,7 @@ class FileService {
   }
 
   /**
-   * Write a JSON file
+   * Write a JSON file atomically, keeping the previous version as a backup
    * @param {string} filename - Filename (e.g., 'projects.json')
    * @param {Object} data - Data to write
    */
@@ -570,12 +1035,31 @@ class FileService {
     const filePath = path.join(this.storageRoot, '.knowledgebase', filename);
     try {
       await this.ensureDirectoryExists(path.dirname(filePath));
-      await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf-8');
+      await this.writeFileAtomic(filePath, JSON.stringify(data, null, 2), { backup: true });
     } catch {
       throw new Error('WRITE_ERROR');
     }
   }
 
+  /**
+   * Read, change and write a JSON file as one step. Runs under the file's lock,
+   * so concurrent updates of the same store are applied one after another.
+   * @param {string} filename - Filename (e.g., 'todos.json')
+   * @param {Object} defaults - Data to start from when the file doesn't exist
+   * @param {Function} update - Receives the data and changes it in place; may be async.
+   *   Throwing cancels the update without writing.
+   * @returns {Promise<*>} Whatever update returned
+   */
+  async updateJSON(filename, defaults, update) {
+    const filePath = path.join(this.storageRoot, '.knowledgebase', filename);
+    return this.withFileLock(filePath, async () => {
+      const data = (await this.readJSON(filename)) ?? structuredClone(defaults);
+      const result = await update(data);
+      await this.writeJSON(filename, data);
+      return result;
+    });
+  }
+
   // ==================== Project Folder Operations ====================
 
   /**
@@ -591,6 +1075,16 @@ class FileService {
     }
   }
 
+  /**
+   * Get the notes folder name for a project
+   * @param {string} name - Project name
+   * @returns {string} Slugified name, suffixed when it would be a folder of the app (journal, attachments)
+   */
+  getProjectFolderName(name) {
+    const folder = this.slugify(name);
+    return RESERVED_NOTE_FOLDERS.includes(folder) ? `${folder}-project` : folder;
+  }
+
   /**
    * Rename a project folder
    * @param {string} oldName - Old folder name
@@ -0,0 +1,269 @@
+import { fileService } from './file-service.js';
+import { noteSearchService } from './note-search-service.js';
+import { dailyTodosService } from './daily-todos-service.js';
+
+/**
+ * Global Search Service
+ * One search over notes, snippets, todos, milestones, projects, tools and
+ * daily todos (including the archive). Notes use the ranked full-text index
+ * of the note search service; the other types are small JSON collections
+ * that are matched word by word. Results are grouped by type.
+ */
+
+const RESULT_TYPES = ['note', 'snippet', 'todo', 'milestone', 'project', 'tool', 'dailyTodo'];
+const DEFAULT_GROUP_LIMIT = 20;
+const TITLE_WEIGHT = 3;
+// Daily todo archives are small, but getArchive pages by default
+const ARCHIVE_LIMIT = 10000;
+
+class GlobalSearchService {
+  /**
+   * Search every entity type
+   * @param {string} query - Query string, same syntax as notes.search
+   * @param {Object} [options]
+   * @param {string} [options.projectId] - Only items of this project
+   * @param {string} [options.fromDate] - YYYY-MM-DD, only items dated on or after
+   * @param {string} [options.toDate] - YYYY-MM-DD, only items dated on or before
+   * @param {Array<string>} [options.types] - Only these result types
+   * @param {number} [options.limit] - Max results per type (counts include all)
+   * @returns {Promise<Object>} { total, groups: [{ type, count, results }] }
+   */
+  async search(query, options = {}) {
+    const parsed = noteSearchService.parseQuery(query);
+    const types = RESULT_TYPES.filter(type => !options.types || options.types.includes(type));
+    const projectsData = await fileService.readJSON('projects.json');
+    const projects = projectsData?.projects || [];
+    const groups = [];
+
+    for (const type of types) {
+      let results = type === 'note'
+        ? await this.searchNotes(query, options, projects)
+        : this.matchItems(await this.loadItems(type, projects), parsed, projects)
+          .map(result => ({ type, ...result }));
+
+      results = results.filter(result => this.passesFilters(result, options));
+      if (results.length === 0) continue;
+
+      results.sort((a, b) => b.score - a.score || (b.date || '').localeCompare(a.date || ''));
+      groups.push({
+        type,
+        count: results.length,
+        results: results.slice(0, options.limit || DEFAULT_GROUP_LIMIT),
+      });
+    }
+
+    return {
+      total: groups.reduce((sum, group) => sum + group.count, 0),
+      groups,
+    };
+  }
+
+  /**
+   * Search notes through the full-text index
+   * @returns {Promise<Array<Object>>} Results in the common shape
+   */
+  async searchNotes(query, options, projects) {
+    const notes = await noteSearchService.search(query, {
+      projectId: options.projectId || null,
+      projects,
+      limit: Number.MAX_SAFE_INTEGER,
+    });
+
+    return notes.map(note => ({
+      type: 'note',
+      id: note.id,
+      title: note.title,
+      projectId: note.projectId,
+      date: note.modifiedAt,
+      score: note.relevance,
+      titleHighlights: note.titleHighlights,
+      snippet: note.snippet,
+      highlights: note.highlights,
+    }));
+  }
+
+  /**
+   * Load the searchable items of a type
+   * @param {string} type - Result type other than 'note'
+   * @param {Array<Object>} projects - All projects
+   * @returns {Promise<Array<Object>>} { id, title, content, projectId, date, ...extra }
+   */
+  async loadItems(type, projects) {
+    const readList = async (fileName, key) => (await fileService.readJSON(fileName))?.[key] || [];
+
+    switch (type) {
+      case 'snippet':
+        return (await fileService.listSnippets()).map(snippet => ({
+          id: snippet.id,
+          title: snippet.title,
+          content: [snippet.description, snippet.code].filter(Boolean).join('\n'),
+          projectId: null,
+          date: snippet.modifiedAt || snippet.createdAt,
+          language: snippet.language || '',
+        }));
+      case 'todo':
+        return (await readList('todos.json', 'todos')).map(todo => ({
+          id: todo.id,
+          title: todo.title,
+          content: todo.description || '',
+          projectId: todo.projectId || null,
+          date: todo.modifiedAt || todo.createdAt,
+          completed: Boolean(todo.completed),
+        }));
+      case 'milestone':
+        return (await readList('milestones.json', 'milestones')).map(milestone => ({
+          id: milestone.id,
+          title: milestone.title,
+          content: milestone.description || '',
+          projectId: milestone.projectId || null,
+          date: milestone.modifiedAt || milestone.createdAt,
+          completed: Boolean(milestone.completed),
+        }));
+      case 'project':
+        return projects.map(project => ({
+          id: project.id,
+          title: project.name,
+          content: project.description || '',
+          projectId: project.id,
+          date: project.modifiedAt || project.createdAt,
+        }));
+      case 'tool':
+        return (await readList('tools.json', 'tools')).map(tool => ({
+          id: tool.id,
+          title: tool.name,
+          content: [tool.description, tool.category, tool.launchPath].filter(Boolean).join('\n'),
+          projectId: null,
+          date: tool.modifiedAt || tool.createdAt,
+        }));
+      case 'dailyTodo': {
+        const { todos } = await dailyTodosService.list();
+        const { archivedTodos } = await dailyTodosService.getArchive({ limit: ARCHIVE_LIMIT });
+        return [
+          ...todos.map(todo => ({ ...todo, archived: false })),
+          ...archivedTodos.map(todo => ({ ...todo, completed: true, archived: true })),
+        ].map(todo => ({
+          id: todo.id,
+          title: todo.title,
+          content: '',
+          projectId: null,
+          date: todo.completedAt || todo.createdAt,
+          completed: Boolean(todo.completed),
+          archived: todo.archived,
+        }));
+      }
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Match items against a parsed query
+   * Every clause must appear in the title or content; title: clauses only in
+   * the title. Notes-only filters (tag:) leave nothing to match.
+   * @param {Array<Object>} items - From loadItems()
+   * @param {Object} parsed - From noteSearchService.parseQuery()
+   * @param {Array<Object>} projects - All projects, to resolve project: filters
+   * @returns {Array<Object>} Matching items with score and highlights
+   */
+  matchItems(items, parsed, projects) {
+    if (parsed.clauses.length === 0 || parsed.tags.length > 0) {
+      return [];
+    }
+
+    const results = [];
+    for (const item of items) {
+      if (!this.matchesProjectFilters(item, parsed.projects, projects)) continue;
+
+      const title = item.title || '';
+      const content = item.content || '';
+      const ranges = { title: [], content: [] };
+      let score = 0;
+      let matchesAll = true;
+
+      for (const clause of parsed.clauses) {
+        const needle = clause.terms.join(' ');
+        const inTitle = this.findAll(title, needle);
+        const inContent = clause.field === 'title' ? [] : this.findAll(content, needle);
+        if (inTitle.length === 0 && inContent.length === 0) {
+          matchesAll = false;
+          break;
+        }
+        score += (inTitle.length > 0 ? TITLE_WEIGHT : 0) + Math.min(inContent.length, 5) * 0.2;
+        ranges.title.push(...inTitle);
+        ranges.content.push(...inContent);
+      }
+      if (!matchesAll) continue;
+
+      const { snippet, highlights } = noteSearchService.buildSnippet(
+        content,
+        noteSearchService.mergeRanges(ranges.content),
+      );
+      const result = { ...item, title };
+      delete result.content;
+      results.push({
+        ...result,
+        score: Math.round(score * 1000) / 1000,
+        titleHighlights: noteSearchService.mergeRanges(ranges.title).map(([start, end]) => ({ start, end })),
+        snippet,
+        highlights,
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Find every case-insensitive occurrence of a needle
+   * @param {string} text - Text to search
+   * @param {string} needle - Lowercase search text
+   * @returns {Array<Array<number>>} [start, end] ranges
+   */
+  findAll(text, needle) {
+    const haystack = text.toLowerCase();
+    const ranges = [];
+    let index = haystack.indexOf(needle);
+    while (index !== -1 && needle) {
+      ranges.push([index, index + needle.length]);
+      index = haystack.indexOf(needle, index + needle.length);
+    }
+    return ranges;
+  }
+
+  /**
+   * Apply project: filters of the query, like the note search does
+   * @returns {boolean}
+   */
+  matchesProjectFilters(item, values, projects) {
+    if (values.length === 0) return true;
+    if (!item.projectId) return false;
+
+    const project = projects.find(p => p.id === item.projectId);
+    const candidates = [item.projectId, project?.name, project?.folder]
+      .filter(Boolean)
+      .map(value => value.toLowerCase());
+    return values.every(value => candidates.includes(value));
+  }
+
+  /**
+   * Apply the project and date range options
+   * @param {Object} result - Search result
+   * @param {Object} options - Search options
+   * @returns {boolean}
+   */
+  passesFilters(result, options) {
+    if (options.projectId && result.projectId !== options.projectId) {
+      return false;
+    }
+
+    const day = (result.date || '').slice(0, 10);
+    if (options.fromDate && (!day || day < options.fromDate)) {
+      return false;
+    }
+    if (options.toDate && (!day || day > options.toDate)) {
+      return false;
+    }
+    return true;
+  }
+}
+
+// Export singleton instance
+export const globalSearchService = new GlobalSearchService();
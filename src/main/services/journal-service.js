@@ -0,0 +1,228 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { JOURNAL_FOLDER } from '../../shared/constants.js';
+import { fileService } from './file-service.js';
+import { templateService } from './template-service.js';
+import { noteTagService } from './note-tag-service.js';
+import { dailyTodosService } from './daily-todos-service.js';
+
+/**
+ * Journal Service
+ * One note per day in notes/journal/YYYY-MM-DD.md, created from the
+ * daily-journal template. The note embeds the day's daily todos between
+ * marker comments; today's note refreshes that block each time it is opened,
+ * notes of earlier days keep the summary they were written with.
+ */
+
+const JOURNAL_TEMPLATE_ID = 'daily-journal';
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TODOS_START = '<!-- daily-todos -->';
+const TODOS_END = '<!-- /daily-todos -->';
+// Archived todos are returned newest first; a journal day needs all of them
+const ARCHIVE_LIMIT = 10000;
+
+class JournalService {
+  constructor() {
+    this.storageRoot = null;
+    this.journalPath = null;
+  }
+
+  /**
+   * Initialize the service with storage location
+   * @param {string} storagePath - Absolute path to storage root
+   */
+  initialize(storagePath) {
+    this.storageRoot = storagePath;
+    this.journalPath = path.join(storagePath, 'notes', JOURNAL_FOLDER);
+  }
+
+  /**
+   * Check a journal date
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {boolean} True for real calendar dates
+   */
+  isValidDate(date) {
+    if (typeof date !== 'string' || !DATE_REGEX.test(date)) {
+      return false;
+    }
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+  }
+
+  /**
+   * Get the file of a journal note
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {string} Absolute path of the note file
+   */
+  getNotePath(date) {
+    return path.join(this.journalPath, `${date}.md`);
+  }
+
+  /**
+   * Collect the daily todos of a day
+   * Open todos are only known for today; completions come from the current
+   * list and from the archive, which keeps them after the rollover.
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Promise<{open: Array<Object>, completed: Array<Object>}>}
+   */
+  async getTodos(date) {
+    const { todos } = await dailyTodosService.list();
+    const { archivedTodos } = await dailyTodosService.getArchive({ fromDate: date, limit: ARCHIVE_LIMIT });
+
+    const completed = new Map();
+    for (const todo of [...todos, ...archivedTodos]) {
+      if (todo.completedAt && todo.completedAt.startsWith(date) && !completed.has(todo.id)) {
+        completed.set(todo.id, todo);
+      }
+    }
+
+    return {
+      open: date === dailyTodosService.getTodayDate() ? todos.filter(todo => !todo.completed) : [],
+      completed: [...completed.values()].sort((a, b) => a.completedAt.localeCompare(b.completedAt)),
+    };
+  }
+
+  /**
+   * Format the daily todos block of a journal note
+   * @param {{open: Array<Object>, completed: Array<Object>}} todos - From getTodos()
+   * @returns {string} Markdown between the marker comments
+   */
+  formatTodos({ open, completed }) {
+    const lines = [TODOS_START];
+
+    if (open.length === 0 && completed.length === 0) {
+      lines.push('_No daily todos._');
+    }
+    if (open.length > 0) {
+      lines.push('**Open**', '');
+      for (const todo of open) {
+        const overdue = todo.daysOverdue > 0
+          ? `, ${todo.daysOverdue} day${todo.daysOverdue === 1 ? '' : 's'} overdue`
+          : '';
+        lines.push(`- [ ] ${todo.title} _(${todo.priority}${overdue})_`);
+      }
+    }
+    if (completed.length > 0) {
+      if (open.length > 0) lines.push('');
+      lines.push('**Completed**', '');
+      for (const todo of completed) {
+        lines.push(`- [x] ${todo.title}`);
+      }
+    }
+
+    lines.push(TODOS_END);
+    return lines.join('\n');
+  }
+
+  /**
+   * Replace the daily todos block of a note
+   * @param {string} content - Note content
+   * @param {string} block - New block from formatTodos()
+   * @returns {string} Updated content; unchanged when the note has no block
+   */
+  replaceTodos(content, block) {
+    const start = content.indexOf(TODOS_START);
+    const end = content.indexOf(TODOS_END, start);
+    if (start === -1 || end === -1) {
+      return content;
+    }
+    return content.slice(0, start) + block + content.slice(end + TODOS_END.length);
+  }
+
+  /**
+   * Get the journal template, falling back to the built-in one
+   * @returns {Promise<Object>} Template
+   */
+  async getTemplate() {
+    try {
+      return await templateService.get(JOURNAL_TEMPLATE_ID);
+    } catch (error) {
+      if (error.message !== 'TEMPLATE_NOT_FOUND') {
+        throw error;
+      }
+      return templateService.getDefault(JOURNAL_TEMPLATE_ID);
+    }
+  }
+
+  /**
+   * Open the journal note of a day, creating it when missing
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {Object} [options]
+   * @param {boolean} [options.create=true] - Create the note when it doesn't exist
+   * @returns {Promise<Object>} { date, today, note, created, updated }; note is null
+   *   when it doesn't exist and create is false
+   * @throws {Error} VALIDATION_ERROR, STORAGE_NOT_CONFIGURED
+   */
+  async open(date, { create = true } = {}) {
+    if (!this.journalPath) {
+      throw new Error('STORAGE_NOT_CONFIGURED');
+    }
+    if (!this.isValidDate(date)) {
+      throw new Error('VALIDATION_ERROR');
+    }
+
+    const today = dailyTodosService.getTodayDate();
+    const filePath = this.getNotePath(date);
+    const result = { date, today, note: null, created: false, updated: false };
+
+    let exists = true;
+    try {
+      await fs.access(filePath);
+    } catch {
+      exists = false;
+    }
+
+    if (exists) {
+      const note = await fileService.readNote(filePath);
+
+      // Earlier days keep their summary, the archive only covers the retention period
+      if (date === today) {
+        const content = this.replaceTodos(note.content, this.formatTodos(await this.getTodos(date)));
+        if (content !== note.content) {
+          note.content = content;
+          note.modifiedAt = new Date().toISOString();
+          note.hash = await fileService.writeNote(filePath, note);
+          result.updated = true;
+        }
+      }
+
+      result.note = note;
+      return result;
+    }
+
+    if (!create) {
+      return result;
+    }
+
+    // {{date}} is the journal day, {{time}} the moment the note was created
+    const [year, month, day] = date.split('-').map(Number);
+    const now = new Date();
+    const rendered = templateService.render(await this.getTemplate(), {
+      title: date,
+      now: new Date(year, month - 1, day, now.getHours(), now.getMinutes()),
+      todos: this.formatTodos(await this.getTodos(date)),
+    });
+
+    const timestamp = now.toISOString();
+    const id = fileService.generateId();
+    const note = {
+      id,
+      title: date,
+      content: rendered.content,
+      createdAt: timestamp,
+      modifiedAt: timestamp,
+      projectId: null,
+      tags: noteTagService.normalizeTags([JOURNAL_FOLDER, ...rendered.tags]),
+      // Marks the note as a journal entry, e.g. for the day navigation in the editor
+      frontmatter: { id, title: date, createdAt: timestamp, modifiedAt: timestamp, journalDate: date },
+    };
+    const hash = await fileService.writeNote(filePath, note);
+
+    result.note = { ...note, aliases: [], hash, filePath };
+    result.created = true;
+    return result;
+  }
+}
+
+// Export singleton instance
+export const journalService = new JournalService();
@@ -0,0 +1,298 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {
+  STORAGE_VERSION,
+  DAILY_TODO_PRIORITIES,
+  DAILY_TODO_DEFAULT_PRIORITY,
+} from '../../shared/constants.js';
+import { fileService } from './file-service.js';
+
+/**
+ * Migration Service
+ * Brings a storage folder up to the format this app version writes.
+ * `config.version` records the format of the folder. On startup pending
+ * migrations run in order after the data was copied to a backup, and a folder
+ * written by a newer app version is refused instead of being modified.
+ */
+
+// Storage folders created before versioning was read carry this version
+const INITIAL_VERSION = '1.0.0';
+const BACKUP_FOLDER = 'migration-backups';
+// Folders of .knowledgebase that are not copied into a migration backup
+const BACKUP_EXCLUDES = ['history', 'trash', BACKUP_FOLDER];
+
+/**
+ * Compare two dotted version strings
+ * @param {string} a - Version like '1.2.0'
+ * @param {string} b - Version like '1.10.0'
+ * @returns {number} Negative if a is older, 0 if equal, positive if newer
+ */
+export function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Check whether a path exists
+ * @param {string} targetPath - Absolute path
+ * @returns {Promise<boolean>}
+ */
+async function exists(targetPath) {
+  try {
+    await fs.access(targetPath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Move the contents of one folder into another, merging subfolders.
+ * A file that already exists in the target is kept and the moved one gets a
+ * numbered name.
+ * @param {string} sourceDir - Folder to empty
+ * @param {string} targetDir - Folder to move into
+ */
+async function mergeFolder(sourceDir, targetDir) {
+  await fs.mkdir(targetDir, { recursive: true });
+  const entries = await fs.readdir(sourceDir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const sourcePath = path.join(sourceDir, entry.name);
+    let targetPath = path.join(targetDir, entry.name);
+
+    if (entry.isDirectory() && await exists(targetPath)) {
+      await mergeFolder(sourcePath, targetPath);
+      continue;
+    }
+
+    const { name, ext } = path.parse(entry.name);
+    for (let n = 2; await exists(targetPath); n++) {
+      targetPath = path.join(targetDir, `${name}-${n}${ext}`);
+    }
+    if (targetPath !== path.join(targetDir, entry.name)) {
+      console.warn(`Migration: ${sourcePath} exists in ${targetDir}, moved as ${path.basename(targetPath)}`);
+    }
+    await fs.rename(sourcePath, targetPath);
+  }
+
+  await fs.rmdir(sourceDir);
+}
+
+/**
+ * Ordered migration steps. Each step brings the storage from the previous
+ * version to its `version` and must be safe to run again after an interruption.
+ */
+export const MIGRATIONS = [
+  {
+    version: '1.1.0',
+    description: 'Give every daily todo a known priority and a days overdue count',
+    async migrate() {
+      const data = await fileService.readJSON('daily-todos.json');
+      if (!data?.dailyTodos) {
+        return;
+      }
+
+      for (const todo of data.dailyTodos) {
+        if (!DAILY_TODO_PRIORITIES.includes(todo.priority)) {
+          todo.priority = DAILY_TODO_DEFAULT_PRIORITY;
+        }
+        if (!Number.isInteger(todo.daysOverdue) || todo.daysOverdue < 0) {
+          todo.daysOverdue = 0;
+        }
+        if (!todo.createdDate && todo.createdAt) {
+          todo.createdDate = todo.createdAt.split('T')[0];
+        }
+      }
+      await fileService.writeJSON('daily-todos.json', data);
+    },
+  },
+  {
+    version: '1.2.0',
+    description: 'Keep project notes in the project folder instead of a folder named after the project ID',
+    async migrate(storageRoot) {
+      const data = await fileService.readJSON('projects.json');
+      if (!data?.projects) {
+        return;
+      }
+
+      const notesDir = path.join(storageRoot, 'notes');
+      const usedFolders = new Set(data.projects.map(project => project.folder).filter(Boolean));
+
+      for (const project of data.projects) {
+        if (!project.folder) {
+          let folder = fileService.slugify(project.name) || project.id;
+          for (let n = 2; usedFolders.has(folder); n++) {
+            folder = `${fileService.slugify(project.name)}-${n}`;
+          }
+          project.folder = folder;
+          usedFolders.add(folder);
+        }
+
+        const idFolder = path.join(notesDir, project.id);
+        if (project.folder !== project.id && await exists(idFolder)) {
+          await mergeFolder(idFolder, path.join(notesDir, project.folder));
+        }
+      }
+      await fileService.writeJSON('projects.json', data);
+    },
+  },
+];
+
+class MigrationService {
+  constructor() {
+    this.beforeMigrateListeners = new Set();
+  }
+
+  /**
+   * Register a listener that runs before pending migrations are applied,
+   * e.g. to take a backup
+   * @param {Function} listener - Called with the version migrated from
+   * @returns {Function} Unsubscribe function
+   */
+  onBeforeMigrate(listener) {
+    this.beforeMigrateListeners.add(listener);
+    return () => this.beforeMigrateListeners.delete(listener);
+  }
+
+  /**
+   * Get the storage format version recorded in a config
+   * @param {Object} config - Parsed config.json
+   * @returns {string} Version
+   */
+  getVersion(config) {
+    return typeof config?.version === 'string' ? config.version : INITIAL_VERSION;
+  }
+
+  /**
+   * Get the migrations a storage of the given version still needs
+   * @param {string} version - Current storage version
+   * @returns {Array} Migration steps in the order they run
+   */
+  getPending(version) {
+    return MIGRATIONS
+      .filter(migration => compareVersions(migration.version, version) > 0)
+      .sort((a, b) => compareVersions(a.version, b.version));
+  }
+
+  /**
+   * Copy the data of the storage folder before it is migrated. Note history
+   * and trash are left out; the migrations don't touch them. Only the newest
+   * copy is kept, older ones are covered by the zip snapshots of backupService.
+   * @param {string} version - Version the storage is migrated from
+   * @returns {Promise<string>} Path of the backup folder
+   */
+  async createBackup(version) {
+    const storageRoot = fileService.storageRoot;
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const dataDir = path.join(storageRoot, '.knowledgebase');
+    const backupDir = path.join(dataDir, BACKUP_FOLDER, `${stamp}-v${version}`);
+
+    // The backup lives inside .knowledgebase, so its entries are copied one by one
+    await fs.mkdir(path.join(backupDir, '.knowledgebase'), { recursive: true });
+    for (const entry of await fs.readdir(dataDir)) {
+      if (!BACKUP_EXCLUDES.includes(entry)) {
+        await fs.cp(path.join(dataDir, entry), path.join(backupDir, '.knowledgebase', entry), { recursive: true });
+      }
+    }
+    for (const folder of ['notes', 'snippets']) {
+      const source = path.join(storageRoot, folder);
+      if (await exists(source)) {
+        await fs.cp(source, path.join(backupDir, folder), { recursive: true });
+      }
+    }
+
+    const backupsDir = path.join(dataDir, BACKUP_FOLDER);
+    for (const entry of await fs.readdir(backupsDir)) {
+      if (entry !== path.basename(backupDir)) {
+        await fs.rm(path.join(backupsDir, entry), { recursive: true, force: true });
+      }
+    }
+
+    return backupDir;
+  }
+
+  /**
+   * Refuse a storage format written by a newer app version
+   * @param {string} version - Storage format version
+   * @throws {Error} STORAGE_TOO_NEW
+   */
+  assertSupported(version) {
+    if (compareVersions(version, STORAGE_VERSION) > 0) {
+      throw new Error(`STORAGE_TOO_NEW: storage format ${version} is newer than ${STORAGE_VERSION}`);
+    }
+  }
+
+  /**
+   * Check the format of a storage folder before it is opened. Reads only,
+   * so a refused folder is left exactly as it is.
+   * @param {string} storagePath - Absolute path to storage root
+   * @throws {Error} STORAGE_TOO_NEW when a newer app version wrote the folder
+   */
+  async checkStorage(storagePath) {
+    let config;
+    try {
+      config = JSON.parse(await fs.readFile(path.join(storagePath, '.knowledgebase', 'config.json'), 'utf-8'));
+    } catch {
+      // A missing or damaged config is dealt with when the folder is opened
+      return;
+    }
+    this.assertSupported(this.getVersion(config));
+  }
+
+  /**
+   * Bring the initialized storage folder up to STORAGE_VERSION
+   * @returns {Promise<Object>} { from, to, applied: Array<string>, backupPath }
+   * @throws {Error} STORAGE_TOO_NEW when a newer app version wrote the folder,
+   *   MIGRATION_FAILED when a step failed (earlier steps stay applied)
+   */
+  async run() {
+    const config = await fileService.readConfig();
+    const from = this.getVersion(config);
+    this.assertSupported(from);
+
+    const pending = this.getPending(from);
+    if (pending.length === 0) {
+      return { from, to: from, applied: [], backupPath: null };
+    }
+
+    const backupPath = await this.createBackup(from);
+    console.log(`Migrating storage from ${from} to ${STORAGE_VERSION}, backup in ${backupPath}`);
+    for (const listener of this.beforeMigrateListeners) {
+      try {
+        await listener(from);
+      } catch (error) {
+        console.error('Before-migrate listener failed:', error);
+      }
+    }
+
+    const applied = [];
+    for (const migration of pending) {
+      try {
+        await migration.migrate(fileService.storageRoot);
+      } catch (error) {
+        console.error(`Migration to ${migration.version} failed, backup in ${backupPath}:`, error);
+        throw new Error(`MIGRATION_FAILED: ${migration.version}: ${error.message}`);
+      }
+
+      // Record every finished step so an interrupted run continues after it
+      await fileService.updateConfig((current) => {
+        current.version = migration.version;
+        current.lastModified = new Date().toISOString();
+      });
+      applied.push(migration.version);
+    }
+
+    return { from, to: applied[applied.length - 1], applied, backupPath };
+  }
+}
+
+// Export singleton instance
+export const migrationService = new MigrationService();
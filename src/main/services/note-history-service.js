@@ -0,0 +1,350 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
+import { HISTORY_DEFAULT_MAX_AGE_DAYS, HISTORY_DEFAULT_MAX_REVISIONS } from '../../shared/constants.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Note History Service
+ * Stores a gzip-compressed revision of a note on every save under
+ * .knowledgebase/history/<noteId>/ and prunes old revisions according
+ * to the configured retention.
+ */
+
+const REVISION_EXTENSION = '.json.gz';
+// Above this many line pairs the diff falls back to replacing the whole text
+const MAX_DIFF_CELLS = 4000000;
+
+class NoteHistoryService {
+  constructor() {
+    this.storageRoot = null;
+    this.historyPath = null;
+  }
+
+  /**
+   * Initialize the service with storage location
+   * @param {string} storagePath - Absolute path to storage root
+   */
+  initialize(storagePath) {
+    this.storageRoot = storagePath;
+    this.historyPath = path.join(storagePath, '.knowledgebase', 'history');
+  }
+
+  /**
+   * Get the history directory of a note
+   * @param {string} noteId - Note UUID
+   * @returns {string} Directory path
+   */
+  getNoteDir(noteId) {
+    if (!this.historyPath) {
+      throw new Error('STORAGE_NOT_CONFIGURED');
+    }
+    // IDs are UUIDs; reject anything that could escape the history folder
+    if (!/^[\w-]+$/.test(noteId || '')) {
+      throw new Error('VALIDATION_ERROR: Invalid note ID');
+    }
+    return path.join(this.historyPath, noteId);
+  }
+
+  /**
+   * List revision IDs of a note, newest first
+   * @param {string} noteId - Note UUID
+   * @returns {Promise<Array<string>>} Revision IDs
+   */
+  async listRevisionIds(noteId) {
+    try {
+      const files = await fs.readdir(this.getNoteDir(noteId));
+      return files
+        .filter(file => file.endsWith(REVISION_EXTENSION))
+        .map(file => file.slice(0, -REVISION_EXTENSION.length))
+        .sort((a, b) => Number(b) - Number(a));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read a revision
+   * @param {string} noteId - Note UUID
+   * @param {string} revisionId - Revision ID (save timestamp in ms)
+   * @returns {Promise<Object>} { id, savedAt, title, content, projectId, tags, modifiedAt }
+   */
+  async get(noteId, revisionId) {
+    if (!/^\d+$/.test(revisionId || '')) {
+      throw new Error('REVISION_NOT_FOUND');
+    }
+
+    try {
+      const filePath = path.join(this.getNoteDir(noteId), `${revisionId}${REVISION_EXTENSION}`);
+      const data = JSON.parse((await gunzip(await fs.readFile(filePath))).toString('utf-8'));
+      return { id: revisionId, ...data };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('REVISION_NOT_FOUND');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List revisions of a note without their content, newest first
+   * @param {string} noteId - Note UUID
+   * @returns {Promise<Array>} [{ id, savedAt, title, size }]
+   */
+  async list(noteId) {
+    const revisions = [];
+    for (const revisionId of await this.listRevisionIds(noteId)) {
+      try {
+        const revision = await this.get(noteId, revisionId);
+        revisions.push({
+          id: revision.id,
+          savedAt: revision.savedAt,
+          title: revision.title,
+          size: revision.content.length,
+        });
+      } catch (error) {
+        console.error(`Error reading revision ${revisionId} of note ${noteId}:`, error);
+      }
+    }
+    return revisions;
+  }
+
+  /**
+   * Store a revision of a note unless it matches the latest one
+   * @param {Object} note - Saved note
+   * @param {Object} [retention] - { maxRevisions, maxAgeDays }
+   * @returns {Promise<string|null>} New revision ID, null if nothing changed
+   */
+  async record(note, retention = {}) {
+    const noteDir = this.getNoteDir(note.id);
+    const [latestId] = await this.listRevisionIds(note.id);
+
+    if (latestId) {
+      try {
+        const latest = await this.get(note.id, latestId);
+        if (latest.content === note.content && latest.title === note.title) {
+          return null;
+        }
+      } catch (error) {
+        console.error(`Error reading latest revision of note ${note.id}:`, error);
+      }
+    }
+
+    // Timestamps double as IDs; bump on collisions from rapid saves
+    let revisionId = Date.now();
+    if (latestId && revisionId <= Number(latestId)) {
+      revisionId = Number(latestId) + 1;
+    }
+
+    const data = {
+      savedAt: new Date(revisionId).toISOString(),
+      title: note.title,
+      content: note.content || '',
+      projectId: note.projectId || null,
+      tags: note.tags || [],
+      modifiedAt: note.modifiedAt,
+    };
+
+    await fs.mkdir(noteDir, { recursive: true });
+    await fs.writeFile(
+      path.join(noteDir, `${revisionId}${REVISION_EXTENSION}`),
+      await gzip(JSON.stringify(data))
+    );
+
+    await this.prune(note.id, retention);
+    return String(revisionId);
+  }
+
+  /**
+   * Delete revisions beyond the retention limits. The newest revision is always kept.
+   * @param {string} noteId - Note UUID
+   * @param {Object} [retention] - { maxRevisions, maxAgeDays } (maxAgeDays 0 keeps revisions forever)
+   * @returns {Promise<number>} Number of deleted revisions
+   */
+  async prune(noteId, retention = {}) {
+    const maxRevisions = retention.maxRevisions ?? HISTORY_DEFAULT_MAX_REVISIONS;
+    const maxAgeDays = retention.maxAgeDays ?? HISTORY_DEFAULT_MAX_AGE_DAYS;
+    const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+
+    const revisionIds = await this.listRevisionIds(noteId);
+    const expired = revisionIds.filter((revisionId, index) =>
+      index > 0 && (index >= maxRevisions || Number(revisionId) < cutoff)
+    );
+
+    for (const revisionId of expired) {
+      await fs.unlink(path.join(this.getNoteDir(noteId), `${revisionId}${REVISION_EXTENSION}`));
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Delete all revisions of a note
+   * @param {string} noteId - Note UUID
+   */
+  async remove(noteId) {
+    await fs.rm(this.getNoteDir(noteId), { recursive: true, force: true });
+  }
+
+  /**
+   * Compute a line diff between two texts
+   * @param {string} oldText - Previous text
+   * @param {string} newText - Current text
+   * @returns {Array<{type: 'equal'|'add'|'remove', text: string}>} Diff lines
+   */
+  diffLines(oldText, newText) {
+    const oldLines = (oldText || '').split(/\r?\n/);
+    const newLines = (newText || '').split(/\r?\n/);
+
+    // Common prefix and suffix don't need the LCS table
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+      prefix++;
+    }
+    let suffix = 0;
+    while (
+      suffix < oldLines.length - prefix &&
+      suffix < newLines.length - prefix &&
+      oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    const a = oldLines.slice(prefix, oldLines.length - suffix);
+    const b = newLines.slice(prefix, newLines.length - suffix);
+    const lines = oldLines.slice(0, prefix).map(text => ({ type: 'equal', text }));
+
+    if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+      lines.push(...a.map(text => ({ type: 'remove', text })));
+      lines.push(...b.map(text => ({ type: 'add', text })));
+    } else {
+      // lcs[i * width + j] = LCS length of a[i..] and b[j..]
+      const width = b.length + 1;
+      const lcs = new Uint32Array((a.length + 1) * width);
+      for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+          lcs[i * width + j] = a[i] === b[j]
+            ? lcs[(i + 1) * width + j + 1] + 1
+            : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+      }
+
+      let i = 0;
+      let j = 0;
+      while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+          lines.push({ type: 'equal', text: a[i] });
+          i++;
+          j++;
+        } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+          lines.push({ type: 'remove', text: a[i++] });
+        } else {
+          lines.push({ type: 'add', text: b[j++] });
+        }
+      }
+      while (i < a.length) lines.push({ type: 'remove', text: a[i++] });
+      while (j < b.length) lines.push({ type: 'add', text: b[j++] });
+    }
+
+    lines.push(...oldLines.slice(oldLines.length - suffix).map(text => ({ type: 'equal', text })));
+    return lines;
+  }
+
+  /**
+   * Three-way merge of two texts that were both edited from the same base.
+   * Regions changed on only one side are taken from that side; regions
+   * changed differently on both sides become conflicts.
+   * @param {string} baseText - Common ancestor
+   * @param {string} mineText - Local version
+   * @param {string} theirsText - Version on disk
+   * @returns {{chunks: Array<Object>, conflicts: number}} Chunks are
+   *   { type: 'merged', source: 'base'|'mine'|'theirs'|'both', lines } or
+   *   { type: 'conflict', base, mine, theirs }
+   */
+  mergeLines(baseText, mineText, theirsText) {
+    const base = (baseText || '').split(/\r?\n/);
+    const mine = (mineText || '').split(/\r?\n/);
+    const theirs = (theirsText || '').split(/\r?\n/);
+    const mineMatch = this.matchLines(baseText, mineText);
+    const theirsMatch = this.matchLines(baseText, theirsText);
+
+    const chunks = [];
+    let conflicts = 0;
+    const pushMerged = (source, lines) => {
+      if (lines.length === 0) return;
+      const last = chunks[chunks.length - 1];
+      if (last && last.type === 'merged' && last.source === source) {
+        last.lines.push(...lines);
+      } else {
+        chunks.push({ type: 'merged', source, lines: [...lines] });
+      }
+    };
+    const same = (a, b) => a.length === b.length && a.every((line, index) => line === b[index]);
+
+    let b = 0;
+    let m = 0;
+    let t = 0;
+    while (b <= base.length) {
+      // Next base line kept unchanged on both sides
+      let stable = b;
+      while (stable < base.length && (mineMatch[stable] === -1 || theirsMatch[stable] === -1)) {
+        stable++;
+      }
+
+      const baseChunk = base.slice(b, stable);
+      const mineChunk = mine.slice(m, stable < base.length ? mineMatch[stable] : mine.length);
+      const theirsChunk = theirs.slice(t, stable < base.length ? theirsMatch[stable] : theirs.length);
+
+      if (same(mineChunk, baseChunk)) {
+        pushMerged('theirs', theirsChunk);
+      } else if (same(theirsChunk, baseChunk)) {
+        pushMerged('mine', mineChunk);
+      } else if (same(mineChunk, theirsChunk)) {
+        pushMerged('both', mineChunk);
+      } else {
+        chunks.push({ type: 'conflict', base: baseChunk, mine: mineChunk, theirs: theirsChunk });
+        conflicts++;
+      }
+
+      if (stable === base.length) break;
+      pushMerged('base', [base[stable]]);
+      b = stable + 1;
+      m = mineMatch[stable] + 1;
+      t = theirsMatch[stable] + 1;
+    }
+
+    return { chunks, conflicts };
+  }
+
+  /**
+   * Map every line of the old text to its line in the new text
+   * @param {string} oldText - Previous text
+   * @param {string} newText - Current text
+   * @returns {Array<number>} Index in the new text, or -1 for removed lines
+   */
+  matchLines(oldText, newText) {
+    const matches = [];
+    let newIndex = 0;
+
+    for (const line of this.diffLines(oldText, newText)) {
+      if (line.type === 'equal') {
+        matches.push(newIndex++);
+      } else if (line.type === 'remove') {
+        matches.push(-1);
+      } else {
+        newIndex++;
+      }
+    }
+
+    return matches;
+  }
+}
+
+// Export singleton instance
+export const noteHistoryService = new NoteHistoryService();
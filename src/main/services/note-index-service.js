@@ -0,0 +1,284 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileService } from './file-service.js';
+import { noteTagService } from './note-tag-service.js';
+
+/**
+ * Note Index Service
+ * Keeps a persistent metadata index of all notes in .knowledgebase/notes-index.json
+ * so lookups by ID don't require re-reading every markdown file.
+ * The index is reconciled against file modification times on startup and
+ * updated incrementally whenever a note is created, updated or deleted.
+ * Other services can subscribe to index changes via onChange().
+ */
+
+const INDEX_FILENAME = 'notes-index.json';
+// Version 2 added inlineTags, version 3 aliases
+const INDEX_VERSION = 3;
+
+class NoteIndexService {
+  constructor() {
+    this.storageRoot = null;
+    this.entries = new Map();
+    this.loading = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Subscribe to index changes
+   * Events: { type: 'reset' } | { type: 'upsert', note } | { type: 'remove', id }
+   * @param {Function} listener - Change listener
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify all listeners about an index change
+   * @param {Object} event - Change event
+   */
+  emit(event) {
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Note index listener failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Load the index for a storage location (no-op if already loaded for it)
+   * @param {string} storagePath - Absolute path to storage root
+   * @returns {Promise<void>}
+   */
+  initialize(storagePath) {
+    if (!storagePath) {
+      return Promise.reject(new Error('STORAGE_NOT_CONFIGURED'));
+    }
+
+    if (this.storageRoot === storagePath && this.loading) {
+      return this.loading;
+    }
+
+    this.storageRoot = storagePath;
+    this.entries = new Map();
+    this.emit({ type: 'reset' });
+    this.loading = this.load().catch((error) => {
+      // Allow the next call to retry from scratch
+      this.storageRoot = null;
+      this.loading = null;
+      throw error;
+    });
+
+    return this.loading;
+  }
+
+  /**
+   * Read the persisted index and bring it up to date with the notes folder
+   */
+  async load() {
+    let data = null;
+    try {
+      data = await fileService.readJSON(INDEX_FILENAME);
+    } catch {
+      // Corrupt index, rebuild from the note files
+      console.warn('Note index is unreadable, rebuilding');
+    }
+
+    if (data && data.version === INDEX_VERSION && Array.isArray(data.notes)) {
+      for (const entry of data.notes) {
+        if (entry && entry.id && entry.filePath) {
+          this.entries.set(entry.id, entry);
+        }
+      }
+    }
+
+    await this.reconcile();
+  }
+
+  /**
+   * Compare the index with the note files on disk and re-read only
+   * files that are new or whose modification time changed
+   * @returns {Promise<{changed: Array<string>, removed: Array<string>}>} IDs of re-read and removed notes
+   */
+  async reconcile() {
+    // Snapshot the entries so upserts and removals made while scanning win
+    const previous = new Map(this.entries);
+
+    const notesDir = path.join(this.storageRoot, 'notes');
+    await fileService.ensureDirectoryExists(notesDir);
+
+    const files = (await fileService.readDirectoryRecursive(notesDir))
+      .filter(file => path.extname(file) === '.md');
+
+    const byPath = new Map();
+    for (const entry of previous.values()) {
+      byPath.set(entry.filePath, entry);
+    }
+
+    const next = new Map();
+    const changed = [];
+
+    for (const file of files) {
+      try {
+        const stats = await fs.stat(file);
+        const existing = byPath.get(this.toRelativePath(file));
+
+        if (existing && existing.mtimeMs === stats.mtimeMs) {
+          next.set(existing.id, existing);
+          continue;
+        }
+
+        const note = await fileService.readNote(file);
+        if (!note.id) continue;
+
+        next.set(note.id, this.createEntry(note, file, stats.mtimeMs));
+        this.emit({ type: 'upsert', note: { ...note, filePath: file } });
+        changed.push(note.id);
+      } catch (error) {
+        console.error(`Error indexing note ${file}:`, error);
+      }
+    }
+
+    for (const [id, entry] of previous) {
+      if (!this.entries.has(id)) {
+        next.delete(id);
+      } else if (this.entries.get(id) !== entry) {
+        next.set(id, this.entries.get(id));
+      }
+    }
+    for (const [id, entry] of this.entries) {
+      if (!previous.has(id)) {
+        next.set(id, entry);
+      }
+    }
+
+    const removed = [...this.entries.keys()].filter(id => !next.has(id));
+    for (const id of removed) {
+      this.emit({ type: 'remove', id });
+    }
+
+    this.entries = next;
+
+    if (changed.length > 0 || removed.length > 0) {
+      await this.save();
+    }
+
+    return { changed, removed };
+  }
+
+  /**
+   * Persist the index to disk
+   */
+  async save() {
+    await fileService.writeJSON(INDEX_FILENAME, {
+      version: INDEX_VERSION,
+      notes: [...this.entries.values()],
+    });
+  }
+
+  /**
+   * Get note metadata by ID
+   * @param {string} id - Note UUID
+   * @returns {Object|null} Note metadata with absolute filePath
+   */
+  get(id) {
+    const entry = this.entries.get(id);
+    return entry ? this.toMetadata(entry) : null;
+  }
+
+  /**
+   * List note metadata, optionally limited to a project folder
+   * @param {string} [projectFolder] - Optional subfolder of notes/
+   * @returns {Array<Object>} Array of note metadata
+   */
+  list(projectFolder = '') {
+    const prefix = projectFolder ? `notes/${projectFolder}/` : 'notes/';
+    return [...this.entries.values()]
+      .filter(entry => entry.filePath.startsWith(prefix))
+      .map(entry => this.toMetadata(entry));
+  }
+
+  /**
+   * Add or replace a note in the index after it was written
+   * @param {Object} note - Full note object including content
+   * @param {string} filePath - Absolute path of the written note file
+   */
+  async upsert(note, filePath) {
+    const stats = await fs.stat(filePath);
+    this.entries.set(note.id, this.createEntry(note, filePath, stats.mtimeMs));
+    this.emit({ type: 'upsert', note: { ...note, filePath } });
+    await this.save();
+  }
+
+  /**
+   * Remove a note from the index
+   * @param {string} id - Note UUID
+   */
+  async remove(id) {
+    if (this.entries.delete(id)) {
+      this.emit({ type: 'remove', id });
+      await this.save();
+    }
+  }
+
+  /**
+   * Build a persisted index entry
+   * @param {Object} note - Note object
+   * @param {string} filePath - Absolute note file path
+   * @param {number} mtimeMs - File modification time
+   * @returns {Object} Index entry
+   */
+  createEntry(note, filePath, mtimeMs) {
+    return {
+      id: note.id,
+      title: note.title,
+      createdAt: note.createdAt,
+      modifiedAt: note.modifiedAt,
+      projectId: note.projectId || null,
+      tags: note.tags || [],
+      aliases: note.aliases || [],
+      // Metadata-only upserts keep the inline tags found last time
+      inlineTags: typeof note.content === 'string'
+        ? noteTagService.extractInlineTags(note.content)
+        : this.entries.get(note.id)?.inlineTags || [],
+      filePath: this.toRelativePath(filePath),
+      mtimeMs,
+    };
+  }
+
+  /**
+   * Convert an index entry to the metadata shape returned by listNotes
+   * @param {Object} entry - Index entry
+   * @returns {Object} Note metadata
+   */
+  toMetadata(entry) {
+    return {
+      id: entry.id,
+      title: entry.title,
+      createdAt: entry.createdAt,
+      modifiedAt: entry.modifiedAt,
+      projectId: entry.projectId,
+      tags: entry.tags,
+      aliases: entry.aliases || [],
+      inlineTags: entry.inlineTags || [],
+      filePath: path.join(this.storageRoot, ...entry.filePath.split('/')),
+    };
+  }
+
+  /**
+   * Store paths relative to the storage root with forward slashes so the
+   * index survives moving the storage folder between machines
+   * @param {string} filePath - Absolute file path
+   * @returns {string} Relative path
+   */
+  toRelativePath(filePath) {
+    return path.relative(this.storageRoot, filePath).split(path.sep).join('/');
+  }
+}
+
+// Export singleton instance
+export const noteIndexService = new NoteIndexService();
@@ -0,0 +1,327 @@
+import { fileService } from './file-service.js';
+import { noteIndexService } from './note-index-service.js';
+
+/**
+ * Note Link Service
+ * Tracks [[Title]] links between notes to answer backlink queries and
+ * build the link graph. Built lazily on first use and kept in sync
+ * through note index change events.
+ */
+
+const LINK_REGEX = /\[\[([^\]]+)\]\]/g;
+const CONTEXT_RADIUS = 60;
+
+class NoteLinkService {
+  constructor() {
+    this.outgoing = new Map(); // noteId -> Array<{ target, context, start, end }>
+    this.incoming = new Map(); // target title -> Set<noteId>
+    this.ready = false;
+    this.building = null;
+
+    noteIndexService.onChange(event => this.handleIndexChange(event));
+  }
+
+  /**
+   * Keep the link table in sync with the note index
+   * @param {Object} event - Note index change event
+   */
+  handleIndexChange(event) {
+    if (event.type === 'reset') {
+      this.clear();
+    } else if (!this.ready && !this.building) {
+      return;
+    } else if (event.type === 'upsert' && typeof event.note.content === 'string') {
+      this.setNoteLinks(event.note.id, event.note.content);
+    } else if (event.type === 'upsert') {
+      fileService.readNote(event.note.filePath)
+        .then(note => this.setNoteLinks(note.id, note.content))
+        .catch(() => this.removeNote(event.note.id));
+    } else if (event.type === 'remove') {
+      this.removeNote(event.id);
+    }
+  }
+
+  /**
+   * Drop all link data
+   */
+  clear() {
+    this.outgoing = new Map();
+    this.incoming = new Map();
+    this.ready = false;
+    this.building = null;
+  }
+
+  /**
+   * Build the link table from all notes if it hasn't been built yet
+   * @returns {Promise<void>}
+   */
+  ensureBuilt() {
+    if (this.ready) {
+      return Promise.resolve();
+    }
+
+    if (!this.building) {
+      this.building = this.build().catch((error) => {
+        this.building = null;
+        throw error;
+      });
+    }
+
+    return this.building;
+  }
+
+  /**
+   * Read every indexed note and extract its links
+   */
+  async build() {
+    for (const metadata of noteIndexService.list()) {
+      try {
+        const note = await fileService.readNote(metadata.filePath);
+        this.setNoteLinks(note.id, note.content);
+      } catch (error) {
+        console.error(`Error reading links of note ${metadata.filePath}:`, error);
+      }
+    }
+    this.ready = true;
+    this.building = null;
+  }
+
+  /**
+   * Extract links with the surrounding line as context
+   * @param {string} content - Markdown content
+   * @returns {Array<{target: string, context: string, start: number, end: number}>}
+   *   start/end are the link's position within context
+   */
+  extractLinks(content) {
+    const links = [];
+    const text = content || '';
+
+    for (const match of text.matchAll(LINK_REGEX)) {
+      const lineStart = text.lastIndexOf('\n', match.index) + 1;
+      const lineEndIndex = text.indexOf('\n', match.index);
+      const lineEnd = lineEndIndex === -1 ? text.length : lineEndIndex;
+
+      // Trim long lines to a window around the link
+      const contextStart = Math.max(lineStart, match.index - CONTEXT_RADIUS);
+      const contextEnd = Math.min(lineEnd, match.index + match[0].length + CONTEXT_RADIUS);
+      const prefix = contextStart > lineStart ? '...' : '';
+      const suffix = contextEnd < lineEnd ? '...' : '';
+
+      const raw = text.substring(contextStart, contextEnd);
+      const leadingWhitespace = raw.length - raw.trimStart().length;
+      const start = prefix.length + (match.index - contextStart) - leadingWhitespace;
+
+      links.push({
+        target: match[1],
+        context: prefix + raw.trim() + suffix,
+        start,
+        end: start + match[0].length,
+      });
+    }
+
+    return links;
+  }
+
+  /**
+   * Replace the outgoing links of a note
+   * @param {string} noteId - Note UUID
+   * @param {string} content - Markdown content
+   */
+  setNoteLinks(noteId, content) {
+    this.removeNote(noteId);
+    const links = this.extractLinks(content);
+    this.outgoing.set(noteId, links);
+
+    for (const link of links) {
+      let sources = this.incoming.get(link.target);
+      if (!sources) {
+        sources = new Set();
+        this.incoming.set(link.target, sources);
+      }
+      sources.add(noteId);
+    }
+  }
+
+  /**
+   * Remove a note's outgoing links
+   * @param {string} noteId - Note UUID
+   */
+  removeNote(noteId) {
+    const links = this.outgoing.get(noteId);
+    if (!links) return;
+
+    for (const link of links) {
+      const sources = this.incoming.get(link.target);
+      if (!sources) continue;
+      sources.delete(noteId);
+      if (sources.size === 0) {
+        this.incoming.delete(link.target);
+      }
+    }
+
+    this.outgoing.delete(noteId);
+  }
+
+  /**
+   * Get all notes linking to a note
+   * @param {string} noteId - Note UUID
+   * @returns {Promise<Array>} [{ id, title, projectId, contexts: [{ context, start, end }] }]
+   */
+  async getBacklinks(noteId) {
+    await this.ensureBuilt();
+
+    const note = noteIndexService.get(noteId);
+    if (!note) {
+      throw new Error('NOTE_NOT_FOUND');
+    }
+
+    const backlinks = [];
+    for (const sourceId of this.incoming.get(note.title) || []) {
+      if (sourceId === noteId) continue;
+      const source = noteIndexService.get(sourceId);
+      if (!source) continue;
+
+      backlinks.push({
+        id: source.id,
+        title: source.title,
+        projectId: source.projectId,
+        contexts: this.outgoing.get(sourceId)
+          .filter(link => link.target === note.title)
+          .map(({ context, start, end }) => ({ context, start, end })),
+      });
+    }
+
+    backlinks.sort((a, b) => a.title.localeCompare(b.title));
+    return backlinks;
+  }
+
+  /**
+   * Get the IDs of all notes linking to a title
+   * @param {string} title - Note title
+   * @returns {Promise<Array<string>>} Note IDs
+   */
+  async getReferencingNoteIds(title) {
+    await this.ensureBuilt();
+    return [...(this.incoming.get(title) || [])];
+  }
+
+  /**
+   * Preview which notes a rename of a note would touch
+   * @param {string} noteId - Note UUID
+   * @returns {Promise<Array>} [{ id, title, occurrences, contexts }]
+   */
+  async previewLinkChanges(noteId) {
+    const backlinks = await this.getBacklinks(noteId);
+    return backlinks.map(backlink => ({
+      ...backlink,
+      occurrences: backlink.contexts.length,
+    }));
+  }
+
+  /**
+   * Replace every [[title]] link in referencing notes. All notes are
+   * written or, if any write fails, the already written ones are restored.
+   * @param {string} title - Linked title
+   * @param {string} replacement - Replacement text (e.g. '[[New Title]]' or plain 'Title')
+   * @param {Object} [options] - { excludeId? } note to leave untouched
+   * @returns {Promise<Array<string>>} IDs of rewritten notes
+   */
+  async rewriteLinks(title, replacement, options = {}) {
+    const link = `[[${title}]]`;
+    const filePaths = (await this.getReferencingNoteIds(title))
+      .filter(id => id !== options.excludeId)
+      .map(id => noteIndexService.get(id)?.filePath)
+      .filter(Boolean);
+
+    const now = new Date().toISOString();
+    // Versions before the rewrite, put back when a later note fails
+    const originals = [];
+
+    try {
+      for (const filePath of filePaths) {
+        // Read and write under the note's lock, so a save in between is rewritten instead of overwritten
+        await fileService.withFileLock(filePath, async () => {
+          const note = await fileService.readNote(filePath);
+          if (!note.content.includes(link)) return;
+
+          const updated = {
+            ...note,
+            content: note.content.split(link).join(replacement),
+            modifiedAt: now,
+          };
+          originals.push(note);
+          await fileService.writeNote(filePath, updated);
+          await noteIndexService.upsert(updated, filePath);
+        });
+      }
+    } catch (error) {
+      console.error('Rewriting links failed, restoring notes:', error);
+      for (const note of originals) {
+        try {
+          await fileService.withFileLock(note.filePath, async () => {
+            await fileService.writeNote(note.filePath, note);
+            await noteIndexService.upsert(note, note.filePath);
+          });
+        } catch (restoreError) {
+          console.error(`Could not restore note ${note.filePath}:`, restoreError);
+        }
+      }
+      throw new Error('LINK_UPDATE_ERROR');
+    }
+
+    return originals.map(note => note.id);
+  }
+
+  /**
+   * Build the link graph of all notes
+   * @param {Object} [options] - { projectId? } limit nodes to one project
+   * @returns {Promise<Object>} { nodes, edges, unresolved }
+   */
+  async getLinkGraph(options = {}) {
+    await this.ensureBuilt();
+
+    const allNotes = noteIndexService.list();
+    const notes = options.projectId
+      ? allNotes.filter(note => note.projectId === options.projectId)
+      : allNotes;
+    const nodeIds = new Set(notes.map(note => note.id));
+
+    // Resolve titles against all notes so cross-project links aren't reported as broken
+    const idsByTitle = new Map();
+    for (const note of allNotes) {
+      if (!idsByTitle.has(note.title)) {
+        idsByTitle.set(note.title, note.id);
+      }
+    }
+
+    const nodes = notes.map(note => ({
+      id: note.id,
+      title: note.title,
+      projectId: note.projectId,
+      tags: note.tags,
+    }));
+    const edges = [];
+    const unresolved = [];
+    const seen = new Set();
+
+    for (const note of notes) {
+      for (const link of this.outgoing.get(note.id) || []) {
+        const targetId = idsByTitle.get(link.target);
+        if (!targetId) {
+          unresolved.push({ source: note.id, title: link.target });
+          continue;
+        }
+        const key = `${note.id}->${targetId}`;
+        if (targetId !== note.id && nodeIds.has(targetId) && !seen.has(key)) {
+          seen.add(key);
+          edges.push({ source: note.id, target: targetId });
+        }
+      }
+    }
+
+    return { nodes, edges, unresolved };
+  }
+}
+
+// Export singleton instance
+export const noteLinkService = new NoteLinkService();
@@ -0,0 +1,460 @@
+import { fileService } from './file-service.js';
+import { noteIndexService } from './note-index-service.js';
+import { noteTagService } from './note-tag-service.js';
+
+/**
+ * Note Search Service
+ * In-memory inverted index over note titles and contents with BM25 ranking.
+ * Supports quoted phrases, prefix terms (foo*) and field filters
+ * (title:, tag:, project:). Built lazily on the first search and kept in
+ * sync through note index change events.
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const FIELD_WEIGHTS = { title: 2.5, content: 1 };
+const PHRASE_BOOST = 1.5;
+const SNIPPET_LENGTH = 160;
+const DEFAULT_LIMIT = 50;
+const TOKEN_REGEX = /[\p{L}\p{N}_]+/gu;
+
+class NoteSearchService {
+  constructor() {
+    this.documents = new Map();
+    this.postings = new Map();
+    this.fieldLengthTotals = { title: 0, content: 0 };
+    this.ready = false;
+    this.building = null;
+
+    noteIndexService.onChange(event => this.handleIndexChange(event));
+  }
+
+  /**
+   * Keep the search index in sync with the note index
+   * @param {Object} event - Note index change event
+   */
+  handleIndexChange(event) {
+    if (event.type === 'reset') {
+      this.clear();
+    } else if (!this.ready && !this.building) {
+      // Nothing built yet, the next search reads everything anyway
+      return;
+    } else if (event.type === 'upsert' && typeof event.note.content === 'string') {
+      this.addDocument(event.note);
+    } else if (event.type === 'upsert') {
+      // Metadata-only change, re-read the file to get the content
+      fileService.readNote(event.note.filePath)
+        .then(note => this.addDocument(note))
+        .catch(() => this.removeDocument(event.note.id));
+    } else if (event.type === 'remove') {
+      this.removeDocument(event.id);
+    }
+  }
+
+  /**
+   * Drop the whole index
+   */
+  clear() {
+    this.documents = new Map();
+    this.postings = new Map();
+    this.fieldLengthTotals = { title: 0, content: 0 };
+    this.ready = false;
+    this.building = null;
+  }
+
+  /**
+   * Build the index from all notes if it hasn't been built yet
+   * @returns {Promise<void>}
+   */
+  ensureBuilt() {
+    if (this.ready) {
+      return Promise.resolve();
+    }
+
+    if (!this.building) {
+      this.building = this.build().catch((error) => {
+        this.building = null;
+        throw error;
+      });
+    }
+
+    return this.building;
+  }
+
+  /**
+   * Read every indexed note and add it to the search index
+   */
+  async build() {
+    for (const metadata of noteIndexService.list()) {
+      try {
+        const note = await fileService.readNote(metadata.filePath);
+        this.addDocument(note);
+      } catch (error) {
+        console.error(`Error indexing note ${metadata.filePath} for search:`, error);
+      }
+    }
+    this.ready = true;
+    this.building = null;
+  }
+
+  /**
+   * Split text into lowercase tokens with their character offsets
+   * @param {string} text - Text to tokenize
+   * @returns {Array<{term: string, start: number, end: number}>} Tokens
+   */
+  tokenize(text) {
+    const tokens = [];
+    for (const match of (text || '').matchAll(TOKEN_REGEX)) {
+      tokens.push({
+        term: match[0].toLowerCase(),
+        start: match.index,
+        end: match.index + match[0].length,
+      });
+    }
+    return tokens;
+  }
+
+  /**
+   * Add or replace a note in the index
+   * @param {Object} note - Full note object
+   */
+  addDocument(note) {
+    if (!note || !note.id) return;
+    this.removeDocument(note.id);
+
+    const doc = {
+      id: note.id,
+      title: note.title || '',
+      content: note.content || '',
+      projectId: note.projectId || null,
+      tags: noteTagService.getNoteTags(note),
+      modifiedAt: note.modifiedAt,
+      fields: {},
+    };
+
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+      const tokens = this.tokenize(doc[field]);
+      doc.fields[field] = tokens;
+      this.fieldLengthTotals[field] += tokens.length;
+
+      tokens.forEach((token, position) => {
+        let docs = this.postings.get(token.term);
+        if (!docs) {
+          docs = new Map();
+          this.postings.set(token.term, docs);
+        }
+        let posting = docs.get(doc.id);
+        if (!posting) {
+          posting = { title: [], content: [] };
+          docs.set(doc.id, posting);
+        }
+        posting[field].push(position);
+      });
+    }
+
+    this.documents.set(doc.id, doc);
+  }
+
+  /**
+   * Remove a note from the index
+   * @param {string} id - Note UUID
+   */
+  removeDocument(id) {
+    const doc = this.documents.get(id);
+    if (!doc) return;
+
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+      this.fieldLengthTotals[field] -= doc.fields[field].length;
+      for (const token of doc.fields[field]) {
+        const docs = this.postings.get(token.term);
+        if (!docs) continue;
+        docs.delete(id);
+        if (docs.size === 0) {
+          this.postings.delete(token.term);
+        }
+      }
+    }
+
+    this.documents.delete(id);
+  }
+
+  /**
+   * Parse a query string into clauses
+   * Supported syntax: words, "quoted phrases", prefix*, title:word,
+   * title:"a phrase", tag:name and project:name
+   * @param {string} query - Raw query
+   * @returns {Object} { clauses: Array, tags: Array<string>, projects: Array<string> }
+   */
+  parseQuery(query) {
+    const parsed = { clauses: [], tags: [], projects: [] };
+    const partRegex = /(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+
+    for (const match of (query || '').matchAll(partRegex)) {
+      const field = match[1] ? match[1].toLowerCase() : null;
+      const value = match[2] !== undefined ? match[2] : match[3];
+      const isPhrase = match[2] !== undefined;
+
+      if (field === 'tag') {
+        if (value) parsed.tags.push(value.replace(/^#/, '').toLowerCase());
+        continue;
+      }
+      if (field === 'project') {
+        if (value) parsed.projects.push(value.toLowerCase());
+        continue;
+      }
+
+      // Unknown field prefixes are searched as plain text
+      const targetField = field === 'title' ? 'title' : null;
+      const text = field && field !== 'title' ? match[0] : value;
+      const prefix = !isPhrase && /\*$/.test(text);
+      const terms = this.tokenize(text).map(token => token.term);
+      if (terms.length === 0) continue;
+
+      if (isPhrase && terms.length > 1) {
+        parsed.clauses.push({ field: targetField, terms, phrase: true, prefix: false });
+      } else {
+        // Unquoted input like "foo-bar" splits into several required terms
+        terms.forEach((term, i) => {
+          parsed.clauses.push({
+            field: targetField,
+            terms: [term],
+            phrase: false,
+            prefix: prefix && i === terms.length - 1,
+          });
+        });
+      }
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Expand a clause term into the indexed terms it matches
+   * @param {string} term - Query term
+   * @param {boolean} prefix - Whether to match as prefix
+   * @returns {Array<string>} Matching index terms
+   */
+  expandTerm(term, prefix) {
+    if (!prefix) {
+      return this.postings.has(term) ? [term] : [];
+    }
+    const matches = [];
+    for (const indexed of this.postings.keys()) {
+      if (indexed.startsWith(term)) {
+        matches.push(indexed);
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * BM25 score of a term for one document field
+   * @param {string} term - Indexed term
+   * @param {Object} doc - Indexed document
+   * @param {string} field - 'title' or 'content'
+   * @param {number} frequency - Term frequency in the field
+   * @returns {number} Score
+   */
+  scoreTerm(term, doc, field, frequency) {
+    if (frequency === 0) return 0;
+    const totalDocs = this.documents.size;
+    const docFrequency = this.postings.get(term)?.size || 0;
+    const idf = Math.log(1 + (totalDocs - docFrequency + 0.5) / (docFrequency + 0.5));
+    const averageLength = this.fieldLengthTotals[field] / Math.max(totalDocs, 1) || 1;
+    const length = doc.fields[field].length;
+    const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * (length / averageLength));
+    return FIELD_WEIGHTS[field] * idf * ((frequency * (BM25_K1 + 1)) / norm);
+  }
+
+  /**
+   * Match a single clause against a document
+   * @param {Object} clause - Parsed clause
+   * @param {Object} doc - Indexed document
+   * @returns {{score: number, ranges: Object}|null} Score and matched token ranges per field
+   */
+  matchClause(clause, doc) {
+    const fields = clause.field ? [clause.field] : Object.keys(FIELD_WEIGHTS);
+    const ranges = { title: [], content: [] };
+    let score = 0;
+
+    if (clause.phrase) {
+      for (const field of fields) {
+        const tokens = doc.fields[field];
+        const length = clause.terms.length;
+        let occurrences = 0;
+        for (let i = 0; i + length <= tokens.length; i++) {
+          if (clause.terms.every((term, j) => tokens[i + j].term === term)) {
+            occurrences++;
+            ranges[field].push([tokens[i].start, tokens[i + length - 1].end]);
+          }
+        }
+        if (occurrences > 0) {
+          for (const term of clause.terms) {
+            score += PHRASE_BOOST * this.scoreTerm(term, doc, field, occurrences);
+          }
+        }
+      }
+      return score > 0 ? { score, ranges } : null;
+    }
+
+    for (const term of this.expandTerm(clause.terms[0], clause.prefix)) {
+      const posting = this.postings.get(term).get(doc.id);
+      if (!posting) continue;
+      for (const field of fields) {
+        const positions = posting[field];
+        if (positions.length === 0) continue;
+        score += this.scoreTerm(term, doc, field, positions.length);
+        for (const position of positions) {
+          const token = doc.fields[field][position];
+          ranges[field].push([token.start, token.end]);
+        }
+      }
+    }
+
+    return score > 0 ? { score, ranges } : null;
+  }
+
+  /**
+   * Check whether a document passes the tag and project filters
+   * @param {Object} doc - Indexed document
+   * @param {Object} parsed - Parsed query
+   * @param {Object} options - Search options
+   * @returns {boolean}
+   */
+  passesFilters(doc, parsed, options) {
+    if (options.projectId && doc.projectId !== options.projectId) {
+      return false;
+    }
+
+    if (!parsed.tags.every(tag => doc.tags.includes(tag))) {
+      return false;
+    }
+
+    if (parsed.projects.length > 0) {
+      const project = (options.projects || []).find(p => p.id === doc.projectId);
+      const candidates = [doc.projectId, project?.name, project?.folder]
+        .filter(Boolean)
+        .map(value => value.toLowerCase());
+      if (!parsed.projects.every(value => candidates.includes(value))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Merge overlapping ranges and sort them
+   * @param {Array<Array<number>>} ranges - [start, end] pairs
+   * @returns {Array<Array<number>>} Merged ranges
+   */
+  mergeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const range of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Cut a snippet around the first content match and shift highlight ranges
+   * @param {string} content - Note content
+   * @param {Array<Array<number>>} ranges - Merged content match ranges
+   * @returns {{snippet: string, highlights: Array<{start: number, end: number}>}}
+   */
+  buildSnippet(content, ranges) {
+    if (ranges.length === 0) {
+      const snippet = content.length > SNIPPET_LENGTH
+        ? content.substring(0, SNIPPET_LENGTH) + '...'
+        : content;
+      return { snippet, highlights: [] };
+    }
+
+    let start = Math.max(0, ranges[0][0] - Math.floor(SNIPPET_LENGTH / 4));
+    // Don't start in the middle of a word
+    if (start > 0) {
+      const space = content.lastIndexOf(' ', start);
+      start = space === -1 ? 0 : space + 1;
+    }
+    const end = Math.min(content.length, start + SNIPPET_LENGTH);
+
+    const prefix = start > 0 ? '...' : '';
+    const suffix = end < content.length ? '...' : '';
+    const snippet = prefix + content.substring(start, end) + suffix;
+
+    const highlights = ranges
+      .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+      .map(([rangeStart, rangeEnd]) => ({
+        start: rangeStart - start + prefix.length,
+        end: rangeEnd - start + prefix.length,
+      }));
+
+    return { snippet, highlights };
+  }
+
+  /**
+   * Search notes
+   * @param {string} query - Query string
+   * @param {Object} [options] - { projectId?, projects?, limit? }
+   * @returns {Promise<Array>} Ranked results with highlight ranges
+   */
+  async search(query, options = {}) {
+    await this.ensureBuilt();
+
+    const parsed = this.parseQuery(query);
+    if (parsed.clauses.length === 0 && parsed.tags.length === 0 && parsed.projects.length === 0) {
+      return [];
+    }
+
+    const results = [];
+
+    for (const doc of this.documents.values()) {
+      if (!this.passesFilters(doc, parsed, options)) continue;
+
+      let score = 0;
+      const ranges = { title: [], content: [] };
+      let matchesAll = true;
+
+      for (const clause of parsed.clauses) {
+        const match = this.matchClause(clause, doc);
+        if (!match) {
+          matchesAll = false;
+          break;
+        }
+        score += match.score;
+        ranges.title.push(...match.ranges.title);
+        ranges.content.push(...match.ranges.content);
+      }
+
+      if (!matchesAll) continue;
+
+      const { snippet, highlights } = this.buildSnippet(doc.content, this.mergeRanges(ranges.content));
+
+      results.push({
+        id: doc.id,
+        title: doc.title,
+        projectId: doc.projectId,
+        tags: doc.tags,
+        modifiedAt: doc.modifiedAt,
+        relevance: Math.round(score * 1000) / 1000,
+        titleHighlights: this.mergeRanges(ranges.title).map(([start, end]) => ({ start, end })),
+        snippet,
+        highlights,
+      });
+    }
+
+    // Highest score first, most recently modified on ties
+    results.sort((a, b) => b.relevance - a.relevance || (b.modifiedAt || '').localeCompare(a.modifiedAt || ''));
+
+    return results.slice(0, options.limit || DEFAULT_LIMIT);
+  }
+}
+
+// Export singleton instance
+export const noteSearchService = new NoteSearchService();
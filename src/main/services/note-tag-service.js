@@ -0,0 +1,112 @@
+/**
+ * Note Tag Service
+ * Tag helpers shared by the note index, search and the notes API.
+ * A note's tags are the `tags` from its frontmatter plus inline #tags
+ * written in the body (outside code). Tags are compared lowercase.
+ */
+
+// #tag at the start of a line or after whitespace, commas or semicolons; needs at least one letter
+const INLINE_TAG_REGEX = /(?:^|[\s,;])#([\p{L}\p{N}_/-]*\p{L}[\p{L}\p{N}_/-]*)/gu;
+const VALID_TAG_REGEX = /^[\p{L}\p{N}_/-]+$/u;
+const FENCED_CODE_REGEX = /^(```|~~~)[^\n]*\n[\s\S]*?(?:^\1[^\n]*$|(?![\s\S]))/gm;
+const INLINE_CODE_REGEX = /`[^`\n]*`/g;
+
+class NoteTagService {
+  /**
+   * Find inline #tags in a note body, ignoring code blocks and inline code
+   * @param {string} content - Markdown content
+   * @returns {Array<string>} Unique lowercase tags in order of appearance
+   */
+  extractInlineTags(content) {
+    if (!content) return [];
+
+    const text = content
+      .replace(FENCED_CODE_REGEX, '')
+      .replace(INLINE_CODE_REGEX, '');
+
+    const tags = new Set();
+    for (const match of text.matchAll(INLINE_TAG_REGEX)) {
+      // Trailing slashes and dashes are punctuation, not part of the tag
+      const tag = match[1].replace(/[/-]+$/, '').toLowerCase();
+      if (tag) tags.add(tag);
+    }
+    return [...tags];
+  }
+
+  /**
+   * Clean up user-entered tags
+   * @param {Array<string>} tags - Tags as entered, optionally with a leading #
+   * @returns {Array<string>} Unique lowercase tags
+   * @throws {Error} VALIDATION_ERROR when a tag contains invalid characters
+   */
+  normalizeTags(tags) {
+    if (!Array.isArray(tags)) {
+      throw new Error('VALIDATION_ERROR: Tags must be an array');
+    }
+
+    const normalized = new Set();
+    for (const raw of tags) {
+      const tag = String(raw).trim().replace(/^#/, '').toLowerCase();
+      if (!tag) continue;
+      if (!VALID_TAG_REGEX.test(tag)) {
+        throw new Error(`VALIDATION_ERROR: Invalid tag "${tag}"`);
+      }
+      normalized.add(tag);
+    }
+    return [...normalized];
+  }
+
+  /**
+   * All tags of a note: frontmatter tags and inline tags
+   * @param {Object} note - Note with `tags` and either `content` or `inlineTags`
+   * @returns {Array<string>} Unique lowercase tags
+   */
+  getNoteTags(note) {
+    const inlineTags = typeof note.content === 'string'
+      ? this.extractInlineTags(note.content)
+      : note.inlineTags || [];
+
+    return [...new Set([
+      ...(note.tags || []).map(tag => String(tag).toLowerCase()),
+      ...inlineTags,
+    ])];
+  }
+
+  /**
+   * Check whether a note carries the given tags
+   * @param {Object} note - Note metadata
+   * @param {Array<string>} tags - Tags to look for
+   * @param {string} [mode] - 'and' requires all tags, 'or' any of them
+   * @returns {boolean}
+   */
+  matchesTags(note, tags, mode = 'and') {
+    if (!tags || tags.length === 0) return true;
+
+    const noteTags = this.getNoteTags(note);
+    const wanted = tags.map(tag => String(tag).replace(/^#/, '').toLowerCase());
+    return mode === 'or'
+      ? wanted.some(tag => noteTags.includes(tag))
+      : wanted.every(tag => noteTags.includes(tag));
+  }
+
+  /**
+   * Count how many notes use each tag
+   * @param {Array<Object>} notes - Note metadata
+   * @returns {Array<{tag: string, count: number}>} Most used first, then alphabetical
+   */
+  countTags(notes) {
+    const counts = new Map();
+    for (const note of notes) {
+      for (const tag of this.getNoteTags(note)) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+
+    return [...counts]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+}
+
+// Export singleton instance
+export const noteTagService = new NoteTagService();
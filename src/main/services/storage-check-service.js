@@ -0,0 +1,351 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { JOURNAL_FOLDER } from '../../shared/constants.js';
+import { fileService } from './file-service.js';
+import { noteIndexService } from './note-index-service.js';
+import { trashService } from './trash-service.js';
+
+/**
+ * Storage Check Service
+ * Finds inconsistencies in the storage folder that the rest of the app skips
+ * over: unreadable files, links to deleted projects, duplicate note IDs and
+ * notes outside the folder of their project. Every issue comes with a
+ * suggested fix that can be applied later by its ID.
+ */
+
+/**
+ * Check whether a path exists
+ * @param {string} targetPath - Absolute path
+ * @returns {Promise<boolean>}
+ */
+async function exists(targetPath) {
+  try {
+    await fs.access(targetPath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+class StorageCheckService {
+  /**
+   * Path relative to the storage root with forward slashes, for display
+   * @param {string} filePath - Absolute path
+   * @returns {string} Relative path
+   */
+  toRelativePath(filePath) {
+    return path.relative(fileService.storageRoot, filePath).split(path.sep).join('/');
+  }
+
+  /**
+   * Check the storage folder
+   * @returns {Promise<Object>} { checkedAt, issues: Array<{ id, type, title, message, fix }> }
+   */
+  async check() {
+    const issues = await this.findIssues();
+    return {
+      checkedAt: new Date().toISOString(),
+      issues: issues.map(({ id, type, title, message, fix }) => ({ id, type, title, message, fix })),
+    };
+  }
+
+  /**
+   * Apply the suggested fixes of issues found by a fresh check
+   * @param {Array<string>} ids - Issue IDs from check()
+   * @returns {Promise<Object>} { fixed: Array<string>, failed: Array<{ id, error }> }
+   */
+  async repair(ids) {
+    const issues = await this.findIssues();
+    const fixed = [];
+    const failed = [];
+    let notesChanged = false;
+
+    // Apply in check order: notes are repaired before they are moved
+    for (const issue of issues.filter(item => ids.includes(item.id))) {
+      try {
+        await issue.repair();
+        fixed.push(issue.id);
+        notesChanged ||= issue.changesNotes;
+      } catch (error) {
+        failed.push({ id: issue.id, error: error.message });
+      }
+    }
+
+    // Issues that were fixed in the meantime or never existed
+    for (const id of ids) {
+      if (!issues.some(issue => issue.id === id)) {
+        failed.push({ id, error: 'ISSUE_NOT_FOUND' });
+      }
+    }
+
+    if (notesChanged) {
+      await noteIndexService.initialize(fileService.storageRoot);
+      await noteIndexService.reconcile();
+    }
+
+    return { fixed, failed };
+  }
+
+  /**
+   * Run all checks
+   * @returns {Promise<Array<Object>>} Issues with a repair() function
+   */
+  async findIssues() {
+    if (!fileService.storageRoot) {
+      throw new Error('STORAGE_NOT_CONFIGURED');
+    }
+
+    const projects = (await fileService.readJSON('projects.json'))?.projects || [];
+    const projectsById = new Map(projects.map(project => [project.id, project]));
+
+    return [
+      ...(await this.checkSnippets()),
+      ...(await this.checkNotes(projectsById)),
+      ...(await this.checkTodos(projectsById)),
+      ...(await this.checkMilestones(projectsById)),
+    ];
+  }
+
+  /**
+   * Find snippet files that can't be read, even from their backup
+   * @returns {Promise<Array<Object>>} Issues
+   */
+  async checkSnippets() {
+    const snippetsDir = path.join(fileService.storageRoot, 'snippets');
+    await fileService.ensureDirectoryExists(snippetsDir);
+    const issues = [];
+
+    for (const file of await fs.readdir(snippetsDir)) {
+      if (!file.endsWith('.json')) continue;
+
+      const filePath = path.join(snippetsDir, file);
+      let problem = null;
+      try {
+        const snippet = await fileService.getSnippetByFile(filePath);
+        if (!snippet || typeof snippet !== 'object' || typeof snippet.id !== 'string') {
+          problem = 'is not a snippet';
+        }
+      } catch (error) {
+        problem = error instanceof SyntaxError ? 'is not valid JSON' : `can't be read (${error.message})`;
+      }
+      if (!problem) continue;
+
+      const relativePath = this.toRelativePath(filePath);
+      issues.push({
+        id: `corrupt-snippet:${relativePath}`,
+        type: 'corrupt-snippet',
+        title: relativePath,
+        message: `The snippet file ${problem} and is left out of the snippet list`,
+        fix: 'Move the file to the trash',
+        changesNotes: false,
+        repair: async () => {
+          trashService.initialize(fileService.storageRoot);
+          await trashService.add('snippet', { itemId: path.basename(file, '.json'), title: file, files: [filePath] });
+          await fileService.removeBackup(filePath);
+        },
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Find unreadable notes, duplicate IDs and notes outside their project's folder
+   * @param {Map<string, Object>} projectsById - Existing projects
+   * @returns {Promise<Array<Object>>} Issues
+   */
+  async checkNotes(projectsById) {
+    const notesDir = path.join(fileService.storageRoot, 'notes');
+    await fileService.ensureDirectoryExists(notesDir);
+    const projectsByFolder = new Map([...projectsById.values()].map(project => [project.folder, project]));
+    const files = (await fileService.readDirectoryRecursive(notesDir))
+      .filter(file => path.extname(file) === '.md')
+      .sort();
+
+    // First folder below notes/, '' for notes at the top level
+    const folderOf = (filePath) => {
+      const parts = path.relative(notesDir, filePath).split(path.sep);
+      return parts.length > 1 ? parts[0] : '';
+    };
+
+    const issues = [];
+    const notes = [];
+
+    for (const filePath of files) {
+      try {
+        notes.push(await fileService.readNote(filePath));
+      } catch (error) {
+        const relativePath = this.toRelativePath(filePath);
+        issues.push({
+          id: `unreadable-note:${relativePath}`,
+          type: 'unreadable-note',
+          title: relativePath,
+          message: `The note can't be read (${error.message}), usually because of broken frontmatter`,
+          fix: 'Keep the whole text as the note body and give the note new frontmatter',
+          changesNotes: true,
+          repair: async () => {
+            const text = await fs.readFile(filePath, 'utf-8');
+            const now = new Date().toISOString();
+            await fileService.writeNote(filePath, {
+              id: fileService.generateId(),
+              title: path.basename(filePath, '.md'),
+              createdAt: now,
+              modifiedAt: now,
+              projectId: projectsByFolder.get(folderOf(filePath))?.id || null,
+              tags: [],
+              content: text,
+            });
+          },
+        });
+      }
+    }
+
+    // Duplicate IDs: the oldest note keeps its ID
+    const notesById = new Map();
+    for (const note of notes.filter(item => item.id)) {
+      notesById.set(note.id, [...(notesById.get(note.id) || []), note]);
+    }
+    for (const [id, duplicates] of notesById) {
+      if (duplicates.length < 2) continue;
+
+      const [original, ...copies] = [...duplicates].sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+      for (const note of copies) {
+        const relativePath = this.toRelativePath(note.filePath);
+        issues.push({
+          id: `duplicate-note-id:${relativePath}`,
+          type: 'duplicate-note-id',
+          title: relativePath,
+          message: `Has the same ID (${id}) as ${this.toRelativePath(original.filePath)}; only one of them shows up in the app`,
+          fix: 'Give this note a new ID',
+          changesNotes: true,
+          repair: async () => {
+            const current = await fileService.readNote(note.filePath);
+            await fileService.writeNote(note.filePath, { ...current, id: fileService.generateId() });
+          },
+        });
+      }
+    }
+
+    for (const note of notes) {
+      const relativePath = this.toRelativePath(note.filePath);
+      const folder = folderOf(note.filePath);
+
+      if (note.projectId && !projectsById.has(note.projectId)) {
+        issues.push({
+          id: `orphan-note:${relativePath}`,
+          type: 'orphan-note',
+          title: note.title || relativePath,
+          message: `Links to a project that no longer exists (${note.projectId})`,
+          fix: 'Remove the project link',
+          changesNotes: true,
+          repair: async () => {
+            const current = await fileService.readNote(note.filePath);
+            await fileService.writeNote(note.filePath, { ...current, projectId: null });
+          },
+        });
+        continue;
+      }
+
+      const project = projectsById.get(note.projectId);
+      const expectedFolder = project ? project.folder : '';
+      // Notes without a project may live in any folder that isn't a project's, and in the journal
+      if (folder === expectedFolder || (!project && (!projectsByFolder.has(folder) || folder === JOURNAL_FOLDER))) continue;
+
+      issues.push({
+        id: `note-folder-mismatch:${relativePath}`,
+        type: 'note-folder-mismatch',
+        title: note.title || relativePath,
+        message: project
+          ? `Belongs to project "${project.name}" but is stored in ${folder ? `notes/${folder}` : 'notes'}`
+          : `Has no project but is stored in the folder of project "${projectsByFolder.get(folder).name}"`,
+        fix: `Move the note to ${expectedFolder ? `notes/${expectedFolder}` : 'notes'}`,
+        changesNotes: true,
+        repair: () => this.moveNote(note, path.join(notesDir, expectedFolder)),
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Move a note into another folder, copying the attachments it links to
+   * @param {Object} note - Note as read by fileService.readNote
+   * @param {string} targetDir - Absolute folder to move into
+   */
+  async moveNote(note, targetDir) {
+    const targetPath = path.join(targetDir, path.basename(note.filePath));
+    if (await exists(targetPath)) {
+      throw new Error('DUPLICATE_TITLE');
+    }
+
+    const content = await fileService.copyNoteAttachments(note.content, note.filePath, targetPath);
+    await fs.mkdir(targetDir, { recursive: true });
+    if (content === note.content) {
+      await fs.rename(note.filePath, targetPath);
+    } else {
+      // Links to attachments copied under another name were rewritten
+      await fileService.writeNote(targetPath, { ...note, content });
+      await fs.rm(note.filePath);
+    }
+  }
+
+  /**
+   * Find todos linked to deleted projects
+   * @param {Map<string, Object>} projectsById - Existing projects
+   * @returns {Promise<Array<Object>>} Issues
+   */
+  async checkTodos(projectsById) {
+    const todos = (await fileService.readJSON('todos.json'))?.todos || [];
+
+    return todos
+      .filter(todo => todo.projectId && !projectsById.has(todo.projectId))
+      .map(todo => ({
+        id: `orphan-todo:${todo.id}`,
+        type: 'orphan-todo',
+        title: todo.title,
+        message: `Links to a project that no longer exists (${todo.projectId})`,
+        fix: 'Remove the project link',
+        changesNotes: false,
+        repair: () => fileService.updateJSON('todos.json', { todos: [] }, (data) => {
+          const current = data.todos.find(item => item.id === todo.id);
+          if (!current) {
+            throw new Error('TODO_NOT_FOUND');
+          }
+          current.projectId = null;
+          current.modifiedAt = new Date().toISOString();
+        }),
+      }));
+  }
+
+  /**
+   * Find milestones whose project is missing
+   * @param {Map<string, Object>} projectsById - Existing projects
+   * @returns {Promise<Array<Object>>} Issues
+   */
+  async checkMilestones(projectsById) {
+    const milestones = (await fileService.readJSON('milestones.json'))?.milestones || [];
+
+    return milestones
+      .filter(milestone => !projectsById.has(milestone.projectId))
+      .map(milestone => ({
+        id: `orphan-milestone:${milestone.id}`,
+        type: 'orphan-milestone',
+        title: milestone.title,
+        message: milestone.projectId
+          ? `Belongs to a project that no longer exists (${milestone.projectId}) and shows up in no roadmap`
+          : 'Has no project and shows up in no roadmap',
+        fix: 'Delete the milestone',
+        changesNotes: false,
+        repair: () => fileService.updateJSON('milestones.json', { milestones: [] }, (data) => {
+          const index = data.milestones.findIndex(item => item.id === milestone.id);
+          if (index === -1) {
+            throw new Error('MILESTONE_NOT_FOUND');
+          }
+          data.milestones.splice(index, 1);
+        }),
+      }));
+  }
+}
+
+// Export singleton instance
+export const storageCheckService = new StorageCheckService();
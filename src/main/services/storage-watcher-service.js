@@ -0,0 +1,218 @@
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { fileService } from './file-service.js';
+import { noteIndexService } from './note-index-service.js';
+
+/**
+ * Storage Watcher Service
+ * Watches notes/, snippets/ and the JSON stores in .knowledgebase/ for changes
+ * made by other programs (editors, sync clients, git) and reports them in
+ * batches. Files that still hold what the app itself last wrote are ignored.
+ * Events: { type: 'notes', changed, removed } | { type: 'snippets', files } | { type: 'data', files }
+ */
+
+const DEBOUNCE_MS = 300;
+// Written on every note save and only meaningful to the main process
+const IGNORED_DATA_FILES = new Set(['notes-index.json']);
+
+class StorageWatcherService {
+  constructor() {
+    this.storageRoot = null;
+    this.watchers = [];
+    this.listeners = new Set();
+    this.timer = null;
+    this.processing = Promise.resolve();
+    this.resetPending();
+  }
+
+  /**
+   * Subscribe to storage changes
+   * @param {Function} listener - Change listener
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify all listeners about a storage change
+   * @param {Object} event - Change event
+   */
+  emit(event) {
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Storage watcher listener failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Start watching a storage location, replacing any previous watch
+   * @param {string} storagePath - Absolute path to storage root
+   */
+  start(storagePath) {
+    this.stop();
+    this.storageRoot = storagePath;
+
+    this.watch(path.join(storagePath, 'notes'), { recursive: true }, (filename) => {
+      // Folder events (project renames) carry no extension, reconcile catches those too
+      if (!filename || path.extname(filename) === '.md' || !path.extname(filename)) {
+        this.pending.notes = true;
+        this.schedule();
+      }
+    });
+
+    this.watch(path.join(storagePath, 'snippets'), {}, (filename) => {
+      if (filename && path.extname(filename) === '.json') {
+        this.pending.snippets.add(filename);
+        this.schedule();
+      }
+    });
+
+    this.watch(path.join(storagePath, '.knowledgebase'), {}, (filename) => {
+      if (filename && path.extname(filename) === '.json' && !IGNORED_DATA_FILES.has(filename)) {
+        this.pending.data.add(filename);
+        this.schedule();
+      }
+    });
+  }
+
+  /**
+   * Stop watching and drop pending changes
+   */
+  stop() {
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.storageRoot = null;
+    this.resetPending();
+  }
+
+  /**
+   * Watch a folder, logging instead of failing when it can't be watched
+   * @param {string} dirPath - Folder to watch
+   * @param {Object} options - fs.watch options
+   * @param {Function} onEvent - Called with the changed filename (may be null)
+   */
+  watch(dirPath, options, onEvent) {
+    try {
+      const watcher = fs.watch(dirPath, options, (_eventType, filename) => {
+        onEvent(filename ? filename.toString() : null);
+      });
+      watcher.on('error', (error) => console.error(`Error watching ${dirPath}:`, error));
+      this.watchers.push(watcher);
+    } catch (error) {
+      console.error(`Could not watch ${dirPath}:`, error);
+    }
+  }
+
+  /**
+   * Start a new empty batch of pending changes
+   */
+  resetPending() {
+    this.pending = { notes: false, snippets: new Set(), data: new Set() };
+  }
+
+  /**
+   * Process pending changes once events have settled
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, DEBOUNCE_MS);
+  }
+
+  /**
+   * Process the pending batch after any batch still being processed
+   * @returns {Promise<void>}
+   */
+  flush() {
+    const batch = this.pending;
+    const storageRoot = this.storageRoot;
+    this.resetPending();
+
+    this.processing = this.processing
+      .then(() => this.processBatch(batch, storageRoot))
+      .catch((error) => console.error('Error processing storage changes:', error));
+
+    return this.processing;
+  }
+
+  /**
+   * Turn a batch of raw watch events into change events
+   * @param {Object} batch - { notes: boolean, snippets: Set, data: Set }
+   * @param {string} storageRoot - Storage root the events belong to
+   */
+  async processBatch(batch, storageRoot) {
+    if (!storageRoot || storageRoot !== this.storageRoot) return;
+
+    if (batch.notes) {
+      await noteIndexService.initialize(storageRoot);
+      const { changed, removed } = await noteIndexService.reconcile();
+
+      const external = [];
+      for (const id of changed) {
+        const note = noteIndexService.get(id);
+        if (note && await this.isExternalChange(note.filePath)) {
+          external.push(id);
+        }
+      }
+
+      if (external.length > 0 || removed.length > 0) {
+        this.emit({ type: 'notes', changed: external, removed });
+      }
+    }
+
+    const snippets = await this.filterExternal(path.join(storageRoot, 'snippets'), batch.snippets);
+    if (snippets.length > 0) {
+      this.emit({ type: 'snippets', files: snippets });
+    }
+
+    const data = await this.filterExternal(path.join(storageRoot, '.knowledgebase'), batch.data);
+    if (data.length > 0) {
+      this.emit({ type: 'data', files: data });
+    }
+  }
+
+  /**
+   * Keep only the files of a folder that were changed by someone else
+   * @param {string} dirPath - Folder of the files
+   * @param {Set<string>} filenames - Changed filenames
+   * @returns {Promise<Array<string>>} Externally changed filenames
+   */
+  async filterExternal(dirPath, filenames) {
+    const external = [];
+    for (const filename of filenames) {
+      if (await this.isExternalChange(path.join(dirPath, filename))) {
+        external.push(filename);
+      }
+    }
+    return external;
+  }
+
+  /**
+   * Check whether a file differs from what the app last wrote to it
+   * @param {string} filePath - Absolute file path
+   * @returns {Promise<boolean>} True for external changes and deletions
+   */
+  async isExternalChange(filePath) {
+    try {
+      const content = await fsp.readFile(filePath, 'utf-8');
+      return !fileService.isOwnWrite(filePath, content);
+    } catch (error) {
+      return error.code === 'ENOENT';
+    }
+  }
+}
+
+// Export singleton instance
+export const storageWatcherService = new StorageWatcherService();
@@ -0,0 +1,284 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileService } from './file-service.js';
+
+/**
+ * Template Service
+ * Note templates are markdown files in <storage>/templates. Optional frontmatter
+ * sets a display name, a description, a title pattern and tags for new notes.
+ * {{date}}, {{time}}, {{title}} and {{project}} are filled in automatically,
+ * any other {{field}} is asked for when a note is created from the template.
+ * {{todos}} is only filled in for journal notes, see journal-service.js.
+ */
+
+const TEMPLATES_FOLDER = 'templates';
+const BUILTIN_VARIABLES = new Set(['date', 'time', 'title', 'project', 'todos']);
+const VARIABLE_REGEX = /\{\{\s*([\p{L}\p{N}_-]+)\s*\}\}/gu;
+const TEMPLATE_ID_REGEX = /^[\p{L}\p{N}_ .-]+$/u;
+
+// Written when the templates folder doesn't exist yet; users may edit or delete them
+const DEFAULT_TEMPLATES = {
+  'meeting-notes.md': `---
+name: Meeting Notes
+description: Agenda, notes and action items of a meeting
+title: "Meeting {{date}}"
+tags: [meeting]
+---
+# {{title}}
+
+- **Date:** {{date}} {{time}}
+- **Project:** {{project}}
+- **Attendees:** {{attendees}}
+
+## Agenda
+
+-
+
+## Notes
+
+## Action Items
+
+- [ ]
+`,
+  'adr.md': `---
+name: Architecture Decision Record
+description: Context, decision and consequences of an architecture decision
+title: "ADR - {{decision}}"
+tags: [adr]
+---
+# {{title}}
+
+- **Status:** {{status}}
+- **Date:** {{date}}
+- **Project:** {{project}}
+
+## Context
+
+## Decision
+
+{{decision}}
+
+## Consequences
+`,
+  'incident-report.md': `---
+name: Incident Report
+description: What happened, its impact, root cause and follow-ups
+title: "Incident {{date}} - {{summary}}"
+tags: [incident]
+---
+# {{title}}
+
+- **Severity:** {{severity}}
+- **Detected:** {{date}} {{time}}
+- **Project:** {{project}}
+
+## Summary
+
+{{summary}}
+
+## Timeline
+
+- {{time}}
+
+## Root Cause
+
+## Resolution
+
+## Follow-up Actions
+
+- [ ]
+`,
+  'daily-journal.md': `---
+name: Daily Journal
+description: Journal entry of a day with its daily todos
+tags: [journal]
+---
+# {{date}}
+
+## Daily Todos
+
+{{todos}}
+
+## Notes
+
+## Highlights
+`,
+};
+
+class TemplateService {
+  constructor() {
+    this.storageRoot = null;
+    this.templatesPath = null;
+  }
+
+  /**
+   * Initialize the service with storage location
+   * @param {string} storagePath - Absolute path to storage root
+   */
+  initialize(storagePath) {
+    this.storageRoot = storagePath;
+    this.templatesPath = path.join(storagePath, TEMPLATES_FOLDER);
+  }
+
+  /**
+   * Create the templates folder with the default templates if it is missing
+   * @returns {Promise<string>} Absolute path of the templates folder
+   */
+  async ensureTemplatesFolder() {
+    if (!this.templatesPath) {
+      throw new Error('STORAGE_NOT_CONFIGURED');
+    }
+
+    try {
+      await fs.access(this.templatesPath);
+    } catch {
+      await fs.mkdir(this.templatesPath, { recursive: true });
+      for (const [fileName, content] of Object.entries(DEFAULT_TEMPLATES)) {
+        await fs.writeFile(path.join(this.templatesPath, fileName), content, 'utf-8');
+      }
+    }
+    return this.templatesPath;
+  }
+
+  /**
+   * List all templates
+   * @returns {Promise<Array<Object>>} Templates sorted by name
+   */
+  async list() {
+    await this.ensureTemplatesFolder();
+    const files = await fs.readdir(this.templatesPath);
+    const templates = [];
+
+    for (const file of files) {
+      if (path.extname(file) !== '.md') continue;
+      try {
+        const raw = await fs.readFile(path.join(this.templatesPath, file), 'utf-8');
+        templates.push(this.parseTemplate(path.basename(file, '.md'), raw));
+      } catch (error) {
+        console.error(`Error reading template ${file}:`, error);
+      }
+    }
+
+    return templates.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a template by ID
+   * @param {string} id - Template ID (file name without .md)
+   * @returns {Promise<Object>} Template
+   * @throws {Error} TEMPLATE_NOT_FOUND
+   */
+  async get(id) {
+    if (!this.templatesPath) {
+      throw new Error('STORAGE_NOT_CONFIGURED');
+    }
+    if (typeof id !== 'string' || !TEMPLATE_ID_REGEX.test(id) || id.startsWith('.')) {
+      throw new Error('TEMPLATE_NOT_FOUND');
+    }
+
+    try {
+      const raw = await fs.readFile(path.join(this.templatesPath, `${id}.md`), 'utf-8');
+      return this.parseTemplate(id, raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('TEMPLATE_NOT_FOUND');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get one of the default templates, for when the user deleted it or the
+   * templates folder predates it
+   * @param {string} id - Template ID
+   * @returns {Object} Template
+   * @throws {Error} TEMPLATE_NOT_FOUND
+   */
+  getDefault(id) {
+    const raw = DEFAULT_TEMPLATES[`${id}.md`];
+    if (!raw) {
+      throw new Error('TEMPLATE_NOT_FOUND');
+    }
+    return this.parseTemplate(id, raw);
+  }
+
+  /**
+   * Parse a template file
+   * @param {string} id - Template ID
+   * @param {string} raw - File content
+   * @returns {Object} { id, name, description, title, tags, content, fields }
+   */
+  parseTemplate(id, raw) {
+    const { frontmatter, body } = fileService.parseFrontmatter(raw);
+    const title = frontmatter.title ? String(frontmatter.title) : '';
+    const tags = Array.isArray(frontmatter.tags) ? frontmatter.tags.map(String) : [];
+
+    return {
+      id,
+      name: frontmatter.name ? String(frontmatter.name) : id,
+      description: frontmatter.description ? String(frontmatter.description) : '',
+      title,
+      tags,
+      content: body,
+      fields: this.extractFields(title, body),
+    };
+  }
+
+  /**
+   * Find the custom fields a template asks for
+   * @param {...string} texts - Title pattern and content
+   * @returns {Array<{name: string, label: string}>} Fields in order of appearance
+   */
+  extractFields(...texts) {
+    const names = new Set();
+    for (const text of texts) {
+      for (const match of text.matchAll(VARIABLE_REGEX)) {
+        if (!BUILTIN_VARIABLES.has(match[1])) {
+          names.add(match[1]);
+        }
+      }
+    }
+
+    return [...names].map(name => {
+      const label = name.replace(/[_-]+/g, ' ');
+      return { name, label: label.charAt(0).toUpperCase() + label.slice(1) };
+    });
+  }
+
+  /**
+   * Fill in a template
+   * @param {Object} template - Template from get()
+   * @param {Object} [context]
+   * @param {string} [context.title] - Note title; the template's title pattern is used when empty
+   * @param {string} [context.project] - Project name
+   * @param {Object} [context.values] - Custom field values by field name
+   * @param {Date} [context.now] - Time used for {{date}} and {{time}}
+   * @param {string} [context.todos] - Daily todos summary of a journal note
+   * @returns {{title: string, content: string, tags: Array<string>}}
+   */
+  render(template, { title = '', project = '', values = {}, now = new Date(), todos = '' } = {}) {
+    const pad = number => String(number).padStart(2, '0');
+    const variables = {
+      ...Object.fromEntries(Object.entries(values).map(([name, value]) => [name, String(value ?? '')])),
+      date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+      time: `${pad(now.getHours())}:${pad(now.getMinutes())}`,
+      project: project || '',
+      todos,
+      title: '',
+    };
+    const fill = text => text.replace(VARIABLE_REGEX, (_match, name) => (
+      Object.hasOwn(variables, name) ? variables[name] : ''
+    ));
+
+    variables.title = title.trim() || fill(template.title).trim();
+
+    return {
+      title: variables.title,
+      content: fill(template.content),
+      tags: [...template.tags],
+    };
+  }
+}
+
+// Export singleton instance
+export const templateService = new TemplateService();
@@ -0,0 +1,238 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { v4 as uuidv4 } from 'uuid';
+import { TRASH_DEFAULT_RETENTION_DAYS } from '../../shared/constants.js';
+
+/**
+ * Trash Service
+ * Soft-deletes notes, snippets, todos and projects into .knowledgebase/trash.
+ * Every trashed item gets its own folder holding a manifest.json with the
+ * original location and the moved files, so it can be restored or purged later.
+ */
+
+const MANIFEST_FILENAME = 'manifest.json';
+const FILES_FOLDER = 'files';
+
+class TrashService {
+  constructor() {
+    this.storageRoot = null;
+    this.trashPath = null;
+  }
+
+  /**
+   * Initialize the service with storage location
+   * @param {string} storagePath - Absolute path to storage root
+   */
+  initialize(storagePath) {
+    this.storageRoot = storagePath;
+    this.trashPath = path.join(storagePath, '.knowledgebase', 'trash');
+  }
+
+  /**
+   * Get the configured retention
+   * @param {Object} [preferences] - Config preferences
+   * @returns {number} Days to keep trashed items, 0 keeps them forever
+   */
+  getRetentionDays(preferences = {}) {
+    return preferences.trashRetentionDays ?? TRASH_DEFAULT_RETENTION_DAYS;
+  }
+
+  /**
+   * Get the folder of a trashed item
+   * @param {string} trashId - Trash item ID
+   * @returns {string} Folder path
+   */
+  getItemDir(trashId) {
+    if (!this.trashPath) {
+      throw new Error('STORAGE_NOT_CONFIGURED');
+    }
+    if (!/^[\w-]+$/.test(trashId || '')) {
+      throw new Error('TRASH_ITEM_NOT_FOUND');
+    }
+    return path.join(this.trashPath, trashId);
+  }
+
+  /**
+   * Move an item into the trash
+   * @param {string} type - 'note' | 'snippet' | 'todo' | 'project'
+   * @param {Object} item - { itemId, title, files?: Array<string> absolute paths to move, data?: Object }
+   * @returns {Promise<Object>} Trash manifest
+   */
+  async add(type, { itemId, title, files = [], data = {} }) {
+    const id = uuidv4();
+    const itemDir = this.getItemDir(id);
+    const filesDir = path.join(itemDir, FILES_FOLDER);
+    await fs.mkdir(filesDir, { recursive: true });
+
+    const manifest = {
+      id,
+      type,
+      itemId,
+      title,
+      deletedAt: new Date().toISOString(),
+      files: [],
+      data,
+    };
+
+    try {
+      for (const [index, filePath] of files.entries()) {
+        // Prefix with the index so equally named files don't collide
+        const name = `${index}-${path.basename(filePath)}`;
+        await fs.rename(filePath, path.join(filesDir, name));
+        manifest.files.push({
+          name,
+          originalPath: path.relative(this.storageRoot, filePath).split(path.sep).join('/'),
+        });
+      }
+
+      await fs.writeFile(path.join(itemDir, MANIFEST_FILENAME), JSON.stringify(manifest, null, 2), 'utf-8');
+    } catch (error) {
+      console.error('Moving item to trash failed:', error);
+      // Put back whatever was already moved
+      await this.moveFilesBack(itemDir, manifest.files).catch(() => {});
+      await fs.rm(itemDir, { recursive: true, force: true });
+      throw new Error('DELETE_ERROR');
+    }
+
+    return manifest;
+  }
+
+  /**
+   * List trashed items, most recently deleted first
+   * @returns {Promise<Array>} Trash manifests
+   */
+  async list() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.trashPath, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const items = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      try {
+        items.push(await this.get(entry.name));
+      } catch (error) {
+        console.error(`Error reading trash item ${entry.name}:`, error);
+      }
+    }
+
+    items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    return items;
+  }
+
+  /**
+   * Read the manifest of a trashed item
+   * @param {string} trashId - Trash item ID
+   * @returns {Promise<Object>} Trash manifest
+   */
+  async get(trashId) {
+    try {
+      const data = await fs.readFile(path.join(this.getItemDir(trashId), MANIFEST_FILENAME), 'utf-8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.message === 'TRASH_ITEM_NOT_FOUND') {
+        throw new Error('TRASH_ITEM_NOT_FOUND');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Move the files of a trashed item back to their original location and
+   * remove it from the trash. Nothing is moved if any destination is taken.
+   * @param {string} trashId - Trash item ID
+   * @returns {Promise<Object>} Manifest with absolute `restoredPaths`
+   */
+  async restore(trashId) {
+    const manifest = await this.get(trashId);
+    const itemDir = this.getItemDir(trashId);
+
+    for (const file of manifest.files) {
+      const destination = this.resolveOriginalPath(file.originalPath);
+      try {
+        await fs.access(destination);
+        throw new Error('RESTORE_CONFLICT');
+      } catch (error) {
+        if (error.message === 'RESTORE_CONFLICT') {
+          throw error;
+        }
+      }
+    }
+
+    await this.moveFilesBack(itemDir, manifest.files);
+    await fs.rm(itemDir, { recursive: true, force: true });
+
+    return {
+      ...manifest,
+      restoredPaths: manifest.files.map(file => this.resolveOriginalPath(file.originalPath)),
+    };
+  }
+
+  /**
+   * Move trashed files to their original paths
+   * @param {string} itemDir - Trash item folder
+   * @param {Array} files - Manifest file entries
+   */
+  async moveFilesBack(itemDir, files) {
+    for (const file of files) {
+      const destination = this.resolveOriginalPath(file.originalPath);
+      await fs.mkdir(path.dirname(destination), { recursive: true });
+      await fs.rename(path.join(itemDir, FILES_FOLDER, file.name), destination);
+    }
+  }
+
+  /**
+   * Resolve a stored original path, refusing paths outside the storage root
+   * @param {string} originalPath - Path relative to storage root
+   * @returns {string} Absolute path
+   */
+  resolveOriginalPath(originalPath) {
+    const resolved = path.resolve(this.storageRoot, originalPath);
+    if (!resolved.startsWith(path.resolve(this.storageRoot) + path.sep)) {
+      throw new Error('VALIDATION_ERROR: Invalid original path');
+    }
+    return resolved;
+  }
+
+  /**
+   * Permanently delete a trashed item
+   * @param {string} trashId - Trash item ID
+   * @returns {Promise<Object>} Manifest of the purged item
+   */
+  async purge(trashId) {
+    const manifest = await this.get(trashId);
+    await fs.rm(this.getItemDir(trashId), { recursive: true, force: true });
+    return manifest;
+  }
+
+  /**
+   * Permanently delete items that have been in the trash too long
+   * @param {number} [retentionDays] - Days to keep items, 0 keeps them forever
+   * @returns {Promise<Array>} Manifests of purged items
+   */
+  async purgeExpired(retentionDays = TRASH_DEFAULT_RETENTION_DAYS) {
+    if (!retentionDays || retentionDays <= 0) {
+      return [];
+    }
+
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const purged = [];
+
+    for (const item of await this.list()) {
+      if (item.deletedAt < cutoff) {
+        purged.push(await this.purge(item.id));
+      }
+    }
+
+    return purged;
+  }
+}
+
+// Export singleton instance
+export const trashService = new TrashService();
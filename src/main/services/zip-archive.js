@@ -0,0 +1,228 @@
+import fs from 'node:fs/promises';
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
+
+/**
+ * Zip Archive
+ * Minimal reader and writer for the zip format, enough for backups of the
+ * storage folder: deflated or stored entries, UTF-8 names, no zip64 (archives
+ * stay below 4 GB and 65535 entries).
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_NAMES = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+const MAX_SIZE = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+
+// Compression runs on the libuv thread pool, not on the main process' event loop
+const deflateRaw = promisify(zlib.deflateRaw);
+const inflateRaw = promisify(zlib.inflateRaw);
+
+/**
+ * Encode a date as MS-DOS time and date fields
+ * @param {Date} date - Local time, seconds are rounded down to even
+ * @returns {{ time: number, date: number }}
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Encode entries as a zip archive, handing each part to `write` in order.
+ * Only the central directory is kept until the end.
+ * @param {Iterable|AsyncIterable<Object>} entries - Files, see createZip
+ * @param {(part: Buffer) => Promise|void} write - Receives the archive bytes
+ * @returns {Promise<number>} Archive size in bytes
+ * @throws {Error} ARCHIVE_TOO_LARGE when the archive would need zip64
+ */
+async function encodeZip(entries, write) {
+  const centralParts = [];
+  let offset = 0;
+  let count = 0;
+
+  for await (const entry of entries) {
+    if (++count > MAX_ENTRIES) {
+      throw new Error('ARCHIVE_TOO_LARGE');
+    }
+
+    const name = Buffer.from(entry.name, 'utf-8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf-8');
+    const deflated = await deflateRaw(data);
+    // Already compressed files (images, gz) are stored as they are
+    const method = deflated.length < data.length ? DEFLATED : STORED;
+    const content = method === DEFLATED ? deflated : data;
+    const crc = zlib.crc32(data);
+    const { time, date } = toDosDateTime(entry.modifiedAt || new Date());
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_NAMES, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(content.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_NAMES, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(content.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    await write(local);
+    await write(name);
+    await write(content);
+    centralParts.push(central, name);
+    offset += local.length + name.length + content.length;
+    if (offset > MAX_SIZE) {
+      throw new Error('ARCHIVE_TOO_LARGE');
+    }
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  await write(centralDirectory);
+  await write(end);
+  return offset + centralDirectory.length + end.length;
+}
+
+/**
+ * Create a zip archive in memory. Entries may come from an async generator,
+ * so files can be read one at a time.
+ * @param {Iterable|AsyncIterable<{ name: string, data: Buffer|string, modifiedAt?: Date }>} entries - Files, names use '/'
+ * @returns {Promise<Buffer>} Archive content
+ * @throws {Error} ARCHIVE_TOO_LARGE when the archive would need zip64
+ */
+export async function createZip(entries) {
+  const parts = [];
+  await encodeZip(entries, part => parts.push(part));
+  return Buffer.concat(parts);
+}
+
+/**
+ * Write a zip archive to a file entry by entry, so a large storage folder is
+ * never held in memory as a whole. The file is flushed to disk before returning.
+ * @param {string} filePath - Archive path, created or truncated
+ * @param {Iterable|AsyncIterable<Object>} entries - Files, see createZip
+ * @returns {Promise<number>} Archive size in bytes
+ * @throws {Error} ARCHIVE_TOO_LARGE when the archive would need zip64
+ */
+export async function writeZip(filePath, entries) {
+  const handle = await fs.open(filePath, 'w');
+  try {
+    // writeFile on a handle writes the whole part at the current position
+    const size = await encodeZip(entries, part => handle.writeFile(part));
+    await handle.sync();
+    return size;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read the entries of a zip archive. Content is only inflated when read;
+ * size and crc come from the central directory and can be compared without.
+ * @param {Buffer} buffer - Archive content
+ * @returns {Array<{ name: string, size: number, crc: number, modifiedAt: Date, read: () => Promise<Buffer> }>} Entries without folders
+ * @throws {Error} ARCHIVE_CORRUPT when the buffer is no readable zip archive
+ */
+export function readZip(buffer) {
+  // The end record is the last 22 bytes unless the archive has a comment
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('ARCHIVE_CORRUPT');
+  }
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+      throw new Error('ARCHIVE_CORRUPT');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const time = buffer.readUInt16LE(offset + 12);
+    const date = buffer.readUInt16LE(offset + 14);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    // Sizes and offsets come from the file and may point past its end
+    if (offset + 46 + nameLength > buffer.length) {
+      throw new Error('ARCHIVE_CORRUPT');
+    }
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (![STORED, DEFLATED].includes(method) || localOffset + 30 > buffer.length
+      || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+      throw new Error('ARCHIVE_CORRUPT');
+    }
+
+    entries.push({
+      name,
+      size,
+      crc,
+      modifiedAt: new Date(
+        (date >> 9) + 1980, ((date >> 5) & 0xf) - 1, date & 0x1f,
+        time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2
+      ),
+      read: async () => {
+        const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        if (start + compressedSize > buffer.length) {
+          throw new Error('ARCHIVE_CORRUPT');
+        }
+        const content = buffer.subarray(start, start + compressedSize);
+        let data;
+        try {
+          data = method === DEFLATED ? await inflateRaw(content) : content;
+        } catch {
+          throw new Error('ARCHIVE_CORRUPT');
+        }
+        if (data.length !== size || zlib.crc32(data) !== crc) {
+          throw new Error('ARCHIVE_CORRUPT');
+        }
+        return data;
+      },
+    });
+  }
+
+  return entries;
+}
@@ -1,10 +1,21 @@
 import { initRouter } from './router.js';
 import { createAppState } from './state.js';
 import { TodosPinnedHeader } from './components/todos-pinned-header.js';
+import { CommandPalette } from './components/command-palette.js';
+import { subscribe } from './services/api.js';
+import { registerCommand, getCommands, getShortcuts, runShortcut } from './services/commands.js';
 
 const state = createAppState();
 let isInitialized = false;
 let todosPinnedHeader = null;
+let commandPalette = null;
+
+// Views in the navigation bar, also reachable through "Go to" commands
+const NAV_ROUTES = ['#/notes', '#/search', '#/graph', '#/daily-todos', '#/todos', '#/projects', '#/roadmaps', '#/snippets', '#/tools', '#/trash', '#/backups', '#/maintenance'];
+
+function getRouteLabel(route) {
+  return route.replace('#/', '').replace(/\b\w/g, l => l.toUpperCase());
+}
 
 /**
  * Check if the application is initialized (has configuration)
@@ -75,10 +86,10 @@ function mountNavigation() {
   const nav = document.createElement('div');
   nav.className = 'navigation';
 
-  ['#/notes', '#/daily-todos', '#/todos', '#/projects', '#/roadmaps', '#/snippets', '#/tools'].forEach((route) => {
+  NAV_ROUTES.forEach((route) => {
     const button = document.createElement('button');
     button.type = 'button';
-    button.textContent = route.replace('#/', '').replace(/\b\w/g, l => l.toUpperCase());
+    button.textContent = getRouteLabel(route);
     button.addEventListener('click', () => {
       window.location.hash = route;
     });
@@ -113,11 +124,20 @@ export async function bootstrap() {
 
     // Setup keyboard shortcuts
     setupKeyboardShortcuts();
+
+    applyTheme();
   }
 
   // Initialize router
   initRouter(state);
 
+  // Todos edited outside the app refresh every todos view
+  subscribe('storage.changed', (event) => {
+    if (event.type === 'data' && event.files.includes('todos.json')) {
+      window.dispatchEvent(new CustomEvent('todos-changed'));
+    }
+  });
+
   // Listen for route changes to update pinned header visibility
   window.addEventListener('hashchange', () => {
     updateTodosPinnedHeaderVisibility();
@@ -129,6 +149,7 @@ export async function bootstrap() {
     mountNavigation();
     mountTodosPanel();
     setupKeyboardShortcuts();
+    applyTheme();
   });
 }
 
@@ -162,47 +183,156 @@ function updateTodosPinnedHeaderVisibility() {
 }
 
 /**
- * Setup keyboard shortcuts
+ * Apply the theme from the preferences
  */
-function setupKeyboardShortcuts() {
-  document.addEventListener('keydown', (e) => {
-    // Ctrl+T: Toggle todos pinned header panel
-    if (e.ctrlKey && e.key === 't') {
-      e.preventDefault();
+async function applyTheme() {
+  try {
+    const result = await window.knowledgeBase.invoke('config.get');
+    document.documentElement.dataset.theme = result.data?.preferences?.theme === 'light' ? 'light' : 'dark';
+  } catch (error) {
+    console.error('Failed to apply theme:', error);
+  }
+}
+
+/**
+ * Switch between the dark and light theme and remember the choice
+ */
+async function toggleTheme() {
+  const theme = document.documentElement.dataset.theme === 'light' ? 'dark' : 'light';
+  document.documentElement.dataset.theme = theme;
+  try {
+    await window.knowledgeBase.invoke('config.update', { preferences: { theme } });
+  } catch (error) {
+    console.error('Failed to save theme:', error);
+  }
+}
+
+/**
+ * Register the app commands; the ones with shortcuts are run by the
+ * keyboard handler and all of them are listed in the command palette
+ */
+function registerCommands() {
+  registerCommand({
+    id: 'palette.open',
+    title: 'Open command palette',
+    shortcut: ['Ctrl+P', 'Ctrl+K'],
+    run: () => commandPalette.toggle(),
+  });
+
+  registerCommand({
+    id: 'todos.togglePanel',
+    title: 'Toggle todos panel',
+    shortcut: 'Ctrl+T',
+    run: () => {
       if (todosPinnedHeader && window.location.hash !== '#/todos') {
         todosPinnedHeader.togglePanel();
       }
-    }
+    },
+  });
 
-    // Ctrl+N: New note (when on notes page)
-    if (e.ctrlKey && e.key === 'n') {
-      e.preventDefault();
+  registerCommand({
+    id: 'notes.new',
+    title: 'Create new note',
+    shortcut: 'Ctrl+N',
+    run: () => {
       const newNoteBtn = document.querySelector('#new-note-btn, .btn-icon[title="New Note"]');
       if (newNoteBtn) {
         newNoteBtn.click();
       } else if (window.location.hash !== '#/notes') {
         window.location.hash = '#/notes';
       }
-    }
+    },
+  });
 
-    // Ctrl+S: Save current note
-    if (e.ctrlKey && e.key === 's') {
-      e.preventDefault();
+  registerCommand({
+    id: 'editor.save',
+    title: 'Save current note/todo',
+    shortcut: 'Ctrl+S',
+    run: () => {
       const saveBtn = document.querySelector('#save-note-btn, .btn-primary[type="submit"]');
       if (saveBtn && !saveBtn.disabled) {
         saveBtn.click();
       }
-    }
+    },
+  });
 
-    // Ctrl+F: Focus search (notes or snippets)
-    if (e.ctrlKey && e.key === 'f') {
-      e.preventDefault();
+  registerCommand({
+    id: 'search.focus',
+    title: 'Focus search field',
+    shortcut: 'Ctrl+F',
+    run: () => {
       const searchInput = document.querySelector('#snippet-search, #note-search, input[type="search"]');
       if (searchInput) {
         searchInput.focus();
         searchInput.select();
       }
-    }
+    },
+  });
+
+  registerCommand({
+    id: 'search.global',
+    title: 'Search everything',
+    shortcut: 'Ctrl+Shift+F',
+    run: () => {
+      if (window.location.hash === '#/search') {
+        document.getElementById('search-query')?.focus();
+      } else {
+        window.location.hash = '#/search';
+      }
+    },
+  });
+
+  registerCommand({
+    id: 'journal.today',
+    title: "Open today's journal note",
+    run: () => {
+      window.location.hash = '#/journal';
+    },
+  });
+
+  registerCommand({
+    id: 'theme.toggle',
+    title: 'Toggle light/dark theme',
+    run: toggleTheme,
+  });
+
+  NAV_ROUTES.forEach((route) => {
+    registerCommand({
+      id: `goto.${route.replace('#/', '')}`,
+      title: `Go to ${getRouteLabel(route)}`,
+      run: () => {
+        window.location.hash = route;
+      },
+    });
+  });
+}
+
+/**
+ * List the commands with shortcuts in the keyboard shortcuts help
+ */
+function renderShortcutHelp() {
+  const list = document.querySelector('#help-popup .shortcuts-list');
+  if (!list) return;
+
+  const keys = shortcut => shortcut.split('+').map(key => `<kbd>${key}</kbd>`).join(' + ');
+  list.innerHTML = getCommands()
+    .filter(command => getShortcuts(command).length > 0)
+    .map(command => `<li>${getShortcuts(command).map(keys).join(' / ')} <span>${command.title}</span></li>`)
+    .join('') + '<li><kbd>Esc</kbd> <span>Close modals/dialogs</span></li>';
+}
+
+/**
+ * Setup keyboard shortcuts
+ */
+function setupKeyboardShortcuts() {
+  if (commandPalette) return;
+
+  commandPalette = new CommandPalette(state);
+  registerCommands();
+  renderShortcutHelp();
+
+  document.addEventListener('keydown', (e) => {
+    if (runShortcut(e)) return;
 
     // Escape: Close modals
     if (e.key === 'Escape') {
@@ -0,0 +1,459 @@
+/**
+ * Backups Component
+ * Configures the automatic snapshots of the storage folder, lists the zip
+ * archives in the backup folder and restores a whole snapshot or single
+ * notes and stores from its preview.
+ */
+
+const REASON_LABELS = {
+  startup: 'On startup',
+  scheduled: 'Scheduled',
+  manual: 'Manual',
+  migration: 'Before migration',
+  restore: 'Before restore',
+};
+
+const KIND_LABELS = {
+  note: 'Notes',
+  attachment: 'Attachments',
+  snippet: 'Snippets',
+  template: 'Templates',
+  store: 'Stores',
+};
+
+// Attachments are restored with the notes that link them
+const SELECTABLE_KINDS = ['note', 'store', 'snippet', 'template'];
+
+const STATUS_LABELS = {
+  unchanged: 'unchanged',
+  changed: 'changed since',
+  missing: 'deleted since',
+};
+
+export class BackupsComponent {
+  constructor() {
+    this.settings = null;
+    this.backups = [];
+    this.preview = null;
+    this.selectedPaths = new Set();
+    this.container = null;
+  }
+
+  /**
+   * Render the backups view
+   * @param {HTMLElement} container - Container to render into
+   */
+  render(container) {
+    this.container = container;
+    container.innerHTML = `
+      <div class="backups-section">
+        <div class="backups-header">
+          <h2>Backups</h2>
+          <div class="backups-actions">
+            <button type="button" class="btn-primary" id="backups-create-btn" disabled>Back Up Now</button>
+          </div>
+        </div>
+
+        <form class="backups-settings" id="backups-settings">
+          <div class="form-group">
+            <label for="backups-folder">Backup folder</label>
+            <div class="backups-folder-row">
+              <input type="text" id="backups-folder" placeholder="No folder: automatic backups are off" readonly>
+              <button type="button" class="btn-secondary" id="backups-browse-btn">Browse...</button>
+              <button type="button" class="btn-secondary" id="backups-clear-btn">Turn Off</button>
+            </div>
+          </div>
+          <div class="backups-settings-row">
+            <label class="checkbox-label">
+              <input type="checkbox" id="backups-on-startup"> On startup
+            </label>
+            <div class="form-group">
+              <label for="backups-interval">Every (hours, 0 = never)</label>
+              <input type="number" id="backups-interval" min="0" max="720" step="1">
+            </div>
+            <div class="form-group">
+              <label for="backups-keep">Automatic backups kept</label>
+              <input type="number" id="backups-keep" min="1" max="100" step="1">
+            </div>
+            <button type="submit" class="btn-secondary">Save Settings</button>
+          </div>
+        </form>
+
+        <div class="backups-list" id="backups-list">
+          <div class="loading">Loading backups...</div>
+        </div>
+
+        <div class="backups-preview" id="backups-preview"></div>
+
+        <div class="feedback-message" id="backups-feedback"></div>
+      </div>
+    `;
+
+    document.getElementById('backups-create-btn')?.addEventListener('click', () => this.createBackup());
+    document.getElementById('backups-browse-btn')?.addEventListener('click', () => this.selectFolder());
+    document.getElementById('backups-clear-btn')?.addEventListener('click', () => this.saveSettings({ backupFolder: null }));
+    document.getElementById('backups-settings')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveSettings(this.readSettingsForm());
+    });
+    this.loadBackups();
+  }
+
+  /**
+   * Load the settings and snapshots from the backend
+   */
+  async loadBackups() {
+    try {
+      const result = await window.knowledgeBase.invoke('backups.list');
+
+      if (result.success) {
+        this.settings = result.data.settings;
+        this.backups = result.data.backups;
+        this.renderSettings();
+        this.renderBackups();
+      } else {
+        this.showError('Failed to load backups: ' + result.error);
+      }
+    } catch (error) {
+      console.error('Error loading backups:', error);
+      this.showError('Error loading backups');
+    }
+  }
+
+  /**
+   * Fill the settings form
+   */
+  renderSettings() {
+    const { folder, onStartup, intervalHours, keep } = this.settings;
+    const setValue = (id, value) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value;
+    };
+
+    setValue('backups-folder', folder || '');
+    setValue('backups-interval', intervalHours);
+    setValue('backups-keep', keep);
+    const startupInput = document.getElementById('backups-on-startup');
+    if (startupInput) startupInput.checked = onStartup;
+
+    const createBtn = document.getElementById('backups-create-btn');
+    if (createBtn) createBtn.disabled = !folder;
+    const clearBtn = document.getElementById('backups-clear-btn');
+    if (clearBtn) clearBtn.disabled = !folder;
+  }
+
+  /**
+   * Read the schedule from the settings form
+   * @returns {Object} Preference updates
+   */
+  readSettingsForm() {
+    return {
+      backupOnStartup: document.getElementById('backups-on-startup')?.checked ?? true,
+      backupIntervalHours: Number(document.getElementById('backups-interval')?.value),
+      backupKeep: Number(document.getElementById('backups-keep')?.value),
+    };
+  }
+
+  /**
+   * Save backup preferences
+   * @param {Object} preferences - Preference updates
+   */
+  async saveSettings(preferences) {
+    try {
+      const result = await window.knowledgeBase.invoke('config.update', { preferences });
+
+      if (result.success) {
+        this.showSuccess('Backup settings saved');
+        await this.loadBackups();
+      } else {
+        this.showError('Failed to save settings: ' + result.error.replace(/^VALIDATION_ERROR: /, ''));
+      }
+    } catch (error) {
+      console.error('Error saving backup settings:', error);
+      this.showError('Error saving backup settings');
+    }
+  }
+
+  /**
+   * Pick the backup folder
+   */
+  async selectFolder() {
+    try {
+      const result = await window.knowledgeBase.invoke('fs.selectFolder');
+
+      if (result.success && result.data.path) {
+        await this.saveSettings({ backupFolder: result.data.path });
+      }
+    } catch (error) {
+      console.error('Error selecting backup folder:', error);
+      this.showError('Failed to select folder');
+    }
+  }
+
+  /**
+   * Render the list of snapshots
+   */
+  renderBackups() {
+    const listContainer = document.getElementById('backups-list');
+    if (!listContainer) return;
+
+    if (!this.settings.folder) {
+      listContainer.innerHTML = '<div class="backups-empty"><p>Choose a backup folder outside the storage folder to turn on backups.</p></div>';
+      return;
+    }
+    if (this.backups.length === 0) {
+      listContainer.innerHTML = '<div class="backups-empty"><p>No backups yet.</p></div>';
+      return;
+    }
+
+    listContainer.innerHTML = this.backups.map((backup, index) => `
+      <div class="backups-item ${this.preview?.id === backup.id ? 'active' : ''}">
+        <span class="backups-item-reason">${REASON_LABELS[backup.reason] || this.escapeHtml(backup.reason)}</span>
+        <div class="backups-item-content">
+          <span class="backups-item-title">${new Date(backup.createdAt).toLocaleString()}</span>
+          <span class="backups-item-meta">${this.escapeHtml(backup.id)} · ${this.formatSize(backup.size)}</span>
+        </div>
+        <button type="button" class="btn-secondary backups-preview-btn" data-index="${index}">Preview</button>
+        <button type="button" class="btn-danger backups-delete-btn" data-index="${index}">Delete</button>
+      </div>
+    `).join('');
+
+    listContainer.querySelectorAll('.backups-preview-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.showPreview(this.backups[Number(btn.dataset.index)].id));
+    });
+    listContainer.querySelectorAll('.backups-delete-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.deleteBackup(this.backups[Number(btn.dataset.index)]));
+    });
+  }
+
+  /**
+   * Take a snapshot now
+   */
+  async createBackup() {
+    try {
+      const result = await window.knowledgeBase.invoke('backups.create');
+
+      if (result.success) {
+        this.showSuccess(`Backup written (${this.formatSize(result.data.size)})`);
+        await this.loadBackups();
+      } else {
+        this.showError('Failed to back up: ' + result.error);
+      }
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      this.showError('Error creating backup');
+    }
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {Object} backup - Snapshot
+   */
+  async deleteBackup(backup) {
+    if (!confirm(`Delete the backup from ${new Date(backup.createdAt).toLocaleString()}? This cannot be undone.`)) return;
+
+    try {
+      const result = await window.knowledgeBase.invoke('backups.delete', backup.id);
+
+      if (result.success) {
+        if (this.preview?.id === backup.id) {
+          this.closePreview();
+        }
+        await this.loadBackups();
+      } else {
+        this.showError('Failed to delete backup: ' + result.error);
+      }
+    } catch (error) {
+      console.error('Error deleting backup:', error);
+      this.showError('Error deleting backup');
+    }
+  }
+
+  /**
+   * Show the contents of a snapshot
+   * @param {string} id - Snapshot ID
+   */
+  async showPreview(id) {
+    try {
+      const result = await window.knowledgeBase.invoke('backups.preview', id);
+
+      if (result.success) {
+        this.preview = result.data;
+        this.selectedPaths = new Set();
+        this.renderBackups();
+        this.renderPreview();
+      } else if (result.error === 'ARCHIVE_CORRUPT') {
+        this.showError('The backup file is damaged and cannot be read');
+      } else {
+        this.showError('Failed to read backup: ' + result.error);
+      }
+    } catch (error) {
+      console.error('Error reading backup:', error);
+      this.showError('Error reading backup');
+    }
+  }
+
+  /**
+   * Render the preview of the selected snapshot
+   */
+  renderPreview() {
+    const previewContainer = document.getElementById('backups-preview');
+    if (!previewContainer || !this.preview) return;
+
+    const groups = Object.keys(KIND_LABELS)
+      .map(kind => ({ kind, entries: this.preview.entries.filter(entry => entry.kind === kind) }))
+      .filter(group => group.entries.length > 0);
+
+    previewContainer.innerHTML = `
+      <div class="backups-preview-header">
+        <div>
+          <h3>Backup from ${new Date(this.preview.createdAt).toLocaleString()}</h3>
+          <span class="backups-item-meta">${this.preview.entries.length} files · storage format ${this.escapeHtml(this.preview.storageVersion)}</span>
+        </div>
+        <div class="backups-actions">
+          <button type="button" class="btn-secondary" id="backups-restore-selected-btn" disabled>Restore Selected</button>
+          <button type="button" class="btn-danger" id="backups-restore-all-btn">Restore Everything</button>
+          <button type="button" class="btn-secondary" id="backups-close-preview-btn">Close</button>
+        </div>
+      </div>
+      ${groups.map(group => `
+        <div class="backups-preview-group">
+          <h4>${KIND_LABELS[group.kind]} (${group.entries.length})</h4>
+          ${group.entries.map(entry => `
+            <label class="backups-preview-entry status-${entry.status}">
+              ${SELECTABLE_KINDS.includes(group.kind)
+                ? `<input type="checkbox" class="backups-entry-select" data-index="${this.preview.entries.indexOf(entry)}">`
+                : '<span class="backups-entry-spacer"></span>'}
+              <span class="backups-entry-path">${this.escapeHtml(entry.path)}</span>
+              <span class="backups-entry-status">${STATUS_LABELS[entry.status]}</span>
+            </label>
+          `).join('')}
+        </div>
+      `).join('')}
+    `;
+
+    previewContainer.querySelectorAll('.backups-entry-select').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        const { path } = this.preview.entries[Number(checkbox.dataset.index)];
+        if (checkbox.checked) {
+          this.selectedPaths.add(path);
+        } else {
+          this.selectedPaths.delete(path);
+        }
+        const restoreBtn = document.getElementById('backups-restore-selected-btn');
+        if (restoreBtn) restoreBtn.disabled = this.selectedPaths.size === 0;
+      });
+    });
+    document.getElementById('backups-restore-selected-btn')?.addEventListener('click', () => this.restore([...this.selectedPaths]));
+    document.getElementById('backups-restore-all-btn')?.addEventListener('click', () => this.restore(null));
+    document.getElementById('backups-close-preview-btn')?.addEventListener('click', () => this.closePreview());
+  }
+
+  /**
+   * Hide the preview
+   */
+  closePreview() {
+    this.preview = null;
+    this.selectedPaths = new Set();
+    const previewContainer = document.getElementById('backups-preview');
+    if (previewContainer) previewContainer.innerHTML = '';
+    this.renderBackups();
+  }
+
+  /**
+   * Restore the previewed snapshot
+   * @param {Array<string>|null} paths - Files to restore, null for everything
+   */
+  async restore(paths) {
+    const when = new Date(this.preview.createdAt).toLocaleString();
+    const message = paths
+      ? `Restore ${paths.length} file(s) from the backup of ${when}? The current versions are replaced.`
+      : `Restore everything from the backup of ${when}? Notes, snippets and templates created since are removed.`;
+    if (!confirm(`${message}\n\nA backup of the current state is taken first.`)) return;
+
+    try {
+      const result = await window.knowledgeBase.invoke('backups.restore', { id: this.preview.id, ...(paths && { paths }) });
+
+      if (result.success) {
+        this.showSuccess(`Restored ${result.data.restored.length} file(s)`);
+        const id = this.preview.id;
+        await this.loadBackups();
+        await this.showPreview(id);
+      } else if (result.error === 'BACKUP_VERSION_MISMATCH') {
+        this.showError('This backup uses an older storage format; only a full restore is possible');
+      } else if (result.error === 'BACKUP_TOO_NEW') {
+        this.showError('This backup was made by a newer version of the app');
+      } else {
+        this.showError('Failed to restore: ' + result.error);
+      }
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      this.showError('Error restoring backup');
+    }
+  }
+
+  /**
+   * Format a file size
+   * @param {number} bytes - Size in bytes
+   * @returns {string} Size like '1.2 MB'
+   */
+  formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  /**
+   * Show success message
+   * @param {string} message - Message to show
+   */
+  showSuccess(message) {
+    this.showFeedback(message, 'success');
+  }
+
+  /**
+   * Show error message
+   * @param {string} message - Message to show
+   */
+  showError(message) {
+    this.showFeedback(message, 'error');
+  }
+
+  /**
+   * Show feedback message
+   * @param {string} message - Message to show
+   * @param {string} type - 'success' or 'error'
+   */
+  showFeedback(message, type) {
+    const feedbackEl = document.getElementById('backups-feedback');
+    if (!feedbackEl) return;
+
+    feedbackEl.textContent = message;
+    feedbackEl.className = `feedback-message ${type} show`;
+
+    setTimeout(() => {
+      feedbackEl.classList.remove('show');
+    }, 3000);
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Destroy the component
+   */
+  destroy() {
+    this.backups = [];
+    this.preview = null;
+    this.selectedPaths.clear();
+    this.container = null;
+  }
+}
@@ -0,0 +1,352 @@
+import { fuzzyMatch } from '../services/fuzzy-match.js';
+import { getCommands, getShortcuts } from '../services/commands.js';
+import { openItem } from '../router.js';
+
+/**
+ * Command Palette
+ * Quick switcher opened with Ctrl+P / Ctrl+K. Fuzzy-searches notes, snippets,
+ * todos, projects, tools and registered commands; items picked recently rank
+ * higher. Typing ">" first only searches commands.
+ */
+
+const MAX_RESULTS = 50;
+const RECENT_STORAGE_KEY = 'commandPalette.recent';
+const RECENT_LIMIT = 30;
+// Added to the match score of the most recently used item, less for older ones
+const RECENT_BONUS = 40;
+
+const TYPE_LABELS = {
+  command: 'Command',
+  note: 'Note',
+  snippet: 'Snippet',
+  todo: 'Todo',
+  project: 'Project',
+  tool: 'Tool',
+};
+
+export class CommandPalette {
+  /**
+   * @param {Object} state - App state, used to open items in their views
+   */
+  constructor(state) {
+    this.state = state;
+    this.overlay = null;
+    this.input = null;
+    this.list = null;
+    this.items = []; // All searchable items while open
+    this.results = [];
+    this.selectedIndex = 0;
+    this.loadId = 0;
+  }
+
+  get isOpen() {
+    return this.overlay !== null;
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Show the palette and load the searchable items
+   */
+  open() {
+    if (this.isOpen) return;
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'command-palette-overlay';
+    this.overlay.innerHTML = `
+      <div class="command-palette" role="dialog" aria-label="Command palette">
+        <input
+          type="text"
+          class="command-palette-input"
+          placeholder="Search notes, snippets, todos, projects, tools... (> for commands)"
+          autocomplete="off"
+          spellcheck="false"
+        />
+        <div class="command-palette-list" role="listbox"></div>
+        <div class="command-palette-footer">
+          <span><kbd>&uarr;</kbd><kbd>&darr;</kbd> navigate</span>
+          <span><kbd>Enter</kbd> open</span>
+          <span><kbd>Esc</kbd> close</span>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(this.overlay);
+
+    this.input = this.overlay.querySelector('.command-palette-input');
+    this.list = this.overlay.querySelector('.command-palette-list');
+
+    this.input.addEventListener('input', () => this.update());
+    this.input.addEventListener('keydown', (e) => this.onKeydown(e));
+    this.overlay.addEventListener('mousedown', (e) => {
+      if (e.target === this.overlay) this.close();
+    });
+    this.list.addEventListener('click', (e) => {
+      const item = e.target.closest('.command-palette-item');
+      if (item) this.select(Number(item.dataset.index));
+    });
+
+    // Commands are searchable right away, the rest once loaded
+    this.items = this.getCommandItems();
+    this.update();
+    this.input.focus();
+    this.loadItems();
+  }
+
+  close() {
+    if (!this.overlay) return;
+    this.loadId++;
+    this.overlay.remove();
+    this.overlay = null;
+    this.input = null;
+    this.list = null;
+    this.items = [];
+    this.results = [];
+  }
+
+  getCommandItems() {
+    return getCommands()
+      .filter(command => command.id !== 'palette.open')
+      .map(command => ({
+        type: 'command',
+        id: command.id,
+        title: command.title,
+        shortcut: getShortcuts(command)[0] || '',
+        run: () => command.run(),
+      }));
+  }
+
+  /**
+   * Load notes, snippets, todos, projects and tools
+   */
+  async loadItems() {
+    const loadId = ++this.loadId;
+    const invoke = async (channel, payload) => {
+      try {
+        const result = await window.knowledgeBase.invoke(channel, payload);
+        return result.success ? result.data : [];
+      } catch (error) {
+        console.error(`Command palette could not load ${channel}:`, error);
+        return [];
+      }
+    };
+
+    const [notes, snippets, todos, projects, tools] = await Promise.all([
+      invoke('notes.list', {}),
+      invoke('snippets.list'),
+      invoke('todos.list'),
+      invoke('projects.list'),
+      invoke('tools.list'),
+    ]);
+    // Closed or reopened while loading
+    if (loadId !== this.loadId) return;
+
+    const projectNames = new Map(projects.map(project => [project.id, project.name]));
+
+    this.items = [
+      ...this.getCommandItems(),
+      ...notes.map(note => ({
+        type: 'note',
+        id: note.id,
+        title: note.title,
+        aliases: note.aliases || [],
+        detail: projectNames.get(note.projectId) || '',
+        run: () => openItem(this.state, '#/notes', note.id),
+      })),
+      ...snippets.map(snippet => ({
+        type: 'snippet',
+        id: snippet.id,
+        title: snippet.title,
+        detail: snippet.language || '',
+        run: () => openItem(this.state, '#/snippets', snippet.id),
+      })),
+      ...todos.map(todo => ({
+        type: 'todo',
+        id: todo.id,
+        title: todo.title,
+        detail: todo.completed ? 'Completed' : projectNames.get(todo.projectId) || '',
+        run: () => openItem(this.state, '#/todos', todo.id),
+      })),
+      ...projects.map(project => ({
+        type: 'project',
+        id: project.id,
+        title: project.name,
+        detail: '',
+        run: () => openItem(this.state, '#/projects', project.id),
+      })),
+      ...tools.map(tool => ({
+        type: 'tool',
+        id: tool.id,
+        title: tool.name,
+        detail: 'Launch',
+        run: () => this.launchTool(tool),
+      })),
+    ];
+    this.update();
+  }
+
+  async launchTool(tool) {
+    try {
+      const result = await window.knowledgeBase.invoke('tools.launch', tool.id);
+      if (!result.success) {
+        window.alert(`Failed to launch ${tool.name}: ${result.error}`);
+      }
+    } catch (error) {
+      window.alert(`Error launching ${tool.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rank the items for the current query and render them
+   */
+  update() {
+    if (!this.input) return;
+
+    let query = this.input.value;
+    let items = this.items;
+    if (query.startsWith('>')) {
+      query = query.slice(1);
+      items = items.filter(item => item.type === 'command');
+    }
+    query = query.trim();
+
+    const recent = this.getRecent();
+    const results = [];
+    for (const item of items) {
+      let best = null;
+      [item.title, ...(item.aliases || [])].forEach((text, i) => {
+        const match = fuzzyMatch(query, text);
+        if (match && (!best || match.score > best.score)) {
+          best = { ...match, alias: i > 0 ? text : null };
+        }
+      });
+      if (!best) continue;
+
+      const recentIndex = recent.indexOf(this.getKey(item));
+      const bonus = recentIndex === -1 ? 0 : RECENT_BONUS * (1 - recentIndex / RECENT_LIMIT);
+      // Without a query only recent items and commands are worth listing
+      if (!query && recentIndex === -1 && item.type !== 'command') continue;
+
+      results.push({ ...item, ...best, score: best.score + bonus });
+    }
+
+    results.sort((a, b) => b.score - a.score || a.title.localeCompare(b.title));
+    this.results = results.slice(0, MAX_RESULTS);
+    this.selectedIndex = 0;
+    this.render();
+  }
+
+  render() {
+    if (!this.list) return;
+
+    if (this.results.length === 0) {
+      this.list.innerHTML = '<div class="command-palette-empty">No matches</div>';
+      return;
+    }
+
+    this.list.innerHTML = this.results.map((item, index) => {
+      const selected = index === this.selectedIndex;
+      const title = item.alias
+        ? `${this.escapeHtml(item.title)} <span class="command-palette-detail">${this.highlight(item.alias, item.ranges)}</span>`
+        : this.highlight(item.title, item.ranges);
+      const detail = item.shortcut
+        ? `<kbd>${this.escapeHtml(item.shortcut)}</kbd>`
+        : `<span class="command-palette-detail">${this.escapeHtml(item.detail || '')}</span>`;
+
+      return `
+        <div class="command-palette-item ${selected ? 'selected' : ''}" role="option"
+             aria-selected="${selected}" data-index="${index}">
+          <span class="command-palette-type type-${item.type}">${TYPE_LABELS[item.type]}</span>
+          <span class="command-palette-title">${title}</span>
+          ${detail}
+        </div>
+      `;
+    }).join('');
+
+    this.list.querySelector('.selected')?.scrollIntoView({ block: 'nearest' });
+  }
+
+  onKeydown(e) {
+    switch (e.key) {
+      case 'ArrowDown':
+        if (this.results.length === 0) break;
+        this.selectedIndex = (this.selectedIndex + 1) % this.results.length;
+        this.render();
+        break;
+      case 'ArrowUp':
+        if (this.results.length === 0) break;
+        this.selectedIndex = (this.selectedIndex - 1 + this.results.length) % this.results.length;
+        this.render();
+        break;
+      case 'Enter':
+        this.select(this.selectedIndex);
+        break;
+      case 'Escape':
+        this.close();
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  /**
+   * Run the action of a result and remember it as recently used
+   * @param {number} index - Index in the results
+   */
+  select(index) {
+    const item = this.results[index];
+    if (!item) return;
+
+    this.addRecent(item);
+    this.close();
+    item.run();
+  }
+
+  getKey(item) {
+    return `${item.type}:${item.id}`;
+  }
+
+  /**
+   * Keys of recently used items, most recent first
+   * @returns {Array<string>}
+   */
+  getRecent() {
+    try {
+      const recent = JSON.parse(localStorage.getItem(RECENT_STORAGE_KEY) || '[]');
+      return Array.isArray(recent) ? recent : [];
+    } catch {
+      return [];
+    }
+  }
+
+  addRecent(item) {
+    const key = this.getKey(item);
+    const recent = [key, ...this.getRecent().filter(k => k !== key)].slice(0, RECENT_LIMIT);
+    localStorage.setItem(RECENT_STORAGE_KEY, JSON.stringify(recent));
+  }
+
+  highlight(text, ranges) {
+    let html = '';
+    let position = 0;
+    for (const { start, end } of ranges) {
+      html += this.escapeHtml(text.substring(position, start));
+      html += `<mark>${this.escapeHtml(text.substring(start, end))}</mark>`;
+      position = end;
+    }
+    return html + this.escapeHtml(text.substring(position));
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
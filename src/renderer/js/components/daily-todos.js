@@ -16,6 +16,7 @@ export class DailyTodos {
   /**
    * Render the daily todos section
    * @param {HTMLElement} container - Container to render into
+   * @returns {Promise<void>} Resolves once the todos are loaded
    */
   render(container) {
     this.container = container;
@@ -24,6 +25,9 @@ export class DailyTodos {
         <div class="daily-todos-header">
           <h2>Daily Todos</h2>
           <span class="daily-todos-date" id="daily-todos-date"></span>
+          <button type="button" id="daily-todos-journal-btn" class="btn-secondary" title="Open today's journal note">
+            Today's Note
+          </button>
         </div>
 
         <div class="daily-todos-input-bar">
@@ -46,7 +50,7 @@ export class DailyTodos {
     `;
 
     this.setupEventListeners();
-    this.loadTodos();
+    return this.loadTodos();
   }
 
   /**
@@ -68,6 +72,10 @@ export class DailyTodos {
     if (addBtn) {
       addBtn.addEventListener('click', () => this.createTodo());
     }
+
+    document.getElementById('daily-todos-journal-btn')?.addEventListener('click', () => {
+      window.location.hash = '#/journal';
+    });
   }
 
   /**
@@ -91,6 +99,23 @@ export class DailyTodos {
     }
   }
 
+  /**
+   * Scroll to a todo and highlight it, e.g. when opened from search
+   * @param {string} todoId - Todo ID
+   */
+  showTodo(todoId) {
+    const item = document.querySelector(`.daily-todo-item[data-todo-id="${CSS.escape(todoId)}"]`);
+    if (!item) {
+      // Completed todos move to the archive on rollover
+      this.showSuccess('This todo was completed and archived');
+      return;
+    }
+
+    item.scrollIntoView({ block: 'nearest' });
+    item.classList.add('highlighted');
+    setTimeout(() => item.classList.remove('highlighted'), 2000);
+  }
+
   /**
    * Update the date display
    */
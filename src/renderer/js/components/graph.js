@@ -0,0 +1,623 @@
+import { ForceLayout } from '../services/force-layout.js';
+import { fuzzyMatch } from '../services/fuzzy-match.js';
+
+/**
+ * Graph Component
+ * Interactive map of all notes and the [[links]] between them. Notes are
+ * colored by project and notes without any links are ringed as orphans.
+ * Supports zooming, panning, dragging notes, focusing a note found by search,
+ * a local graph around the note last opened in the editor and opening a
+ * note by clicking it.
+ */
+
+// Project colors, assigned in the order of the projects list
+const PROJECT_COLORS = ['#f59e0b', '#10b981', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316', '#6366f1', '#84cc16', '#ef4444', '#0ea5e9'];
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 4;
+const FOCUS_ZOOM = 1.5;
+// Titles of all notes are drawn from this zoom level on
+const LABEL_ZOOM = 1.2;
+// Pointer movement (px) that turns a click into a drag
+const DRAG_THRESHOLD = 4;
+
+export class GraphComponent {
+  /**
+   * @param {Object} state - App state; data.currentNoteId is the note open in the editor
+   */
+  constructor(state) {
+    this.state = state;
+    this.container = null;
+    this.canvas = null;
+    this.graph = { nodes: [], edges: [] };
+    this.projects = [];
+    this.nodes = []; // Nodes shown, with layout positions
+    this.edges = [];
+    this.layout = null;
+    this.transform = { x: 0, y: 0, k: 1 };
+    this.hoverNode = null;
+    this.focusNode = null;
+    this.matches = null; // IDs of nodes matching the search, null when not searching
+    this.localMode = Boolean(state.data.graphLocal);
+    this.localDepth = 1;
+    this.pointer = null; // Active drag or pan
+    this.frame = null;
+    this.colors = {};
+    this.resizeObserver = null;
+
+    delete state.data.graphLocal;
+  }
+
+  /**
+   * Render the graph view
+   * @param {HTMLElement} container - Container to render into
+   */
+  async render(container) {
+    this.container = container;
+    container.innerHTML = `
+      <div class="graph-section">
+        <div class="graph-toolbar">
+          <input type="search" id="graph-search" class="graph-search" placeholder="Search notes... (Enter to focus)" />
+          <label class="graph-local-toggle" title="Only show notes near the note open in the editor">
+            <input type="checkbox" id="graph-local" />
+            Local graph
+          </label>
+          <select id="graph-depth" class="graph-depth" title="Link steps from the open note">
+            <option value="1">1 step</option>
+            <option value="2">2 steps</option>
+            <option value="3">3 steps</option>
+          </select>
+          <button type="button" class="btn-secondary" id="graph-fit-btn">Fit</button>
+          <span class="graph-stats" id="graph-stats"></span>
+        </div>
+        <div class="graph-canvas-wrapper" id="graph-canvas-wrapper">
+          <canvas id="graph-canvas" class="graph-canvas"></canvas>
+          <div class="graph-empty" id="graph-empty" style="display: none;">No notes to show</div>
+        </div>
+        <div class="graph-legend" id="graph-legend"></div>
+      </div>
+    `;
+
+    this.canvas = document.getElementById('graph-canvas');
+    this.readColors();
+    this.setupEventListeners();
+    this.resize();
+
+    await this.loadGraph();
+  }
+
+  /**
+   * Load notes, links and projects
+   */
+  async loadGraph() {
+    try {
+      const [graphResult, projectsResult] = await Promise.all([
+        window.knowledgeBase.invoke('notes.linkGraph', {}),
+        window.knowledgeBase.invoke('projects.list'),
+      ]);
+
+      if (!graphResult.success) {
+        this.showEmpty(`Failed to load graph: ${graphResult.error}`);
+        return;
+      }
+
+      this.graph = graphResult.data;
+      this.projects = projectsResult.success ? projectsResult.data : [];
+      this.renderLegend();
+      this.buildView();
+    } catch (error) {
+      this.showEmpty(`Error loading graph: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pick the nodes to show and restart the layout
+   */
+  buildView() {
+    const currentNoteId = this.state.data.currentNoteId;
+    const canBeLocal = this.graph.nodes.some(node => node.id === currentNoteId);
+    const localToggle = document.getElementById('graph-local');
+    const depthSelect = document.getElementById('graph-depth');
+
+    if (!canBeLocal) this.localMode = false;
+    if (localToggle) {
+      localToggle.checked = this.localMode;
+      localToggle.disabled = !canBeLocal;
+    }
+    if (depthSelect) depthSelect.disabled = !this.localMode;
+
+    const degree = new Map();
+    for (const edge of this.graph.edges) {
+      degree.set(edge.source, (degree.get(edge.source) || 0) + 1);
+      degree.set(edge.target, (degree.get(edge.target) || 0) + 1);
+    }
+
+    const visibleIds = this.localMode
+      ? this.getNeighborhood(currentNoteId, this.localDepth)
+      : new Set(this.graph.nodes.map(node => node.id));
+
+    // Keep positions of nodes that stay visible
+    const previous = new Map(this.nodes.map(node => [node.id, node]));
+    this.nodes = this.graph.nodes
+      .filter(node => visibleIds.has(node.id))
+      .map(node => ({
+        ...node,
+        x: previous.get(node.id)?.x,
+        y: previous.get(node.id)?.y,
+        degree: degree.get(node.id) || 0,
+        color: this.getProjectColor(node.projectId),
+        isCurrent: node.id === currentNoteId,
+      }));
+    this.edges = this.graph.edges.filter(edge => visibleIds.has(edge.source) && visibleIds.has(edge.target));
+    this.layout = new ForceLayout(this.nodes, this.edges);
+
+    // Settle most of the layout before the first frame so it doesn't fly in
+    for (let i = 0; i < 120 && !this.layout.isSettled; i++) {
+      this.layout.tick();
+    }
+
+    this.focusNode = null;
+    this.updateMatches();
+    this.renderStats();
+    this.showEmpty(this.nodes.length === 0 ? 'No notes to show' : null);
+    this.fit();
+    this.scheduleFrame();
+  }
+
+  /**
+   * Collect the notes within a number of link steps, in either direction
+   * @param {string} noteId - Center note
+   * @param {number} depth - Link steps
+   * @returns {Set<string>} Note IDs including the center
+   */
+  getNeighborhood(noteId, depth) {
+    const neighbors = new Map();
+    for (const { source, target } of this.graph.edges) {
+      if (!neighbors.has(source)) neighbors.set(source, []);
+      if (!neighbors.has(target)) neighbors.set(target, []);
+      neighbors.get(source).push(target);
+      neighbors.get(target).push(source);
+    }
+
+    const visited = new Set([noteId]);
+    let frontier = [noteId];
+    for (let step = 0; step < depth; step++) {
+      const next = [];
+      for (const id of frontier) {
+        for (const neighbor of neighbors.get(id) || []) {
+          if (!visited.has(neighbor)) {
+            visited.add(neighbor);
+            next.push(neighbor);
+          }
+        }
+      }
+      frontier = next;
+    }
+    return visited;
+  }
+
+  getProjectColor(projectId) {
+    const index = this.projects.findIndex(project => project.id === projectId);
+    return index === -1 ? this.colors.muted : PROJECT_COLORS[index % PROJECT_COLORS.length];
+  }
+
+  /**
+   * Read theme colors, the canvas can't use CSS variables directly
+   */
+  readColors() {
+    const style = getComputedStyle(document.documentElement);
+    const read = (name) => style.getPropertyValue(name).trim();
+    this.colors = {
+      text: read('--color-text'),
+      muted: read('--color-muted'),
+      border: read('--color-border'),
+      accent: read('--color-accent'),
+      danger: read('--color-danger'),
+      bg: read('--color-bg'),
+    };
+  }
+
+  setupEventListeners() {
+    const searchInput = document.getElementById('graph-search');
+    const localToggle = document.getElementById('graph-local');
+    const depthSelect = document.getElementById('graph-depth');
+    const fitBtn = document.getElementById('graph-fit-btn');
+    const wrapper = document.getElementById('graph-canvas-wrapper');
+
+    searchInput?.addEventListener('input', () => this.updateMatches());
+    searchInput?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.focusBestMatch();
+      } else if (e.key === 'Escape') {
+        searchInput.value = '';
+        this.updateMatches();
+      }
+    });
+
+    localToggle?.addEventListener('change', () => {
+      this.localMode = localToggle.checked;
+      this.buildView();
+    });
+
+    depthSelect?.addEventListener('change', () => {
+      this.localDepth = Number(depthSelect.value);
+      this.buildView();
+    });
+
+    fitBtn?.addEventListener('click', () => this.fit());
+
+    this.canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+    this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+    this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+    this.canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+    this.canvas.addEventListener('pointerleave', () => {
+      this.hoverNode = null;
+      this.scheduleFrame();
+    });
+
+    this.resizeObserver = new ResizeObserver(() => this.resize());
+    if (wrapper) this.resizeObserver.observe(wrapper);
+  }
+
+  // ==================== Interaction ====================
+
+  /**
+   * Convert a pointer event to graph coordinates
+   * @param {PointerEvent|WheelEvent} e - Event on the canvas
+   * @returns {{x: number, y: number, screenX: number, screenY: number}}
+   */
+  toGraphPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const screenX = e.clientX - rect.left;
+    const screenY = e.clientY - rect.top;
+    const { x, y, k } = this.transform;
+    return { x: (screenX - x) / k, y: (screenY - y) / k, screenX, screenY };
+  }
+
+  /**
+   * Find the node under a point
+   * @param {{x: number, y: number}} point - Graph coordinates
+   * @returns {Object|null} Node
+   */
+  nodeAt(point) {
+    // Last drawn is on top
+    for (let i = this.nodes.length - 1; i >= 0; i--) {
+      const node = this.nodes[i];
+      const radius = this.getRadius(node) + 2 / this.transform.k;
+      if ((node.x - point.x) ** 2 + (node.y - point.y) ** 2 <= radius * radius) {
+        return node;
+      }
+    }
+    return null;
+  }
+
+  onWheel(e) {
+    e.preventDefault();
+    const { screenX, screenY } = this.toGraphPoint(e);
+    const { x, y, k } = this.transform;
+    const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, k * Math.exp(-e.deltaY * 0.002)));
+
+    // Zoom around the pointer
+    this.transform = {
+      k: zoom,
+      x: screenX - ((screenX - x) / k) * zoom,
+      y: screenY - ((screenY - y) / k) * zoom,
+    };
+    this.scheduleFrame();
+  }
+
+  onPointerDown(e) {
+    const point = this.toGraphPoint(e);
+    const node = this.nodeAt(point);
+    this.canvas.setPointerCapture(e.pointerId);
+    this.pointer = {
+      node,
+      startX: point.screenX,
+      startY: point.screenY,
+      origin: { ...this.transform },
+      moved: false,
+    };
+  }
+
+  onPointerMove(e) {
+    const point = this.toGraphPoint(e);
+
+    if (!this.pointer) {
+      const node = this.nodeAt(point);
+      if (node !== this.hoverNode) {
+        this.hoverNode = node;
+        this.canvas.style.cursor = node ? 'pointer' : 'grab';
+        this.scheduleFrame();
+      }
+      return;
+    }
+
+    const dx = point.screenX - this.pointer.startX;
+    const dy = point.screenY - this.pointer.startY;
+    if (!this.pointer.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+    this.pointer.moved = true;
+
+    if (this.pointer.node) {
+      this.pointer.node.fx = point.x;
+      this.pointer.node.fy = point.y;
+      this.layout.reheat();
+    } else {
+      this.canvas.style.cursor = 'grabbing';
+      this.transform = { ...this.pointer.origin, x: this.pointer.origin.x + dx, y: this.pointer.origin.y + dy };
+    }
+    this.scheduleFrame();
+  }
+
+  onPointerUp(e) {
+    const pointer = this.pointer;
+    this.pointer = null;
+    if (!pointer) return;
+
+    this.canvas.releasePointerCapture(e.pointerId);
+    this.canvas.style.cursor = pointer.node ? 'pointer' : 'grab';
+
+    if (pointer.node) {
+      delete pointer.node.fx;
+      delete pointer.node.fy;
+      if (!pointer.moved) {
+        this.openNote(pointer.node.id);
+      }
+    }
+  }
+
+  /**
+   * Open a note in the notes view
+   * @param {string} noteId - Note ID
+   */
+  openNote(noteId) {
+    // Picked up by the router once the notes view is rendered
+    this.state.data.openItemId = noteId;
+    window.location.hash = '#/notes';
+  }
+
+  // ==================== Search ====================
+
+  /**
+   * Highlight the notes matching the search box
+   */
+  updateMatches() {
+    const query = document.getElementById('graph-search')?.value.trim() || '';
+    if (!query) {
+      this.matches = null;
+      this.focusNode = null;
+    } else {
+      this.matches = new Map();
+      for (const node of this.nodes) {
+        const match = fuzzyMatch(query, node.title);
+        if (match) this.matches.set(node.id, match.score);
+      }
+    }
+    this.scheduleFrame();
+  }
+
+  /**
+   * Center the view on the best search match
+   */
+  focusBestMatch() {
+    if (!this.matches || this.matches.size === 0) return;
+
+    let best = null;
+    for (const node of this.nodes) {
+      const score = this.matches.get(node.id);
+      if (score !== undefined && (!best || score > this.matches.get(best.id))) {
+        best = node;
+      }
+    }
+
+    this.focusNode = best;
+    const { width, height } = this.getSize();
+    const k = Math.max(this.transform.k, FOCUS_ZOOM);
+    this.transform = { k, x: width / 2 - best.x * k, y: height / 2 - best.y * k };
+    this.scheduleFrame();
+  }
+
+  // ==================== Drawing ====================
+
+  getSize() {
+    const wrapper = document.getElementById('graph-canvas-wrapper');
+    return { width: wrapper?.clientWidth || 0, height: wrapper?.clientHeight || 0 };
+  }
+
+  resize() {
+    if (!this.canvas) return;
+    const { width, height } = this.getSize();
+    const ratio = window.devicePixelRatio || 1;
+    this.canvas.width = Math.round(width * ratio);
+    this.canvas.height = Math.round(height * ratio);
+    this.canvas.style.width = `${width}px`;
+    this.canvas.style.height = `${height}px`;
+    this.scheduleFrame();
+  }
+
+  /**
+   * Zoom and pan so every node is visible
+   */
+  fit() {
+    const { width, height } = this.getSize();
+    if (this.nodes.length === 0 || width === 0 || height === 0) return;
+
+    const xs = this.nodes.map(node => node.x);
+    const ys = this.nodes.map(node => node.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const graphWidth = Math.max(Math.max(...xs) - minX, 1);
+    const graphHeight = Math.max(Math.max(...ys) - minY, 1);
+    const padding = 40;
+    const k = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, Math.min(
+      (width - padding * 2) / graphWidth,
+      (height - padding * 2) / graphHeight,
+    )));
+
+    this.transform = {
+      k,
+      x: width / 2 - (minX + graphWidth / 2) * k,
+      y: height / 2 - (minY + graphHeight / 2) * k,
+    };
+    this.scheduleFrame();
+  }
+
+  getRadius(node) {
+    return 4 + Math.sqrt(node.degree) * 2;
+  }
+
+  scheduleFrame() {
+    if (this.frame === null) {
+      this.frame = requestAnimationFrame(() => this.drawFrame());
+    }
+  }
+
+  /**
+   * Advance the layout and draw; keeps animating until the layout settles
+   */
+  drawFrame() {
+    this.frame = null;
+    if (!this.canvas || !this.layout) return;
+
+    if (!this.layout.isSettled) {
+      this.layout.tick();
+    }
+    this.draw();
+
+    if (!this.layout.isSettled) {
+      this.scheduleFrame();
+    }
+  }
+
+  draw() {
+    const ctx = this.canvas.getContext('2d');
+    const ratio = window.devicePixelRatio || 1;
+    const { x, y, k } = this.transform;
+    const { colors } = this;
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.setTransform(ratio * k, 0, 0, ratio * k, ratio * x, ratio * y);
+
+    // Notes next to the hovered or focused note stay highlighted
+    const highlighted = this.hoverNode || this.focusNode;
+    const neighbors = new Set();
+    if (highlighted) {
+      for (const edge of this.edges) {
+        if (edge.source === highlighted.id) neighbors.add(edge.target);
+        if (edge.target === highlighted.id) neighbors.add(edge.source);
+      }
+    }
+    const isDimmed = (node) => (this.matches && !this.matches.has(node.id))
+      || (highlighted && node !== highlighted && !neighbors.has(node.id));
+
+    const byId = new Map(this.nodes.map(node => [node.id, node]));
+    ctx.lineWidth = 1 / k;
+    for (const edge of this.edges) {
+      const source = byId.get(edge.source);
+      const target = byId.get(edge.target);
+      const active = highlighted && (source === highlighted || target === highlighted);
+      ctx.globalAlpha = active ? 1 : (highlighted || this.matches ? 0.15 : 0.6);
+      ctx.strokeStyle = active ? colors.accent : colors.border;
+      ctx.beginPath();
+      ctx.moveTo(source.x, source.y);
+      ctx.lineTo(target.x, target.y);
+      ctx.stroke();
+    }
+
+    for (const node of this.nodes) {
+      const radius = this.getRadius(node);
+      ctx.globalAlpha = isDimmed(node) ? 0.2 : 1;
+      ctx.fillStyle = node.color;
+      ctx.beginPath();
+      ctx.arc(node.x, node.y, radius, 0, Math.PI * 2);
+      ctx.fill();
+
+      if (node.degree === 0 || node.isCurrent || node === this.focusNode) {
+        // Orphans get a dashed ring, the open and focused notes a solid one
+        ctx.strokeStyle = node.degree === 0 && !node.isCurrent && node !== this.focusNode ? colors.danger : colors.accent;
+        ctx.lineWidth = 2 / k;
+        ctx.setLineDash(node.degree === 0 ? [3 / k, 2 / k] : []);
+        ctx.beginPath();
+        ctx.arc(node.x, node.y, radius + 2 / k, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+    }
+
+    // Labels keep the same screen size at every zoom level
+    ctx.font = `${12 / k}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = colors.text;
+    for (const node of this.nodes) {
+      const important = node === highlighted || neighbors.has(node.id) || node.isCurrent
+        || (this.matches && this.matches.has(node.id));
+      if (!important && (k < LABEL_ZOOM || isDimmed(node))) continue;
+      ctx.globalAlpha = isDimmed(node) ? 0.3 : 1;
+      ctx.fillText(node.title, node.x, node.y + this.getRadius(node) + 3 / k);
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  renderStats() {
+    const stats = document.getElementById('graph-stats');
+    if (!stats) return;
+    const orphans = this.nodes.filter(node => node.degree === 0).length;
+    stats.textContent = `${this.nodes.length} notes · ${this.edges.length} links · ${orphans} orphans`;
+  }
+
+  renderLegend() {
+    const legend = document.getElementById('graph-legend');
+    if (!legend) return;
+
+    const usedProjects = new Set(this.graph.nodes.map(node => node.projectId));
+    const items = this.projects
+      .filter(project => usedProjects.has(project.id))
+      .map(project => ({ label: project.name, color: this.getProjectColor(project.id) }));
+    if (usedProjects.has(null)) {
+      items.push({ label: 'No project', color: this.colors.muted });
+    }
+
+    legend.innerHTML = items.map(item => `
+      <span class="graph-legend-item">
+        <span class="graph-legend-swatch" style="background: ${item.color};"></span>
+        ${this.escapeHtml(item.label)}
+      </span>
+    `).join('') + `
+      <span class="graph-legend-item">
+        <span class="graph-legend-swatch graph-legend-orphan"></span>
+        Orphan (no links)
+      </span>
+    `;
+  }
+
+  showEmpty(message) {
+    const empty = document.getElementById('graph-empty');
+    if (!empty) return;
+    empty.textContent = message || '';
+    empty.style.display = message ? '' : 'none';
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Stop animating and remove the view
+   */
+  destroy() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this.resizeObserver?.disconnect();
+    this.resizeObserver = null;
+    this.canvas = null;
+
+    if (this.container) {
+      this.container.innerHTML = '';
+    }
+  }
+}
@@ -0,0 +1,300 @@
+import { fuzzyMatch } from '../services/fuzzy-match.js';
+
+/**
+ * Link Autocomplete
+ * Completion popup for [[wiki links]] in a textarea. Typing [[ lists notes
+ * whose title or alias fuzzy-matches what follows; picking one inserts
+ * [[Title]]. When no note has the typed title it also offers to create one.
+ */
+
+const MAX_RESULTS = 8;
+// An unclosed [[ directly before the caret, capturing what was typed since
+const LINK_QUERY_REGEX = /\[\[([^[\]|\n]*)$/;
+// Styles copied to the measuring element so text wraps exactly like the textarea
+const MIRROR_PROPERTIES = [
+  'boxSizing', 'width', 'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+  'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+  'fontFamily', 'fontSize', 'fontStyle', 'fontWeight', 'letterSpacing', 'lineHeight',
+  'textTransform', 'wordSpacing', 'tabSize',
+];
+
+export class LinkAutocomplete {
+  /**
+   * @param {HTMLTextAreaElement} textarea - Editor to complete links in
+   * @param {Object} options
+   * @param {Function} options.getNotes - Returns (a promise of) notes with `title` and `aliases`
+   * @param {Function} options.onCreate - Creates a note with the given title, resolves to true on success
+   */
+  constructor(textarea, { getNotes, onCreate }) {
+    this.textarea = textarea;
+    this.getNotes = getNotes;
+    this.onCreate = onCreate;
+    this.items = [];
+    this.selectedIndex = 0;
+    this.start = -1; // Index of the opening [[
+    this.requestId = 0;
+
+    this.popup = document.createElement('div');
+    this.popup.className = 'link-autocomplete';
+    this.popup.setAttribute('role', 'listbox');
+    this.popup.hidden = true;
+    document.body.appendChild(this.popup);
+
+    this.handleInput = () => this.update();
+    this.handleKeydown = (e) => this.onKeydown(e);
+    this.handleBlur = () => this.close();
+    this.handleScroll = () => this.close();
+
+    textarea.addEventListener('input', this.handleInput);
+    textarea.addEventListener('keydown', this.handleKeydown);
+    textarea.addEventListener('blur', this.handleBlur);
+    textarea.addEventListener('scroll', this.handleScroll);
+
+    // Keep focus in the editor while clicking an item
+    this.popup.addEventListener('mousedown', (e) => e.preventDefault());
+    this.popup.addEventListener('click', (e) => {
+      const item = e.target.closest('.link-autocomplete-item');
+      if (item) this.select(Number(item.dataset.index));
+    });
+  }
+
+  get isOpen() {
+    return !this.popup.hidden;
+  }
+
+  /**
+   * Open, refresh or close the popup for the text before the caret
+   */
+  async update() {
+    const { value, selectionStart, selectionEnd } = this.textarea;
+    const match = selectionStart === selectionEnd
+      ? value.slice(0, selectionStart).match(LINK_QUERY_REGEX)
+      : null;
+
+    if (!match) {
+      this.close();
+      return;
+    }
+
+    const requestId = ++this.requestId;
+    const notes = await this.getNotes();
+    // Typing continued while the notes were loading
+    if (requestId !== this.requestId) return;
+
+    this.start = selectionStart - match[1].length - 2;
+    this.items = this.rank(notes, match[1].trim());
+    this.selectedIndex = 0;
+
+    if (this.items.length === 0) {
+      this.close();
+      return;
+    }
+
+    this.render();
+    this.position();
+  }
+
+  /**
+   * Build the list of suggestions for a query
+   * @param {Array<Object>} notes - Notes with `title` and `aliases`
+   * @param {string} query - Text typed after [[
+   * @returns {Array<Object>} Note items, best first, plus an optional create item
+   */
+  rank(notes, query) {
+    const matches = [];
+    let exists = false;
+
+    for (const note of notes) {
+      const candidates = [note.title, ...(note.aliases || [])];
+      if (candidates.some(text => text.toLowerCase() === query.toLowerCase())) {
+        exists = true;
+      }
+
+      let best = null;
+      candidates.forEach((text, i) => {
+        const match = fuzzyMatch(query, text);
+        if (match && (!best || match.score > best.score)) {
+          best = { ...match, alias: i > 0 ? text : null };
+        }
+      });
+
+      if (best) {
+        matches.push({ type: 'note', title: note.title, ...best });
+      }
+    }
+
+    matches.sort((a, b) => b.score - a.score || a.title.localeCompare(b.title));
+    const items = matches.slice(0, MAX_RESULTS);
+
+    if (query && !exists) {
+      items.push({ type: 'create', title: query });
+    }
+    return items;
+  }
+
+  /**
+   * Handle navigation keys while the popup is open
+   * @param {KeyboardEvent} e - Keydown event from the textarea
+   */
+  onKeydown(e) {
+    if (!this.isOpen) return;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        this.selectedIndex = (this.selectedIndex + 1) % this.items.length;
+        this.render();
+        break;
+      case 'ArrowUp':
+        this.selectedIndex = (this.selectedIndex - 1 + this.items.length) % this.items.length;
+        this.render();
+        break;
+      case 'Enter':
+      case 'Tab':
+        this.select(this.selectedIndex);
+        break;
+      case 'Escape':
+        this.close();
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  /**
+   * Insert the link for a suggestion, creating the note first if needed
+   * @param {number} index - Index of the suggestion
+   */
+  async select(index) {
+    const item = this.items[index];
+    if (!item) return;
+
+    const start = this.start;
+    this.close();
+
+    if (item.type === 'create' && !(await this.onCreate(item.title))) {
+      return;
+    }
+
+    const { value, selectionStart } = this.textarea;
+    // Reuse closing brackets that are already there, e.g. from an earlier [[]]
+    const end = value.startsWith(']]', selectionStart) ? selectionStart + 2 : selectionStart;
+
+    this.textarea.focus();
+    this.textarea.setRangeText(`[[${item.title}]]`, start, end, 'end');
+    this.textarea.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+
+  /**
+   * Render the suggestion list
+   */
+  render() {
+    this.popup.innerHTML = this.items.map((item, index) => {
+      const selected = index === this.selectedIndex;
+      const label = item.type === 'create'
+        ? `<span class="link-autocomplete-create">Create note "${this.escapeHtml(item.title)}"</span>`
+        : item.alias
+          ? `${this.escapeHtml(item.title)} <span class="link-autocomplete-alias">${this.highlight(item.alias, item.ranges)}</span>`
+          : this.highlight(item.title, item.ranges);
+
+      return `
+        <div class="link-autocomplete-item ${selected ? 'selected' : ''}" role="option"
+             aria-selected="${selected}" data-index="${index}">${label}</div>
+      `;
+    }).join('');
+
+    this.popup.hidden = false;
+    this.popup.querySelector('.selected')?.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Place the popup below the caret, keeping it inside the window
+   */
+  position() {
+    const caret = this.getCaretCoordinates();
+    const rect = this.textarea.getBoundingClientRect();
+    const popupRect = this.popup.getBoundingClientRect();
+
+    let left = rect.left + caret.left - this.textarea.scrollLeft;
+    let top = rect.top + caret.top + caret.height - this.textarea.scrollTop;
+
+    left = Math.max(0, Math.min(left, window.innerWidth - popupRect.width));
+    if (top + popupRect.height > window.innerHeight) {
+      // Not enough room below the line, open above it instead
+      top = rect.top + caret.top - this.textarea.scrollTop - popupRect.height;
+    }
+
+    this.popup.style.left = `${left}px`;
+    this.popup.style.top = `${Math.max(0, top)}px`;
+  }
+
+  /**
+   * Measure where the caret is inside the textarea
+   * @returns {{top: number, left: number, height: number}} Offsets relative to the textarea
+   */
+  getCaretCoordinates() {
+    const style = window.getComputedStyle(this.textarea);
+    const mirror = document.createElement('div');
+
+    for (const property of MIRROR_PROPERTIES) {
+      mirror.style[property] = style[property];
+    }
+    mirror.style.position = 'absolute';
+    mirror.style.visibility = 'hidden';
+    mirror.style.whiteSpace = 'pre-wrap';
+    mirror.style.overflowWrap = 'break-word';
+    mirror.style.top = '0';
+    mirror.style.left = '-9999px';
+
+    mirror.textContent = this.textarea.value.slice(0, this.textarea.selectionStart);
+    const marker = document.createElement('span');
+    marker.textContent = '\u200b';
+    mirror.appendChild(marker);
+
+    document.body.appendChild(mirror);
+    const coordinates = { top: marker.offsetTop, left: marker.offsetLeft, height: marker.offsetHeight };
+    mirror.remove();
+
+    return coordinates;
+  }
+
+  /**
+   * Hide the popup
+   */
+  close() {
+    this.requestId++;
+    this.items = [];
+    this.start = -1;
+    this.popup.hidden = true;
+  }
+
+  highlight(text, ranges) {
+    let html = '';
+    let position = 0;
+    for (const { start, end } of ranges) {
+      html += this.escapeHtml(text.substring(position, start));
+      html += `<mark>${this.escapeHtml(text.substring(start, end))}</mark>`;
+      position = end;
+    }
+    return html + this.escapeHtml(text.substring(position));
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Remove the popup and stop listening to the textarea
+   */
+  destroy() {
+    this.textarea.removeEventListener('input', this.handleInput);
+    this.textarea.removeEventListener('keydown', this.handleKeydown);
+    this.textarea.removeEventListener('blur', this.handleBlur);
+    this.textarea.removeEventListener('scroll', this.handleScroll);
+    this.popup.remove();
+  }
+}
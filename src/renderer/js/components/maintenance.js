@@ -0,0 +1,336 @@
+import {
+  HISTORY_DEFAULT_MAX_AGE_DAYS,
+  HISTORY_DEFAULT_MAX_REVISIONS,
+  TRASH_DEFAULT_RETENTION_DAYS,
+} from '../../../shared/constants.js';
+
+/**
+ * Maintenance Component
+ * Checks the storage folder for inconsistencies (unreadable files, links to
+ * deleted projects, duplicate note IDs, misplaced notes) and applies the
+ * suggested fixes the user selects. Also sets how long note revisions and
+ * trashed items are kept.
+ */
+
+const TYPE_LABELS = {
+  'corrupt-snippet': 'Corrupt snippet',
+  'unreadable-note': 'Unreadable note',
+  'duplicate-note-id': 'Duplicate note ID',
+  'note-folder-mismatch': 'Misplaced note',
+  'orphan-note': 'Orphaned note',
+  'orphan-todo': 'Orphaned todo',
+  'orphan-milestone': 'Orphaned milestone',
+};
+
+export class MaintenanceComponent {
+  constructor() {
+    this.issues = [];
+    this.selectedIds = new Set();
+    this.checkedAt = null;
+    this.container = null;
+  }
+
+  /**
+   * Render the maintenance view
+   * @param {HTMLElement} container - Container to render into
+   */
+  render(container) {
+    this.container = container;
+    container.innerHTML = `
+      <div class="maintenance-section">
+        <div class="maintenance-header">
+          <div>
+            <h2>Maintenance</h2>
+            <span class="maintenance-status" id="maintenance-status"></span>
+          </div>
+          <div class="maintenance-actions">
+            <button type="button" class="btn-secondary" id="maintenance-check-btn">Run Check</button>
+            <button type="button" class="btn-secondary" id="maintenance-select-all-btn" disabled>Select All</button>
+            <button type="button" class="btn-primary" id="maintenance-repair-btn" disabled>Apply Selected Fixes</button>
+          </div>
+        </div>
+
+        <form class="maintenance-settings" id="maintenance-settings">
+          <div class="form-group">
+            <label for="maintenance-history-revisions">Revisions kept per note</label>
+            <input type="number" id="maintenance-history-revisions" min="1" max="1000" step="1">
+          </div>
+          <div class="form-group">
+            <label for="maintenance-history-days">Revisions kept for (days, 0 = forever)</label>
+            <input type="number" id="maintenance-history-days" min="0" max="3650" step="1">
+          </div>
+          <div class="form-group">
+            <label for="maintenance-trash-days">Trash kept for (days, 0 = forever)</label>
+            <input type="number" id="maintenance-trash-days" min="0" max="3650" step="1">
+          </div>
+          <button type="submit" class="btn-secondary">Save Settings</button>
+        </form>
+
+        <div class="maintenance-list" id="maintenance-list">
+          <div class="loading">Checking storage...</div>
+        </div>
+
+        <div class="feedback-message" id="maintenance-feedback"></div>
+      </div>
+    `;
+
+    document.getElementById('maintenance-check-btn')?.addEventListener('click', () => this.runCheck());
+    document.getElementById('maintenance-select-all-btn')?.addEventListener('click', () => this.toggleSelectAll());
+    document.getElementById('maintenance-repair-btn')?.addEventListener('click', () => this.applyFixes());
+    document.getElementById('maintenance-settings')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveSettings(this.readSettingsForm());
+    });
+    this.loadSettings();
+    this.runCheck();
+  }
+
+  /**
+   * Fill the retention form from the preferences
+   */
+  async loadSettings() {
+    try {
+      const result = await window.knowledgeBase.invoke('config.get');
+      if (!result.success) {
+        this.showError('Failed to load settings: ' + result.error);
+        return;
+      }
+
+      const preferences = result.data?.preferences || {};
+      const setValue = (id, value) => {
+        const input = document.getElementById(id);
+        if (input) input.value = value;
+      };
+      setValue('maintenance-history-revisions', preferences.historyMaxRevisions ?? HISTORY_DEFAULT_MAX_REVISIONS);
+      setValue('maintenance-history-days', preferences.historyMaxAgeDays ?? HISTORY_DEFAULT_MAX_AGE_DAYS);
+      setValue('maintenance-trash-days', preferences.trashRetentionDays ?? TRASH_DEFAULT_RETENTION_DAYS);
+    } catch (error) {
+      console.error('Error loading settings:', error);
+      this.showError('Error loading settings');
+    }
+  }
+
+  /**
+   * Read the retention from the settings form
+   * @returns {Object} Preference updates
+   */
+  readSettingsForm() {
+    return {
+      historyMaxRevisions: Number(document.getElementById('maintenance-history-revisions')?.value),
+      historyMaxAgeDays: Number(document.getElementById('maintenance-history-days')?.value),
+      trashRetentionDays: Number(document.getElementById('maintenance-trash-days')?.value),
+    };
+  }
+
+  /**
+   * Save the retention preferences
+   * @param {Object} preferences - Preference updates
+   */
+  async saveSettings(preferences) {
+    try {
+      const result = await window.knowledgeBase.invoke('config.update', { preferences });
+
+      if (result.success) {
+        this.showSuccess('Settings saved');
+        await this.loadSettings();
+      } else {
+        this.showError('Failed to save settings: ' + result.error.replace(/^VALIDATION_ERROR: /, ''));
+      }
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      this.showError('Error saving settings');
+    }
+  }
+
+  /**
+   * Check the storage folder
+   */
+  async runCheck() {
+    try {
+      const result = await window.knowledgeBase.invoke('storage.check');
+
+      if (result.success) {
+        this.issues = result.data.issues;
+        this.checkedAt = result.data.checkedAt;
+        // Keep the selection of issues that are still there
+        this.selectedIds = new Set(this.issues.map(issue => issue.id).filter(id => this.selectedIds.has(id)));
+        this.renderIssues();
+      } else {
+        this.showError('Failed to check storage: ' + result.error);
+      }
+    } catch (error) {
+      console.error('Error checking storage:', error);
+      this.showError('Error checking storage');
+    }
+  }
+
+  /**
+   * Render the list of issues
+   */
+  renderIssues() {
+    const listContainer = document.getElementById('maintenance-list');
+    const status = document.getElementById('maintenance-status');
+    if (!listContainer) return;
+
+    if (status) {
+      const count = this.issues.length;
+      status.textContent = `${count === 0 ? 'No' : count} issue${count === 1 ? '' : 's'} found · checked ${new Date(this.checkedAt).toLocaleString()}`;
+    }
+    this.updateButtons();
+
+    if (this.issues.length === 0) {
+      listContainer.innerHTML = '<div class="maintenance-empty"><p>Everything in the storage folder is consistent.</p></div>';
+      return;
+    }
+
+    listContainer.innerHTML = this.issues.map((issue, index) => `
+      <label class="maintenance-item">
+        <input type="checkbox" class="maintenance-item-select" data-index="${index}" ${this.selectedIds.has(issue.id) ? 'checked' : ''}>
+        <span class="maintenance-item-type type-${issue.type}">${TYPE_LABELS[issue.type] || issue.type}</span>
+        <div class="maintenance-item-content">
+          <span class="maintenance-item-title">${this.escapeHtml(issue.title)}</span>
+          <span class="maintenance-item-message">${this.escapeHtml(issue.message)}</span>
+          <span class="maintenance-item-fix">Fix: ${this.escapeHtml(issue.fix)}</span>
+        </div>
+      </label>
+    `).join('');
+
+    listContainer.querySelectorAll('.maintenance-item-select').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        const { id } = this.issues[Number(checkbox.dataset.index)];
+        if (checkbox.checked) {
+          this.selectedIds.add(id);
+        } else {
+          this.selectedIds.delete(id);
+        }
+        this.updateButtons();
+      });
+    });
+  }
+
+  /**
+   * Enable the buttons that apply to the current issues and selection
+   */
+  updateButtons() {
+    const selectAllBtn = document.getElementById('maintenance-select-all-btn');
+    const repairBtn = document.getElementById('maintenance-repair-btn');
+    const allSelected = this.issues.length > 0 && this.selectedIds.size === this.issues.length;
+
+    if (selectAllBtn) {
+      selectAllBtn.disabled = this.issues.length === 0;
+      selectAllBtn.textContent = allSelected ? 'Select None' : 'Select All';
+    }
+    if (repairBtn) {
+      repairBtn.disabled = this.selectedIds.size === 0;
+      repairBtn.textContent = this.selectedIds.size > 0
+        ? `Apply ${this.selectedIds.size} Selected Fix${this.selectedIds.size === 1 ? '' : 'es'}`
+        : 'Apply Selected Fixes';
+    }
+  }
+
+  /**
+   * Select all issues, or none when all are selected
+   */
+  toggleSelectAll() {
+    this.selectedIds = this.selectedIds.size === this.issues.length
+      ? new Set()
+      : new Set(this.issues.map(issue => issue.id));
+    this.renderIssues();
+  }
+
+  /**
+   * Apply the fixes of the selected issues
+   */
+  async applyFixes() {
+    const selected = this.issues.filter(issue => this.selectedIds.has(issue.id));
+    if (selected.length === 0) return;
+
+    const fixes = selected.slice(0, 10).map(issue => `  ${issue.title}: ${issue.fix}`).join('\n');
+    const more = selected.length > 10 ? `\n  …and ${selected.length - 10} more` : '';
+    if (!confirm(`Apply ${selected.length} fix(es)?\n\n${fixes}${more}`)) return;
+
+    try {
+      const result = await window.knowledgeBase.invoke('storage.repair', { ids: selected.map(issue => issue.id) });
+
+      if (result.success) {
+        const { fixed, failed } = result.data;
+        const reasons = failed.map(failure => `${this.describeIssue(failure.id)} (${failure.error})`).join(', ');
+        this.selectedIds = new Set(failed.map(failure => failure.id));
+        await this.runCheck();
+
+        if (failed.length === 0) {
+          this.showSuccess(`Applied ${fixed.length} fix(es)`);
+        } else {
+          this.showError(`Applied ${fixed.length} fix(es), ${failed.length} failed: ${reasons}`);
+        }
+      } else {
+        this.showError('Failed to apply fixes: ' + result.error);
+      }
+    } catch (error) {
+      console.error('Error applying fixes:', error);
+      this.showError('Error applying fixes');
+    }
+  }
+
+  /**
+   * Short name of an issue for messages
+   * @param {string} issueId - Issue ID
+   * @returns {string} Title of the issue, or its ID when it is gone
+   */
+  describeIssue(issueId) {
+    return this.issues.find(issue => issue.id === issueId)?.title || issueId;
+  }
+
+  /**
+   * Show success message
+   * @param {string} message - Message to show
+   */
+  showSuccess(message) {
+    this.showFeedback(message, 'success');
+  }
+
+  /**
+   * Show error message
+   * @param {string} message - Message to show
+   */
+  showError(message) {
+    this.showFeedback(message, 'error');
+  }
+
+  /**
+   * Show feedback message
+   * @param {string} message - Message to show
+   * @param {string} type - 'success' or 'error'
+   */
+  showFeedback(message, type) {
+    const feedbackEl = document.getElementById('maintenance-feedback');
+    if (!feedbackEl) return;
+
+    feedbackEl.textContent = message;
+    feedbackEl.className = `feedback-message ${type} show`;
+
+    setTimeout(() => {
+      feedbackEl.classList.remove('show');
+    }, type === 'error' ? 6000 : 3000);
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Destroy the component
+   */
+  destroy() {
+    this.issues = [];
+    this.selectedIds.clear();
+    this.container = null;
+  }
+}
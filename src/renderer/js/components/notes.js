@@ -1,5 +1,7 @@
 import { markdownService } from '../services/markdown.js';
 import { isValidTitle } from '../../../shared/validators.js';
+import { ATTACHMENT_PROTOCOL, MAX_ATTACHMENT_BYTES } from '../../../shared/constants.js';
+import { LinkAutocomplete } from './link-autocomplete.js';
 
 /**
  * Notes Component
@@ -7,7 +9,12 @@ import { isValidTitle } from '../../../shared/validators.js';
  */
 
 export class NotesComponent {
-  constructor() {
+  /**
+   * @param {Object} [state] - App state; data.currentNoteId tracks the note in the
+   *   editor for other views
+   */
+  constructor(state = null) {
+    this.state = state;
     this.container = null;
     this.notes = [];
     this.projects = [];
@@ -19,6 +26,20 @@ export class NotesComponent {
     this.sortBy = 'modifiedAt';
     this.sortOrder = 'desc';
     this.preloadCache = new Map(); // Cache for preloaded notes
+    this.searchQuery = '';
+    this.searchResults = null; // null = not searching
+    this.searchTimer = null;
+    this.backlinks = [];
+    this.backlinksCollapsed = false;
+    this.unsubscribeStorage = null;
+    this.resolvingConflict = false;
+    this.allTags = []; // [{ tag, count }] across all notes
+    this.selectedTags = [];
+    this.tagMode = 'and';
+    this.editorTags = []; // Frontmatter tags of the open note
+    this.linkAutocomplete = null;
+    this.linkTargets = null; // All notes, unfiltered, for [[link]] completion
+    this.journalToday = null; // Today's date as the daily todos see it
   }
 
   /**
@@ -35,9 +56,27 @@ export class NotesComponent {
       <div class="notes-sidebar">
         <div class="notes-header">
           <h2>Notes</h2>
-          <button type="button" class="btn-icon" id="new-note-btn" title="Create new note">
-            <span>+</span>
-          </button>
+          <div class="notes-header-actions">
+            <button type="button" class="btn-icon" id="journal-today-btn" title="Open today's journal note">
+              <span>&#128197;</span>
+            </button>
+            <button type="button" class="btn-icon" id="new-from-template-btn" title="New note from template">
+              <span>&#9776;</span>
+            </button>
+            <button type="button" class="btn-icon" id="new-note-btn" title="Create new note">
+              <span>+</span>
+            </button>
+          </div>
+        </div>
+
+        <div class="notes-search">
+          <input
+            type="search"
+            id="note-search"
+            class="note-search-input"
+            placeholder="Search notes..."
+            title="Supports &quot;phrases&quot;, prefix*, title:, tag: and project: filters"
+          />
         </div>
         
         <div class="notes-controls">
@@ -54,6 +93,15 @@ export class NotesComponent {
           </select>
         </div>
 
+        <div class="notes-tags-panel">
+          <div class="notes-tags-header">
+            <span>Tags</span>
+            <button type="button" class="tag-mode-btn" id="tag-mode-btn" title="Show notes with all selected tags">All</button>
+            <button type="button" class="tag-clear-btn" id="tag-clear-btn" style="display: none;">Clear</button>
+          </div>
+          <div class="notes-tags-list" id="notes-tags-list"></div>
+        </div>
+
         <div class="notes-list" id="notes-list">
           <div class="loading">Loading notes...</div>
         </div>
@@ -73,6 +121,18 @@ export class NotesComponent {
               <select id="note-project" class="note-project-select">
                 <option value="">No Project</option>
               </select>
+              <div class="note-tags-editor" id="note-tags-editor">
+                <div class="note-tag-chips" id="note-tag-chips"></div>
+                <input
+                  type="text"
+                  id="note-tag-input"
+                  class="note-tag-input"
+                  placeholder="Add tag..."
+                  list="note-tag-options"
+                  autocomplete="off"
+                />
+                <datalist id="note-tag-options"></datalist>
+              </div>
             </div>
             <div class="editor-actions">
               <button type="button" class="btn-secondary" id="toggle-preview-btn">
@@ -81,12 +141,25 @@ export class NotesComponent {
               <button type="button" class="btn-secondary" id="save-note-btn" disabled>
                 Save
               </button>
+              <button type="button" class="btn-secondary" id="history-btn" title="Show revision history">
+                History
+              </button>
+              <button type="button" class="btn-secondary" id="local-graph-btn" title="Show the notes linked with this one">
+                Graph
+              </button>
               <button type="button" class="btn-danger" id="delete-note-btn">
                 Delete
               </button>
             </div>
           </div>
 
+          <div class="journal-nav" id="journal-nav" style="display: none;">
+            <button type="button" class="btn-secondary" id="journal-prev-btn">&#8249; Previous day</button>
+            <span class="journal-nav-date" id="journal-nav-date"></span>
+            <button type="button" class="btn-secondary" id="journal-today-nav-btn">Today</button>
+            <button type="button" class="btn-secondary" id="journal-next-btn">Next day &#8250;</button>
+          </div>
+
           <div class="editor-content">
             <textarea 
               id="note-content" 
@@ -96,6 +169,14 @@ export class NotesComponent {
             <div id="note-preview" class="note-preview" style="display: none;"></div>
           </div>
 
+          <div class="backlinks-panel" id="backlinks-panel" style="display: none;">
+            <button type="button" class="backlinks-header" id="backlinks-toggle">
+              <span class="backlinks-caret" id="backlinks-caret">&#9662;</span>
+              Backlinks <span class="backlinks-count" id="backlinks-count">0</span>
+            </button>
+            <div class="backlinks-list" id="backlinks-list"></div>
+          </div>
+
           <div class="editor-status" id="editor-status"></div>
         </div>
 
@@ -107,6 +188,7 @@ export class NotesComponent {
         </div>
       </div>
 
+      <div id="notes-modal" class="modal" style="display:none;"></div>
       <div class="feedback-message" id="feedback-message"></div>
     `;
 
@@ -114,6 +196,80 @@ export class NotesComponent {
     await this.loadProjects();
     await this.loadNotes();
     this.attachEventListeners();
+
+    this.unsubscribeStorage = window.knowledgeBase.on('storage.changed', (event) => this.onStorageChanged(event));
+  }
+
+  /**
+   * Refresh after notes or projects were changed outside the app
+   * @param {Object} event - Storage change event from the main process
+   */
+  async onStorageChanged(event) {
+    if (event.type === 'data' && event.files.includes('projects.json')) {
+      await this.loadProjects();
+      return;
+    }
+    if (event.type !== 'notes') return;
+
+    for (const id of [...event.changed, ...event.removed]) {
+      this.preloadCache.delete(id);
+    }
+
+    await this.loadNotes();
+    if (this.searchQuery) {
+      await this.performSearch();
+    }
+
+    if (!this.currentNote) return;
+    const noteId = this.currentNote.id;
+
+    if (event.removed.includes(noteId)) {
+      // Keep the text on screen, saving creates the note again
+      this.currentNote = null;
+      this.hasUnsavedChanges = true;
+      this.updateSaveButton();
+      this.setEditorStatus('This note was deleted on disk. Save to keep it.');
+    } else if (event.changed.includes(noteId)) {
+      await this.onCurrentNoteChangedOnDisk(noteId);
+    }
+  }
+
+  /**
+   * Reload the open note after an external edit, asking first if it has unsaved changes
+   * @param {string} noteId - Note ID
+   */
+  async onCurrentNoteChangedOnDisk(noteId) {
+    const result = await window.knowledgeBase.invoke('notes.get', noteId);
+    if (!result.success || this.currentNote?.id !== noteId) return;
+
+    const diskNote = result.data;
+    const titleInput = document.getElementById('note-title');
+    const contentTextarea = document.getElementById('note-content');
+    const sameAsEditor = titleInput?.value.trim() === diskNote.title && contentTextarea?.value === diskNote.content;
+
+    if (this.hasUnsavedChanges && !sameAsEditor) {
+      // Don't let autosave overwrite the disk version while the user decides
+      clearTimeout(this.autoSaveTimer);
+
+      const choice = await this.showChoiceModal({
+        title: 'Note changed on disk',
+        message: `"${diskNote.title}" was changed by another program while you were editing it.`,
+        notes: [],
+        choices: [
+          { id: 'reload', label: 'Load version from disk', className: 'btn-primary' },
+          { id: 'cancel', label: 'Keep my version', className: 'btn-secondary' },
+        ],
+      });
+
+      if (choice !== 'reload') {
+        this.currentNote = diskNote;
+        this.setEditorStatus('Note changed on disk. Saving will overwrite those changes.');
+        return;
+      }
+    }
+
+    await this.reloadFromDisk(diskNote);
+    this.setEditorStatus('Reloaded changes from disk');
   }
 
   /**
@@ -125,11 +281,19 @@ export class NotesComponent {
         projectId: this.selectedProjectId,
         sortBy: this.sortBy,
         sortOrder: this.sortOrder,
+        tags: this.selectedTags,
+        tagMode: this.tagMode,
       });
 
       if (result.success) {
         this.notes = result.data;
-        this.renderNotesList();
+        this.linkTargets = null;
+        this.loadTags();
+        if (this.searchQuery) {
+          await this.performSearch();
+        } else {
+          this.renderNotesList();
+        }
       } else {
         this.showError('Failed to load notes: ' + result.error);
       }
@@ -138,6 +302,172 @@ export class NotesComponent {
     }
   }
 
+  /**
+   * Load tag counts for the tag sidebar and the tag autocomplete
+   */
+  async loadTags() {
+    try {
+      const result = await window.knowledgeBase.invoke('notes.tags', {
+        projectId: this.selectedProjectId,
+      });
+
+      if (result.success) {
+        this.allTags = result.data;
+        this.renderTagsPanel();
+        this.renderTagOptions();
+      }
+    } catch (error) {
+      console.error('Error loading tags:', error);
+    }
+  }
+
+  /**
+   * Render the tag sidebar with counts and the current selection
+   */
+  renderTagsPanel() {
+    const list = document.getElementById('notes-tags-list');
+    const modeBtn = document.getElementById('tag-mode-btn');
+    const clearBtn = document.getElementById('tag-clear-btn');
+    if (!list) return;
+
+    if (modeBtn) {
+      modeBtn.textContent = this.tagMode === 'and' ? 'All' : 'Any';
+      modeBtn.title = this.tagMode === 'and'
+        ? 'Show notes with all selected tags'
+        : 'Show notes with any selected tag';
+    }
+    if (clearBtn) clearBtn.style.display = this.selectedTags.length > 0 ? '' : 'none';
+
+    // Selected tags stay visible even when no note in the filter has them anymore
+    const tags = [...this.allTags];
+    for (const tag of this.selectedTags) {
+      if (!tags.some(entry => entry.tag === tag)) tags.push({ tag, count: 0 });
+    }
+
+    if (tags.length === 0) {
+      list.innerHTML = '<div class="notes-tags-empty">No tags yet</div>';
+      return;
+    }
+
+    list.innerHTML = tags.map(({ tag, count }) => `
+      <button type="button" class="tag-filter ${this.selectedTags.includes(tag) ? 'active' : ''}" data-tag="${this.escapeHtml(tag)}">
+        #${this.escapeHtml(tag)} <span class="tag-count">${count}</span>
+      </button>
+    `).join('');
+
+    list.querySelectorAll('.tag-filter').forEach(button => {
+      button.addEventListener('click', () => this.toggleTagFilter(button.dataset.tag));
+    });
+  }
+
+  /**
+   * Add or remove a tag from the list filter
+   * @param {string} tag - Tag name
+   */
+  toggleTagFilter(tag) {
+    this.selectedTags = this.selectedTags.includes(tag)
+      ? this.selectedTags.filter(selected => selected !== tag)
+      : [...this.selectedTags, tag];
+    this.loadNotes();
+  }
+
+  /**
+   * Fill the tag input autocomplete with existing tags
+   */
+  renderTagOptions() {
+    const options = document.getElementById('note-tag-options');
+    if (!options) return;
+
+    options.innerHTML = this.allTags
+      .filter(({ tag }) => !this.editorTags.includes(tag))
+      .map(({ tag }) => `<option value="${this.escapeHtml(tag)}"></option>`)
+      .join('');
+  }
+
+  /**
+   * Render the tags of the open note: editable frontmatter tags and inline #tags
+   */
+  renderEditorTags() {
+    const chips = document.getElementById('note-tag-chips');
+    if (!chips) return;
+
+    const inlineTags = (this.currentNote?.inlineTags || []).filter(tag => !this.editorTags.includes(tag));
+
+    chips.innerHTML = [
+      ...this.editorTags.map(tag => `
+        <span class="tag-chip">
+          #${this.escapeHtml(tag)}
+          <button type="button" class="tag-chip-remove" data-tag="${this.escapeHtml(tag)}" title="Remove tag">&times;</button>
+        </span>
+      `),
+      ...inlineTags.map(tag => `
+        <span class="tag-chip inline" title="From #${this.escapeHtml(tag)} in the note">#${this.escapeHtml(tag)}</span>
+      `),
+    ].join('');
+
+    chips.querySelectorAll('.tag-chip-remove').forEach(button => {
+      button.addEventListener('click', () => {
+        this.editorTags = this.editorTags.filter(tag => tag !== button.dataset.tag);
+        this.renderEditorTags();
+        this.renderTagOptions();
+        this.onContentChange();
+      });
+    });
+  }
+
+  /**
+   * Add tags typed into the tag input (comma or space separated)
+   * @param {string} value - Input value
+   */
+  addEditorTags(value) {
+    const tags = value
+      .split(/[,\s]+/)
+      .map(tag => tag.replace(/^#/, '').trim().toLowerCase())
+      .filter(Boolean);
+
+    const invalid = tags.find(tag => !/^[\p{L}\p{N}_/-]+$/u.test(tag));
+    if (invalid) {
+      this.showError(`Invalid tag "${invalid}": use letters, numbers, _, - and /`);
+      return false;
+    }
+
+    const added = tags.filter(tag => !this.editorTags.includes(tag));
+    if (added.length === 0) return true;
+
+    this.editorTags = [...this.editorTags, ...added];
+    this.renderEditorTags();
+    this.renderTagOptions();
+    this.onContentChange();
+    return true;
+  }
+
+  /**
+   * Run a full-text search for the current query
+   */
+  async performSearch() {
+    if (!this.searchQuery) {
+      this.searchResults = null;
+      this.renderNotesList();
+      return;
+    }
+
+    try {
+      const result = await window.knowledgeBase.invoke('notes.search', {
+        query: this.searchQuery,
+        projectId: this.selectedProjectId,
+      });
+
+      if (result.success) {
+        this.searchResults = result.data;
+        this.renderNotesList();
+      } else {
+        this.showError('Search failed: ' + result.error);
+      }
+    } catch (error) {
+      this.showError('Error searching notes: ' + error.message);
+    }
+  }
+
   /**
    * Load available projects for filtering
    */
@@ -184,6 +514,11 @@ export class NotesComponent {
     
     if (!listContainer) return;
 
+    if (this.searchResults !== null) {
+      this.renderSearchResults(listContainer);
+      return;
+    }
+
     if (this.notes.length === 0) {
       listContainer.innerHTML = '<div class="notes-list-empty">No notes yet. Create your first note!</div>';
       return;
@@ -202,7 +537,34 @@ export class NotesComponent {
     `;
     }).join('');
 
-    // Attach click handlers to note items
+    this.attachNoteItemListeners(listContainer);
+  }
+
+  /**
+   * Render search results with highlighted matches
+   * @param {HTMLElement} listContainer - Notes list element
+   */
+  renderSearchResults(listContainer) {
+    if (this.searchResults.length === 0) {
+      listContainer.innerHTML = '<div class="notes-list-empty">No matching notes.</div>';
+      return;
+    }
+
+    listContainer.innerHTML = this.searchResults.map(result => `
+      <div class="note-item note-search-result ${this.currentNote?.id === result.id ? 'active' : ''}" data-note-id="${result.id}">
+        <div class="note-item-title">${this.highlightText(result.title, result.titleHighlights)}</div>
+        <div class="note-search-snippet">${this.highlightText(result.snippet, result.highlights)}</div>
+      </div>
+    `).join('');
+
+    this.attachNoteItemListeners(listContainer);
+  }
+
+  /**
+   * Attach click handlers to note items
+   * @param {HTMLElement} listContainer - Notes list element
+   */
+  attachNoteItemListeners(listContainer) {
     listContainer.querySelectorAll('.note-item').forEach(item => {
       item.addEventListener('click', () => {
         const noteId = item.dataset.noteId;
@@ -211,11 +573,29 @@ export class NotesComponent {
     });
   }
 
+  /**
+   * Escape text and wrap highlight ranges in <mark>
+   * @param {string} text - Plain text
+   * @param {Array<{start: number, end: number}>} ranges - Sorted, non-overlapping ranges
+   * @returns {string} HTML string
+   */
+  highlightText(text, ranges = []) {
+    let html = '';
+    let position = 0;
+    for (const { start, end } of ranges) {
+      html += this.escapeHtml(text.substring(position, start));
+      html += `<mark>${this.escapeHtml(text.substring(start, end))}</mark>`;
+      position = end;
+    }
+    return html + this.escapeHtml(text.substring(position));
+  }
+
   /**
    * Attach event listeners
    */
   attachEventListeners() {
     const newNoteBtn = document.getElementById('new-note-btn');
+    const newFromTemplateBtn = document.getElementById('new-from-template-btn');
     const sortSelect = document.getElementById('sort-select');
     const titleInput = document.getElementById('note-title');
     const contentTextarea = document.getElementById('note-content');
@@ -224,9 +604,45 @@ export class NotesComponent {
     const togglePreviewBtn = document.getElementById('toggle-preview-btn');
     const projectFilter = document.getElementById('project-filter');
     const noteProjectSelect = document.getElementById('note-project');
+    const searchInput = document.getElementById('note-search');
+    const backlinksToggle = document.getElementById('backlinks-toggle');
+    const historyBtn = document.getElementById('history-btn');
+    const tagInput = document.getElementById('note-tag-input');
+    const tagModeBtn = document.getElementById('tag-mode-btn');
+    const tagClearBtn = document.getElementById('tag-clear-btn');
 
     if (newNoteBtn) {
-      newNoteBtn.addEventListener('click', () => this.createNewNote());
+      newNoteBtn.addEventListener('click', () => {
+        // Projects can start their notes from a default template
+        const project = this.projects.find(p => p.id === this.selectedProjectId);
+        if (project?.defaultTemplateId) {
+          this.showTemplatePicker(project.defaultTemplateId);
+        } else {
+          this.createNewNote();
+        }
+      });
+    }
+
+    if (newFromTemplateBtn) {
+      newFromTemplateBtn.addEventListener('click', () => this.showTemplatePicker());
+    }
+
+    document.getElementById('journal-today-btn')?.addEventListener('click', () => this.openJournal());
+    document.getElementById('journal-today-nav-btn')?.addEventListener('click', () => this.openJournal());
+    document.getElementById('journal-prev-btn')?.addEventListener('click', () => this.openJournalDay(-1));
+    document.getElementById('journal-next-btn')?.addEventListener('click', () => this.openJournalDay(1));
+
+    if (searchInput) {
+      searchInput.addEventListener('input', (e) => {
+        // Debounce search while typing
+        if (this.searchTimer) {
+          clearTimeout(this.searchTimer);
+        }
+        this.searchTimer = setTimeout(() => {
+          this.searchQuery = e.target.value.trim();
+          this.performSearch();
+        }, 250);
+      });
     }
 
     if (projectFilter) {
@@ -255,6 +671,35 @@ export class NotesComponent {
 
     if (contentTextarea) {
       contentTextarea.addEventListener('input', () => this.onContentChange());
+      this.linkAutocomplete = new LinkAutocomplete(contentTextarea, {
+        getNotes: () => this.getLinkTargets(),
+        onCreate: (title) => this.createLinkedNote(title),
+      });
+
+      // Pasted or dropped files become attachments of the note
+      contentTextarea.addEventListener('paste', (e) => {
+        const files = [...(e.clipboardData?.files || [])];
+        if (files.length > 0) {
+          e.preventDefault();
+          this.insertAttachments(files);
+        }
+      });
+      contentTextarea.addEventListener('dragover', (e) => {
+        if (e.dataTransfer?.types.includes('Files')) {
+          e.preventDefault();
+          e.dataTransfer.dropEffect = 'copy';
+          contentTextarea.classList.add('drag-over');
+        }
+      });
+      contentTextarea.addEventListener('dragleave', () => contentTextarea.classList.remove('drag-over'));
+      contentTextarea.addEventListener('drop', (e) => {
+        contentTextarea.classList.remove('drag-over');
+        const files = [...(e.dataTransfer?.files || [])];
+        if (files.length > 0) {
+          e.preventDefault();
+          this.insertAttachments(files);
+        }
+      });
     }
 
     if (saveBtn) {
@@ -268,6 +713,107 @@ export class NotesComponent {
     if (togglePreviewBtn) {
       togglePreviewBtn.addEventListener('click', () => this.togglePreview());
     }
+
+    document.getElementById('local-graph-btn')?.addEventListener('click', () => {
+      if (this.state) this.state.data.graphLocal = true;
+      window.location.hash = '#/graph';
+    });
+
+    if (historyBtn) {
+      historyBtn.addEventListener('click', () => this.showHistory());
+    }
+
+    if (tagInput) {
+      tagInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+          e.preventDefault();
+          if (this.addEditorTags(tagInput.value)) tagInput.value = '';
+        } else if (e.key === 'Backspace' && !tagInput.value && this.editorTags.length > 0) {
+          this.editorTags = this.editorTags.slice(0, -1);
+          this.renderEditorTags();
+          this.renderTagOptions();
+          this.onContentChange();
+        }
+      });
+      // Picking a suggestion from the datalist fires input without a keydown
+      tagInput.addEventListener('input', (e) => {
+        if (e.inputType === 'insertReplacementText' && this.addEditorTags(tagInput.value)) {
+          tagInput.value = '';
+        }
+      });
+      tagInput.addEventListener('blur', () => {
+        if (tagInput.value.trim() && this.addEditorTags(tagInput.value)) tagInput.value = '';
+      });
+    }
+
+    if (tagModeBtn) {
+      tagModeBtn.addEventListener('click', () => {
+        this.tagMode = this.tagMode === 'and' ? 'or' : 'and';
+        this.renderTagsPanel();
+        if (this.selectedTags.length > 1) this.loadNotes();
+      });
+    }
+
+    if (tagClearBtn) {
+      tagClearBtn.addEventListener('click', () => {
+        this.selectedTags = [];
+        this.loadNotes();
+      });
+    }
+
+    if (backlinksToggle) {
+      backlinksToggle.addEventListener('click', () => {
+        this.backlinksCollapsed = !this.backlinksCollapsed;
+        this.renderBacklinks();
+      });
+    }
+  }
+
+  /**
+   * All notes that [[links]] can point to, regardless of the list filters
+   * @returns {Promise<Array>} Note metadata
+   */
+  async getLinkTargets() {
+    if (!this.linkTargets) {
+      try {
+        const result = await window.knowledgeBase.invoke('notes.list', {});
+        this.linkTargets = result.success ? result.data : this.notes;
+      } catch (error) {
+        console.error('Error loading link targets:', error);
+        return this.notes;
+      }
+    }
+    return this.linkTargets;
+  }
+
+  /**
+   * Create an empty note for a [[link]] to a title that doesn't exist yet
+   * @param {string} title - Title of the new note
+   * @returns {Promise<boolean>} True when the note was created
+   */
+  async createLinkedNote(title) {
+    if (!isValidTitle(title)) {
+      this.showError('Note title contains invalid characters: / \\ : * ? " < > |');
+      return false;
+    }
+
+    try {
+      // Keep the new note in the same project as the note linking to it
+      const projectId = document.getElementById('note-project')?.value || null;
+      const result = await window.knowledgeBase.invoke('notes.create', { title, content: '', projectId });
+
+      if (!result.success) {
+        this.showError('Failed to create note: ' + result.error);
+        return false;
+      }
+
+      this.showSuccess(`Created note "${title}"`);
+      await this.loadNotes();
+      return true;
+    } catch (error) {
+      this.showError('Error creating note: ' + error.message);
+      return false;
+    }
   }
 
   /**
@@ -300,6 +846,13 @@ export class NotesComponent {
 
     if (titleInput) titleInput.value = '';
     if (contentTextarea) contentTextarea.value = '';
+    this.editorTags = [];
+    this.renderEditorTags();
+    this.renderTagOptions();
+
+    // New notes can't have backlinks yet
+    this.backlinks = [];
+    this.renderBacklinks();
 
     // Focus title input
     if (titleInput) titleInput.focus();
@@ -307,6 +860,164 @@ export class NotesComponent {
     this.updateSaveButton();
   }
 
+  /**
+   * Let the user pick a template, fill in its fields and create a note from it
+   * @param {string} [templateId] - Template to preselect, defaults to the project's default template
+   */
+  async showTemplatePicker(templateId = null) {
+    let templates;
+    try {
+      const result = await window.knowledgeBase.invoke('templates.list');
+      if (!result.success) {
+        this.showError('Failed to load templates: ' + result.error);
+        return;
+      }
+      templates = result.data;
+    } catch (error) {
+      this.showError('Error loading templates: ' + error.message);
+      return;
+    }
+
+    const modal = document.getElementById('notes-modal');
+    if (!modal) return;
+
+    const projectId = this.selectedProjectId;
+    const preselectedId = templateId || this.projects.find(p => p.id === projectId)?.defaultTemplateId;
+    const values = {}; // Field values survive switching templates
+
+    modal.innerHTML = `
+      <div class="modal-content template-modal">
+        <h3>New Note from Template</h3>
+        ${templates.length === 0 ? `
+          <p class="template-empty">No templates yet. Add markdown files to the templates folder.</p>
+        ` : `
+          <form id="template-form">
+            <div class="form-group">
+              <label for="template-select">Template</label>
+              <select id="template-select">
+                ${templates.map(template => `
+                  <option value="${this.escapeHtml(template.id)}" ${template.id === preselectedId ? 'selected' : ''}>
+                    ${this.escapeHtml(template.name)}
+                  </option>
+                `).join('')}
+              </select>
+              <p class="template-description" id="template-description"></p>
+            </div>
+            <div class="form-group">
+              <label for="template-title">Title</label>
+              <input type="text" id="template-title" maxlength="200" />
+            </div>
+            <div class="form-group">
+              <label for="template-project">Project</label>
+              <select id="template-project">
+                <option value="">No project</option>
+                ${this.projects.map(project => `
+                  <option value="${project.id}" ${project.id === projectId ? 'selected' : ''}>${this.escapeHtml(project.name)}</option>
+                `).join('')}
+              </select>
+            </div>
+            <div id="template-fields"></div>
+          </form>
+        `}
+        <div class="modal-actions">
+          <button type="submit" form="template-form" class="btn-primary" ${templates.length === 0 ? 'disabled' : ''}>Create Note</button>
+          <button type="button" class="btn-secondary" id="template-blank-btn">Blank Note</button>
+          <button type="button" class="btn-secondary" id="template-folder-btn">Open Templates Folder</button>
+          <button type="button" class="btn-secondary" id="template-cancel-btn">Cancel</button>
+        </div>
+      </div>
+    `;
+    modal.style.display = '';
+
+    const form = document.getElementById('template-form');
+    const templateSelect = document.getElementById('template-select');
+    const fieldsContainer = document.getElementById('template-fields');
+
+    const renderTemplate = () => {
+      const template = templates.find(t => t.id === templateSelect.value);
+      if (!template) return;
+
+      const description = document.getElementById('template-description');
+      const titleInput = document.getElementById('template-title');
+      if (description) description.textContent = template.description;
+      if (titleInput) {
+        titleInput.placeholder = template.title ? `Default: ${template.title}` : 'Note title';
+        titleInput.required = !template.title;
+      }
+
+      fieldsContainer.innerHTML = template.fields.map(field => `
+        <div class="form-group">
+          <label for="template-field-${this.escapeHtml(field.name)}">${this.escapeHtml(field.label)}</label>
+          <input type="text" id="template-field-${this.escapeHtml(field.name)}" data-field="${this.escapeHtml(field.name)}"
+                 value="${this.escapeHtml(values[field.name] || '')}" />
+        </div>
+      `).join('');
+      fieldsContainer.querySelectorAll('[data-field]').forEach(input => {
+        input.addEventListener('input', () => { values[input.dataset.field] = input.value; });
+      });
+    };
+
+    if (form) {
+      templateSelect.addEventListener('change', renderTemplate);
+      renderTemplate();
+
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.createNoteFromTemplate({
+          templateId: templateSelect.value,
+          title: document.getElementById('template-title').value.trim(),
+          projectId: document.getElementById('template-project').value || null,
+          fields: { ...values },
+        });
+      });
+    }
+
+    document.getElementById('template-blank-btn')?.addEventListener('click', () => {
+      this.closeModal();
+      this.createNewNote();
+    });
+    document.getElementById('template-folder-btn')?.addEventListener('click', async () => {
+      const result = await window.knowledgeBase.invoke('templates.openFolder');
+      if (!result.success) this.showError('Could not open the templates folder: ' + result.error);
+    });
+    document.getElementById('template-cancel-btn')?.addEventListener('click', () => this.closeModal());
+  }
+
+  /**
+   * Create a note from a template and open it in the editor
+   * @param {Object} options - { templateId, title, projectId, fields }
+   */
+  async createNoteFromTemplate({ templateId, title, projectId, fields }) {
+    if (title && !isValidTitle(title)) {
+      this.showError('Note title contains invalid characters: / \\ : * ? " < > |');
+      return;
+    }
+
+    if (this.hasUnsavedChanges && !window.confirm('You have unsaved changes. Create new note anyway?')) {
+      return;
+    }
+
+    try {
+      const result = await window.knowledgeBase.invoke('notes.create', { templateId, title, projectId, fields });
+
+      if (!result.success) {
+        this.showError(result.error === 'DUPLICATE_TITLE'
+          ? 'A note with this title already exists'
+          : 'Failed to create note: ' + result.error);
+        return;
+      }
+
+      this.closeModal();
+      this.hasUnsavedChanges = false;
+      await this.loadNotes();
+      await this.loadNote(result.data.id);
+      // Start editing right away, templates are meant to be filled in
+      this.togglePreview();
+    } catch (error) {
+      this.showError('Error creating note: ' + error.message);
+    }
+  }
+
   /**
    * Load a note by ID
    * @param {string} noteId - Note ID
@@ -331,6 +1042,7 @@ export class NotesComponent {
       if (result.success) {
         this.currentNote = result.data;
         this.hasUnsavedChanges = false;
+        if (this.state) this.state.data.currentNoteId = noteId;
         this.isEditing = true; // Start in preview mode
 
         // Show editor container
@@ -346,12 +1058,17 @@ export class NotesComponent {
         if (titleInput) titleInput.value = this.currentNote.title;
         if (contentTextarea) contentTextarea.value = this.currentNote.content;
         if (noteProjectSelect) noteProjectSelect.value = this.currentNote.projectId || '';
+        this.editorTags = [...(this.currentNote.tags || [])];
+        this.renderEditorTags();
+        this.renderTagOptions();
 
         // Show preview by default
         if (contentTextarea) contentTextarea.style.display = 'none';
         if (previewDiv) {
           previewDiv.style.display = 'block';
           previewDiv.innerHTML = markdownService.render(this.currentNote.content, this.currentNote.id);
+          this.bindAttachmentLinks(previewDiv);
+          markdownService.renderDiagrams(previewDiv);
 
           // Validate internal links and style broken ones
           const { broken } = markdownService.validateInternalLinks(this.currentNote.content, this.notes);
@@ -376,10 +1093,12 @@ export class NotesComponent {
         if (toggleBtn) toggleBtn.textContent = 'Edit';
 
         this.updateSaveButton();
+        this.renderJournalNav();
         this.renderNotesList(); // Update active state
 
         // Preload linked notes for instant navigation
         this.preloadLinkedNotes(this.currentNote.content);
+        this.loadBacklinks();
       } else {
         this.showError('Failed to load note: ' + result.error);
       }
@@ -414,6 +1133,59 @@ export class NotesComponent {
     }
   }
 
+  /**
+   * Load notes linking to the current note
+   */
+  async loadBacklinks() {
+    if (!this.currentNote) return;
+    const noteId = this.currentNote.id;
+
+    try {
+      const result = await window.knowledgeBase.invoke('notes.backlinks', noteId);
+      // Ignore responses for a note that is no longer open
+      if (result.success && this.currentNote?.id === noteId) {
+        this.backlinks = result.data;
+        this.renderBacklinks();
+      }
+    } catch (error) {
+      console.error('Error loading backlinks:', error);
+    }
+  }
+
+  /**
+   * Render the backlinks panel
+   */
+  renderBacklinks() {
+    const panel = document.getElementById('backlinks-panel');
+    const list = document.getElementById('backlinks-list');
+    const count = document.getElementById('backlinks-count');
+    const caret = document.getElementById('backlinks-caret');
+    if (!panel || !list) return;
+
+    panel.style.display = this.currentNote ? 'block' : 'none';
+    if (count) count.textContent = this.backlinks.length;
+    if (caret) caret.innerHTML = this.backlinksCollapsed ? '&#9656;' : '&#9662;';
+    list.style.display = this.backlinksCollapsed ? 'none' : 'block';
+
+    if (this.backlinks.length === 0) {
+      list.innerHTML = '<div class="backlinks-empty">No other notes link here.</div>';
+      return;
+    }
+
+    list.innerHTML = this.backlinks.map(backlink => `
+      <div class="backlink-item" data-note-id="${backlink.id}">
+        <div class="backlink-title">${this.escapeHtml(backlink.title)}</div>
+        ${backlink.contexts.map(ctx => `
+          <div class="backlink-context">${this.highlightText(ctx.context, [{ start: ctx.start, end: ctx.end }])}</div>
+        `).join('')}
+      </div>
+    `).join('');
+
+    list.querySelectorAll('.backlink-item').forEach(item => {
+      item.addEventListener('click', () => this.loadNote(item.dataset.noteId));
+    });
+  }
+
   /**
    * Handle content changes
    */
@@ -438,6 +1210,9 @@ export class NotesComponent {
    * @param {boolean} isAutoSave - Whether this is an auto-save
    */
   async saveNote(isAutoSave = false) {
+    // Wait for the user to settle a save conflict first
+    if (this.resolvingConflict) return;
+
     const titleInput = document.getElementById('note-title');
     const contentTextarea = document.getElementById('note-content');
     const noteProjectSelect = document.getElementById('note-project');
@@ -464,11 +1239,27 @@ export class NotesComponent {
     try {
       let result;
 
+      let savedTitle = title;
+
       if (this.currentNote) {
+        const titleChanged = title !== this.currentNote.title;
+        let updateLinks = false;
+
+        if (titleChanged && isAutoSave && this.backlinks.length > 0) {
+          // Renaming a linked note needs confirmation, keep the old title until an explicit save
+          savedTitle = this.currentNote.title;
+        } else if (titleChanged && !isAutoSave) {
+          const decision = await this.confirmRename(title);
+          if (decision === 'cancel') return;
+          updateLinks = decision === 'update';
+        }
+
         // Update existing note
         result = await window.knowledgeBase.invoke('notes.update', {
           id: this.currentNote.id,
-          updates: { title, content, projectId },
+          updates: { title: savedTitle, content, projectId, tags: this.editorTags },
+          updateLinks,
+          baseHash: this.currentNote.hash,
         });
       } else {
         // Create new note
@@ -476,20 +1267,39 @@ export class NotesComponent {
           title,
           content,
           projectId,
+          tags: this.editorTags,
         });
       }
 
       if (result.success) {
         this.currentNote = result.data;
-        this.hasUnsavedChanges = false;
+        // Attachment links are rewritten when a note moving to another project folder meets a file of the same name
+        if (result.data.content !== content && contentTextarea.value === content) {
+          contentTextarea.value = result.data.content;
+        }
+        this.hasUnsavedChanges = savedTitle !== title;
         this.updateSaveButton();
+        this.renderEditorTags();
+        this.setEditorStatus(this.hasUnsavedChanges
+          ? 'Title change pending: save to rename and update links'
+          : '');
         
         if (!isAutoSave) {
-          this.showSuccess('Note saved successfully');
+          const linksUpdated = result.data.linksUpdated?.length || 0;
+          this.showSuccess(linksUpdated > 0
+            ? `Note saved, links updated in ${linksUpdated} note${linksUpdated === 1 ? '' : 's'}`
+            : 'Note saved successfully');
         }
 
+        // The title may have changed, which changes the set of linking notes
+        this.loadBacklinks();
+
         // Reload notes list
         await this.loadNotes();
+      } else if (result.error === 'CONFLICT') {
+        await this.resolveConflict(result.data.current, { title, content, projectId });
+      } else if (result.error === 'DUPLICATE_TITLE') {
+        this.showError('A note with this title already exists in that folder');
       } else {
         this.showError('Failed to save note: ' + result.error);
       }
@@ -498,20 +1308,458 @@ export class NotesComponent {
     }
   }
 
+  /**
+   * Let the user decide what to do when a save was rejected because the
+   * note changed on disk after it was loaded
+   * @param {Object} theirs - Note as it is on disk now
+   * @param {Object} mine - { title, content, projectId } from the editor
+   */
+  async resolveConflict(theirs, mine) {
+    this.resolvingConflict = true;
+    clearTimeout(this.autoSaveTimer);
+
+    let choice;
+    try {
+      choice = await this.showChoiceModal({
+        title: 'Note changed on disk',
+        message: `"${theirs.title}" was changed elsewhere after you opened it. Your edits have not been saved yet.`,
+        notes: [],
+        choices: [
+          { id: 'merge', label: 'Merge changes', className: 'btn-primary' },
+          { id: 'mine', label: 'Keep mine', className: 'btn-secondary' },
+          { id: 'theirs', label: 'Keep theirs', className: 'btn-secondary' },
+          { id: 'copy', label: 'Save mine as copy', className: 'btn-secondary' },
+          { id: 'cancel', label: 'Cancel', className: 'btn-secondary' },
+        ],
+      });
+    } finally {
+      this.resolvingConflict = false;
+    }
+
+    if (choice === 'merge') {
+      await this.showMergeView(theirs, mine);
+    } else if (choice === 'mine') {
+      // Save again on top of the disk version
+      this.currentNote = theirs;
+      await this.saveNote();
+    } else if (choice === 'theirs') {
+      await this.reloadFromDisk(theirs);
+    } else if (choice === 'copy') {
+      await this.saveAsCopy(theirs, mine);
+    } else {
+      this.setEditorStatus('Not saved: the note changed on disk');
+    }
+  }
+
+  /**
+   * Show a three-way merge of the editor contents and the disk version
+   * @param {Object} theirs - Note as it is on disk now
+   * @param {Object} mine - { title, content, projectId } from the editor
+   */
+  async showMergeView(theirs, mine) {
+    const result = await window.knowledgeBase.invoke('notes.merge', {
+      id: theirs.id,
+      base: this.currentNote?.content ?? '',
+      mine: mine.content,
+    });
+    if (!result.success) {
+      this.showError('Failed to merge: ' + result.error);
+      return;
+    }
+
+    const modal = document.getElementById('notes-modal');
+    if (!modal) return;
+
+    const { current, chunks, conflicts } = result.data;
+    const resolutions = chunks.map(chunk => (chunk.type === 'conflict' ? null : chunk.lines));
+    const lines = (items) => items.map(text => `<div class="diff-line">${this.escapeHtml(text) || '&nbsp;'}</div>`).join('');
+    const summary = conflicts === 0
+      ? 'All changes could be merged automatically.'
+      : `${conflicts} conflicting change${conflicts === 1 ? '' : 's'}: choose which version to keep.`;
+
+    modal.innerHTML = `
+      <div class="modal-content merge-modal">
+        <h3>Merge changes to "${this.escapeHtml(current.title)}"</h3>
+        <p>${summary}</p>
+        <div class="merge-legend"><span class="merge-mine">Your edits</span> <span class="merge-theirs">Changes on disk</span></div>
+        <div class="merge-chunks">
+          ${chunks.map((chunk, index) => (chunk.type === 'conflict' ? `
+            <div class="merge-conflict" data-chunk="${index}">
+              <div class="merge-conflict-side merge-mine">
+                <div class="merge-conflict-header">Mine</div>
+                ${lines(chunk.mine)}
+              </div>
+              <div class="merge-conflict-side merge-theirs">
+                <div class="merge-conflict-header">Theirs</div>
+                ${lines(chunk.theirs)}
+              </div>
+              <div class="merge-conflict-actions">
+                <button type="button" class="btn-secondary" data-chunk="${index}" data-use="mine">Use mine</button>
+                <button type="button" class="btn-secondary" data-chunk="${index}" data-use="theirs">Use theirs</button>
+                <button type="button" class="btn-secondary" data-chunk="${index}" data-use="both">Use both</button>
+              </div>
+            </div>
+          ` : `<div class="merge-chunk merge-${chunk.source}">${lines(chunk.lines)}</div>`)).join('')}
+        </div>
+        <div class="modal-actions">
+          <button type="button" class="btn-primary" id="merge-save-btn" ${conflicts > 0 ? 'disabled' : ''}>Save merged note</button>
+          <button type="button" class="btn-secondary" id="merge-cancel-btn">Cancel</button>
+        </div>
+      </div>
+    `;
+    modal.style.display = '';
+    this.resolvingConflict = true;
+
+    const saveBtn = document.getElementById('merge-save-btn');
+    modal.querySelectorAll('[data-use]').forEach(button => {
+      button.addEventListener('click', () => {
+        const index = Number(button.dataset.chunk);
+        const chunk = chunks[index];
+        resolutions[index] = button.dataset.use === 'both'
+          ? [...chunk.mine, ...chunk.theirs]
+          : chunk[button.dataset.use];
+
+        modal.querySelectorAll(`[data-chunk="${index}"][data-use]`).forEach(other => {
+          other.classList.toggle('active', other === button);
+        });
+        modal.querySelector(`.merge-conflict[data-chunk="${index}"]`)?.classList.add('resolved');
+        if (saveBtn) saveBtn.disabled = resolutions.some(resolution => resolution === null);
+      });
+    });
+
+    document.getElementById('merge-cancel-btn')?.addEventListener('click', () => {
+      this.closeModal();
+      this.resolvingConflict = false;
+      this.setEditorStatus('Not saved: the note changed on disk');
+    });
+
+    saveBtn?.addEventListener('click', async () => {
+      this.closeModal();
+      this.resolvingConflict = false;
+
+      const contentTextarea = document.getElementById('note-content');
+      if (contentTextarea) contentTextarea.value = resolutions.flat().join('\n');
+
+      // The merge already contains the disk version, save on top of it
+      this.currentNote = current;
+      this.hasUnsavedChanges = true;
+      await this.saveNote();
+      if (!this.hasUnsavedChanges) {
+        await this.reloadFromDisk(this.currentNote);
+        this.showSuccess('Merged note saved');
+      }
+    });
+  }
+
+  /**
+   * Replace the editor contents with a note read from disk, keeping the edit/preview mode
+   * @param {Object} note - Note as it is on disk
+   */
+  async reloadFromDisk(note) {
+    const contentTextarea = document.getElementById('note-content');
+    const wasEditing = contentTextarea?.style.display === 'block';
+
+    this.preloadCache.set(note.id, note);
+    this.hasUnsavedChanges = false;
+    await this.loadNote(note.id);
+    if (wasEditing) this.togglePreview();
+  }
+
+  /**
+   * Save the editor contents as a new note and leave the original as it is on disk
+   * @param {Object} theirs - Note as it is on disk now
+   * @param {Object} mine - { title, content, projectId } from the editor
+   */
+  async saveAsCopy(theirs, mine) {
+    for (let attempt = 1; attempt <= 20; attempt++) {
+      const title = `${mine.title} (copy${attempt > 1 ? ` ${attempt}` : ''})`;
+      const result = await window.knowledgeBase.invoke('notes.create', {
+        title,
+        content: mine.content,
+        projectId: mine.projectId,
+        tags: this.editorTags,
+      });
+
+      if (result.success) {
+        this.hasUnsavedChanges = false;
+        await this.loadNotes();
+        await this.loadNote(result.data.id);
+        this.showSuccess(`Your edits were saved as "${title}"`);
+        return;
+      }
+      if (result.error !== 'DUPLICATE_TITLE') {
+        this.showError('Failed to save copy: ' + result.error);
+        return;
+      }
+    }
+
+    this.showError(`Failed to save copy: too many copies of "${theirs.title}"`);
+  }
+
+  /**
+   * Ask how to handle links when renaming a linked note
+   * @param {string} newTitle - New note title
+   * @returns {Promise<string>} 'update', 'skip' or 'cancel'
+   */
+  async confirmRename(newTitle) {
+    const result = await window.knowledgeBase.invoke('notes.previewRename', {
+      id: this.currentNote.id,
+      newTitle,
+    });
+
+    if (!result.success || result.data.affectedNotes.length === 0) {
+      return 'skip';
+    }
+
+    const { oldTitle, affectedNotes } = result.data;
+    return this.showChoiceModal({
+      title: 'Rename note',
+      message: `Renaming "${oldTitle}" to "${newTitle}" affects links in ${affectedNotes.length} note${affectedNotes.length === 1 ? '' : 's'}:`,
+      notes: affectedNotes,
+      choices: [
+        { id: 'update', label: 'Rename and update links', className: 'btn-primary' },
+        { id: 'skip', label: 'Rename only', className: 'btn-secondary' },
+        { id: 'cancel', label: 'Cancel', className: 'btn-secondary' },
+      ],
+    });
+  }
+
+  /**
+   * Show a modal listing affected notes and wait for the user's choice
+   * @param {Object} options - { title, message, notes, choices: [{ id, label, className }] }
+   * @returns {Promise<string>} ID of the chosen option ('cancel' when dismissed)
+   */
+  showChoiceModal({ title, message, notes, choices }) {
+    const modal = document.getElementById('notes-modal');
+    if (!modal) return Promise.resolve('cancel');
+
+    modal.innerHTML = `
+      <div class="modal-content link-changes-modal">
+        <h3>${this.escapeHtml(title)}</h3>
+        <p>${this.escapeHtml(message)}</p>
+        <ul class="link-changes-list">
+          ${notes.map(note => `
+            <li>
+              <strong>${this.escapeHtml(note.title)}</strong>
+              <span class="link-changes-count">${note.contexts.length} link${note.contexts.length === 1 ? '' : 's'}</span>
+              ${note.contexts.map(ctx => `
+                <div class="backlink-context">${this.highlightText(ctx.context, [{ start: ctx.start, end: ctx.end }])}</div>
+              `).join('')}
+            </li>
+          `).join('')}
+        </ul>
+        <div class="modal-actions">
+          ${choices.map(choice => `
+            <button type="button" class="${choice.className}" data-choice="${choice.id}" ${choice.id === 'cancel' ? 'id="notes-modal-cancel"' : ''}>
+              ${this.escapeHtml(choice.label)}
+            </button>
+          `).join('')}
+        </div>
+      </div>
+    `;
+    modal.style.display = '';
+
+    return new Promise(resolve => {
+      modal.querySelectorAll('[data-choice]').forEach(button => {
+        button.addEventListener('click', () => {
+          this.closeModal();
+          resolve(button.dataset.choice);
+        });
+      });
+    });
+  }
+
+  /**
+   * Show the revision history of the current note
+   */
+  async showHistory() {
+    if (!this.currentNote) return;
+
+    // Save pending edits first so the diff compares against what's on disk
+    if (this.hasUnsavedChanges) {
+      await this.saveNote(true);
+    }
+
+    const result = await window.knowledgeBase.invoke('notes.history', this.currentNote.id);
+    if (!result.success) {
+      this.showError('Failed to load history: ' + result.error);
+      return;
+    }
+
+    const modal = document.getElementById('notes-modal');
+    if (!modal) return;
+
+    const revisions = result.data;
+    modal.innerHTML = `
+      <div class="modal-content history-modal">
+        <h3>History of "${this.escapeHtml(this.currentNote.title)}"</h3>
+        <div class="history-layout">
+          <div class="history-list" id="history-list">
+            ${revisions.length === 0 ? '<div class="history-empty">No revisions yet.</div>' : revisions.map(revision => `
+              <button type="button" class="history-item" data-revision-id="${revision.id}">
+                <span class="history-item-date">${new Date(revision.savedAt).toLocaleString()}</span>
+                <span class="history-item-title">${this.escapeHtml(revision.title)}</span>
+              </button>
+            `).join('')}
+          </div>
+          <div class="history-diff" id="history-diff">
+            <div class="history-empty">Select a revision to compare it with the current version.</div>
+          </div>
+        </div>
+        <div class="modal-actions">
+          <button type="button" class="btn-primary" id="history-restore-btn" disabled>Restore revision</button>
+          <button type="button" class="btn-secondary" id="history-cancel-btn">Close</button>
+        </div>
+      </div>
+    `;
+    modal.style.display = '';
+
+    let selectedRevision = null;
+    const restoreBtn = document.getElementById('history-restore-btn');
+
+    modal.querySelectorAll('.history-item').forEach(item => {
+      item.addEventListener('click', async () => {
+        modal.querySelectorAll('.history-item').forEach(other => other.classList.toggle('active', other === item));
+        selectedRevision = await this.showRevisionDiff(item.dataset.revisionId);
+        if (restoreBtn) restoreBtn.disabled = !selectedRevision;
+      });
+    });
+
+    document.getElementById('history-cancel-btn')?.addEventListener('click', () => this.closeModal());
+    restoreBtn?.addEventListener('click', () => {
+      if (selectedRevision) this.restoreRevision(selectedRevision);
+    });
+  }
+
+  /**
+   * Load a revision and render its diff against the current version
+   * @param {string} revisionId - Revision ID
+   * @returns {Promise<Object|null>} Revision, null if it couldn't be loaded
+   */
+  async showRevisionDiff(revisionId) {
+    const diffContainer = document.getElementById('history-diff');
+    if (!diffContainer || !this.currentNote) return null;
+
+    const result = await window.knowledgeBase.invoke('notes.getRevision', {
+      id: this.currentNote.id,
+      revisionId,
+    });
+
+    if (!result.success) {
+      diffContainer.innerHTML = `<div class="history-empty">Failed to load revision: ${this.escapeHtml(result.error)}</div>`;
+      return null;
+    }
+
+    const { diff } = result.data;
+    if (diff.every(line => line.type === 'equal')) {
+      diffContainer.innerHTML = '<div class="history-empty">Content is identical to the current version.</div>';
+      return result.data;
+    }
+
+    // Collapse long unchanged stretches, keep a few lines of context around changes
+    const context = 3;
+    const rows = [];
+    diff.forEach((line, index) => {
+      const nearChange = diff
+        .slice(Math.max(0, index - context), index + context + 1)
+        .some(other => other.type !== 'equal');
+
+      if (line.type !== 'equal' || nearChange) {
+        const marker = line.type === 'add' ? '+' : line.type === 'remove' ? '-' : ' ';
+        rows.push(`<div class="diff-line diff-${line.type}"><span class="diff-marker">${marker}</span>${this.escapeHtml(line.text)}</div>`);
+      } else if (!rows[rows.length - 1]?.includes('diff-skip')) {
+        rows.push('<div class="diff-line diff-skip">&hellip;</div>');
+      }
+    });
+
+    diffContainer.innerHTML = `
+      <div class="diff-legend"><span class="diff-remove">- only in revision</span> <span class="diff-add">+ only in current version</span></div>
+      ${rows.join('')}
+    `;
+    return result.data;
+  }
+
+  /**
+   * Replace the editor contents with a revision and save it
+   * @param {Object} revision - Revision with title and content
+   */
+  async restoreRevision(revision) {
+    const confirm = window.confirm(`Restore the revision from ${new Date(revision.savedAt).toLocaleString()}? The current version stays in the history.`);
+    if (!confirm) return;
+
+    this.closeModal();
+
+    const titleInput = document.getElementById('note-title');
+    const contentTextarea = document.getElementById('note-content');
+    if (!titleInput || !contentTextarea) return;
+
+    titleInput.value = revision.title;
+    contentTextarea.value = revision.content;
+    this.hasUnsavedChanges = true;
+
+    await this.saveNote();
+
+    if (!this.hasUnsavedChanges && this.currentNote) {
+      await this.loadNote(this.currentNote.id);
+      this.showSuccess('Revision restored');
+    }
+  }
+
+  /**
+   * Hide and clear the notes modal
+   */
+  closeModal() {
+    const modal = document.getElementById('notes-modal');
+    if (!modal) return;
+    modal.style.display = 'none';
+    modal.innerHTML = '';
+  }
+
+  /**
+   * Set the editor status bar text
+   * @param {string} text - Status text
+   */
+  setEditorStatus(text) {
+    const status = document.getElementById('editor-status');
+    if (status) status.textContent = text;
+  }
+
   /**
    * Delete the current note
    */
   async deleteNote() {
     if (!this.currentNote) return;
 
-    const confirm = window.confirm(`Delete note "${this.currentNote.title}"?`);
-    if (!confirm) return;
+    let unlinkReferences = false;
+    const backlinksResult = await window.knowledgeBase.invoke('notes.backlinks', this.currentNote.id);
+    const backlinks = backlinksResult.success ? backlinksResult.data : [];
+
+    if (backlinks.length === 0) {
+      const confirm = window.confirm(`Move note "${this.currentNote.title}" to the trash?`);
+      if (!confirm) return;
+    } else {
+      const choice = await this.showChoiceModal({
+        title: 'Delete note',
+        message: `"${this.currentNote.title}" will be moved to the trash. It is linked from ${backlinks.length} note${backlinks.length === 1 ? '' : 's'}:`,
+        notes: backlinks,
+        choices: [
+          { id: 'unlink', label: 'Delete and remove links', className: 'btn-danger' },
+          { id: 'keep', label: 'Delete and keep links', className: 'btn-secondary' },
+          { id: 'cancel', label: 'Cancel', className: 'btn-secondary' },
+        ],
+      });
+      if (choice === 'cancel') return;
+      unlinkReferences = choice === 'unlink';
+    }
 
     try {
-      const result = await window.knowledgeBase.invoke('notes.delete', this.currentNote.id);
+      const result = await window.knowledgeBase.invoke('notes.delete', {
+        id: this.currentNote.id,
+        unlinkReferences,
+      });
 
       if (result.success) {
-        this.showSuccess('Note deleted successfully');
+        this.showSuccess('Note moved to trash');
 
         // Clear editor
         this.currentNote = null;
@@ -544,6 +1792,8 @@ export class NotesComponent {
       // Show preview
       const content = contentTextarea.value;
       previewDiv.innerHTML = markdownService.render(content, this.currentNote?.id);
+      this.bindAttachmentLinks(previewDiv);
+      markdownService.renderDiagrams(previewDiv);
       
       contentTextarea.style.display = 'none';
       previewDiv.style.display = 'block';
@@ -577,6 +1827,80 @@ export class NotesComponent {
     }
   }
 
+  /**
+   * Copy files into the note's attachments folder and link them at the caret
+   * @param {Array<File>} files - Pasted or dropped files
+   */
+  async insertAttachments(files) {
+    // Attachments are stored next to the note file, so the note has to exist
+    if (!this.currentNote) {
+      this.showError('Save the note before adding attachments');
+      return;
+    }
+
+    const links = [];
+    for (const file of files) {
+      if (file.size > MAX_ATTACHMENT_BYTES) {
+        this.showError(`"${file.name}" is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB`);
+        continue;
+      }
+
+      // Screenshots from the clipboard are all called image.png
+      const fileName = file.name && file.name !== 'image.png'
+        ? file.name
+        : `pasted-${Date.now()}.${file.type.split('/')[1] || 'png'}`;
+
+      try {
+        const result = await window.knowledgeBase.invoke('attachments.add', {
+          noteId: this.currentNote.id,
+          fileName,
+          data: await file.arrayBuffer(),
+        });
+
+        if (result.success) {
+          const label = result.data.fileName;
+          links.push(file.type.startsWith('image/')
+            ? `![${label}](${result.data.path})`
+            : `[${label}](${result.data.path})`);
+        } else {
+          this.showError(`Failed to attach "${file.name}": ${result.error}`);
+        }
+      } catch (error) {
+        this.showError(`Error attaching "${file.name}": ${error.message}`);
+      }
+    }
+
+    const contentTextarea = document.getElementById('note-content');
+    if (links.length === 0 || !contentTextarea) return;
+
+    contentTextarea.focus();
+    contentTextarea.setRangeText(links.join('\n'), contentTextarea.selectionStart, contentTextarea.selectionEnd, 'end');
+    contentTextarea.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+
+  /**
+   * Open attachment links in the preview with the system's default app
+   * @param {HTMLElement} previewDiv - Rendered preview
+   */
+  bindAttachmentLinks(previewDiv) {
+    previewDiv.querySelectorAll(`a[href^="${ATTACHMENT_PROTOCOL}:"]`).forEach(link => {
+      link.addEventListener('click', async (e) => {
+        e.preventDefault();
+        // kb-attachment://note/<noteId>/attachments/<file>
+        const [, noteId, ...rest] = new URL(link.href).pathname.split('/').map(decodeURIComponent);
+
+        try {
+          const result = await window.knowledgeBase.invoke('attachments.open', { noteId, path: rest.join('/') });
+          if (!result.success) {
+            this.showError('Could not open attachment: ' + result.error);
+          }
+        } catch (error) {
+          this.showError('Error opening attachment: ' + error.message);
+        }
+      });
+    });
+  }
+
   /**
    * Navigate to a note by title
    * @param {string} title - Note title
@@ -591,6 +1915,84 @@ export class NotesComponent {
     }
   }
 
+  /**
+   * Open the journal note of a day; today's note is created when missing,
+   * other days ask first
+   * @param {string|null} [date] - YYYY-MM-DD, defaults to today
+   */
+  async openJournal(date = null) {
+    if (this.hasUnsavedChanges && !window.confirm('You have unsaved changes. Open the journal anyway?')) {
+      return;
+    }
+
+    try {
+      let result = await window.knowledgeBase.invoke('journal.open', { date, create: !date });
+      if (result.success && !result.data.note) {
+        if (result.data.date !== result.data.today
+            && !window.confirm(`There is no journal note for ${result.data.date} yet. Create it?`)) {
+          return;
+        }
+        result = await window.knowledgeBase.invoke('journal.open', { date: result.data.date });
+      }
+
+      if (!result.success) {
+        this.showError('Failed to open journal: ' + result.error);
+        return;
+      }
+
+      const { note, today, created, updated } = result.data;
+      this.journalToday = today;
+      if (created || updated) {
+        await this.loadNotes();
+      }
+
+      this.hasUnsavedChanges = false;
+      this.preloadCache.set(note.id, note);
+      await this.loadNote(note.id);
+    } catch (error) {
+      this.showError('Error opening journal: ' + error.message);
+    }
+  }
+
+  /**
+   * Open the journal note before or after the one in the editor
+   * @param {number} offset - Days to move, e.g. -1 for the previous day
+   */
+  openJournalDay(offset) {
+    const date = this.getJournalDate();
+    if (!date) return;
+
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + offset);
+    this.openJournal(day.toISOString().split('T')[0]);
+  }
+
+  /**
+   * Get the day of the journal note in the editor
+   * @returns {string|null} YYYY-MM-DD, or null for other notes
+   */
+  getJournalDate() {
+    const date = this.currentNote?.frontmatter?.journalDate;
+    return date ? String(date) : null;
+  }
+
+  /**
+   * Show the day navigation for journal notes
+   */
+  renderJournalNav() {
+    const nav = document.getElementById('journal-nav');
+    const date = this.getJournalDate();
+    if (!nav) return;
+
+    nav.style.display = date ? '' : 'none';
+    if (!date) return;
+
+    document.getElementById('journal-nav-date').textContent = new Date(`${date}T00:00:00Z`)
+      .toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+    // No entries for days that haven't happened yet
+    document.getElementById('journal-next-btn').disabled = Boolean(this.journalToday) && date >= this.journalToday;
+  }
+
   /**
    * Show the editor
    */
@@ -679,6 +2081,16 @@ export class NotesComponent {
     if (this.autoSaveTimer) {
       clearTimeout(this.autoSaveTimer);
     }
+
+    if (this.searchTimer) {
+      clearTimeout(this.searchTimer);
+    }
+
+    this.unsubscribeStorage?.();
+    this.unsubscribeStorage = null;
+
+    this.linkAutocomplete?.destroy();
+    this.linkAutocomplete = null;
     
     if (this.container) {
       this.container.innerHTML = '';
@@ -219,8 +219,8 @@ export class ProjectsComponent {
   /**
    * Show create project dialog
    */
-  showCreateProjectDialog() {
-    const modal = this.createProjectModal();
+  async showCreateProjectDialog() {
+    const modal = this.createProjectModal(null, await this.loadTemplates());
     document.body.appendChild(modal);
 
     const form = modal.querySelector('#project-form');
@@ -228,9 +228,10 @@ export class ProjectsComponent {
       e.preventDefault();
       const name = form.querySelector('#project-name').value.trim();
       const description = form.querySelector('#project-description').value.trim();
+      const defaultTemplateId = form.querySelector('#project-template').value || null;
       
       if (name) {
-        this.createProject(name, description);
+        this.createProject(name, description, defaultTemplateId);
         modal.remove();
       }
     });
@@ -247,11 +248,12 @@ export class ProjectsComponent {
   /**
    * Create a new project
    */
-  async createProject(name, description) {
+  async createProject(name, description, defaultTemplateId = null) {
     try {
       const result = await window.knowledgeBase.invoke('projects.create', {
         name,
         description,
+        defaultTemplateId,
       });
 
       if (result.success) {
@@ -271,10 +273,10 @@ export class ProjectsComponent {
   /**
    * Show edit project dialog
    */
-  showEditProjectDialog() {
+  async showEditProjectDialog() {
     if (!this.selectedProject) return;
 
-    const modal = this.createProjectModal(this.selectedProject);
+    const modal = this.createProjectModal(this.selectedProject, await this.loadTemplates());
     document.body.appendChild(modal);
 
     const form = modal.querySelector('#project-form');
@@ -282,9 +284,10 @@ export class ProjectsComponent {
       e.preventDefault();
       const name = form.querySelector('#project-name').value.trim();
       const description = form.querySelector('#project-description').value.trim();
+      const defaultTemplateId = form.querySelector('#project-template').value || null;
       
       if (name) {
-        this.updateProject(this.selectedProject.id, { name, description });
+        this.updateProject(this.selectedProject.id, { name, description, defaultTemplateId });
         modal.remove();
       }
     });
@@ -336,9 +339,9 @@ export class ProjectsComponent {
     if (!project) return;
 
     const deleteNotes = confirm(
-      `Delete project "${project.name}"?\n\n` +
+      `Move project "${project.name}" to the trash?\n\n` +
         'Choose:\n' +
-        'OK - Delete project and all its notes\n' +
+        'OK - Trash project and all its notes\n' +
         'Cancel - Keep notes and unlink from project'
     );
 
@@ -356,7 +359,7 @@ export class ProjectsComponent {
 
       if (result.success) {
         await this.loadProjects();
-        this.showSuccess('Project deleted successfully');
+        this.showSuccess('Project moved to trash');
         
         // If we deleted the selected project, go back to list view
         if (this.selectedProject?.id === id) {
@@ -422,10 +425,24 @@ export class ProjectsComponent {
     return date.toLocaleDateString();
   }
 
+  /**
+   * Load note templates for the default template choice
+   * @returns {Promise<Array>} Templates, empty when they can't be loaded
+   */
+  async loadTemplates() {
+    try {
+      const result = await window.knowledgeBase.invoke('templates.list');
+      return result.success ? result.data : [];
+    } catch (error) {
+      console.error('Error loading templates:', error);
+      return [];
+    }
+  }
+
   /**
    * Create project modal dialog
    */
-  createProjectModal(project = null) {
+  createProjectModal(project = null, templates = []) {
     const modal = document.createElement('div');
     modal.className = 'modal-overlay';
     modal.innerHTML = `
@@ -444,6 +461,17 @@ export class ProjectsComponent {
             <label for="project-description">Description</label>
             <textarea id="project-description" rows="4" maxlength="500">${project ? this.escapeHtml(project.description || '') : ''}</textarea>
           </div>
+          <div class="form-group">
+            <label for="project-template">Default note template</label>
+            <select id="project-template">
+              <option value="">Blank note</option>
+              ${templates.map(template => `
+                <option value="${this.escapeHtml(template.id)}" ${project?.defaultTemplateId === template.id ? 'selected' : ''}>
+                  ${this.escapeHtml(template.name)}
+                </option>
+              `).join('')}
+            </select>
+          </div>
           <div class="modal-actions">
           <button type="submit" class="btn-primary">${project ? 'Update' : 'Create'}</button>
           <button type="button" class="btn-secondary modal-close">Cancel</button>
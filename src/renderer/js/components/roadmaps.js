@@ -289,7 +289,7 @@ function showMilestoneForm(projectId, milestone = null) {
   };
 }
 
-async function editMilestone(id) {
+export async function editMilestone(id) {
   const milestone = milestones.find(m => m.id === id);
   if (milestone) {
     showMilestoneForm(milestone.projectId, milestone);
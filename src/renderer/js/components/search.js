@@ -0,0 +1,327 @@
+import { openItem } from '../router.js';
+
+/**
+ * Search Component
+ * Searches notes, snippets, todos, milestones, projects, tools and daily
+ * todos at once. Results are grouped by type with counts and can be narrowed
+ * to one type, a project and a date range. Clicking a result opens it in its
+ * own view.
+ */
+
+const SEARCH_DELAY = 250;
+// Results per group when all types are shown, and when only one is
+const GROUP_LIMIT = 10;
+const SINGLE_TYPE_LIMIT = 200;
+
+const TYPES = {
+  note: { label: 'Notes', route: '#/notes' },
+  snippet: { label: 'Snippets', route: '#/snippets' },
+  todo: { label: 'Todos', route: '#/todos' },
+  milestone: { label: 'Milestones', route: '#/roadmaps' },
+  project: { label: 'Projects', route: '#/projects' },
+  tool: { label: 'Tools', route: '#/tools' },
+  dailyTodo: { label: 'Daily Todos', route: '#/daily-todos' },
+};
+
+export class SearchComponent {
+  /**
+   * @param {Object} state - App state, keeps the last query between visits
+   */
+  constructor(state) {
+    this.state = state;
+    this.container = null;
+    this.projects = [];
+    this.results = null;
+    this.projectId = '';
+    this.selectedType = null; // null shows every type
+    this.searchTimer = null;
+    this.searchId = 0;
+  }
+
+  /**
+   * Render the search view
+   * @param {HTMLElement} container - Container to render into
+   */
+  render(container) {
+    this.container = container;
+    const filters = this.state.data.search || {};
+
+    container.innerHTML = `
+      <div class="search-section">
+        <div class="search-toolbar">
+          <input
+            type="search"
+            id="search-query"
+            class="search-query"
+            placeholder='Search everything... (e.g. deploy "release notes" title:api project:web)'
+            autocomplete="off"
+            spellcheck="false"
+          />
+          <select id="search-project" class="search-project">
+            <option value="">All projects</option>
+          </select>
+          <label class="search-date">
+            From
+            <input type="date" id="search-from" />
+          </label>
+          <label class="search-date">
+            To
+            <input type="date" id="search-to" />
+          </label>
+        </div>
+
+        <div class="search-types" id="search-types"></div>
+
+        <div class="search-results" id="search-results">
+          <div class="search-empty">Type to search notes, snippets, todos, milestones, projects, tools and daily todos</div>
+        </div>
+
+        <div class="feedback-message" id="search-feedback"></div>
+      </div>
+    `;
+
+    const input = document.getElementById('search-query');
+    input.value = filters.query || '';
+    document.getElementById('search-from').value = filters.fromDate || '';
+    document.getElementById('search-to').value = filters.toDate || '';
+    this.projectId = filters.projectId || '';
+    this.selectedType = filters.type || null;
+
+    this.setupEventListeners();
+    this.loadProjects();
+    input.focus();
+    if (input.value.trim()) {
+      this.search();
+    }
+  }
+
+  setupEventListeners() {
+    const input = document.getElementById('search-query');
+    input.addEventListener('input', () => this.scheduleSearch());
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.search();
+      }
+    });
+
+    document.getElementById('search-project').addEventListener('change', (e) => {
+      this.projectId = e.target.value;
+      this.search();
+    });
+    ['search-from', 'search-to'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.search());
+    });
+
+    document.getElementById('search-types').addEventListener('click', (e) => {
+      const chip = e.target.closest('.search-type-chip');
+      if (!chip) return;
+      this.selectedType = chip.dataset.type || null;
+      this.search();
+    });
+
+    document.getElementById('search-results').addEventListener('click', (e) => {
+      const more = e.target.closest('.search-group-more');
+      if (more) {
+        this.selectedType = more.dataset.type;
+        this.search();
+        return;
+      }
+
+      const result = e.target.closest('.search-result');
+      if (result) {
+        openItem(this.state, TYPES[result.dataset.type].route, result.dataset.id);
+      }
+    });
+  }
+
+  /**
+   * Fill the project filter
+   */
+  async loadProjects() {
+    try {
+      const result = await window.knowledgeBase.invoke('projects.list');
+      if (!result.success || !this.container) return;
+
+      this.projects = result.data;
+      const select = document.getElementById('search-project');
+      select.innerHTML = '<option value="">All projects</option>' + this.projects
+        .map(project => `<option value="${this.escapeHtml(project.id)}">${this.escapeHtml(project.name)}</option>`)
+        .join('');
+      select.value = this.projectId;
+      // Results rendered before the projects arrived lack project names
+      if (this.results) this.renderResults();
+    } catch (error) {
+      console.error('Error loading projects:', error);
+    }
+  }
+
+  scheduleSearch() {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(() => this.search(), SEARCH_DELAY);
+  }
+
+  /**
+   * Run the search with the current query and filters
+   */
+  async search() {
+    clearTimeout(this.searchTimer);
+    if (!this.container) return;
+
+    const filters = {
+      query: document.getElementById('search-query').value,
+      projectId: this.projectId,
+      fromDate: document.getElementById('search-from').value,
+      toDate: document.getElementById('search-to').value,
+      type: this.selectedType,
+    };
+    this.state.data.search = filters;
+
+    if (!filters.query.trim()) {
+      this.results = null;
+      this.renderTypes();
+      document.getElementById('search-results').innerHTML =
+        '<div class="search-empty">Type to search notes, snippets, todos, milestones, projects, tools and daily todos</div>';
+      return;
+    }
+
+    const searchId = ++this.searchId;
+    try {
+      const result = await window.knowledgeBase.invoke('search.global', {
+        query: filters.query,
+        projectId: filters.projectId || null,
+        fromDate: filters.fromDate || null,
+        toDate: filters.toDate || null,
+        limit: filters.type ? SINGLE_TYPE_LIMIT : GROUP_LIMIT,
+      });
+      // A newer search started or the view was left meanwhile
+      if (searchId !== this.searchId || !this.container) return;
+
+      if (result.success) {
+        this.results = result.data;
+        this.renderResults();
+      } else {
+        this.showError('Search failed: ' + result.error);
+      }
+    } catch (error) {
+      console.error('Error searching:', error);
+      this.showError('Error searching');
+    }
+  }
+
+  /**
+   * Render the type chips with result counts
+   */
+  renderTypes() {
+    const typesContainer = document.getElementById('search-types');
+    if (!typesContainer) return;
+
+    const groups = this.results?.groups || [];
+    if (groups.length === 0) {
+      typesContainer.innerHTML = '';
+      return;
+    }
+
+    const chip = (type, label, count) => `
+      <button type="button" class="search-type-chip ${this.selectedType === type ? 'active' : ''}" data-type="${type || ''}">
+        ${label} <span class="search-type-count">${count}</span>
+      </button>
+    `;
+    typesContainer.innerHTML = chip(null, 'All', this.results.total)
+      + groups.map(group => chip(group.type, TYPES[group.type].label, group.count)).join('');
+  }
+
+  /**
+   * Render the result groups
+   */
+  renderResults() {
+    const resultsContainer = document.getElementById('search-results');
+    if (!resultsContainer || !this.results) return;
+
+    // The selected type may have no results after the query changed
+    if (this.selectedType && !this.results.groups.some(group => group.type === this.selectedType)) {
+      this.selectedType = null;
+      this.state.data.search.type = null;
+    }
+    this.renderTypes();
+
+    const groups = this.results.groups.filter(group => !this.selectedType || group.type === this.selectedType);
+    if (groups.length === 0) {
+      resultsContainer.innerHTML = '<div class="search-empty">No results</div>';
+      return;
+    }
+
+    resultsContainer.innerHTML = groups.map(group => `
+      <section class="search-group">
+        <h3 class="search-group-title">
+          ${TYPES[group.type].label}
+          <span class="search-type-count">${group.count}</span>
+        </h3>
+        ${group.results.map(result => this.renderResult(result)).join('')}
+        ${group.count > group.results.length && !this.selectedType ? `
+          <button type="button" class="btn-secondary search-group-more" data-type="${group.type}">
+            Show all ${group.count} ${TYPES[group.type].label.toLowerCase()}
+          </button>
+        ` : ''}
+      </section>
+    `).join('');
+  }
+
+  /**
+   * Render a single result
+   * @param {Object} result - Result from search.global
+   * @returns {string} HTML string
+   */
+  renderResult(result) {
+    const project = result.type !== 'project' && this.projects.find(p => p.id === result.projectId);
+    const details = [
+      project ? this.escapeHtml(project.name) : '',
+      result.archived ? 'Archived' : result.completed ? 'Completed' : '',
+      result.language ? this.escapeHtml(result.language) : '',
+      result.date ? new Date(result.date).toLocaleDateString() : '',
+    ].filter(Boolean);
+
+    return `
+      <div class="search-result" data-type="${result.type}" data-id="${this.escapeHtml(result.id)}">
+        <div class="search-result-title">${this.highlight(result.title || 'Untitled', result.titleHighlights || [])}</div>
+        ${result.snippet ? `<div class="search-result-snippet">${this.highlight(result.snippet, result.highlights || [])}</div>` : ''}
+        <div class="search-result-meta">${details.join(' &middot; ')}</div>
+      </div>
+    `;
+  }
+
+  showError(message) {
+    const feedbackEl = document.getElementById('search-feedback');
+    if (!feedbackEl) return;
+
+    feedbackEl.textContent = message;
+    feedbackEl.className = 'feedback-message error show';
+
+    setTimeout(() => {
+      feedbackEl.classList.remove('show');
+    }, 3000);
+  }
+
+  highlight(text, ranges) {
+    let html = '';
+    let position = 0;
+    for (const { start, end } of ranges) {
+      html += this.escapeHtml(text.substring(position, start));
+      html += `<mark>${this.escapeHtml(text.substring(start, end))}</mark>`;
+      position = end;
+    }
+    return html + this.escapeHtml(text.substring(position));
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  destroy() {
+    clearTimeout(this.searchTimer);
+    this.searchId++;
+    this.container = null;
+  }
+}
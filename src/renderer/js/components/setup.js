@@ -3,6 +3,23 @@
  * Handles first-time setup wizard for storage location configuration
  */
 
+/**
+ * Explain why a storage folder can't be opened
+ * @param {string} error - Error code from the main process
+ * @returns {string|null} Message for the user, null for other errors
+ */
+function describeStorageError(error) {
+  if (error?.startsWith('STORAGE_TOO_NEW')) {
+    return 'This storage folder was written by a newer version of Knowledge Base. '
+      + 'Update the app to open it, or choose another folder.';
+  }
+  if (error?.startsWith('MIGRATION_FAILED')) {
+    return `Upgrading the storage folder failed (${error}). `
+      + 'A copy of the data from before the upgrade is in .knowledgebase/migration-backups.';
+  }
+  return null;
+}
+
 export class SetupComponent {
   constructor() {
     this.container = null;
@@ -63,6 +80,22 @@ export class SetupComponent {
 
     container.appendChild(setupView);
     this.attachEventListeners();
+    this.showStorageProblem();
+  }
+
+  /**
+   * Tell why the saved storage location was not opened, if it was refused
+   */
+  async showStorageProblem() {
+    try {
+      const result = await window.knowledgeBase.invoke('config.get');
+      const message = describeStorageError(result.error);
+      if (message) {
+        this.showError(message);
+      }
+    } catch (error) {
+      console.error('Failed to check the storage location:', error);
+    }
   }
 
   /**
@@ -208,7 +241,7 @@ export class SetupComponent {
         throw new Error(result.error || 'Setup failed');
       }
     } catch (error) {
-      this.showError('Setup failed: ' + error.message);
+      this.showError(describeStorageError(error.message) || 'Setup failed: ' + error.message);
       completeBtn.disabled = false;
       completeBtn.textContent = 'Complete Setup';
     }
@@ -2,13 +2,15 @@
 // Code Snippets UI Component
 // Handles listing, creating, editing, deleting, and searching code snippets
 
-import { invoke } from '../services/api.js';
+import { invoke, subscribe } from '../services/api.js';
+import { markdownService } from '../services/markdown.js';
 
 let snippets = [];
 let filters = { language: '', usage: '', module: '' };
 
 let searchQuery = '';
 let lastSearchResults = [];
+let unsubscribeStorage = null;
 
 export async function renderSnippetsComponent(container) {
   container.innerHTML = `<div class="snippets-section">
@@ -48,10 +50,27 @@ export async function renderSnippetsComponent(container) {
     renderSnippetsList();
   };
 
+  // Reload when snippet files are edited outside the app
+  unsubscribeStorage?.();
+  unsubscribeStorage = subscribe('storage.changed', onStorageChanged);
+
   await performSearch();
   renderSnippetsList();
 }
 
+async function onStorageChanged(event) {
+  if (!document.getElementById('snippets-list')) {
+    // The view was left, stop listening
+    unsubscribeStorage?.();
+    unsubscribeStorage = null;
+    return;
+  }
+  if (event.type === 'snippets') {
+    await performSearch();
+    renderSnippetsList();
+  }
+}
+
 
 async function performSearch() {
   // Use IPC search for accuracy and performance
@@ -59,7 +78,7 @@ async function performSearch() {
   if (filters.language) tagFilters.language = [filters.language];
   if (filters.usage) tagFilters.usage = [filters.usage];
   if (filters.module) tagFilters.module = [filters.module];
-  const res = await invoke('snippets.search', searchQuery, tagFilters);
+  const res = await invoke('snippets.search', { query: searchQuery, tagFilters });
   lastSearchResults = res.success ? res.data : [];
 }
 
@@ -80,7 +99,7 @@ function renderSnippetsList() {
         <button class="delete-snippet-btn" data-id="${s.id}">Delete</button>
       </div>
       <div class="snippet-description">${s.description || ''}</div>
-      <pre><code class="hljs ${s.language}">${escapeHtml(s.code)}</code></pre>
+      <pre><code class="hljs">${markdownService.highlightCode(s.code, s.language)}</code></pre>
       <div class="snippet-tags">
         ${renderTags(s.tags)}
       </div>
@@ -96,10 +115,6 @@ function renderSnippetsList() {
   list.querySelectorAll('.delete-snippet-btn').forEach(btn => {
     btn.onclick = (e) => deleteSnippet(e.target.dataset.id);
   });
-  // Highlight code
-  if (window.hljs) {
-    list.querySelectorAll('pre code').forEach(block => window.hljs.highlightElement(block));
-  }
 }
 
 function renderTags(tags) {
@@ -108,12 +123,7 @@ function renderTags(tags) {
   ).join(' ');
 }
 
-function escapeHtml(str) {
-  return str.replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;','\'':'&#39;'}[c]));
-}
-
-
-async function showSnippetForm(id) {
+export async function showSnippetForm(id) {
   // Prefer search results (most up-to-date), fall back to cached list
   const sourceList = lastSearchResults.length ? lastSearchResults : snippets;
   let snippet = id ? sourceList.find(s => s.id === id) : {
@@ -154,10 +164,7 @@ async function showSnippetForm(id) {
     const langTags = (tagsLanguageInput.value || '').split(/[, ]+/).filter(Boolean);
     const lang = langTags[0] || '';
     const code = codeArea.value;
-    codePreview.innerHTML = `<pre><code class="hljs ${lang}">${escapeHtml(code)}</code></pre>`;
-    if (window.hljs) {
-      codePreview.querySelectorAll('pre code').forEach(block => window.hljs.highlightElement(block));
-    }
+    codePreview.innerHTML = `<pre><code class="hljs">${markdownService.highlightCode(code, lang)}</code></pre>`;
   }
   codeArea.oninput = updatePreview;
   tagsLanguageInput.oninput = updatePreview;
@@ -186,7 +193,7 @@ async function showSnippetForm(id) {
       }
     };
     if (id) {
-      await invoke('snippets.update', id, data);
+      await invoke('snippets.update', { id, updates: data });
     } else {
       await invoke('snippets.create', data);
     }
@@ -197,7 +204,7 @@ async function showSnippetForm(id) {
 }
 
 async function deleteSnippet(id) {
-  if (!confirm('Delete this snippet?')) return;
+  if (!confirm('Move this snippet to the trash?')) return;
   await invoke('snippets.delete', id);
   await performSearch();
   renderSnippetsList();
@@ -314,7 +314,7 @@ export class TodosPinnedHeader {
    * @param {string} todoId - Todo ID
    */
   async deleteTodo(todoId) {
-    if (!confirm('Delete this todo?')) return;
+    if (!confirm('Move this todo to the trash?')) return;
 
     try {
       const result = await window.knowledgeBase.invoke('todos.delete', todoId);
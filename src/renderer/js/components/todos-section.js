@@ -19,11 +19,13 @@ export class TodosSection {
     this.isEditing = false; // false = preview mode (default), true = edit mode
     this.filter = 'all';
     this.boundOnTodosChanged = this.onTodosChanged.bind(this);
+    this.unsubscribeStorage = null;
   }
 
   /**
    * Render the main todos view
    * @param {HTMLElement} container - Container to render into
+   * @returns {Promise<void>} Resolves once the todos are loaded
    */
   render(container) {
     this.container = container;
@@ -60,10 +62,21 @@ export class TodosSection {
 
     this.setupEventListeners();
     this.loadProjects();
-    this.loadTodos();
+    const todosLoaded = this.loadTodos();
 
     // Listen for changes from other components
     window.addEventListener('todos-changed', this.boundOnTodosChanged);
+
+    // Todo changes on disk arrive as 'todos-changed', projects are reloaded here
+    this.unsubscribeStorage = window.knowledgeBase.on('storage.changed', (event) => {
+      if (event.type === 'data' && event.files.includes('projects.json')) {
+        this.loadProjects().then(() => {
+          if (!this.hasUnsavedChanges) this.renderTodoDetail();
+        });
+      }
+    });
+
+    return todosLoaded;
   }
 
   /**
@@ -333,6 +346,8 @@ export class TodosSection {
     `;
 
     this.attachDetailEventListeners();
+    const previewDiv = document.getElementById('todo-description-preview');
+    if (previewDiv) markdownService.renderDiagrams(previewDiv);
   }
 
   /**
@@ -443,6 +458,7 @@ export class TodosSection {
         if (previewDiv) {
           previewDiv.innerHTML = markdownService.render(content);
           previewDiv.style.display = 'block';
+          markdownService.renderDiagrams(previewDiv);
         }
         if (emptyDiv) emptyDiv.style.display = 'none';
       } else {
@@ -619,7 +635,7 @@ export class TodosSection {
    * @param {string} todoId - Todo ID
    */
   async deleteTodo(todoId) {
-    if (!confirm('Delete this todo?')) return;
+    if (!confirm('Move this todo to the trash?')) return;
 
     try {
       const result = await window.knowledgeBase.invoke('todos.delete', todoId);
@@ -701,6 +717,8 @@ export class TodosSection {
     }
 
     window.removeEventListener('todos-changed', this.boundOnTodosChanged);
+    this.unsubscribeStorage?.();
+    this.unsubscribeStorage = null;
     this.selectedTodo = null;
     this.currentTodo = null;
     this.todos = [];
@@ -2,10 +2,11 @@
 // Software Tools UI Component
 // Quick-launch for frequently used applications and URLs
 
-import { invoke } from '../services/api.js';
+import { invoke, subscribe } from '../services/api.js';
 
 let tools = [];
 let categoryFilter = '';
+let unsubscribeStorage = null;
 
 export async function renderToolsComponent(container) {
   container.innerHTML = `<div class="tools-section">
@@ -24,6 +25,24 @@ export async function renderToolsComponent(container) {
   renderCategoryFilter();
   renderToolsList();
   setupEventListeners();
+
+  // Reload when tools.json is edited outside the app
+  unsubscribeStorage?.();
+  unsubscribeStorage = subscribe('storage.changed', onStorageChanged);
+}
+
+async function onStorageChanged(event) {
+  if (!document.getElementById('tools-list')) {
+    // The view was left, stop listening
+    unsubscribeStorage?.();
+    unsubscribeStorage = null;
+    return;
+  }
+  if (event.type === 'data' && event.files.includes('tools.json')) {
+    await loadTools();
+    renderCategoryFilter();
+    renderToolsList();
+  }
 }
 
 async function loadTools() {
@@ -221,7 +240,7 @@ function showToolForm(tool = null) {
   };
 }
 
-async function editTool(id) {
+export async function editTool(id) {
   const tool = tools.find(t => t.id === id);
   if (tool) {
     showToolForm(tool);
@@ -0,0 +1,282 @@
+/**
+ * Trash Component
+ * Lists deleted notes, snippets, todos and projects and lets the user
+ * restore them or delete them permanently.
+ */
+
+const TYPE_LABELS = {
+  note: 'Note',
+  snippet: 'Snippet',
+  todo: 'Todo',
+  project: 'Project',
+  attachments: 'Attachments',
+};
+
+export class TrashComponent {
+  constructor() {
+    this.items = [];
+    this.retentionDays = 0;
+    this.container = null;
+  }
+
+  /**
+   * Render the trash view
+   * @param {HTMLElement} container - Container to render into
+   */
+  render(container) {
+    this.container = container;
+    container.innerHTML = `
+      <div class="trash-section">
+        <div class="trash-header">
+          <div>
+            <h2>Trash</h2>
+            <span class="trash-retention" id="trash-retention"></span>
+          </div>
+          <div class="trash-actions">
+            <button type="button" class="btn-secondary" id="trash-clean-attachments-btn">Clean Up Attachments</button>
+            <button type="button" class="btn-danger" id="trash-empty-btn" disabled>Empty Trash</button>
+          </div>
+        </div>
+
+        <div class="trash-list" id="trash-list">
+          <div class="loading">Loading trash...</div>
+        </div>
+
+        <div class="feedback-message" id="trash-feedback"></div>
+      </div>
+    `;
+
+    document.getElementById('trash-empty-btn')?.addEventListener('click', () => this.emptyTrash());
+    document.getElementById('trash-clean-attachments-btn')?.addEventListener('click', () => this.cleanAttachments());
+    this.loadItems();
+  }
+
+  /**
+   * Load trashed items from the backend
+   */
+  async loadItems() {
+    try {
+      const result = await window.knowledgeBase.invoke('trash.list');
+
+      if (result.success) {
+        this.items = result.data.items;
+        this.retentionDays = result.data.retentionDays;
+        this.renderItems();
+      } else {
+        this.showError('Failed to load trash: ' + result.error);
+      }
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      this.showError('Error loading trash');
+    }
+  }
+
+  /**
+   * Render the list of trashed items
+   */
+  renderItems() {
+    const listContainer = document.getElementById('trash-list');
+    const retention = document.getElementById('trash-retention');
+    const emptyBtn = document.getElementById('trash-empty-btn');
+    if (!listContainer) return;
+
+    if (retention) {
+      retention.textContent = this.retentionDays > 0
+        ? `Items are deleted permanently after ${this.retentionDays} days`
+        : 'Items are kept until you delete them';
+    }
+    if (emptyBtn) emptyBtn.disabled = this.items.length === 0;
+
+    if (this.items.length === 0) {
+      listContainer.innerHTML = '<div class="trash-empty"><p>The trash is empty.</p></div>';
+      return;
+    }
+
+    listContainer.innerHTML = this.items.map(item => `
+      <div class="trash-item" data-trash-id="${item.id}">
+        <span class="trash-item-type type-${item.type}">${TYPE_LABELS[item.type] || item.type}</span>
+        <div class="trash-item-content">
+          <span class="trash-item-title">${this.escapeHtml(item.title)}</span>
+          <span class="trash-item-meta">${this.formatMeta(item)}</span>
+        </div>
+        <button type="button" class="btn-secondary trash-restore-btn" data-trash-id="${item.id}">Restore</button>
+        <button type="button" class="btn-danger trash-purge-btn" data-trash-id="${item.id}">Delete</button>
+      </div>
+    `).join('');
+
+    listContainer.querySelectorAll('.trash-restore-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.restoreItem(btn.dataset.trashId));
+    });
+    listContainer.querySelectorAll('.trash-purge-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.purgeItem(btn.dataset.trashId));
+    });
+  }
+
+  /**
+   * Describe when an item was deleted and when it will be purged
+   * @param {Object} item - Trash item
+   * @returns {string} Meta text
+   */
+  formatMeta(item) {
+    const deletedAt = new Date(item.deletedAt);
+    let text = `Deleted ${deletedAt.toLocaleString()}`;
+
+    if (this.retentionDays > 0) {
+      const expiresAt = deletedAt.getTime() + this.retentionDays * 24 * 60 * 60 * 1000;
+      const daysLeft = Math.max(0, Math.ceil((expiresAt - Date.now()) / (24 * 60 * 60 * 1000)));
+      text += ` · purged in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+    }
+
+    return text;
+  }
+
+  /**
+   * Restore an item to its original location
+   * @param {string} trashId - Trash item ID
+   */
+  async restoreItem(trashId) {
+    try {
+      const result = await window.knowledgeBase.invoke('trash.restore', trashId);
+
+      if (result.success) {
+        this.showSuccess(`${TYPE_LABELS[result.data.type] || 'Item'} restored`);
+        await this.loadItems();
+      } else if (result.error === 'RESTORE_CONFLICT') {
+        this.showError('Cannot restore: an item with the same name or ID already exists');
+      } else {
+        this.showError('Failed to restore: ' + result.error);
+      }
+    } catch (error) {
+      console.error('Error restoring item:', error);
+      this.showError('Error restoring item');
+    }
+  }
+
+  /**
+   * Permanently delete an item
+   * @param {string} trashId - Trash item ID
+   */
+  async purgeItem(trashId) {
+    const item = this.items.find(i => i.id === trashId);
+    if (!item || !confirm(`Permanently delete "${item.title}"? This cannot be undone.`)) return;
+
+    try {
+      const result = await window.knowledgeBase.invoke('trash.purge', trashId);
+
+      if (result.success) {
+        await this.loadItems();
+      } else {
+        this.showError('Failed to delete: ' + result.error);
+      }
+    } catch (error) {
+      console.error('Error deleting item:', error);
+      this.showError('Error deleting item');
+    }
+  }
+
+  /**
+   * Permanently delete all items
+   */
+  async emptyTrash() {
+    if (!confirm(`Permanently delete all ${this.items.length} items in the trash? This cannot be undone.`)) return;
+
+    try {
+      const result = await window.knowledgeBase.invoke('trash.empty');
+
+      if (result.success) {
+        this.showSuccess('Trash emptied');
+        await this.loadItems();
+      } else {
+        this.showError('Failed to empty trash: ' + result.error);
+      }
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      this.showError('Error emptying trash');
+    }
+  }
+
+  /**
+   * Move attachments no note links to anymore into the trash
+   */
+  async cleanAttachments() {
+    try {
+      const orphans = await window.knowledgeBase.invoke('attachments.listOrphans');
+      if (!orphans.success) {
+        this.showError('Failed to find unused attachments: ' + orphans.error);
+        return;
+      }
+
+      if (orphans.data.length === 0) {
+        this.showSuccess('No unused attachments');
+        return;
+      }
+
+      const names = orphans.data.slice(0, 10).map(orphan => `  ${orphan.path}`).join('\n');
+      const more = orphans.data.length > 10 ? `\n  …and ${orphans.data.length - 10} more` : '';
+      if (!confirm(`Move ${orphans.data.length} unused attachment(s) to the trash?\n\n${names}${more}`)) return;
+
+      const result = await window.knowledgeBase.invoke('attachments.cleanOrphans');
+      if (result.success) {
+        this.showSuccess(`Moved ${result.data.removed} attachment(s) to the trash`);
+        await this.loadItems();
+      } else {
+        this.showError('Failed to clean up attachments: ' + result.error);
+      }
+    } catch (error) {
+      console.error('Error cleaning up attachments:', error);
+      this.showError('Error cleaning up attachments');
+    }
+  }
+
+  /**
+   * Show success message
+   * @param {string} message - Message to show
+   */
+  showSuccess(message) {
+    this.showFeedback(message, 'success');
+  }
+
+  /**
+   * Show error message
+   * @param {string} message - Message to show
+   */
+  showError(message) {
+    this.showFeedback(message, 'error');
+  }
+
+  /**
+   * Show feedback message
+   * @param {string} message - Message to show
+   * @param {string} type - 'success' or 'error'
+   */
+  showFeedback(message, type) {
+    const feedbackEl = document.getElementById('trash-feedback');
+    if (!feedbackEl) return;
+
+    feedbackEl.textContent = message;
+    feedbackEl.className = `feedback-message ${type} show`;
+
+    setTimeout(() => {
+      feedbackEl.classList.remove('show');
+    }, 3000);
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Destroy the component
+   */
+  destroy() {
+    this.items = [];
+    this.container = null;
+  }
+}
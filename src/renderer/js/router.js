@@ -1,11 +1,16 @@
 import { SetupComponent } from './components/setup.js';
 import { NotesComponent } from './components/notes.js';
 import { ProjectsComponent } from './components/projects.js';
-import { renderSnippetsComponent } from './components/snippets.js';
-import { renderRoadmapsComponent } from './components/roadmaps.js';
-import { renderToolsComponent } from './components/tools.js';
+import { renderSnippetsComponent, showSnippetForm } from './components/snippets.js';
+import { renderRoadmapsComponent, editMilestone } from './components/roadmaps.js';
+import { renderToolsComponent, editTool } from './components/tools.js';
 import { TodosSection } from './components/todos-section.js';
 import { DailyTodos } from './components/daily-todos.js';
+import { TrashComponent } from './components/trash.js';
+import { MaintenanceComponent } from './components/maintenance.js';
+import { BackupsComponent } from './components/backups.js';
+import { GraphComponent } from './components/graph.js';
+import { SearchComponent } from './components/search.js';
 
 // Store active component instance
 let activeComponent = null;
@@ -16,14 +21,26 @@ const routes = new Map([
     setupComponent.render(container);
     return setupComponent;
   }],
-  ['#/notes', (container) => {
-    const notesComponent = new NotesComponent();
-    notesComponent.render(container);
+  ['#/notes', async (container, state) => {
+    const notesComponent = new NotesComponent(state);
+    await notesComponent.render(container);
     return notesComponent;
   }],
-  ['#/todos', (container) => {
+  ['#/journal', async (container, state) => {
+    // The notes view with today's journal note open
+    const notesComponent = new NotesComponent(state);
+    await notesComponent.render(container);
+    notesComponent.openJournal();
+    return notesComponent;
+  }],
+  ['#/graph', (container, state) => {
+    const graphComponent = new GraphComponent(state);
+    graphComponent.render(container);
+    return graphComponent;
+  }],
+  ['#/todos', async (container) => {
     const todosSection = new TodosSection();
-    todosSection.render(container);
+    await todosSection.render(container);
     return todosSection;
   }],
   ['#/projects', async (container) => {
@@ -44,13 +61,65 @@ const routes = new Map([
     await renderToolsComponent(container);
     return null;
   }],
-  ['#/daily-todos', (container) => {
+  ['#/daily-todos', async (container) => {
     const dailyTodos = new DailyTodos();
-    dailyTodos.render(container);
+    await dailyTodos.render(container);
     return dailyTodos;
   }],
+  ['#/search', (container, state) => {
+    const searchComponent = new SearchComponent(state);
+    searchComponent.render(container);
+    return searchComponent;
+  }],
+  ['#/trash', (container) => {
+    const trashComponent = new TrashComponent();
+    trashComponent.render(container);
+    return trashComponent;
+  }],
+  ['#/maintenance', (container) => {
+    const maintenanceComponent = new MaintenanceComponent();
+    maintenanceComponent.render(container);
+    return maintenanceComponent;
+  }],
+  ['#/backups', (container) => {
+    const backupsComponent = new BackupsComponent();
+    backupsComponent.render(container);
+    return backupsComponent;
+  }],
+]);
+
+// How each view shows a single item, see openItem()
+const itemOpeners = new Map([
+  ['#/notes', (component, id) => component.loadNote(id)],
+  ['#/todos', (component, id) => component.selectTodo(id)],
+  ['#/projects', (component, id) => component.selectProject(id)],
+  ['#/snippets', (_component, id) => showSnippetForm(id)],
+  ['#/roadmaps', (_component, id) => editMilestone(id)],
+  ['#/tools', (_component, id) => editTool(id)],
+  ['#/daily-todos', (component, id) => component.showTodo(id)],
 ]);
 
+/**
+ * Show an item (note, todo, milestone, ...) in its view, from any view
+ * @param {Object} state - App state
+ * @param {string} hash - Route of the view, e.g. '#/notes'
+ * @param {string} itemId - ID of the item
+ */
+export function openItem(state, hash, itemId) {
+  // Already there: select the item without re-rendering, which would drop unsaved changes
+  if (window.location.hash === hash && activeComponent) {
+    itemOpeners.get(hash)?.(activeComponent, itemId);
+    return;
+  }
+
+  state.data.openItemId = itemId;
+  if (window.location.hash === hash) {
+    renderRoute(state);
+  } else {
+    window.location.hash = hash;
+  }
+}
+
 async function renderRoute(state) {
   const view = document.getElementById('view');
   if (!view) {
@@ -77,6 +146,13 @@ async function renderRoute(state) {
     // It's a component instance
     activeComponent = result;
   }
+
+  // Another view asked for an item, see openItem()
+  const itemId = state.data.openItemId;
+  delete state.data.openItemId;
+  if (itemId && itemOpeners.has(hash)) {
+    await itemOpeners.get(hash)(activeComponent, itemId);
+  }
 }
 
 export function initRouter(state) {
@@ -68,5 +68,5 @@ export const dailyTodos = {
    * @param {string} priority - New priority (low, medium, high, critical)
    * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
    */
-  updatePriority: (id, priority) => invoke('dailyTodos.updatePriority', id, priority)
+  updatePriority: (id, priority) => invoke('dailyTodos.updatePriority', { id, priority })
 };
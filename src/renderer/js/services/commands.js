@@ -0,0 +1,68 @@
+/**
+ * Commands
+ * Registry of app actions. Registered commands are listed in the command
+ * palette and, when they have a shortcut, run by the global keyboard handler
+ * and shown in the keyboard shortcuts help.
+ */
+
+const commands = new Map();
+
+/**
+ * Register a command, replacing one with the same ID
+ * @param {Object} command
+ * @param {string} command.id - Unique ID, e.g. 'notes.new'
+ * @param {string} command.title - Label shown in the palette and help
+ * @param {string|Array<string>} [command.shortcut] - e.g. 'Ctrl+N' or ['Ctrl+P', 'Ctrl+K']
+ * @param {Function} command.run - Performs the action
+ * @param {Function} [command.isAvailable] - Returns false while the command doesn't apply
+ */
+export function registerCommand(command) {
+  commands.set(command.id, command);
+}
+
+/**
+ * Get the registered commands that currently apply
+ * @returns {Array<Object>} Commands in registration order
+ */
+export function getCommands() {
+  return [...commands.values()].filter(command => !command.isAvailable || command.isAvailable());
+}
+
+/**
+ * Get the shortcuts of a command as a list
+ * @param {Object} command - Registered command
+ * @returns {Array<string>} Shortcuts, empty when it has none
+ */
+export function getShortcuts(command) {
+  if (!command.shortcut) return [];
+  return Array.isArray(command.shortcut) ? command.shortcut : [command.shortcut];
+}
+
+/**
+ * Check whether a key event matches a shortcut like 'Ctrl+Shift+P'
+ * @param {string} shortcut - Modifiers and key joined by '+'
+ * @param {KeyboardEvent} event - Keydown event
+ * @returns {boolean}
+ */
+export function matchesShortcut(shortcut, event) {
+  const parts = shortcut.toLowerCase().split('+');
+  const key = parts.pop();
+  return event.key.toLowerCase() === key
+    && event.ctrlKey === parts.includes('ctrl')
+    && event.shiftKey === parts.includes('shift')
+    && event.altKey === parts.includes('alt');
+}
+
+/**
+ * Run the command bound to a key event
+ * @param {KeyboardEvent} event - Keydown event
+ * @returns {boolean} True when a command handled the event
+ */
+export function runShortcut(event) {
+  const command = getCommands().find(c => getShortcuts(c).some(shortcut => matchesShortcut(shortcut, event)));
+  if (!command) return false;
+
+  event.preventDefault();
+  command.run();
+  return true;
+}
@@ -0,0 +1,117 @@
+/**
+ * Force Layout
+ * Small force-directed layout for the graph view. Nodes repel each other,
+ * links pull their ends together and a weak gravity keeps loose nodes near
+ * the center. Like d3-force the simulation cools down with every tick and
+ * stops once the layout has settled.
+ */
+
+const LINK_DISTANCE = 60;
+const LINK_STRENGTH = 0.08;
+const REPULSION = 900;
+// Nodes further apart than this don't push each other anymore
+const MAX_REPULSION_DISTANCE = 400;
+const GRAVITY = 0.015;
+const VELOCITY_DECAY = 0.6;
+const ALPHA_DECAY = 0.0228; // Settles in about 300 ticks
+const ALPHA_MIN = 0.001;
+const INITIAL_RADIUS = 10;
+
+export class ForceLayout {
+  /**
+   * @param {Array<Object>} nodes - Nodes with `id`; gets x, y, vx, vy and, while dragged, fx, fy
+   * @param {Array<{source: string, target: string}>} edges - Links between node IDs
+   */
+  constructor(nodes, edges) {
+    this.nodes = nodes;
+    this.alpha = 1;
+
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    this.links = edges
+      .map(edge => ({ source: byId.get(edge.source), target: byId.get(edge.target) }))
+      .filter(link => link.source && link.target);
+
+    // Spread nodes on a spiral so the first ticks don't explode from one point
+    const angle = Math.PI * (3 - Math.sqrt(5));
+    nodes.forEach((node, i) => {
+      if (node.x === undefined || node.y === undefined) {
+        const radius = INITIAL_RADIUS * Math.sqrt(0.5 + i);
+        node.x = radius * Math.cos(i * angle);
+        node.y = radius * Math.sin(i * angle);
+      }
+      node.vx = 0;
+      node.vy = 0;
+    });
+  }
+
+  get isSettled() {
+    return this.alpha < ALPHA_MIN;
+  }
+
+  /**
+   * Warm the simulation up again, e.g. while a node is dragged
+   * @param {number} [alpha] - Minimum energy to continue with
+   */
+  reheat(alpha = 0.3) {
+    this.alpha = Math.max(this.alpha, alpha);
+  }
+
+  /**
+   * Advance the simulation by one step
+   */
+  tick() {
+    const { nodes, links, alpha } = this;
+
+    for (let i = 0; i < nodes.length; i++) {
+      const a = nodes[i];
+      for (let j = i + 1; j < nodes.length; j++) {
+        const b = nodes[j];
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+        if (dx === 0 && dy === 0) {
+          // Push coincident nodes apart in a stable direction
+          dx = (j - i) * 1e-3;
+          dy = 1e-3;
+        }
+        const distanceSquared = dx * dx + dy * dy;
+        if (distanceSquared > MAX_REPULSION_DISTANCE * MAX_REPULSION_DISTANCE) continue;
+
+        const distance = Math.sqrt(distanceSquared);
+        const force = (REPULSION * alpha) / Math.max(distanceSquared, 1);
+        const fx = (dx / distance) * force;
+        const fy = (dy / distance) * force;
+        a.vx -= fx;
+        a.vy -= fy;
+        b.vx += fx;
+        b.vy += fy;
+      }
+    }
+
+    for (const { source, target } of links) {
+      const dx = target.x - source.x;
+      const dy = target.y - source.y;
+      const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+      const strength = ((distance - LINK_DISTANCE) / distance) * LINK_STRENGTH * alpha;
+      source.vx += dx * strength;
+      source.vy += dy * strength;
+      target.vx -= dx * strength;
+      target.vy -= dy * strength;
+    }
+
+    for (const node of nodes) {
+      if (node.fx !== undefined) {
+        node.x = node.fx;
+        node.y = node.fy;
+        node.vx = 0;
+        node.vy = 0;
+        continue;
+      }
+      node.vx = (node.vx - node.x * GRAVITY * alpha) * VELOCITY_DECAY;
+      node.vy = (node.vy - node.y * GRAVITY * alpha) * VELOCITY_DECAY;
+      node.x += node.vx;
+      node.y += node.vy;
+    }
+
+    this.alpha -= this.alpha * ALPHA_DECAY;
+  }
+}
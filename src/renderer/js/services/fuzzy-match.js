@@ -0,0 +1,63 @@
+/**
+ * Fuzzy Match
+ * Scores how well a typed query matches a piece of text. Substring matches
+ * rank above scattered character matches; matches at the start of the text
+ * or of a word rank higher still.
+ */
+
+const WORD_SEPARATOR_REGEX = /[\s\-_/.()[\]]/;
+
+function isWordStart(text, index) {
+  return index === 0 || WORD_SEPARATOR_REGEX.test(text[index - 1]);
+}
+
+/**
+ * Match a query against text, case-insensitively
+ * @param {string} query - What the user typed
+ * @param {string} text - Candidate text, e.g. a note title
+ * @returns {{score: number, ranges: Array<{start: number, end: number}>}|null}
+ *   Score (higher is better) and matched ranges of the text, or null when the
+ *   query's characters don't all appear in order
+ */
+export function fuzzyMatch(query, text) {
+  const needle = query.trim().toLowerCase();
+  const haystack = text.toLowerCase();
+
+  if (!needle) {
+    return { score: 0, ranges: [] };
+  }
+
+  const index = haystack.indexOf(needle);
+  if (index !== -1) {
+    let score = 100 + needle.length * 2 - index;
+    if (index === 0) score += 50;
+    if (haystack.length === needle.length) score += 100;
+    if (isWordStart(haystack, index)) score += 20;
+    return { score, ranges: [{ start: index, end: index + needle.length }] };
+  }
+
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+  const ranges = [];
+
+  for (const char of needle) {
+    const found = haystack.indexOf(char, from);
+    if (found === -1) return null;
+
+    if (found === previous + 1) {
+      score += 5;
+      ranges[ranges.length - 1].end = found + 1;
+    } else {
+      score += 1;
+      ranges.push({ start: found, end: found + 1 });
+    }
+    if (isWordStart(haystack, found)) score += 3;
+
+    previous = found;
+    from = found + 1;
+  }
+
+  // Prefer shorter candidates when the characters match equally well
+  return { score: score - (haystack.length - needle.length) * 0.1, ranges };
+}
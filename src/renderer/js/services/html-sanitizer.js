@@ -0,0 +1,88 @@
+import DOMPurify from 'dompurify';
+import { ATTACHMENT_PROTOCOL } from '../../../shared/constants.js';
+
+/**
+ * HTML Sanitizer
+ * Allowlist-based cleanup of rendered Markdown and diagram SVG before it is
+ * put into the page. Notes may contain HTML pasted from anywhere, so only the
+ * tags and attributes Markdown, KaTeX and task lists produce are kept and
+ * links may only use known schemes. Inline styles could overlay the app and
+ * are only kept in KaTeX output, which is sanitized on its own.
+ */
+
+const ALLOWED_TAGS = [
+  'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'dd', 'del', 'details', 'div', 'dl', 'dt',
+  'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li',
+  'mark', 'ol', 'p', 'pre', 's', 'small', 'span', 'strong', 'sub', 'summary', 'sup',
+  'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul',
+];
+
+const ALLOWED_ATTR = [
+  'align', 'alt', 'aria-hidden', 'checked', 'class', 'colspan', 'disabled', 'height', 'href',
+  'open', 'rowspan', 'src', 'start', 'title', 'type', 'width',
+];
+
+// KaTeX positions glyphs with inline styles
+const MATH_ALLOWED_ATTR = [...ALLOWED_ATTR, 'style'];
+
+// Web and mail links, internal note links, attachments, anchors and relative paths
+const ALLOWED_URI_REGEXP = new RegExp(
+  `^(?:(?:https?|mailto|internal|${ATTACHMENT_PROTOCOL}):|[^a-z]|[a-z+.-]+(?:[^a-z+.\\-:]|$))`,
+  'i',
+);
+
+// Separate instances, the hooks below only apply to Markdown HTML
+const htmlPurifier = DOMPurify(window);
+const mathPurifier = DOMPurify(window);
+const svgPurifier = DOMPurify(window);
+
+htmlPurifier.addHook('uponSanitizeElement', (node, data) => {
+  // Task list checkboxes are the only form control Markdown produces
+  if (data.tagName === 'input' && node.getAttribute('type') !== 'checkbox') {
+    node.remove();
+  }
+});
+
+htmlPurifier.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'INPUT') {
+    node.setAttribute('disabled', '');
+  }
+});
+
+/**
+ * Sanitize HTML rendered from Markdown
+ * @param {string} html - Untrusted HTML
+ * @returns {string} HTML with only allowed tags, attributes and URLs
+ */
+export function sanitizeHtml(html) {
+  return htmlPurifier.sanitize(html, {
+    ALLOWED_TAGS,
+    ALLOWED_ATTR,
+    ALLOWED_URI_REGEXP,
+  });
+}
+
+/**
+ * Sanitize math rendered by KaTeX, keeping its inline styles. Only for KaTeX
+ * output: a class in user-written HTML doesn't make its styles safe.
+ * @param {string} html - HTML rendered by KaTeX
+ * @returns {string} HTML with only allowed tags, attributes and URLs
+ */
+export function sanitizeMath(html) {
+  return mathPurifier.sanitize(html, {
+    ALLOWED_TAGS,
+    ALLOWED_ATTR: MATH_ALLOWED_ATTR,
+    ALLOWED_URI_REGEXP,
+  });
+}
+
+/**
+ * Sanitize an SVG drawn by Mermaid
+ * @param {string} svg - SVG markup
+ * @returns {string} SVG without scripts, event handlers or embedded HTML
+ */
+export function sanitizeSvg(svg) {
+  return svgPurifier.sanitize(svg, {
+    USE_PROFILES: { svg: true, svgFilters: true },
+  });
+}
@@ -1,10 +1,19 @@
 import { marked } from 'marked';
+import hljs from 'highlight.js/lib/common';
+import katex from 'katex';
+import 'katex/dist/katex.min.css';
+import { ATTACHMENTS_FOLDER, ATTACHMENT_PROTOCOL } from '../../../shared/constants.js';
+import { sanitizeHtml, sanitizeMath, sanitizeSvg } from './html-sanitizer.js';
 
 /**
  * Markdown Service
- * Handles markdown parsing and rendering with support for internal links
+ * Handles markdown parsing and rendering with support for internal links,
+ * syntax-highlighted code, $...$ / $$...$$ math and Mermaid diagrams.
+ * Everything is bundled, so previews work offline.
  */
 
+const MERMAID_LANGUAGE = 'mermaid';
+
 class MarkdownService {
   constructor() {
     // Configure marked options
@@ -15,9 +24,47 @@ class MarkdownService {
       mangle: false,
     });
 
+    marked.use({
+      renderer: {
+        code: ({ text, lang }) => this.renderCodeBlock(text, lang),
+      },
+      extensions: [
+        {
+          name: 'blockMath',
+          level: 'block',
+          start: (src) => src.match(/^\$\$/m)?.index,
+          tokenizer: (src) => {
+            const match = /^\$\$([\s\S]+?)\$\$[ \t]*(?:\n|$)/.exec(src);
+            if (match) {
+              return { type: 'blockMath', raw: match[0], text: match[1].trim() };
+            }
+          },
+          renderer: (token) => `<div class="math-block">${this.addMath(token.text, true)}</div>\n`,
+        },
+        {
+          name: 'inlineMath',
+          level: 'inline',
+          start: (src) => src.indexOf('$'),
+          tokenizer: (src) => {
+            // $$...$$ inside a paragraph is display math; $...$ must not start or end with a
+            // space and not be followed by a digit, so prices like "$5 and $10" stay text
+            const match = /^\$\$([^$]+?)\$\$/.exec(src) || /^\$(?!\s)((?:\\\$|[^$\n])+?)(?<!\s)\$(?!\d)/.exec(src);
+            if (match) {
+              return { type: 'inlineMath', raw: match[0], text: match[1], displayMode: match[0].startsWith('$$') };
+            }
+          },
+          renderer: (token) => this.addMath(token.text, token.displayMode),
+        },
+      ],
+    });
+
     // Cache for parsed markdown (LRU cache implementation will be added in Phase 11)
     this.cache = new Map();
     this.maxCacheSize = 50;
+    this.diagramCount = 0;
+    // Math of the render in progress, see addMath
+    this.mathToken = null;
+    this.mathFragments = [];
   }
 
   /**
@@ -27,23 +74,33 @@ class MarkdownService {
    * @returns {string} Rendered HTML
    */
   render(markdown, noteId = null) {
-    // Check cache if noteId is provided
-    if (noteId && this.cache.has(noteId)) {
-      return this.cache.get(noteId);
+    // Check cache if noteId is provided; edits and reloads from disk change the content
+    const cached = noteId ? this.cache.get(noteId) : null;
+    if (cached && cached.markdown === markdown) {
+      return cached.html;
     }
 
     // Process internal links before rendering
     const processedMarkdown = this.processInternalLinks(markdown);
+    const [high, low] = crypto.getRandomValues(new Uint32Array(2));
+    this.mathToken = `kb-math-${high.toString(36)}${low.toString(36)}`;
+    this.mathFragments = [];
 
-    // Render markdown to HTML
-    const html = marked.parse(processedMarkdown);
+    // Render markdown to HTML, pointing attachment links of the note at the attachment protocol
+    const html = marked.parse(processedMarkdown, {
+      walkTokens: (token) => {
+        if (token.type === 'link' || token.type === 'image') {
+          token.href = this.resolveAttachmentHref(token.href, noteId);
+        }
+      },
+    });
 
-    // Sanitize HTML (basic sanitization, full DOMPurify will be added in Phase 11)
-    const sanitized = this.basicSanitize(html);
+    const sanitized = this.insertMath(sanitizeHtml(html));
+    this.mathFragments = [];
 
     // Cache the result if noteId is provided
     if (noteId) {
-      this.cacheResult(noteId, sanitized);
+      this.cacheResult(noteId, markdown, sanitized);
     }
 
     return sanitized;
@@ -62,31 +119,169 @@ class MarkdownService {
   }
 
   /**
-   * Basic HTML sanitization (removes script tags)
-   * @param {string} html - HTML content
-   * @returns {string} Sanitized HTML
+   * Resolve a relative link to a note attachment
+   * Only paths inside the note's attachments folder are resolved; relative paths
+   * that climb out of the note's folder are dropped, everything else is kept.
+   * @param {string} href - Link target as written in the note
+   * @param {string|null} noteId - ID of the note being rendered
+   * @returns {string} Attachment URL, the unchanged href, or '' when unsafe
    */
-  basicSanitize(html) {
-    // Remove script tags and event handlers
-    return html
-      .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-      .replace(/on\w+="[^"]*"/g, '')
-      .replace(/on\w+='[^']*'/g, '');
+  resolveAttachmentHref(href, noteId) {
+    // Leave URLs with a scheme, absolute paths and anchors alone
+    if (!href || /^[a-z][a-z0-9+.-]*:|^[/\\#?]/i.test(href)) {
+      return href;
+    }
+
+    let decoded;
+    try {
+      decoded = decodeURIComponent(href.split(/[?#]/)[0]);
+    } catch {
+      return href;
+    }
+
+    const segments = decoded.split(/[/\\]/).filter(segment => segment && segment !== '.');
+    if (segments.includes('..')) {
+      return '';
+    }
+    if (!noteId || segments.length !== 2 || segments[0] !== ATTACHMENTS_FOLDER) {
+      return href;
+    }
+
+    return `${ATTACHMENT_PROTOCOL}://note/${encodeURIComponent(noteId)}/${segments.map(encodeURIComponent).join('/')}`;
+  }
+
+  /**
+   * Render a fenced code block
+   * Mermaid blocks become placeholders that renderDiagrams() draws once the
+   * HTML is in the page, other languages are highlighted.
+   * @param {string} code - Code inside the fence
+   * @param {string} [lang] - Info string of the fence, e.g. 'js' or 'mermaid'
+   * @returns {string} HTML
+   */
+  renderCodeBlock(code, lang) {
+    const language = (lang || '').trim().split(/\s+/)[0].toLowerCase();
+
+    if (language === MERMAID_LANGUAGE) {
+      return `<div class="mermaid-diagram">${this.escapeHtml(code)}</div>\n`;
+    }
+
+    const className = language ? ` language-${this.escapeHtml(language)}` : '';
+    return `<pre><code class="hljs${className}">${this.highlightCode(code, language)}</code></pre>\n`;
+  }
+
+  /**
+   * Highlight code with the bundled highlight.js languages
+   * @param {string} code - Source code
+   * @param {string} [language] - Language name or alias; unknown languages stay plain
+   * @returns {string} Highlighted, escaped HTML
+   */
+  highlightCode(code, language) {
+    if (language && hljs.getLanguage(language)) {
+      return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+    }
+    return this.escapeHtml(code);
+  }
+
+  /**
+   * Render TeX with KaTeX
+   * Errors are shown in place instead of thrown, and KaTeX's trust option stays
+   * off so commands like \href can't add links or attributes.
+   * @param {string} tex - TeX source
+   * @param {boolean} displayMode - Display (block) or inline math
+   * @returns {string} HTML
+   */
+  renderMath(tex, displayMode) {
+    return katex.renderToString(tex, {
+      displayMode,
+      throwOnError: false,
+      output: 'html',
+    });
+  }
+
+  /**
+   * Render math for the Markdown being rendered and return a placeholder for it.
+   * The math is sanitized on its own, keeping KaTeX's inline styles, and goes
+   * into the page after the rest of the HTML was sanitized without styles. The
+   * placeholder is random per render, so note text can't fake one.
+   * @param {string} tex - TeX source
+   * @param {boolean} displayMode - Display (block) or inline math
+   * @returns {string} Placeholder text
+   */
+  addMath(tex, displayMode) {
+    this.mathFragments.push(sanitizeMath(this.renderMath(tex, displayMode)));
+    return `${this.mathToken}:${this.mathFragments.length - 1}:`;
+  }
+
+  /**
+   * Replace the math placeholders of sanitized HTML with the rendered math
+   * @param {string} html - Sanitized HTML
+   * @returns {string} HTML with math
+   */
+  insertMath(html) {
+    if (this.mathFragments.length === 0) return html;
+    return html.replace(
+      new RegExp(`${this.mathToken}:(\\d+):`, 'g'),
+      (match, index) => this.mathFragments[index] ?? match
+    );
+  }
+
+  /**
+   * Draw the Mermaid diagrams of rendered markdown
+   * Call after inserting render() output into the page. Mermaid is loaded on
+   * first use and runs with its strict security level, which disables click
+   * handlers in diagrams; the SVG it draws is sanitized again before insertion.
+   * @param {HTMLElement} container - Element containing the rendered HTML
+   * @returns {Promise<void>}
+   */
+  async renderDiagrams(container) {
+    const blocks = [...container.querySelectorAll('.mermaid-diagram:not([data-rendered])')];
+    if (blocks.length === 0) return;
+
+    const { default: mermaid } = await import('mermaid');
+    mermaid.initialize({
+      startOnLoad: false,
+      securityLevel: 'strict',
+      // Plain SVG labels; HTML labels in foreignObject would not survive sanitizeSvg()
+      htmlLabels: false,
+      theme: document.documentElement.dataset.theme === 'light' ? 'default' : 'dark',
+    });
+
+    for (const block of blocks) {
+      const id = `mermaid-diagram-${++this.diagramCount}`;
+      block.dataset.rendered = 'true';
+      try {
+        const { svg } = await mermaid.render(id, block.textContent);
+        block.innerHTML = sanitizeSvg(svg);
+      } catch (error) {
+        block.classList.add('mermaid-error');
+        block.textContent = `Diagram error: ${error.message}`;
+        // Mermaid leaves its scratch element behind when parsing fails
+        document.getElementById(`d${id}`)?.remove();
+      }
+    }
+  }
+
+  escapeHtml(text) {
+    return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' }[c]));
   }
 
   /**
    * Cache rendered HTML with LRU eviction
    * @param {string} noteId - Note ID
+   * @param {string} markdown - Markdown the HTML was rendered from
    * @param {string} html - Rendered HTML
    */
-  cacheResult(noteId, html) {
+  cacheResult(noteId, markdown, html) {
+    // Re-inserting moves the note to the end of the eviction order
+    this.cache.delete(noteId);
+
     // If cache is full, remove oldest entry
     if (this.cache.size >= this.maxCacheSize) {
       const firstKey = this.cache.keys().next().value;
       this.cache.delete(firstKey);
     }
 
-    this.cache.set(noteId, html);
+    this.cache.set(noteId, { markdown, html });
   }
 
   /**
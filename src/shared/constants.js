@@ -6,9 +6,53 @@ export const DEFAULT_WINDOW = {
   minHeight: 600,
 };
 
+// Format of the storage folder, recorded as config.version (see migration-service.js)
+export const STORAGE_VERSION = '1.2.0';
+
 // Daily Todo Priority Levels (in order from lowest to highest)
 export const DAILY_TODO_PRIORITIES = ['low', 'medium', 'high', 'critical'];
 export const DAILY_TODO_DEFAULT_PRIORITY = 'medium';
 export const DAILY_TODO_MAX_PRIORITY = 'critical';
 export const DAILY_TODO_MAX_TITLE_LENGTH = 500;
 export const DAILY_TODO_ARCHIVE_RETENTION_DAYS = 30;
+
+// Retention used until the preferences say otherwise; 0 days keeps revisions or trashed items forever
+export const HISTORY_DEFAULT_MAX_REVISIONS = 50;
+export const HISTORY_DEFAULT_MAX_AGE_DAYS = 90;
+export const TRASH_DEFAULT_RETENTION_DAYS = 30;
+
+// Note attachments live in this folder next to the note that uses them
+export const ATTACHMENTS_FOLDER = 'attachments';
+// URL scheme the preview loads attachments through (served by the main process)
+export const ATTACHMENT_PROTOCOL = 'kb-attachment';
+export const MAX_ATTACHMENT_BYTES = 50 * 1024 * 1024;
+
+// Daily journal notes live in notes/<JOURNAL_FOLDER>; project folders never use these names
+export const JOURNAL_FOLDER = 'journal';
+export const RESERVED_NOTE_FOLDERS = [ATTACHMENTS_FOLDER, JOURNAL_FOLDER];
+
+// Content-Security-Policy of the renderer: only bundled scripts, no plugins or frames.
+// Inline styles are used throughout the UI; images may come from attachments and the web.
+export const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' 'unsafe-inline'",
+  `img-src 'self' data: blob: https: ${ATTACHMENT_PROTOCOL}:`,
+  "font-src 'self' data:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "frame-src 'none'",
+  "base-uri 'none'",
+  "form-action 'none'",
+].join('; ');
+
+/**
+ * Content-Security-Policy of the renderer while it is served by the Vite dev
+ * server, whose hot reload connects back to it over a WebSocket
+ * @param {string} devServerUrl - Dev server URL, e.g. http://localhost:5173/
+ * @returns {string} Policy
+ */
+export function getDevContentSecurityPolicy(devServerUrl) {
+  const { host } = new URL(devServerUrl);
+  return CONTENT_SECURITY_POLICY.replace("connect-src 'self'", `connect-src 'self' ws://${host} wss://${host}`);
+}
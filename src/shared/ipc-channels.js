@@ -0,0 +1,352 @@
+import { DAILY_TODO_PRIORITIES } from './constants.js';
+
+/**
+ * IPC Channel Registry
+ * Every channel the renderer may call, with the schema of its payload. The
+ * preload script only forwards declared channels and the main process checks
+ * each payload against its schema before the handler runs. Objects reject
+ * fields that are not declared, so a renderer can't slip `id` or timestamps
+ * into an update.
+ */
+
+// ==================== Schema Builders ====================
+
+const string = (options = {}) => ({ type: 'string', ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const boolean = () => ({ type: 'boolean' });
+const oneOf = (...values) => ({ type: 'enum', values });
+const arrayOf = (items) => ({ type: 'array', items });
+const object = (properties) => ({ type: 'object', properties });
+// Object with arbitrary keys, e.g. template field values
+const record = (values) => ({ type: 'record', values });
+const binary = () => ({ type: 'binary' });
+const anyOf = (...schemas) => ({ type: 'anyOf', schemas });
+const optional = (schema) => ({ ...schema, optional: true });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+// Channels called without a payload
+const NONE = { type: 'none' };
+
+const id = string({ minLength: 1, maxLength: 200 });
+const date = string({ pattern: /^\d{4}-\d{2}-\d{2}$/ });
+// Empty or null means "no project"
+const projectId = optional(nullable(string({ maxLength: 200 })));
+const text = optional(nullable(string()));
+const tagList = arrayOf(string());
+
+const snippetTags = object({
+  language: optional(tagList),
+  usage: optional(tagList),
+  module: optional(tagList),
+});
+
+const snippetFields = {
+  title: string(),
+  description: text,
+  language: string(),
+  code: string(),
+  tags: snippetTags,
+};
+
+const todoFields = {
+  title: string({ minLength: 1 }),
+  description: text,
+  priority: optional(oneOf('low', 'medium', 'high')),
+  projectId,
+  deadline: optional(nullable(string())),
+};
+
+const projectFields = {
+  name: string({ minLength: 1 }),
+  description: text,
+  defaultTemplateId: optional(nullable(string())),
+};
+
+const milestoneFields = {
+  projectId: id,
+  title: string({ minLength: 1 }),
+  description: text,
+  deadline: string({ minLength: 1 }),
+};
+
+const toolFields = {
+  name: string({ minLength: 1 }),
+  description: text,
+  launchPath: string({ minLength: 1 }),
+  launchType: optional(oneOf('application', 'url')),
+  category: optional(string()),
+};
+
+// Every field optional, for `updates` objects
+const partial = (fields) => object(Object.fromEntries(
+  Object.entries(fields).map(([key, schema]) => [key, optional(schema)])
+));
+
+const update = (fields) => object({ id, updates: partial(fields) });
+
+// ==================== Channels ====================
+
+export const IPC_CHANNELS = {
+  'app.getVersion': NONE,
+
+  'config.get': NONE,
+  'config.update': object({
+    preferences: optional(object({
+      theme: optional(oneOf('light', 'dark')),
+      defaultView: optional(oneOf('notes', 'projects', 'snippets', 'tools')),
+      editorFontSize: optional(number()),
+      todosPanelCollapsed: optional(boolean()),
+      historyMaxRevisions: optional(number({ integer: true })),
+      historyMaxAgeDays: optional(number({ integer: true })),
+      trashRetentionDays: optional(number({ integer: true })),
+      backupFolder: optional(nullable(string())),
+      backupOnStartup: optional(boolean()),
+      backupIntervalHours: optional(number({ integer: true })),
+      backupKeep: optional(number({ integer: true })),
+    })),
+  }),
+  'config.setStorageLocation': string({ minLength: 1 }),
+
+  'fs.selectFolder': NONE,
+  'fs.validatePath': string({ minLength: 1 }),
+
+  'snippets.list': NONE,
+  'snippets.get': id,
+  'snippets.create': object(snippetFields),
+  'snippets.update': update(snippetFields),
+  'snippets.delete': id,
+  'snippets.search': object({
+    query: optional(string()),
+    tagFilters: optional(snippetTags),
+  }),
+
+  'notes.list': optional(object({
+    projectId,
+    sortBy: optional(oneOf('modifiedAt', 'createdAt', 'title')),
+    sortOrder: optional(oneOf('asc', 'desc')),
+    tags: optional(tagList),
+    tagMode: optional(oneOf('and', 'or')),
+  })),
+  'notes.get': id,
+  'notes.create': object({
+    title: optional(string()),
+    content: optional(string()),
+    projectId,
+    tags: optional(tagList),
+    templateId: optional(string({ minLength: 1 })),
+    fields: optional(record(string())),
+  }),
+  'notes.update': object({
+    id,
+    updates: object({
+      title: optional(string()),
+      content: optional(string()),
+      projectId,
+      tags: optional(tagList),
+    }),
+    updateLinks: optional(boolean()),
+    baseHash: optional(nullable(string())),
+  }),
+  'notes.merge': object({ id, base: string(), mine: string() }),
+  'notes.delete': anyOf(id, object({ id, unlinkReferences: optional(boolean()) })),
+  'notes.search': object({
+    query: string(),
+    projectId,
+    limit: optional(number({ integer: true, min: 1 })),
+  }),
+  'notes.tags': optional(object({ projectId })),
+  'notes.previewRename': object({ id, newTitle: string() }),
+  'notes.history': id,
+  'notes.getRevision': object({ id, revisionId: string({ pattern: /^\d+$/ }) }),
+  'notes.backlinks': id,
+  'notes.linkGraph': optional(object({ projectId })),
+
+  'todos.list': NONE,
+  'todos.create': object(todoFields),
+  'todos.update': update({ ...todoFields, completed: boolean() }),
+  'todos.toggleComplete': id,
+  'todos.delete': id,
+
+  'projects.list': NONE,
+  'projects.get': id,
+  'projects.create': object(projectFields),
+  'projects.update': update(projectFields),
+  'projects.delete': object({ id, deleteNotes: optional(boolean()) }),
+
+  'templates.list': NONE,
+  'templates.openFolder': NONE,
+
+  'attachments.add': object({ noteId: id, fileName: string({ minLength: 1 }), data: binary() }),
+  'attachments.open': object({ noteId: id, path: string({ minLength: 1 }) }),
+  'attachments.listOrphans': NONE,
+  'attachments.cleanOrphans': NONE,
+
+  'trash.list': NONE,
+  'trash.restore': id,
+  'trash.purge': id,
+  'trash.empty': NONE,
+
+  'milestones.list': optional(nullable(string())),
+  'milestones.create': object(milestoneFields),
+  'milestones.update': update(milestoneFields),
+  'milestones.toggleComplete': id,
+  'milestones.delete': id,
+
+  'tools.list': NONE,
+  'tools.create': object(toolFields),
+  'tools.update': update(toolFields),
+  'tools.delete': id,
+  'tools.launch': id,
+
+  'dailyTodos.list': NONE,
+  'dailyTodos.create': object({ title: string() }),
+  'dailyTodos.toggleComplete': id,
+  'dailyTodos.delete': id,
+  'dailyTodos.rollover': NONE,
+  'dailyTodos.getArchive': optional(object({
+    limit: optional(number({ integer: true, min: 1 })),
+    offset: optional(number({ integer: true, min: 0 })),
+    fromDate: optional(nullable(date)),
+    toDate: optional(nullable(date)),
+  })),
+  'dailyTodos.updatePriority': object({ id, priority: oneOf(...DAILY_TODO_PRIORITIES) }),
+
+  'journal.open': optional(object({
+    date: optional(nullable(date)),
+    create: optional(boolean()),
+  })),
+
+  'storage.check': NONE,
+  'storage.repair': object({ ids: arrayOf(string({ minLength: 1 })) }),
+
+  'backups.list': NONE,
+  'backups.create': NONE,
+  'backups.preview': id,
+  'backups.restore': object({ id, paths: optional(arrayOf(string({ minLength: 1 }))) }),
+  'backups.delete': id,
+
+  'search.global': object({
+    query: string(),
+    projectId,
+    fromDate: optional(nullable(date)),
+    toDate: optional(nullable(date)),
+    types: optional(nullable(arrayOf(string()))),
+    limit: optional(number({ integer: true, min: 1 })),
+  }),
+};
+
+// Channels the main process sends to the renderer
+export const EVENT_CHANNELS = ['storage.changed'];
+
+// ==================== Validation ====================
+
+const describe = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  return typeof value === 'object' ? 'an object' : `a ${typeof value}`;
+};
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Check a value against a schema
+ * @param {Object} schema - Schema built with the helpers above
+ * @param {*} value - Value to check
+ * @param {string} path - Location of the value, used in messages
+ * @returns {string|null} Problem description or null if the value matches
+ */
+function check(schema, value, path) {
+  if (value === undefined) {
+    return schema.optional || schema.type === 'none' ? null : `${path} is required`;
+  }
+  if (value === null) {
+    return schema.nullable || schema.type === 'none' ? null : `${path} must not be null`;
+  }
+
+  switch (schema.type) {
+    case 'none':
+      return `${path} is not expected`;
+
+    case 'string':
+      if (typeof value !== 'string') return `${path} must be a string`;
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return schema.minLength === 1 ? `${path} must not be empty` : `${path} is too short`;
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) return `${path} is too long`;
+      if (schema.pattern && !schema.pattern.test(value)) return `${path} has an invalid format`;
+      return null;
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a number`;
+      if (schema.integer && !Number.isInteger(value)) return `${path} must be an integer`;
+      if (schema.min !== undefined && value < schema.min) return `${path} must be at least ${schema.min}`;
+      return null;
+
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${path} must be a boolean`;
+
+    case 'enum':
+      return schema.values.includes(value) ? null : `${path} must be one of ${schema.values.join(', ')}`;
+
+    case 'binary':
+      return value instanceof ArrayBuffer || ArrayBuffer.isView(value) ? null : `${path} must be binary data`;
+
+    case 'array':
+      if (!Array.isArray(value)) return `${path} must be an array`;
+      for (let i = 0; i < value.length; i++) {
+        const problem = check(schema.items, value[i], `${path}[${i}]`);
+        if (problem) return problem;
+      }
+      return null;
+
+    case 'record':
+      if (!isPlainObject(value)) return `${path} must be an object`;
+      for (const [key, item] of Object.entries(value)) {
+        const problem = check(schema.values, item, `${path}.${key}`);
+        if (problem) return problem;
+      }
+      return null;
+
+    case 'object': {
+      if (!isPlainObject(value)) return `${path} must be an object, got ${describe(value)}`;
+      const unknown = Object.keys(value).find(key => !Object.hasOwn(schema.properties, key));
+      if (unknown !== undefined) return `${path}.${unknown} is not allowed`;
+      for (const [key, property] of Object.entries(schema.properties)) {
+        const problem = check(property, value[key], `${path}.${key}`);
+        if (problem) return problem;
+      }
+      return null;
+    }
+
+    case 'anyOf': {
+      const problems = schema.schemas.map(option => check(option, value, path));
+      return problems.includes(null) ? null : problems[problems.length - 1];
+    }
+
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+}
+
+/**
+ * Check whether a channel is declared in the registry
+ * @param {string} channel - Channel name
+ * @returns {boolean} True if the renderer may call it
+ */
+export function isInvokeChannel(channel) {
+  return Object.hasOwn(IPC_CHANNELS, channel);
+}
+
+/**
+ * Validate the payload of an IPC call
+ * @param {string} channel - Declared channel name
+ * @param {*} payload - Payload sent by the renderer
+ * @returns {string|null} Problem description or null if the payload is valid
+ */
+export function validatePayload(channel, payload) {
+  if (!isInvokeChannel(channel)) {
+    return `Unknown channel ${channel}`;
+  }
+  return check(IPC_CHANNELS[channel], payload, 'payload');
+}
@@ -0,0 +1,249 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { storageFixtures } from './helpers/storage-fixtures.js';
+
+const { fileService } = await import('../../src/main/services/file-service.js');
+const { backupService } = await import('../../src/main/services/backup-service.js');
+const { noteIndexService } = await import('../../src/main/services/note-index-service.js');
+const { createZip, readZip } = await import('../../src/main/services/zip-archive.js');
+const { STORAGE_VERSION } = await import('../../src/shared/constants.js');
+
+describe('BackupService', () => {
+  let storagePath;
+  let backupPath;
+
+  const { writeStore, readStore, storageFile, writeFile } = storageFixtures(() => storagePath);
+  const setPreferences = (preferences) => {
+    const config = readStore('config.json');
+    writeStore('config.json', { ...config, preferences: { ...config.preferences, ...preferences } });
+  };
+  const archiveNames = (id) => readZip(fs.readFileSync(path.join(backupPath, id))).map(entry => entry.name);
+
+  beforeEach(async () => {
+    storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-backup-storage-'));
+    backupPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'kb-backup-')), 'snapshots');
+    await fileService.createInitialConfig(storagePath);
+    await fileService.initialize(storagePath);
+    setPreferences({ backupFolder: backupPath });
+
+    writeStore('projects.json', { projects: [{ id: 'p1', name: 'Web App', folder: 'web-app' }] });
+    writeStore('todos.json', { todos: [{ id: 't1', title: 'Ship' }] });
+    writeFile('notes/web-app/design.md', '---\nid: n1\nprojectId: p1\n---\n![](attachments/diagram.png)');
+    writeFile('notes/web-app/attachments/diagram.png', 'png');
+    writeFile('snippets/s1.json', JSON.stringify({ id: 's1', title: 'Snippet' }));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    backupService.stop();
+    fs.rmSync(storagePath, { recursive: true, force: true });
+    fs.rmSync(path.dirname(backupPath), { recursive: true, force: true });
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe('createBackup', () => {
+    it('should write the storage data to a timestamped zip archive', async () => {
+      writeFile('.knowledgebase/todos.json.bak', '{}');
+      writeFile('.knowledgebase/history/n1/1.json.gz', 'old');
+      writeFile('.knowledgebase/trash/x/manifest.json', '{}');
+      writeFile('.knowledgebase/migration-backups/2026-01-01T00-00-00-000Z-v1.1.0/.knowledgebase/todos.json', '{}');
+
+      const backup = await backupService.createBackup('manual');
+
+      expect(backup.id).toMatch(/^knowledgebase-\d{4}-\d{2}-\d{2}T[\d-]+Z-manual\.zip$/);
+      expect(archiveNames(backup.id).sort()).toEqual([
+        '.knowledgebase/config.json',
+        '.knowledgebase/projects.json',
+        '.knowledgebase/todos.json',
+        'backup.json',
+        'notes/web-app/attachments/diagram.png',
+        'notes/web-app/design.md',
+        'snippets/s1.json',
+      ]);
+      // Written through a temp file that is gone once the archive is complete
+      expect(fs.readdirSync(backupPath)).toEqual([backup.id]);
+      expect(backup.size).toBe(fs.statSync(path.join(backupPath, backup.id)).size);
+    });
+
+    it('should not leave a partial archive when a snapshot fails', async () => {
+      vi.spyOn(backupService, 'readStorageEntries').mockImplementation(async function* (manifest) {
+        yield manifest;
+        throw new Error('EIO');
+      });
+
+      await expect(backupService.createBackup('manual')).rejects.toThrow('EIO');
+      expect(fs.readdirSync(backupPath)).toEqual([]);
+    });
+
+    it('should refuse to back up without a backup folder', async () => {
+      setPreferences({ backupFolder: null });
+
+      await expect(backupService.createBackup('manual')).rejects.toThrow('BACKUP_FOLDER_NOT_SET');
+      expect(await backupService.createAutomaticBackup('startup')).toBeNull();
+    });
+
+    it('should keep only the newest automatic snapshots', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      setPreferences({ backupKeep: 2 });
+
+      const ids = [];
+      for (const [hour, reason] of [[1, 'startup'], [2, 'manual'], [3, 'scheduled'], [4, 'startup']]) {
+        vi.setSystemTime(new Date(Date.UTC(2026, 0, 1, hour)));
+        ids.push((await backupService.createBackup(reason)).id);
+      }
+
+      const { backups, settings } = await backupService.list();
+      expect(settings).toMatchObject({ folder: backupPath, keep: 2 });
+      expect(backups.map(backup => backup.id)).toEqual([ids[3], ids[2], ids[1]]);
+      expect(backups[0]).toMatchObject({ createdAt: '2026-01-01T04:00:00.000Z', reason: 'startup' });
+    });
+  });
+
+  describe('preview', () => {
+    it('should list the snapshot entries and compare them to the storage folder', async () => {
+      const { id } = await backupService.createBackup('manual');
+      writeFile('notes/web-app/design.md', 'changed');
+      fs.rmSync(storageFile('snippets/s1.json'));
+
+      const preview = await backupService.preview(id);
+
+      expect(preview).toMatchObject({ id, reason: 'manual', storageVersion: STORAGE_VERSION });
+      expect(preview.entries).toEqual(expect.arrayContaining([
+        { path: 'notes/web-app/design.md', kind: 'note', size: expect.any(Number), status: 'changed' },
+        { path: 'notes/web-app/attachments/diagram.png', kind: 'attachment', size: 3, status: 'unchanged' },
+        { path: 'snippets/s1.json', kind: 'snippet', size: expect.any(Number), status: 'missing' },
+        { path: '.knowledgebase/todos.json', kind: 'store', size: expect.any(Number), status: 'unchanged' },
+      ]));
+      expect(preview.entries.some(entry => entry.path === '.knowledgebase/config.json')).toBe(false);
+    });
+
+    it('should notice changes that keep the file size', async () => {
+      const { id } = await backupService.createBackup('manual');
+      writeFile('notes/web-app/attachments/diagram.png', 'gif');
+
+      const preview = await backupService.preview(id);
+
+      expect(preview.entries.find(entry => entry.kind === 'attachment').status).toBe('changed');
+    });
+
+    it('should not read archives outside the backup folder', async () => {
+      await expect(backupService.preview('../config.json')).rejects.toThrow('BACKUP_NOT_FOUND');
+    });
+  });
+
+  describe('restore', () => {
+    it('should restore single notes with their attachments', async () => {
+      await noteIndexService.initialize(storagePath);
+      const { id } = await backupService.createBackup('manual');
+      writeFile('notes/web-app/design.md', 'changed');
+      fs.rmSync(storageFile('notes/web-app/attachments/diagram.png'));
+      writeStore('todos.json', { todos: [] });
+
+      const result = await backupService.restore(id, ['notes/web-app/design.md']);
+
+      expect(result.restored).toEqual(['notes/web-app/design.md', 'notes/web-app/attachments/diagram.png']);
+      expect(fs.readFileSync(storageFile('notes/web-app/design.md'), 'utf-8')).toContain('id: n1');
+      expect(fs.readFileSync(storageFile('notes/web-app/attachments/diagram.png'), 'utf-8')).toBe('png');
+      // Open views are told which notes to reload
+      expect(result.notes.changed).toContain('n1');
+      // Other data stays as it is
+      expect(readStore('todos.json').todos).toEqual([]);
+      // The state before the restore is kept as a snapshot
+      expect(archiveNames(result.safetyBackup)).toContain('notes/web-app/design.md');
+    });
+
+    it('should restore single stores', async () => {
+      const { id } = await backupService.createBackup('manual');
+      writeStore('todos.json', { todos: [] });
+
+      await backupService.restore(id, ['.knowledgebase/todos.json']);
+
+      expect(readStore('todos.json').todos).toEqual([{ id: 't1', title: 'Ship' }]);
+      await expect(backupService.restore(id, ['.knowledgebase/config.json'])).rejects.toThrow('BACKUP_ENTRY_NOT_FOUND');
+    });
+
+    it('should restore everything and remove files created since', async () => {
+      const { id } = await backupService.createBackup('manual');
+      writeFile('notes/later.md', '---\nid: n2\n---\nLater');
+      writeStore('projects.json', { projects: [] });
+      setPreferences({ theme: 'dark' });
+
+      const result = await backupService.restore(id);
+
+      expect(result.removed).toEqual(['notes/later.md']);
+      expect(fs.existsSync(storageFile('notes/later.md'))).toBe(false);
+      expect(readStore('projects.json').projects).toHaveLength(1);
+      // The config is not part of a restore
+      expect(readStore('config.json').preferences.theme).toBe('dark');
+    });
+
+    it('should migrate a restored snapshot of an older storage format', async () => {
+      const id = 'knowledgebase-2025-06-01T10-00-00-000Z-manual.zip';
+      fs.mkdirSync(backupPath, { recursive: true });
+      fs.writeFileSync(path.join(backupPath, id), await createZip([
+        { name: 'backup.json', data: JSON.stringify({ createdAt: '2025-06-01T10:00:00.000Z', storageVersion: '1.0.0' }) },
+        { name: '.knowledgebase/projects.json', data: JSON.stringify({ projects: [{ id: 'p1', name: 'Web App', folder: 'web-app' }] }) },
+        { name: 'notes/p1/old.md', data: '---\nid: n9\nprojectId: p1\n---\nOld' },
+      ]));
+
+      await expect(backupService.restore(id, ['notes/p1/old.md'])).rejects.toThrow('BACKUP_VERSION_MISMATCH');
+      await backupService.restore(id);
+
+      expect(fs.existsSync(storageFile('notes/web-app/old.md'))).toBe(true);
+      expect(fs.existsSync(storageFile('notes/p1'))).toBe(false);
+      expect(readStore('config.json').version).toBe(STORAGE_VERSION);
+    });
+
+    it('should refuse snapshots of a newer storage format', async () => {
+      const id = 'knowledgebase-2030-01-01T10-00-00-000Z-manual.zip';
+      fs.mkdirSync(backupPath, { recursive: true });
+      fs.writeFileSync(path.join(backupPath, id), await createZip([
+        { name: 'backup.json', data: JSON.stringify({ storageVersion: '99.0.0' }) },
+        { name: 'notes/new.md', data: 'New' },
+      ]));
+
+      await expect(backupService.restore(id)).rejects.toThrow('BACKUP_TOO_NEW');
+      expect(fs.existsSync(storageFile('notes/web-app/design.md'))).toBe(true);
+    });
+
+    it('should refuse entries pointing outside the storage folder', async () => {
+      const id = 'knowledgebase-2026-01-01T10-00-00-000Z-manual.zip';
+      fs.mkdirSync(backupPath, { recursive: true });
+      fs.writeFileSync(path.join(backupPath, id), await createZip([
+        { name: 'backup.json', data: JSON.stringify({ storageVersion: STORAGE_VERSION }) },
+        { name: 'notes/../../evil.md', data: 'Evil' },
+      ]));
+
+      await expect(backupService.restore(id)).rejects.toThrow('ARCHIVE_CORRUPT');
+    });
+  });
+
+  describe('schedule', () => {
+    it('should only schedule snapshots when a folder and an interval are set', async () => {
+      setPreferences({ backupIntervalHours: 0 });
+      await backupService.schedule();
+      expect(backupService.timer).toBeNull();
+
+      setPreferences({ backupIntervalHours: 6 });
+      await backupService.schedule();
+      expect(backupService.timer).not.toBeNull();
+
+      backupService.stop();
+      expect(backupService.timer).toBeNull();
+    });
+
+    it('should take a startup snapshot unless turned off', async () => {
+      setPreferences({ backupIntervalHours: 0 });
+      await backupService.start();
+      setPreferences({ backupOnStartup: false });
+      await backupService.start();
+
+      const { backups } = await backupService.list();
+      expect(backups.map(backup => backup.reason)).toEqual(['startup']);
+    });
+  });
+});
@@ -4,6 +4,7 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 const mockFileService = {
   readConfig: vi.fn(),
   writeConfig: vi.fn(),
+  updateConfig: vi.fn(),
   createInitialConfig: vi.fn(),
   validatePath: vi.fn(),
   initialize: vi.fn(),
@@ -17,6 +18,15 @@ vi.mock('../../src/main/services/file-service.js', () => ({
   fileService: mockFileService,
 }));
 
+const mockMigrationService = {
+  run: vi.fn(),
+  checkStorage: vi.fn(),
+};
+
+vi.mock('../../src/main/services/migration-service.js', () => ({
+  migrationService: mockMigrationService,
+}));
+
 // Import after mocking
 const { configService } = await import('../../src/main/services/config-service.js');
 
@@ -27,6 +37,15 @@ describe('ConfigService', () => {
     vi.clearAllMocks();
     // Reset config service state
     configService.config = null;
+    mockMigrationService.run.mockResolvedValue({ applied: [] });
+    mockMigrationService.checkStorage.mockResolvedValue(undefined);
+    // Same read-modify-write as the real one, without the lock
+    mockFileService.updateConfig.mockImplementation(async (update) => {
+      const config = structuredClone(await mockFileService.readConfig());
+      await update(config);
+      await mockFileService.writeConfig(config);
+      return config;
+    });
   });
 
   describe('getConfig', () => {
@@ -89,6 +108,7 @@ describe('ConfigService', () => {
 
     beforeEach(() => {
       configService.config = { ...existingConfig };
+      mockFileService.readConfig.mockResolvedValue(existingConfig);
     });
 
     it('should update preferences', async () => {
@@ -113,6 +133,16 @@ describe('ConfigService', () => {
       expect(result.lastModified).not.toBe('2024-01-01T00:00:00.000Z');
     });
 
+    it('should keep changes made on disk since the config was cached', async () => {
+      mockFileService.readConfig.mockResolvedValue({ ...existingConfig, version: '1.2.0' });
+
+      const result = await configService.updateConfig({ preferences: { theme: 'dark' } });
+
+      expect(result.version).toBe('1.2.0');
+      expect(mockFileService.writeConfig).toHaveBeenCalledWith(expect.objectContaining({ version: '1.2.0' }));
+      expect(configService.config).toBe(result);
+    });
+
     it('should throw CONFIG_NOT_FOUND if no config exists', async () => {
       configService.config = null;
       mockFileService.readConfig.mockRejectedValue(new Error('CONFIG_NOT_FOUND'));
@@ -211,6 +241,60 @@ describe('ConfigService', () => {
         });
         expect(result.preferences.editorFontSize).toBe(24);
       });
+
+      it('should reject historyMaxRevisions outside 1 to 1000', async () => {
+        await expect(
+          configService.updateConfig({ preferences: { historyMaxRevisions: 0 } })
+        ).rejects.toThrow('VALIDATION_ERROR: historyMaxRevisions must be between 1 and 1000');
+      });
+
+      it('should reject fractional historyMaxAgeDays', async () => {
+        await expect(
+          configService.updateConfig({ preferences: { historyMaxAgeDays: 1.5 } })
+        ).rejects.toThrow('VALIDATION_ERROR: historyMaxAgeDays must be between 0 and 3650');
+      });
+
+      it('should reject negative trashRetentionDays', async () => {
+        await expect(
+          configService.updateConfig({ preferences: { trashRetentionDays: -1 } })
+        ).rejects.toThrow('VALIDATION_ERROR: trashRetentionDays must be between 0 and 3650');
+      });
+
+      it('should accept history retention settings', async () => {
+        mockFileService.writeConfig.mockResolvedValue(undefined);
+
+        const result = await configService.updateConfig({
+          preferences: { historyMaxRevisions: 20, historyMaxAgeDays: 0 },
+        });
+
+        expect(result.preferences.historyMaxRevisions).toBe(20);
+        expect(result.preferences.historyMaxAgeDays).toBe(0);
+      });
+
+      it('should reject a backup folder inside the storage folder', async () => {
+        await expect(
+          configService.updateConfig({ preferences: { backupFolder: `${testStoragePath}/backups` } })
+        ).rejects.toThrow('VALIDATION_ERROR: backupFolder must be outside the storage folder');
+        await expect(
+          configService.updateConfig({ preferences: { backupFolder: '/test' } })
+        ).rejects.toThrow('VALIDATION_ERROR: backupFolder must be outside the storage folder');
+        await expect(
+          configService.updateConfig({ preferences: { backupFolder: 'backups' } })
+        ).rejects.toThrow('VALIDATION_ERROR: backupFolder must be an absolute path');
+      });
+
+      it('should accept backup settings', async () => {
+        mockFileService.writeConfig.mockResolvedValue(undefined);
+
+        const result = await configService.updateConfig({
+          preferences: { backupFolder: '/backups/kb', backupIntervalHours: 0, backupKeep: 5 },
+        });
+
+        expect(result.preferences).toMatchObject({ backupFolder: '/backups/kb', backupIntervalHours: 0, backupKeep: 5 });
+        await expect(
+          configService.updateConfig({ preferences: { backupKeep: 0 } })
+        ).rejects.toThrow('VALIDATION_ERROR: backupKeep must be between 1 and 100');
+      });
     });
 
     it('should update cached config', async () => {
@@ -287,6 +371,62 @@ describe('ConfigService', () => {
       expect(writtenConfig.storageLocation).toBe(testStoragePath);
     });
 
+    it('should migrate existing storage before updating its config', async () => {
+      mockFileService.validatePath.mockResolvedValue(true);
+      mockFileService.initialize.mockResolvedValue(undefined);
+      mockFileService.readConfig
+        .mockResolvedValueOnce({ version: '1.0.0', storageLocation: '/old/path' })
+        .mockResolvedValueOnce({ version: '1.2.0', storageLocation: '/old/path' });
+      mockMigrationService.run.mockResolvedValue({ from: '1.0.0', to: '1.2.0', applied: ['1.1.0', '1.2.0'] });
+      mockFileService.ensureDirectoryExists.mockResolvedValue(undefined);
+      mockFileService.readJSON.mockResolvedValue({});
+
+      await configService.setStorageLocation(testStoragePath);
+
+      expect(mockMigrationService.run).toHaveBeenCalled();
+      expect(mockFileService.writeConfig).toHaveBeenCalledWith(
+        expect.objectContaining({ version: '1.2.0', storageLocation: testStoragePath })
+      );
+    });
+
+    it('should refuse storage written by a newer app version', async () => {
+      mockFileService.validatePath.mockResolvedValue(true);
+      mockFileService.initialize.mockResolvedValue(undefined);
+      mockFileService.readConfig.mockResolvedValue({ version: '9.0.0' });
+      mockMigrationService.run.mockRejectedValue(
+        new Error('STORAGE_TOO_NEW: storage format 9.0.0 is newer than 1.2.0')
+      );
+
+      await expect(configService.setStorageLocation(testStoragePath)).rejects.toThrow('STORAGE_TOO_NEW');
+      expect(mockFileService.writeConfig).not.toHaveBeenCalled();
+    });
+
+    it('should check the storage format before creating anything in the folder', async () => {
+      mockFileService.validatePath.mockResolvedValue(true);
+      mockMigrationService.checkStorage.mockRejectedValue(new Error('STORAGE_TOO_NEW: storage format 9.0.0 is newer than 1.2.0'));
+
+      await expect(configService.setStorageLocation(testStoragePath)).rejects.toThrow('STORAGE_TOO_NEW');
+      expect(mockMigrationService.checkStorage).toHaveBeenCalledWith(testStoragePath);
+      expect(mockFileService.initialize).not.toHaveBeenCalled();
+    });
+
+    it('should stay on the previous storage folder when the new one is refused', async () => {
+      mockFileService.storageRoot = '/previous/storage';
+      mockFileService.configPath = '/previous/storage/.knowledgebase/config.json';
+      mockFileService.validatePath.mockResolvedValue(true);
+      mockFileService.initialize.mockImplementation(async (storagePath) => {
+        mockFileService.storageRoot = storagePath;
+        mockFileService.configPath = `${storagePath}/.knowledgebase/config.json`;
+      });
+      mockFileService.readConfig.mockResolvedValue({ version: '9.0.0' });
+      mockMigrationService.run.mockRejectedValue(new Error('STORAGE_TOO_NEW'));
+
+      await expect(configService.setStorageLocation(testStoragePath)).rejects.toThrow('STORAGE_TOO_NEW');
+
+      expect(mockFileService.storageRoot).toBe('/previous/storage');
+      expect(mockFileService.configPath).toBe('/previous/storage/.knowledgebase/config.json');
+    });
+
     it('should return initialization result', async () => {
       mockFileService.validatePath.mockResolvedValue(true);
       mockFileService.initialize.mockResolvedValue(undefined);
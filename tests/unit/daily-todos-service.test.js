@@ -9,6 +9,8 @@ vi.mock('node:fs/promises', () => ({
     readFile: vi.fn(),
     writeFile: vi.fn(),
     rename: vi.fn(),
+    copyFile: vi.fn(),
+    rm: vi.fn(),
   },
 }));
 
@@ -154,6 +156,36 @@ describe('DailyTodosService', () => {
       await expect(dailyTodosService.toggleComplete('non-existent'))
         .rejects.toThrow('DAILY_TODO_NOT_FOUND');
     });
+
+    it('should keep both changes when two todos are toggled at once', async () => {
+      const todo = (id) => ({
+        id,
+        title: id,
+        priority: 'medium',
+        completed: false,
+        completedAt: null,
+        createdAt: '2026-01-29T10:00:00Z',
+        createdDate: '2026-01-29',
+        daysOverdue: 0
+      });
+      // Simulate the file: writes land in a temp file that rename moves into place
+      const files = new Map([[
+        dailyTodosService.dailyTodosPath,
+        JSON.stringify({ dailyTodos: [todo('todo-1'), todo('todo-2')], lastRolloverDate: '2026-01-29' }),
+      ]]);
+      fs.readFile.mockImplementation(async (filePath) => files.get(filePath));
+      fs.writeFile.mockImplementation(async (filePath, content) => { files.set(filePath, content); });
+      fs.rename.mockImplementation(async (from, to) => { files.set(to, files.get(from)); });
+      fs.access.mockResolvedValue(undefined);
+
+      await Promise.all([
+        dailyTodosService.toggleComplete('todo-1'),
+        dailyTodosService.toggleComplete('todo-2'),
+      ]);
+
+      const saved = JSON.parse(files.get(dailyTodosService.dailyTodosPath));
+      expect(saved.dailyTodos.map(t => t.completed)).toEqual([true, true]);
+    });
   });
 
   describe('delete', () => {
@@ -188,6 +220,28 @@ describe('DailyTodosService', () => {
     });
   });
 
+  describe('loadDailyTodos', () => {
+    it('should recover damaged todos from the backup', async () => {
+      const backup = { dailyTodos: [{ id: 'todo-1', title: 'Saved' }], lastRolloverDate: '2026-01-29' };
+      fs.readFile.mockImplementation(async (file) =>
+        (file.endsWith('.bak') ? JSON.stringify(backup) : '{"dailyTodos": [{"id": "to'));
+      fs.writeFile.mockResolvedValue(undefined);
+      fs.rename.mockResolvedValue(undefined);
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await dailyTodosService.loadDailyTodos();
+
+      expect(result).toEqual(backup);
+      expect(fs.rename).toHaveBeenCalledWith(expect.any(String), dailyTodosService.dailyTodosPath);
+    });
+
+    it('should throw DAILY_TODOS_PARSE_ERROR without a usable backup', async () => {
+      fs.readFile.mockResolvedValue('{"dailyTodos": [');
+
+      await expect(dailyTodosService.loadDailyTodos()).rejects.toThrow('DAILY_TODOS_PARSE_ERROR');
+    });
+  });
+
   describe('sortTodos', () => {
     it('should sort incomplete todos before completed', () => {
       const todos = [
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import path from 'node:path';
 
 // Mock the fs module with factory function
@@ -13,6 +13,7 @@ vi.mock('node:fs/promises', () => ({
     stat: vi.fn(),
     rename: vi.fn(),
     rm: vi.fn(),
+    copyFile: vi.fn(),
     constants: { W_OK: 2 },
   },
 }));
@@ -25,6 +26,7 @@ vi.mock('uuid', () => ({
 // Import after mocking
 import fs from 'node:fs/promises';
 const { fileService } = await import('../../src/main/services/file-service.js');
+const { STORAGE_VERSION } = await import('../../src/shared/constants.js');
 
 describe('FileService', () => {
   const testStoragePath = '/test/storage';
@@ -161,11 +163,11 @@ describe('FileService', () => {
 
       await fileService.writeConfig(config);
 
-      expect(fs.writeFile).toHaveBeenCalledWith(
-        fileService.configPath,
-        JSON.stringify(config, null, 2),
-        'utf-8'
-      );
+      const tempPath = fs.writeFile.mock.calls[0][0];
+      expect(tempPath.startsWith(`${fileService.configPath}.tmp-`)).toBe(true);
+      expect(fs.writeFile.mock.calls[0][1]).toBe(JSON.stringify(config, null, 2));
+      expect(fs.copyFile).toHaveBeenCalledWith(fileService.configPath, `${fileService.configPath}.bak`);
+      expect(fs.rename).toHaveBeenCalledWith(tempPath, fileService.configPath);
     });
 
     it('should throw WRITE_ERROR on failure', async () => {
@@ -184,7 +186,7 @@ describe('FileService', () => {
       const result = await fileService.createInitialConfig(testStoragePath);
 
       expect(result).toMatchObject({
-        version: '1.0.0',
+        version: STORAGE_VERSION,
         storageLocation: testStoragePath,
         preferences: {
           theme: 'light',
@@ -231,6 +233,96 @@ describe('FileService', () => {
 
       await expect(fileService.readJSON('bad.json')).rejects.toThrow('JSON_PARSE_ERROR');
     });
+
+    it('should recover a damaged file from its backup', async () => {
+      const filePath = path.join(testStoragePath, '.knowledgebase', 'todos.json');
+      const backup = JSON.stringify({ todos: [{ id: '1', title: 'Saved' }] }, null, 2);
+      fs.readFile.mockImplementation(async (file) => (file === `${filePath}.bak` ? backup : '{"todos": [{"id'));
+      fs.writeFile.mockResolvedValue(undefined);
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await fileService.readJSON('todos.json');
+
+      expect(result).toEqual({ todos: [{ id: '1', title: 'Saved' }] });
+      // The backup is written back without replacing the backup itself
+      expect(fs.writeFile.mock.calls[0][1]).toBe(backup);
+      expect(fs.rename).toHaveBeenCalledWith(fs.writeFile.mock.calls[0][0], filePath);
+      expect(fs.copyFile).not.toHaveBeenCalled();
+      expect(fileService.isOwnWrite(filePath, backup)).toBe(true);
+    });
+
+    it('should throw JSON_PARSE_ERROR when the backup is damaged too', async () => {
+      fs.readFile.mockResolvedValue('{"todos": [');
+
+      await expect(fileService.readJSON('todos.json')).rejects.toThrow('JSON_PARSE_ERROR');
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should throw JSON_PARSE_ERROR when there is no backup', async () => {
+      const filePath = path.join(testStoragePath, '.knowledgebase', 'todos.json');
+      fs.readFile.mockImplementation(async (file) => {
+        if (file === filePath) return 'not valid json';
+        throw Object.assign(new Error('missing'), { code: 'ENOENT' });
+      });
+
+      await expect(fileService.readJSON('todos.json')).rejects.toThrow('JSON_PARSE_ERROR');
+    });
+  });
+
+  describe('writeFileAtomic', () => {
+    const filePath = '/test/storage/.knowledgebase/tools.json';
+
+    it('should flush a temp file and rename it over the target', async () => {
+      fs.writeFile.mockResolvedValue(undefined);
+
+      await fileService.writeFileAtomic(filePath, '{}');
+
+      const [tempPath, content, options] = fs.writeFile.mock.calls[0];
+      expect(path.dirname(tempPath)).toBe(path.dirname(filePath));
+      expect(content).toBe('{}');
+      expect(options).toEqual({ encoding: 'utf-8', flush: true });
+      expect(fs.rename).toHaveBeenCalledWith(tempPath, filePath);
+      expect(fs.copyFile).not.toHaveBeenCalled();
+    });
+
+    it('should use a new temp file for every write', async () => {
+      fs.writeFile.mockResolvedValue(undefined);
+
+      await Promise.all([fileService.writeFileAtomic(filePath, '1'), fileService.writeFileAtomic(filePath, '2')]);
+
+      expect(fs.writeFile.mock.calls[0][0]).not.toBe(fs.writeFile.mock.calls[1][0]);
+    });
+
+    it('should back up the previous version before replacing it', async () => {
+      const order = [];
+      fs.writeFile.mockImplementation(async () => order.push('write'));
+      fs.copyFile.mockImplementation(async () => order.push('backup'));
+      fs.rename.mockImplementation(async () => order.push('rename'));
+
+      await fileService.writeFileAtomic(filePath, '{}', { backup: true });
+
+      expect(fs.copyFile).toHaveBeenCalledWith(filePath, `${filePath}.bak`);
+      expect(order).toEqual(['write', 'backup', 'rename']);
+    });
+
+    it('should write the first version without a backup', async () => {
+      fs.writeFile.mockResolvedValue(undefined);
+      fs.copyFile.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+
+      await fileService.writeFileAtomic(filePath, '{}', { backup: true });
+
+      expect(fs.rename).toHaveBeenCalled();
+    });
+
+    it('should leave the target alone and remove the temp file when the write fails', async () => {
+      fs.writeFile.mockRejectedValue(new Error('Disk full'));
+
+      await expect(fileService.writeFileAtomic(filePath, '{}', { backup: true })).rejects.toThrow('Disk full');
+
+      expect(fs.copyFile).not.toHaveBeenCalled();
+      expect(fs.rename).not.toHaveBeenCalled();
+      expect(fs.rm).toHaveBeenCalledWith(fs.writeFile.mock.calls[0][0], { force: true });
+    });
   });
 
   describe('writeJSON', () => {
@@ -246,11 +338,11 @@ describe('FileService', () => {
 
       await fileService.writeJSON('projects.json', data);
 
-      expect(fs.writeFile).toHaveBeenCalledWith(
-        path.join(testStoragePath, '.knowledgebase', 'projects.json'),
-        JSON.stringify(data, null, 2),
-        'utf-8'
-      );
+      const filePath = path.join(testStoragePath, '.knowledgebase', 'projects.json');
+      const tempPath = fs.writeFile.mock.calls[0][0];
+      expect(tempPath.startsWith(`${filePath}.tmp-`)).toBe(true);
+      expect(fs.writeFile.mock.calls[0][1]).toBe(JSON.stringify(data, null, 2));
+      expect(fs.rename).toHaveBeenCalledWith(tempPath, filePath);
     });
 
     it('should throw WRITE_ERROR on failure', async () => {
@@ -258,6 +350,154 @@ describe('FileService', () => {
 
       await expect(fileService.writeJSON('test.json', {})).rejects.toThrow('WRITE_ERROR');
     });
+
+    it('should remember the written content as an own write', async () => {
+      const filePath = path.join(testStoragePath, '.knowledgebase', 'todos.json');
+      fs.writeFile.mockResolvedValue(undefined);
+
+      await fileService.writeJSON('todos.json', { todos: [] });
+
+      expect(fileService.isOwnWrite(filePath, JSON.stringify({ todos: [] }, null, 2))).toBe(true);
+      expect(fileService.isOwnWrite(filePath, '{"todos":[1]}')).toBe(false);
+    });
+  });
+
+  describe('withFileLock', () => {
+    it('should run tasks for the same file one after another', async () => {
+      const events = [];
+      const task = (name, delay) => async () => {
+        events.push(`${name}:start`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        events.push(`${name}:end`);
+        return name;
+      };
+
+      const results = await Promise.all([
+        fileService.withFileLock('/test/a.json', task('first', 20)),
+        fileService.withFileLock('/test/a.json', task('second', 0)),
+      ]);
+
+      expect(results).toEqual(['first', 'second']);
+      expect(events).toEqual(['first:start', 'first:end', 'second:start', 'second:end']);
+    });
+
+    it('should not make tasks for different files wait', async () => {
+      const events = [];
+      let release;
+      const blocked = fileService.withFileLock('/test/a.json', async () => {
+        await new Promise(resolve => { release = resolve; });
+        events.push('a');
+      });
+
+      await fileService.withFileLock('/test/b.json', async () => events.push('b'));
+      release();
+      await blocked;
+
+      expect(events).toEqual(['b', 'a']);
+    });
+
+    it('should run the next task after a failed one', async () => {
+      const failed = fileService.withFileLock('/test/a.json', async () => {
+        throw new Error('boom');
+      });
+      const next = fileService.withFileLock('/test/a.json', async () => 'ran');
+
+      await expect(failed).rejects.toThrow('boom');
+      await expect(next).resolves.toBe('ran');
+      expect(fileService.fileLocks.size).toBe(0);
+    });
+  });
+
+  describe('updateJSON', () => {
+    let stored;
+
+    beforeEach(async () => {
+      fs.access.mockResolvedValue(undefined);
+      fs.mkdir.mockResolvedValue(undefined);
+      await fileService.initialize(testStoragePath);
+
+      stored = null;
+      vi.spyOn(fileService, 'readJSON').mockImplementation(async () => {
+        // Yield so unserialized updates would read the same state
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return stored ? structuredClone(stored) : null;
+      });
+      vi.spyOn(fileService, 'writeJSON').mockImplementation(async (_filename, data) => {
+        stored = structuredClone(data);
+      });
+    });
+
+    afterEach(() => {
+      fileService.readJSON.mockRestore();
+      fileService.writeJSON.mockRestore();
+    });
+
+    it('should start from the defaults when the file does not exist', async () => {
+      const result = await fileService.updateJSON('todos.json', { todos: [] }, (data) => {
+        data.todos.push({ id: 't1' });
+        return data.todos.length;
+      });
+
+      expect(result).toBe(1);
+      expect(stored).toEqual({ todos: [{ id: 't1' }] });
+    });
+
+    it('should apply parallel updates without losing any', async () => {
+      await Promise.all(Array.from({ length: 10 }, (_, i) =>
+        fileService.updateJSON('todos.json', { todos: [] }, (data) => {
+          data.todos.push({ id: `t${i}` });
+        })
+      ));
+
+      expect(stored.todos).toHaveLength(10);
+    });
+
+    it('should not write when the update throws', async () => {
+      await expect(fileService.updateJSON('todos.json', { todos: [] }, () => {
+        throw new Error('TODO_NOT_FOUND');
+      })).rejects.toThrow('TODO_NOT_FOUND');
+
+      expect(fileService.writeJSON).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateConfig', () => {
+    let stored;
+
+    beforeEach(async () => {
+      fs.access.mockResolvedValue(undefined);
+      fs.mkdir.mockResolvedValue(undefined);
+      await fileService.initialize(testStoragePath);
+
+      stored = { version: '1.0.0', preferences: {} };
+      vi.spyOn(fileService, 'readConfig').mockImplementation(async () => {
+        // Yield so unserialized updates would read the same state
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return structuredClone(stored);
+      });
+      vi.spyOn(fileService, 'writeConfig').mockImplementation(async (config) => {
+        stored = structuredClone(config);
+      });
+    });
+
+    afterEach(() => {
+      fileService.readConfig.mockRestore();
+      fileService.writeConfig.mockRestore();
+    });
+
+    it('should apply parallel updates without losing any', async () => {
+      const result = await Promise.all([
+        fileService.updateConfig((config) => {
+          config.preferences.theme = 'dark';
+        }),
+        fileService.updateConfig((config) => {
+          config.version = '1.2.0';
+        }),
+      ]);
+
+      expect(stored).toEqual({ version: '1.2.0', preferences: { theme: 'dark' } });
+      expect(result[1]).toEqual(stored);
+    });
   });
 
   describe('parseFrontmatter', () => {
@@ -277,7 +517,7 @@ Note content here`;
         title: 'Test Note',
         createdAt: '2024-01-01T00:00:00.000Z',
       });
-      expect(result.body).toBe('\nNote content here');
+      expect(result.body).toBe('Note content here');
     });
 
     it('should parse frontmatter with tags array', () => {
@@ -313,6 +553,51 @@ Content`;
 
       expect(result.frontmatter.title).toBe('Single quoted');
     });
+
+    it('should handle colons, multi-line values and nested maps', () => {
+      const content = `---
+title: "Meeting: Q3 planning"
+summary: |
+  First line
+  Second line
+review:
+  status: draft
+  score: 4
+  done: false
+---
+
+Content`;
+
+      const result = fileService.parseFrontmatter(content);
+
+      expect(result.frontmatter).toEqual({
+        title: 'Meeting: Q3 planning',
+        summary: 'First line\nSecond line\n',
+        review: { status: 'draft', score: 4, done: false },
+      });
+      expect(result.body).toBe('Content');
+    });
+
+    it('should parse CRLF files', () => {
+      const content = '---\r\nid: "note-123"\r\ntitle: Windows Note\r\n---\r\n\r\nLine 1\r\nLine 2';
+
+      const result = fileService.parseFrontmatter(content);
+
+      expect(result.frontmatter).toEqual({ id: 'note-123', title: 'Windows Note' });
+      expect(result.body).toBe('Line 1\r\nLine 2');
+    });
+
+    it('should accept empty frontmatter', () => {
+      const result = fileService.parseFrontmatter('---\n---\nContent');
+
+      expect(result.frontmatter).toEqual({});
+      expect(result.body).toBe('Content');
+    });
+
+    it('should throw FRONTMATTER_PARSE_ERROR for invalid YAML', () => {
+      expect(() => fileService.parseFrontmatter('---\ntitle: [unclosed\n---\nContent'))
+        .toThrow('FRONTMATTER_PARSE_ERROR');
+    });
   });
 
   describe('slugify', () => {
@@ -371,17 +656,17 @@ Content`;
       expect(result.tags).toEqual(['tag1']);
     });
 
-    it('should create note in project folder when projectId is provided', async () => {
+    it('should create note in the project folder', async () => {
       const noteData = {
         title: 'Project Note',
         content: 'Content',
         projectId: 'project-123',
       };
 
-      const result = await fileService.createNote(noteData);
+      const result = await fileService.createNote(noteData, 'my-project');
 
       expect(result.projectId).toBe('project-123');
-      expect(result.filePath).toContain('project-123');
+      expect(result.filePath).toBe(path.join(testStoragePath, 'notes', 'my-project', 'project-note.md'));
     });
 
     it('should throw DUPLICATE_TITLE if note already exists', async () => {
@@ -424,6 +709,26 @@ Note body content`;
       expect(result.content).toContain('Note body content');
     });
 
+    it('should coerce numeric titles and comma separated tags', async () => {
+      fs.readFile.mockResolvedValue('---\nid: 42\ntitle: 2024\ntags: dev, js\n---\n\nBody');
+
+      const result = await fileService.readNote('/path/to/note.md');
+
+      expect(result.id).toBe('42');
+      expect(result.title).toBe('2024');
+      expect(result.tags).toEqual(['dev', 'js']);
+    });
+
+    it('should read aliases as a list', async () => {
+      fs.readFile.mockResolvedValue('---\nid: "1"\ntitle: "API"\naliases: [REST API, Endpoints]\n---\n\nBody');
+
+      expect((await fileService.readNote('/path/to/note.md')).aliases).toEqual(['REST API', 'Endpoints']);
+
+      fs.readFile.mockResolvedValue('---\nid: "1"\ntitle: "API"\n---\n\nBody');
+
+      expect((await fileService.readNote('/path/to/note.md')).aliases).toEqual([]);
+    });
+
     it('should throw NOTE_NOT_FOUND if file does not exist', async () => {
       fs.readFile.mockRejectedValue({ code: 'ENOENT' });
 
@@ -464,6 +769,27 @@ Note body content`;
       expect(writtenContent).toContain('title: "Test Note"');
     });
 
+    it('should return the hash that readNote reports for the written file', async () => {
+      fs.writeFile.mockResolvedValue(undefined);
+
+      const hash = await fileService.writeNote('/path/to/note.md', {
+        id: 'note-123',
+        title: 'Test Note',
+        content: 'Content',
+        createdAt: '2024-01-01T00:00:00.000Z',
+        modifiedAt: '2024-01-01T00:00:00.000Z',
+      });
+
+      fs.readFile.mockResolvedValue(fs.writeFile.mock.calls[0][1]);
+      const note = await fileService.readNote('/path/to/note.md');
+
+      expect(hash).toMatch(/^[0-9a-f]{40}$/);
+      expect(note.hash).toBe(hash);
+
+      fs.readFile.mockResolvedValue(fs.writeFile.mock.calls[0][1] + 'Edited elsewhere');
+      expect((await fileService.readNote('/path/to/note.md')).hash).not.toBe(hash);
+    });
+
     it('should include projectId if present', async () => {
       fs.writeFile.mockResolvedValue(undefined);
 
@@ -500,6 +826,73 @@ Note body content`;
       expect(writtenContent).toContain('tags: ["dev", "javascript"]');
     });
 
+    it('should keep unknown keys, their order and types', async () => {
+      fs.writeFile.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValue(`---
+aliases: [Roadmap, Plan]
+id: "note-123"
+status: draft
+priority: 2
+title: "Old Title"
+meta:
+  reviewed: true
+createdAt: "2024-01-01T00:00:00.000Z"
+modifiedAt: "2024-01-01T00:00:00.000Z"
+---
+
+Body`);
+
+      const note = await fileService.readNote('/path/to/note.md');
+      await fileService.writeNote('/path/to/note.md', { ...note, title: 'New Title', content: 'Edited' });
+
+      const written = fs.writeFile.mock.calls[0][1];
+      const { frontmatter, body } = fileService.parseFrontmatter(written);
+
+      expect(Object.keys(frontmatter)).toEqual(['aliases', 'id', 'status', 'priority', 'title', 'meta', 'createdAt', 'modifiedAt']);
+      expect(frontmatter).toMatchObject({
+        aliases: ['Roadmap', 'Plan'],
+        status: 'draft',
+        priority: 2,
+        title: 'New Title',
+        meta: { reviewed: true },
+      });
+      expect(body).toBe('Edited');
+    });
+
+    it('should round-trip titles with colons and quotes', async () => {
+      fs.writeFile.mockResolvedValue(undefined);
+
+      await fileService.writeNote('/path/to/note.md', {
+        id: '1', title: 'Q3: "the plan"', content: 'Body', createdAt: '', modifiedAt: '',
+      });
+
+      const written = fs.writeFile.mock.calls[0][1];
+      expect(fileService.parseFrontmatter(written).frontmatter.title).toBe('Q3: "the plan"');
+    });
+
+    it('should keep CRLF line endings', async () => {
+      fs.writeFile.mockResolvedValue(undefined);
+
+      await fileService.writeNote('/path/to/note.md', {
+        id: '1', title: 'T', content: 'Line 1\r\nLine 2', createdAt: '', modifiedAt: '',
+      });
+
+      const written = fs.writeFile.mock.calls[0][1];
+      expect(written.replace(/\r\n/g, '')).not.toContain('\n');
+      expect(fileService.parseFrontmatter(written).body).toBe('Line 1\r\nLine 2');
+    });
+
+    it('should drop projectId when the note was unlinked', async () => {
+      fs.writeFile.mockResolvedValue(undefined);
+
+      await fileService.writeNote('/path/to/note.md', {
+        id: '1', title: 'T', content: '', createdAt: '', modifiedAt: '',
+        projectId: null, frontmatter: { projectId: 'old-project' },
+      });
+
+      expect(fs.writeFile.mock.calls[0][1]).not.toContain('projectId');
+    });
+
     it('should throw WRITE_ERROR on failure', async () => {
       fs.writeFile.mockRejectedValue(new Error('Write failed'));
 
@@ -906,4 +1299,122 @@ Content`);
       expect(result).toHaveLength(1);
     });
   });
+
+  describe('Attachment Operations', () => {
+    const notePath = path.join(testStoragePath, 'notes', 'project-1', 'my-note.md');
+    const attachmentsDir = path.join(testStoragePath, 'notes', 'project-1', 'attachments');
+    const dirent = (name, type = 'file') => ({
+      name,
+      isDirectory: () => type === 'dir',
+      isFile: () => type === 'file',
+    });
+
+    beforeEach(async () => {
+      fs.access.mockResolvedValue(undefined);
+      fs.mkdir.mockResolvedValue(undefined);
+      await fileService.initialize(testStoragePath);
+    });
+
+    describe('saveAttachment', () => {
+      it('should copy the file into the attachments folder next to the note', async () => {
+        fs.writeFile.mockResolvedValue(undefined);
+        const data = new Uint8Array([1, 2, 3]);
+
+        const result = await fileService.saveAttachment(notePath, 'Screen Shot (1).PNG', data);
+
+        expect(result).toEqual({
+          fileName: 'Screen-Shot-1.png',
+          relativePath: 'attachments/Screen-Shot-1.png',
+          filePath: path.join(attachmentsDir, 'Screen-Shot-1.png'),
+        });
+        expect(fs.writeFile).toHaveBeenCalledWith(result.filePath, data, { flag: 'wx' });
+      });
+
+      it('should number the file instead of overwriting an existing one', async () => {
+        fs.writeFile
+          .mockRejectedValueOnce(Object.assign(new Error('EEXIST'), { code: 'EEXIST' }))
+          .mockResolvedValueOnce(undefined);
+
+        const result = await fileService.saveAttachment(notePath, '../../report.pdf', new Uint8Array([1]));
+
+        expect(result.relativePath).toBe('attachments/report-2.pdf');
+      });
+
+      it('should reject non-binary data', async () => {
+        await expect(fileService.saveAttachment(notePath, 'a.txt', 'text')).rejects.toThrow('VALIDATION_ERROR');
+      });
+    });
+
+    describe('resolveAttachmentPath', () => {
+      it('should resolve paths inside the attachments folder', () => {
+        expect(fileService.resolveAttachmentPath(notePath, 'attachments/shot.png'))
+          .toBe(path.join(attachmentsDir, 'shot.png'));
+      });
+
+      it('should refuse paths outside the attachments folder', () => {
+        expect(() => fileService.resolveAttachmentPath(notePath, 'attachments/../my-note.md')).toThrow('VALIDATION_ERROR');
+        expect(() => fileService.resolveAttachmentPath(notePath, '../../.knowledgebase/config.json')).toThrow('VALIDATION_ERROR');
+      });
+    });
+
+    describe('findOrphanedAttachments', () => {
+      it('should report files no note in the folder links to', async () => {
+        const projectDir = path.join(testStoragePath, 'notes', 'project-1');
+        fs.readdir.mockImplementation(async (dirPath) => {
+          if (dirPath === path.join(testStoragePath, 'notes')) return [dirent('project-1', 'dir')];
+          if (dirPath === projectDir) return [dirent('my-note.md'), dirent('attachments', 'dir')];
+          if (dirPath === attachmentsDir) return [dirent('used%.png'), dirent('my file.pdf'), dirent('unused.zip')];
+          return [];
+        });
+        fs.readFile.mockResolvedValue('![shot](attachments/used%25.png)\nSee <./attachments/my%20file.pdf>');
+        fs.stat.mockResolvedValue({ size: 42 });
+
+        const orphans = await fileService.findOrphanedAttachments();
+
+        expect(orphans).toEqual([{
+          filePath: path.join(attachmentsDir, 'unused.zip'),
+          relativePath: 'notes/project-1/attachments/unused.zip',
+          size: 42,
+        }]);
+      });
+    });
+
+    describe('copyNoteAttachments', () => {
+      const targetPath = path.join(testStoragePath, 'notes', 'my-note.md');
+      const targetDir = path.join(testStoragePath, 'notes', 'attachments');
+
+      it('should copy the linked attachments next to the new note location', async () => {
+        fs.readFile.mockResolvedValue(Buffer.from('png'));
+        fs.writeFile.mockResolvedValue(undefined);
+
+        const content = await fileService.copyNoteAttachments('![](attachments/shot.png)', notePath, targetPath);
+
+        expect(content).toBe('![](attachments/shot.png)');
+        expect(fs.readFile).toHaveBeenCalledWith(path.join(attachmentsDir, 'shot.png'));
+        expect(fs.writeFile).toHaveBeenCalledWith(path.join(targetDir, 'shot.png'), Buffer.from('png'), { flag: 'wx' });
+      });
+
+      it('should keep a different file of the same name and link a numbered copy', async () => {
+        fs.readFile.mockImplementation(async (filePath) => Buffer.from(filePath.startsWith(attachmentsDir) ? 'new' : 'old'));
+        fs.writeFile
+          .mockRejectedValueOnce(Object.assign(new Error('EEXIST'), { code: 'EEXIST' }))
+          .mockResolvedValueOnce(undefined);
+
+        const content = await fileService.copyNoteAttachments('![](attachments/my%20shot.png) and <./attachments/my%20shot.png>', notePath, targetPath);
+
+        expect(content).toBe('![](attachments/my%20shot-2.png) and <./attachments/my%20shot-2.png>');
+        expect(fs.writeFile).toHaveBeenLastCalledWith(path.join(targetDir, 'my shot-2.png'), Buffer.from('new'), { flag: 'wx' });
+      });
+    });
+
+    it('should not read notes from attachments folders', async () => {
+      fs.readdir.mockImplementation(async (dirPath) => (dirPath === attachmentsDir
+        ? [dirent('copied-note.md')]
+        : [dirent('my-note.md'), dirent('attachments', 'dir')]));
+
+      const files = await fileService.readDirectoryRecursive(path.dirname(notePath));
+
+      expect(files).toEqual([notePath]);
+    });
+  });
 });
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+
+const { ForceLayout } = await import('../../src/renderer/js/services/force-layout.js');
+
+describe('ForceLayout', () => {
+  const createNodes = (...ids) => ids.map(id => ({ id }));
+  const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  const settle = (layout) => {
+    let ticks = 0;
+    while (!layout.isSettled && ticks < 1000) {
+      layout.tick();
+      ticks++;
+    }
+    return ticks;
+  };
+
+  it('should lay out the same graph the same way every time', () => {
+    const edges = [{ source: 'a', target: 'b' }, { source: 'b', target: 'c' }];
+    const first = createNodes('a', 'b', 'c');
+    const second = createNodes('a', 'b', 'c');
+
+    settle(new ForceLayout(first, edges));
+    settle(new ForceLayout(second, edges));
+
+    expect(second).toEqual(first);
+  });
+
+  it('should settle with linked nodes near the link distance', () => {
+    const nodes = createNodes('a', 'b', 'c');
+    const layout = new ForceLayout(nodes, [{ source: 'a', target: 'b' }, { source: 'b', target: 'c' }]);
+
+    expect(settle(layout)).toBeLessThanOrEqual(300);
+    expect(layout.isSettled).toBe(true);
+    for (const node of nodes) {
+      expect(Math.hypot(node.vx, node.vy)).toBeLessThan(0.01);
+    }
+    expect(distance(nodes[0], nodes[1])).toBeGreaterThan(40);
+    expect(distance(nodes[0], nodes[1])).toBeLessThan(90);
+    expect(distance(nodes[1], nodes[2])).toBeGreaterThan(40);
+    expect(distance(nodes[1], nodes[2])).toBeLessThan(90);
+  });
+
+  it('should keep disconnected parts apart and near the center', () => {
+    const nodes = createNodes('a', 'b', 'c', 'd', 'e');
+    settle(new ForceLayout(nodes, [{ source: 'a', target: 'b' }, { source: 'd', target: 'e' }]));
+
+    for (let i = 0; i < nodes.length; i++) {
+      expect(Math.hypot(nodes[i].x, nodes[i].y)).toBeLessThan(200);
+      for (let j = i + 1; j < nodes.length; j++) {
+        expect(distance(nodes[i], nodes[j])).toBeGreaterThan(20);
+      }
+    }
+  });
+
+  it('should pull a single node towards the center', () => {
+    const [node] = createNodes('a');
+    const layout = new ForceLayout([node], []);
+    const start = node.x;
+
+    settle(layout);
+
+    expect(Number.isFinite(node.x) && Number.isFinite(node.y)).toBe(true);
+    expect(Math.abs(node.x)).toBeLessThan(Math.abs(start));
+  });
+
+  it('should ignore links to nodes that are not in the graph', () => {
+    const nodes = createNodes('a', 'b');
+    const layout = new ForceLayout(nodes, [{ source: 'a', target: 'b' }, { source: 'a', target: 'missing' }, { source: 'gone', target: 'b' }]);
+
+    settle(layout);
+
+    expect(layout.links).toHaveLength(1);
+    expect(nodes.every(node => Number.isFinite(node.x) && Number.isFinite(node.y))).toBe(true);
+  });
+
+  it('should keep dragged nodes where they are held', () => {
+    const nodes = createNodes('a', 'b');
+    const layout = new ForceLayout(nodes, [{ source: 'a', target: 'b' }]);
+    Object.assign(nodes[0], { fx: 100, fy: -50 });
+
+    settle(layout);
+
+    expect(nodes[0]).toMatchObject({ x: 100, y: -50 });
+    expect(distance(nodes[0], nodes[1])).toBeLessThan(90);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+
+const { fuzzyMatch } = await import('../../src/renderer/js/services/fuzzy-match.js');
+
+describe('fuzzyMatch', () => {
+  const rank = (query, texts) => texts
+    .filter(text => fuzzyMatch(query, text))
+    .sort((a, b) => fuzzyMatch(query, b).score - fuzzyMatch(query, a).score);
+
+  it('should rank exact, prefix, word and substring matches above scattered ones', () => {
+    expect(rank('note', ['n-o-t-e', 'keynote', 'my notes', 'note taking', 'Note']))
+      .toEqual(['Note', 'note taking', 'my notes', 'keynote', 'n-o-t-e']);
+  });
+
+  it('should prefer shorter candidates when the characters match equally well', () => {
+    expect(rank('gph', ['graphs', 'graph'])).toEqual(['graph', 'graphs']);
+  });
+
+  it('should ignore case', () => {
+    expect(fuzzyMatch('API', 'my api notes')).toEqual(fuzzyMatch('api', 'My API Notes'));
+    expect(fuzzyMatch('API', 'my api notes').ranges).toEqual([{ start: 3, end: 6 }]);
+  });
+
+  it('should return null when the characters do not all appear in order', () => {
+    expect(fuzzyMatch('xyz', 'graph')).toBeNull();
+    expect(fuzzyMatch('hg', 'graph')).toBeNull();
+  });
+
+  it('should match everything with an empty query', () => {
+    expect(fuzzyMatch('  ', 'graph')).toEqual({ score: 0, ranges: [] });
+  });
+
+  it('should return the matched ranges, joining consecutive characters', () => {
+    expect(fuzzyMatch('gph', 'graph').ranges).toEqual([{ start: 0, end: 1 }, { start: 3, end: 5 }]);
+    expect(fuzzyMatch(' tak ', 'note taking').ranges).toEqual([{ start: 5, end: 8 }]);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { globalSearchService } = await import('../../src/main/services/global-search-service.js');
+const { fileService } = await import('../../src/main/services/file-service.js');
+const { noteSearchService } = await import('../../src/main/services/note-search-service.js');
+const { dailyTodosService } = await import('../../src/main/services/daily-todos-service.js');
+
+describe('GlobalSearchService', () => {
+  const data = {
+    'projects.json': {
+      projects: [
+        { id: 'p1', name: 'Website', description: 'Deploy pipeline for the site', modifiedAt: '2026-09-01T10:00:00.000Z' },
+        { id: 'p2', name: 'Mobile', description: 'App store release', modifiedAt: '2026-10-01T10:00:00.000Z' },
+      ],
+    },
+    'todos.json': {
+      todos: [
+        { id: 't1', title: 'Deploy staging', description: '', projectId: 'p1', completed: false, modifiedAt: '2026-10-10T10:00:00.000Z' },
+        { id: 't2', title: 'Write tests', description: 'Before the deploy', projectId: 'p2', completed: true, modifiedAt: '2026-10-15T10:00:00.000Z' },
+        { id: 't3', title: 'Buy milk', description: '', projectId: null, completed: false, modifiedAt: '2026-10-16T10:00:00.000Z' },
+      ],
+    },
+    'milestones.json': {
+      milestones: [
+        { id: 'm1', projectId: 'p2', title: 'Deploy v1', description: '', completed: false, modifiedAt: '2026-08-01T10:00:00.000Z' },
+      ],
+    },
+    'tools.json': {
+      tools: [
+        { id: 'tool1', name: 'Deploy script', description: 'Runs the deploy', launchPath: '/usr/bin/deploy', category: 'ops', modifiedAt: '2026-10-02T10:00:00.000Z' },
+      ],
+    },
+  };
+
+  const snippets = [
+    { id: 's1', title: 'Docker compose', description: 'Local deploy setup', code: 'docker compose up', language: 'yaml', modifiedAt: '2026-10-05T10:00:00.000Z' },
+  ];
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    vi.spyOn(fileService, 'readJSON').mockImplementation(async (fileName) => structuredClone(data[fileName]) || null);
+    vi.spyOn(fileService, 'listSnippets').mockResolvedValue(structuredClone(snippets));
+    vi.spyOn(noteSearchService, 'search').mockResolvedValue([]);
+    vi.spyOn(dailyTodosService, 'list').mockResolvedValue({
+      todos: [{ id: 'd1', title: 'Deploy hotfix', completed: false, createdAt: '2026-10-19T08:00:00.000Z' }],
+      lastRolloverDate: '2026-10-19',
+    });
+    vi.spyOn(dailyTodosService, 'getArchive').mockResolvedValue({
+      archivedTodos: [{ id: 'd0', title: 'Deploy docs', completedAt: '2026-10-12T16:00:00.000Z', archivedDate: '2026-10-13' }],
+      total: 1,
+      retentionDays: 30,
+    });
+  });
+
+  const getGroup = (result, type) => result.groups.find(group => group.type === type);
+  const getIds = (result, type) => getGroup(result, type)?.results.map(r => r.id) || [];
+
+  describe('search', () => {
+    it('should group matches of every type with counts', async () => {
+      const result = await globalSearchService.search('deploy');
+
+      expect(result.groups.map(group => group.type)).toEqual([
+        'snippet', 'todo', 'milestone', 'project', 'tool', 'dailyTodo',
+      ]);
+      expect(getIds(result, 'todo')).toEqual(['t1', 't2']);
+      expect(getGroup(result, 'todo').results[0]).toMatchObject({
+        type: 'todo',
+        title: 'Deploy staging',
+        projectId: 'p1',
+        date: '2026-10-10T10:00:00.000Z',
+        completed: false,
+      });
+      expect(getGroup(result, 'dailyTodo')).toMatchObject({ count: 2 });
+      expect(getGroup(result, 'dailyTodo').results.find(r => r.id === 'd0')).toMatchObject({ archived: true, completed: true });
+      expect(result.total).toBe(8);
+    });
+
+    it('should include note results from the note index', async () => {
+      noteSearchService.search.mockResolvedValue([{
+        id: 'n1',
+        title: 'Deploy guide',
+        projectId: 'p1',
+        tags: [],
+        modifiedAt: '2026-10-01T10:00:00.000Z',
+        relevance: 5,
+        titleHighlights: [{ start: 0, end: 6 }],
+        snippet: 'How to deploy',
+        highlights: [{ start: 7, end: 13 }],
+      }]);
+
+      const result = await globalSearchService.search('deploy', { projectId: 'p1' });
+
+      expect(noteSearchService.search).toHaveBeenCalledWith('deploy', expect.objectContaining({ projectId: 'p1' }));
+      expect(result.groups[0]).toMatchObject({
+        type: 'note',
+        count: 1,
+        results: [{ type: 'note', id: 'n1', title: 'Deploy guide', date: '2026-10-01T10:00:00.000Z', score: 5 }],
+      });
+    });
+
+    it('should rank title matches above content matches', async () => {
+      const result = await globalSearchService.search('deploy');
+      const todos = getGroup(result, 'todo').results;
+
+      expect(todos[0].score).toBeGreaterThan(todos[1].score);
+      expect(todos[0].titleHighlights).toEqual([{ start: 0, end: 6 }]);
+      expect(todos[1].titleHighlights).toEqual([]);
+      expect(todos[1].snippet).toBe('Before the deploy');
+      expect(todos[1].highlights).toEqual([{ start: 11, end: 17 }]);
+    });
+
+    it('should require every word and match phrases', async () => {
+      expect(getIds(await globalSearchService.search('deploy staging'), 'todo')).toEqual(['t1']);
+      expect(getIds(await globalSearchService.search('"the deploy"'), 'todo')).toEqual(['t2']);
+      expect(getIds(await globalSearchService.search('title:deploy'), 'todo')).toEqual(['t1']);
+    });
+
+    it('should filter by project and leave out types without projects', async () => {
+      const result = await globalSearchService.search('deploy', { projectId: 'p2' });
+
+      expect(result.groups.map(group => group.type)).toEqual(['todo', 'milestone']);
+      expect(getIds(result, 'todo')).toEqual(['t2']);
+    });
+
+    it('should resolve project: filters by name', async () => {
+      const result = await globalSearchService.search('deploy project:website');
+
+      expect(getIds(result, 'todo')).toEqual(['t1']);
+      expect(getIds(result, 'project')).toEqual(['p1']);
+      expect(getGroup(result, 'snippet')).toBeUndefined();
+    });
+
+    it('should filter by an inclusive date range', async () => {
+      const result = await globalSearchService.search('deploy', { fromDate: '2026-10-05', toDate: '2026-10-12' });
+
+      expect(result.groups.map(group => group.type)).toEqual(['snippet', 'todo', 'dailyTodo']);
+      expect(getIds(result, 'todo')).toEqual(['t1']);
+      expect(getIds(result, 'dailyTodo')).toEqual(['d0']);
+    });
+
+    it('should limit results per group but count all matches', async () => {
+      const result = await globalSearchService.search('deploy', { limit: 1 });
+
+      expect(getGroup(result, 'todo')).toMatchObject({ count: 2 });
+      expect(getGroup(result, 'todo').results).toHaveLength(1);
+    });
+
+    it('should only search the requested types', async () => {
+      const result = await globalSearchService.search('deploy', { types: ['tool'] });
+
+      expect(result.groups.map(group => group.type)).toEqual(['tool']);
+      expect(noteSearchService.search).not.toHaveBeenCalled();
+      expect(dailyTodosService.list).not.toHaveBeenCalled();
+    });
+
+    it('should return nothing for tag filters outside of notes', async () => {
+      const result = await globalSearchService.search('tag:ops deploy');
+
+      expect(result).toEqual({ total: 0, groups: [] });
+    });
+
+    it('should return nothing for an empty query', async () => {
+      expect(await globalSearchService.search('  ')).toEqual({ total: 0, groups: [] });
+    });
+  });
+});
@@ -0,0 +1,23 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * File helpers for tests that work on a real storage folder in a temp directory
+ * @param {() => string} getStoragePath - Returns the storage folder of the running test
+ * @returns {Object} { kbPath, writeStore, readStore, storageFile, writeFile }
+ */
+export function storageFixtures(getStoragePath) {
+  const kbPath = (...parts) => path.join(getStoragePath(), '.knowledgebase', ...parts);
+  const storageFile = (relativePath) => path.join(getStoragePath(), relativePath);
+
+  return {
+    kbPath,
+    storageFile,
+    writeStore: (filename, data) => fs.writeFileSync(kbPath(filename), JSON.stringify(data)),
+    readStore: (filename) => JSON.parse(fs.readFileSync(kbPath(filename), 'utf-8')),
+    writeFile: (relativePath, content) => {
+      fs.mkdirSync(path.dirname(storageFile(relativePath)), { recursive: true });
+      fs.writeFileSync(storageFile(relativePath), content);
+    },
+  };
+}
@@ -0,0 +1,35 @@
+// @vitest-environment jsdom
+// DOMPurify removes every element under happy-dom, so this file runs in jsdom
+import { describe, it, expect } from 'vitest';
+
+const { sanitizeHtml, sanitizeMath } = await import('../../src/renderer/js/services/html-sanitizer.js');
+const { markdownService } = await import('../../src/renderer/js/services/markdown.js');
+
+describe('HTML sanitizer', () => {
+  it('should remove inline styles from note HTML', () => {
+    const html = sanitizeHtml('<p style="color:red">Text</p>');
+
+    expect(html).toBe('<p>Text</p>');
+  });
+
+  it('should not keep styles of user-written KaTeX classes', () => {
+    const html = sanitizeHtml('<span class="katex"><div style="position:fixed;inset:0">Spoof</div></span>');
+
+    expect(html).not.toContain('style');
+    expect(html).toContain('Spoof');
+  });
+
+  it('should keep the inline styles of math', () => {
+    expect(sanitizeMath('<span class="vlist" style="height:1em">x</span><script>alert(1)</script>'))
+      .toBe('<span class="vlist" style="height:1em">x</span>');
+  });
+
+  it('should render styled math but strip styles from HTML next to it', () => {
+    const html = markdownService.render('$x^2$ <span class="katex"><b style="position:fixed">Spoof</b></span>');
+
+    expect(html).toContain('class="katex"');
+    expect(html).toMatch(/<span class="vlist" style="[^"]+">/);
+    expect(html).toContain('<b>Spoof</b>');
+    expect(html).not.toContain('kb-math-');
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+
+const { IPC_CHANNELS, EVENT_CHANNELS, isInvokeChannel, validatePayload } = await import('../../src/shared/ipc-channels.js');
+
+describe('IPC channel registry', () => {
+  it('should declare exactly the channels main.js handles', () => {
+    const source = fs.readFileSync(path.resolve(__dirname, '../../src/main/main.js'), 'utf-8');
+    const handled = [...source.matchAll(/\bhandle\('([\w.]+)'/g)].map(match => match[1]);
+
+    expect(handled.sort()).toEqual(Object.keys(IPC_CHANNELS).sort());
+  });
+
+  it('should declare the storage.changed event', () => {
+    expect(EVENT_CHANNELS).toContain('storage.changed');
+    expect(isInvokeChannel('storage.changed')).toBe(false);
+  });
+
+  describe('validatePayload', () => {
+    it('should accept valid payloads', () => {
+      expect(validatePayload('todos.update', {
+        id: 't1',
+        updates: { title: 'Ship it', priority: 'high', projectId: null, deadline: '2026-10-20', completed: true },
+      })).toBeNull();
+      expect(validatePayload('notes.delete', 'n1')).toBeNull();
+      expect(validatePayload('notes.delete', { id: 'n1', unlinkReferences: true })).toBeNull();
+      expect(validatePayload('attachments.add', { noteId: 'n1', fileName: 'a.png', data: new ArrayBuffer(4) })).toBeNull();
+      expect(validatePayload('notes.create', { templateId: 'meeting', title: '', projectId: '', fields: { topic: 'x' } })).toBeNull();
+    });
+
+    it('should reject unknown fields', () => {
+      expect(validatePayload('todos.update', { id: 't1', updates: { id: 't2' } }))
+        .toBe('payload.updates.id is not allowed');
+      expect(validatePayload('tools.update', { id: 't1', updates: { createdAt: '2020-01-01' } }))
+        .toBe('payload.updates.createdAt is not allowed');
+      expect(validatePayload('milestones.update', { id: 'm1', updates: { completed: true } }))
+        .toBe('payload.updates.completed is not allowed');
+      expect(validatePayload('config.update', { storageLocation: '/tmp' }))
+        .toBe('payload.storageLocation is not allowed');
+    });
+
+    it('should reject wrong types and missing fields', () => {
+      expect(validatePayload('todos.create', { priority: 'high' })).toBe('payload.title is required');
+      expect(validatePayload('todos.create', { title: '' })).toBe('payload.title must not be empty');
+      expect(validatePayload('notes.get', 42)).toBe('payload must be a string');
+      expect(validatePayload('notes.update', { id: 'n1', updates: { tags: ['a', 1] } }))
+        .toBe('payload.updates.tags[1] must be a string');
+      expect(validatePayload('dailyTodos.updatePriority', { id: 'd1', priority: 'urgent' }))
+        .toBe('payload.priority must be one of low, medium, high, critical');
+      expect(validatePayload('journal.open', { date: '19.10.2026' })).toBe('payload.date has an invalid format');
+      expect(validatePayload('notes.search', { query: 'x', limit: 1.5 })).toBe('payload.limit must be an integer');
+      expect(validatePayload('attachments.add', { noteId: 'n1', fileName: 'a.png', data: 'abc' }))
+        .toBe('payload.data must be binary data');
+    });
+
+    it('should only accept nulls where declared', () => {
+      expect(validatePayload('todos.create', { title: 'Test', projectId: null })).toBeNull();
+      expect(validatePayload('milestones.create', { projectId: null, title: 'v1', deadline: '2026-10-20' }))
+        .toBe('payload.projectId must not be null');
+    });
+
+    it('should reject payloads on channels without one', () => {
+      expect(validatePayload('todos.list')).toBeNull();
+      expect(validatePayload('todos.list', { all: true })).toBe('payload is not expected');
+    });
+
+    it('should reject objects that are not plain', () => {
+      expect(validatePayload('projects.delete', ['p1'])).toBe('payload must be an object, got an array');
+    });
+
+    it('should reject undeclared channels', () => {
+      expect(isInvokeChannel('shell.exec')).toBe(false);
+      expect(validatePayload('shell.exec', 'rm -rf /')).toBe('Unknown channel shell.exec');
+    });
+  });
+});
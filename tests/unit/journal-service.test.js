@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import path from 'node:path';
+
+// Mock the fs module with factory function
+vi.mock('node:fs/promises', () => ({
+  default: {
+    access: vi.fn(),
+  },
+}));
+
+// Import after mocking
+import fs from 'node:fs/promises';
+const { journalService } = await import('../../src/main/services/journal-service.js');
+const { fileService } = await import('../../src/main/services/file-service.js');
+const { templateService } = await import('../../src/main/services/template-service.js');
+const { dailyTodosService } = await import('../../src/main/services/daily-todos-service.js');
+
+describe('JournalService', () => {
+  const testStoragePath = path.resolve('/test/storage');
+  const journalPath = path.join(testStoragePath, 'notes', 'journal');
+  const enoent = () => Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+
+  const todos = [
+    { id: 'a', title: 'Fix login', priority: 'high', completed: false, daysOverdue: 2 },
+    { id: 'b', title: 'Review PR', priority: 'medium', completed: true, completedAt: '2026-10-19T09:00:00.000Z' },
+  ];
+  const archivedTodos = [
+    { id: 'c', title: 'Write docs', priority: 'low', completedAt: '2026-10-18T16:00:00.000Z', archivedDate: '2026-10-19' },
+  ];
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    vi.clearAllMocks();
+    journalService.initialize(testStoragePath);
+
+    vi.spyOn(dailyTodosService, 'getTodayDate').mockReturnValue('2026-10-19');
+    vi.spyOn(dailyTodosService, 'list').mockResolvedValue({ todos, lastRolloverDate: '2026-10-19' });
+    vi.spyOn(dailyTodosService, 'getArchive').mockResolvedValue({ archivedTodos, total: 1, retentionDays: 30 });
+    vi.spyOn(templateService, 'get').mockRejectedValue(new Error('TEMPLATE_NOT_FOUND'));
+    vi.spyOn(fileService, 'writeNote').mockResolvedValue('hash');
+  });
+
+  describe('isValidDate', () => {
+    it('should only accept real YYYY-MM-DD dates', () => {
+      expect(journalService.isValidDate('2026-10-19')).toBe(true);
+      expect(journalService.isValidDate('2026-02-30')).toBe(false);
+      expect(journalService.isValidDate('19.10.2026')).toBe(false);
+      expect(journalService.isValidDate('../2026-10-19')).toBe(false);
+    });
+  });
+
+  describe('getTodos', () => {
+    it('should list open todos and the completions of today', async () => {
+      const result = await journalService.getTodos('2026-10-19');
+
+      expect(result.open.map(t => t.id)).toEqual(['a']);
+      expect(result.completed.map(t => t.id)).toEqual(['b']);
+    });
+
+    it('should only list archived completions for earlier days', async () => {
+      const result = await journalService.getTodos('2026-10-18');
+
+      expect(dailyTodosService.getArchive).toHaveBeenCalledWith(expect.objectContaining({ fromDate: '2026-10-18' }));
+      expect(result.open).toEqual([]);
+      expect(result.completed.map(t => t.id)).toEqual(['c']);
+    });
+  });
+
+  describe('formatTodos', () => {
+    it('should render task lists between the markers', () => {
+      const block = journalService.formatTodos({ open: [todos[0]], completed: [todos[1]] });
+
+      expect(block).toBe([
+        '<!-- daily-todos -->',
+        '**Open**',
+        '',
+        '- [ ] Fix login _(high, 2 days overdue)_',
+        '',
+        '**Completed**',
+        '',
+        '- [x] Review PR',
+        '<!-- /daily-todos -->',
+      ].join('\n'));
+    });
+
+    it('should say when there are no todos', () => {
+      expect(journalService.formatTodos({ open: [], completed: [] })).toContain('_No daily todos._');
+    });
+  });
+
+  describe('replaceTodos', () => {
+    it('should only replace the marked block', () => {
+      const content = 'Before\n<!-- daily-todos -->\nold\n<!-- /daily-todos -->\nAfter';
+
+      expect(journalService.replaceTodos(content, 'NEW')).toBe('Before\nNEW\nAfter');
+      expect(journalService.replaceTodos('No block', 'NEW')).toBe('No block');
+    });
+  });
+
+  describe('open', () => {
+    it('should create a missing note from the built-in template', async () => {
+      fs.access.mockRejectedValue(enoent());
+
+      const result = await journalService.open('2026-10-19');
+
+      const [filePath, note] = fileService.writeNote.mock.calls[0];
+      expect(filePath).toBe(path.join(journalPath, '2026-10-19.md'));
+      expect(note.title).toBe('2026-10-19');
+      expect(note.tags).toEqual(['journal']);
+      expect(note.frontmatter.journalDate).toBe('2026-10-19');
+      expect(note.content).toContain('# 2026-10-19');
+      expect(note.content).toContain('- [ ] Fix login');
+      expect(result).toMatchObject({ created: true, today: '2026-10-19' });
+      expect(result.note.filePath).toBe(filePath);
+    });
+
+    it('should not create the note when asked not to', async () => {
+      fs.access.mockRejectedValue(enoent());
+
+      const result = await journalService.open('2026-10-17', { create: false });
+
+      expect(result.note).toBeNull();
+      expect(fileService.writeNote).not.toHaveBeenCalled();
+    });
+
+    it('should refresh the todos of today\'s note', async () => {
+      fs.access.mockResolvedValue(undefined);
+      vi.spyOn(fileService, 'readNote').mockResolvedValue({
+        id: 'n1',
+        title: '2026-10-19',
+        content: 'Intro\n<!-- daily-todos -->\nstale\n<!-- /daily-todos -->\n',
+        frontmatter: { journalDate: '2026-10-19' },
+      });
+
+      const result = await journalService.open('2026-10-19');
+
+      expect(result.updated).toBe(true);
+      expect(result.note.content).toContain('- [x] Review PR');
+      expect(result.note.content).not.toContain('stale');
+    });
+
+    it('should keep the summary of earlier days', async () => {
+      fs.access.mockResolvedValue(undefined);
+      vi.spyOn(fileService, 'readNote').mockResolvedValue({
+        id: 'n0',
+        title: '2026-10-18',
+        content: '<!-- daily-todos -->\nkept\n<!-- /daily-todos -->',
+      });
+
+      const result = await journalService.open('2026-10-18');
+
+      expect(result.updated).toBe(false);
+      expect(result.note.content).toContain('kept');
+      expect(fileService.writeNote).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid dates', async () => {
+      await expect(journalService.open('2026-13-01')).rejects.toThrow('VALIDATION_ERROR');
+    });
+  });
+});
@@ -0,0 +1,258 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const handlers = vi.hoisted(() => new Map());
+
+vi.mock('electron', () => {
+  class BrowserWindow {
+    constructor() {
+      this.webContents = {
+        session: { webRequest: { onHeadersReceived: vi.fn() } },
+        send: vi.fn(),
+        openDevTools: vi.fn(),
+      };
+    }
+
+    once() {}
+    show() {}
+    loadURL() {}
+    loadFile() {}
+
+    static getAllWindows() {
+      return [];
+    }
+  }
+
+  return {
+    app: {
+      whenReady: () => Promise.resolve(),
+      getPath: () => '/nonexistent/knowledgebase.exe',
+      getAppPath: () => '/nonexistent',
+      getVersion: () => '1.0.0',
+      on: vi.fn(),
+      quit: vi.fn(),
+    },
+    BrowserWindow,
+    ipcMain: {
+      handle: (channel, handler) => handlers.set(channel, handler),
+      removeHandler: (channel) => handlers.delete(channel),
+    },
+    dialog: {},
+    protocol: { registerSchemesAsPrivileged: vi.fn(), handle: vi.fn() },
+    net: {},
+    shell: {},
+  };
+});
+
+// Call a registered handler the way ipcRenderer.invoke would
+const invoke = (channel, payload) => handlers.get(channel)({}, payload);
+
+const readStore = (storagePath, filename) =>
+  JSON.parse(fs.readFileSync(path.join(storagePath, '.knowledgebase', filename), 'utf-8'));
+
+describe('main process IPC handlers', () => {
+  let storagePath;
+
+  beforeAll(async () => {
+    storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-ipc-'));
+    delete process.env.VITE_DEV_SERVER_URL;
+    process.resourcesPath = storagePath;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const { fileService } = await import('../../src/main/services/file-service.js');
+    await fileService.createInitialConfig(storagePath);
+
+    await import('../../src/main/main.js');
+    await vi.waitFor(() => {
+      if (!handlers.has('search.global')) throw new Error('handlers not registered yet');
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should keep every todo created in parallel', async () => {
+    const results = await Promise.all(
+      Array.from({ length: 20 }, (_, i) => invoke('todos.create', { title: `Todo ${i}` }))
+    );
+
+    expect(results.every(result => result.success)).toBe(true);
+    expect(readStore(storagePath, 'todos.json').todos).toHaveLength(20);
+  });
+
+  it('should apply parallel changes to different todos of one store', async () => {
+    const { data: todos } = await invoke('todos.list');
+    const [first, second, third] = todos;
+
+    const results = await Promise.all([
+      invoke('todos.toggleComplete', first.id),
+      invoke('todos.toggleComplete', second.id),
+      invoke('todos.update', { id: third.id, updates: { priority: 'high' } }),
+      invoke('todos.delete', todos[3].id),
+      invoke('todos.create', { title: 'Added meanwhile' }),
+    ]);
+
+    expect(results.every(result => result.success)).toBe(true);
+    const stored = readStore(storagePath, 'todos.json').todos;
+    expect(stored).toHaveLength(20);
+    expect(stored.find(todo => todo.id === first.id).completed).toBe(true);
+    expect(stored.find(todo => todo.id === second.id).completed).toBe(true);
+    expect(stored.find(todo => todo.id === third.id).priority).toBe('high');
+    expect(stored.some(todo => todo.id === todos[3].id)).toBe(false);
+    expect(stored.some(todo => todo.title === 'Added meanwhile')).toBe(true);
+  });
+
+  it('should keep a failed change from blocking the store', async () => {
+    const results = await Promise.all([
+      invoke('todos.toggleComplete', 'missing'),
+      invoke('todos.create', { title: 'After the failure' }),
+    ]);
+
+    expect(results[0]).toEqual({ success: false, error: 'TODO_NOT_FOUND' });
+    expect(results[1].success).toBe(true);
+    expect(readStore(storagePath, 'todos.json').todos).toHaveLength(21);
+  });
+
+  it('should serialize milestone and tool mutations', async () => {
+    const { data: project } = await invoke('projects.create', { name: 'Parallel' });
+
+    await Promise.all([
+      ...Array.from({ length: 10 }, (_, i) => invoke('milestones.create', {
+        projectId: project.id,
+        title: `Milestone ${i}`,
+        deadline: '2026-12-31',
+      })),
+      ...Array.from({ length: 10 }, (_, i) => invoke('tools.create', {
+        name: `Tool ${i}`,
+        launchPath: 'https://example.com',
+        launchType: 'url',
+      })),
+    ]);
+
+    expect(readStore(storagePath, 'milestones.json').milestones).toHaveLength(10);
+    expect(readStore(storagePath, 'tools.json').tools).toHaveLength(10);
+  });
+
+  it('should not lose todo changes while a project is deleted', async () => {
+    const { data: project } = await invoke('projects.create', { name: 'Short lived' });
+    const { data: linked } = await invoke('todos.create', { title: 'Linked', projectId: project.id });
+
+    const results = await Promise.all([
+      invoke('projects.delete', { id: project.id }),
+      invoke('todos.create', { title: 'Created during delete' }),
+      invoke('todos.update', { id: linked.id, updates: { title: 'Renamed during delete' } }),
+    ]);
+
+    expect(results.every(result => result.success)).toBe(true);
+    const stored = readStore(storagePath, 'todos.json').todos;
+    expect(stored.some(todo => todo.title === 'Created during delete')).toBe(true);
+    const renamed = stored.find(todo => todo.id === linked.id);
+    expect(renamed.title).toBe('Renamed during delete');
+    expect(renamed.projectId).toBeNull();
+    expect(readStore(storagePath, 'projects.json').projects.some(p => p.id === project.id)).toBe(false);
+  });
+
+  it('should move the attachments of kept notes out of a deleted project', async () => {
+    const { data: project } = await invoke('projects.create', { name: 'Attached' });
+    const { data: note } = await invoke('notes.create', { title: 'Diagram notes', projectId: project.id });
+    const { data: attachment } = await invoke('attachments.add', {
+      noteId: note.id,
+      fileName: 'diagram.png',
+      data: new Uint8Array([1, 2, 3]),
+    });
+    await invoke('notes.update', { id: note.id, updates: { content: `![](${attachment.path})` } });
+
+    const result = await invoke('projects.delete', { id: project.id, deleteNotes: false });
+
+    expect(result.success).toBe(true);
+    const { data: moved } = await invoke('notes.get', note.id);
+    expect(moved.projectId).toBeFalsy();
+    expect(path.dirname(moved.filePath)).toBe(path.join(storagePath, 'notes'));
+    expect(moved.content).toBe('![](attachments/diagram.png)');
+    expect([...fs.readFileSync(path.join(storagePath, 'notes', 'attachments', 'diagram.png'))]).toEqual([1, 2, 3]);
+    // The rest of the project folder is in the trash instead of deleted
+    expect(fs.existsSync(path.join(storagePath, 'notes', project.folder))).toBe(false);
+    const { data: trash } = await invoke('trash.list');
+    const trashed = trash.items.find(item => item.itemId === project.id);
+    const trashedFolder = path.join(storagePath, '.knowledgebase', 'trash', trashed.id, 'files', `0-${project.folder}`);
+    expect(fs.existsSync(path.join(trashedFolder, 'attachments', 'diagram.png'))).toBe(true);
+  });
+
+  it('should trash and restore a note together with the attachments only it uses', async () => {
+    const { data: project } = await invoke('projects.create', { name: 'Gallery' });
+    const { data: note } = await invoke('notes.create', { title: 'Photos', projectId: project.id });
+    const { data: other } = await invoke('notes.create', { title: 'Album', projectId: project.id });
+    const add = async (fileName) => (await invoke('attachments.add', {
+      noteId: note.id,
+      fileName,
+      data: new Uint8Array([7, 8, 9]),
+    })).data;
+    const own = await add('own.png');
+    const shared = await add('shared.png');
+    await invoke('notes.update', { id: note.id, updates: { content: `![](${own.path}) ![](${shared.path})` } });
+    await invoke('notes.update', { id: other.id, updates: { content: `![](${shared.path})` } });
+    const attachmentsDir = path.join(storagePath, 'notes', project.folder, 'attachments');
+
+    expect((await invoke('notes.delete', note.id)).success).toBe(true);
+
+    expect(fs.existsSync(path.join(attachmentsDir, 'own.png'))).toBe(false);
+    // Still linked from the other note
+    expect(fs.existsSync(path.join(attachmentsDir, 'shared.png'))).toBe(true);
+
+    const { data: trash } = await invoke('trash.list');
+    const trashed = trash.items.find(item => item.itemId === note.id);
+    expect((await invoke('trash.restore', trashed.id)).success).toBe(true);
+
+    expect([...fs.readFileSync(path.join(attachmentsDir, 'own.png'))]).toEqual([7, 8, 9]);
+    expect((await invoke('notes.get', note.id)).data.filePath).toBe(note.filePath);
+  });
+
+  it('should not give projects the folder of the journal or of attachments', async () => {
+    const { data: journal } = await invoke('projects.create', { name: 'Journal' });
+    const { data: renamed } = await invoke('projects.create', { name: 'Assets' });
+    const { data: attachments } = await invoke('projects.update', { id: renamed.id, updates: { name: 'Attachments' } });
+
+    expect(journal.folder).toBe('journal-project');
+    expect(attachments.folder).toBe('attachments-project');
+    expect(fs.existsSync(path.join(storagePath, 'notes', 'attachments-project'))).toBe(true);
+  });
+
+  it('should move a note and its attachments into the folder of its new project', async () => {
+    const { data: project } = await invoke('projects.create', { name: 'Destination' });
+    const { data: note } = await invoke('notes.create', { title: 'Wandering note' });
+    const { data: attachment } = await invoke('attachments.add', {
+      noteId: note.id,
+      fileName: 'sketch.png',
+      data: new Uint8Array([4, 5, 6]),
+    });
+    const content = `![](${attachment.path})`;
+
+    const result = await invoke('notes.update', { id: note.id, updates: { content, projectId: project.id } });
+
+    expect(result.success).toBe(true);
+    const projectDir = path.join(storagePath, 'notes', project.folder);
+    expect(result.data.filePath).toBe(path.join(projectDir, 'wandering-note.md'));
+    expect(fs.existsSync(note.filePath)).toBe(false);
+    expect([...fs.readFileSync(path.join(projectDir, 'attachments', 'sketch.png'))]).toEqual([4, 5, 6]);
+    expect((await invoke('notes.get', note.id)).data.content).toBe(content);
+
+    // Without a project the note goes back to the top level
+    const unlinked = await invoke('notes.update', { id: note.id, updates: { projectId: null } });
+    expect(unlinked.data.filePath).toBe(path.join(storagePath, 'notes', 'wandering-note.md'));
+  });
+
+  it('should not move a note onto another note of the same name', async () => {
+    const { data: project } = await invoke('projects.create', { name: 'Crowded' });
+    await invoke('notes.create', { title: 'Same name', projectId: project.id });
+    const { data: note } = await invoke('notes.create', { title: 'Same name' });
+
+    const result = await invoke('notes.update', { id: note.id, updates: { projectId: project.id } });
+
+    expect(result).toEqual({ success: false, error: 'DUPLICATE_TITLE' });
+    expect(fs.existsSync(note.filePath)).toBe(true);
+  });
+});
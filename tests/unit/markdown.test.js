@@ -0,0 +1,74 @@
+// @vitest-environment jsdom
+// DOMPurify removes every element under happy-dom, so this file runs in jsdom
+import { describe, it, expect } from 'vitest';
+
+const { markdownService } = await import('../../src/renderer/js/services/markdown.js');
+
+describe('MarkdownService', () => {
+  const render = (markdown) => markdownService.render(markdown);
+
+  describe('fenced code', () => {
+    it('should highlight known languages', () => {
+      const html = render('```js\nconst answer = 42;\n```');
+
+      expect(html).toContain('<pre><code class="hljs language-js">');
+      expect(html).toContain('<span class="hljs-keyword">const</span>');
+    });
+
+    it('should take the language from the first word of the info string, ignoring case', () => {
+      expect(render('```Python title="example.py"\nprint(1)\n```')).toContain('class="hljs language-python"');
+    });
+
+    it('should keep unknown languages as escaped plain text', () => {
+      const html = render('```nosuchlang\n<script>alert(1)</script>\n```');
+
+      expect(html).toContain('class="hljs language-nosuchlang"');
+      expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+      expect(html).not.toContain('<span');
+    });
+
+    it('should render code without a language unhighlighted', () => {
+      expect(render('```\nplain <b>\n```')).toBe('<pre><code class="hljs">plain &lt;b&gt;</code></pre>\n');
+    });
+
+    it('should turn mermaid blocks into diagram placeholders', () => {
+      expect(render('```mermaid\ngraph TD; A-->B\n```'))
+        .toContain('<div class="mermaid-diagram">graph TD; A--&gt;B</div>');
+    });
+  });
+
+  describe('math', () => {
+    it('should render inline math in the text', () => {
+      const html = render('Area is $\\pi r^2$ here');
+
+      expect(html).toMatch(/^<p>Area is <span class="katex">/);
+      expect(html).not.toContain('katex-display');
+      expect(html).toContain(' here</p>');
+    });
+
+    it('should render block math as display math', () => {
+      const html = render('$$\n\\sum_{i=1}^n i\n$$');
+
+      expect(html).toMatch(/^<div class="math-block"><span class="katex-display">/);
+    });
+
+    it('should render $$...$$ inside a paragraph as display math', () => {
+      expect(render('Sum: $$x + y$$ done')).toContain('<span class="katex-display">');
+    });
+
+    it('should leave prices and loose dollar signs alone', () => {
+      expect(render('Costs $5 and $10')).toBe('<p>Costs $5 and $10</p>\n');
+      expect(render('A $ b $ c')).not.toContain('katex');
+    });
+
+    it('should show TeX errors in place', () => {
+      const html = render('$\\frac{1}{$');
+
+      expect(html).toContain('katex-error');
+    });
+
+    it('should not let math add links', () => {
+      expect(render('$\\href{javascript:alert(1)}{x}$')).not.toContain('<a');
+    });
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { storageFixtures } from './helpers/storage-fixtures.js';
+
+const { fileService } = await import('../../src/main/services/file-service.js');
+const { migrationService, compareVersions, MIGRATIONS } = await import('../../src/main/services/migration-service.js');
+const { STORAGE_VERSION } = await import('../../src/shared/constants.js');
+
+describe('MigrationService', () => {
+  let storagePath;
+
+  const { kbPath, writeStore, readStore, writeFile } = storageFixtures(() => storagePath);
+
+  beforeEach(async () => {
+    storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-migration-'));
+    await fileService.initialize(storagePath);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  describe('compareVersions', () => {
+    it('should compare versions part by part', () => {
+      expect(compareVersions('1.2.0', '1.10.0')).toBeLessThan(0);
+      expect(compareVersions('2.0.0', '1.9.9')).toBeGreaterThan(0);
+      expect(compareVersions('1.2', '1.2.0')).toBe(0);
+    });
+  });
+
+  it('should end at the storage version this app writes', () => {
+    expect(MIGRATIONS[MIGRATIONS.length - 1].version).toBe(STORAGE_VERSION);
+  });
+
+  it('should leave current storage alone', async () => {
+    await fileService.createInitialConfig(storagePath);
+
+    const result = await migrationService.run();
+
+    expect(result).toEqual({ from: STORAGE_VERSION, to: STORAGE_VERSION, applied: [], backupPath: null });
+    expect(fs.existsSync(kbPath('migration-backups'))).toBe(false);
+  });
+
+  it('should refuse storage written by a newer app version', async () => {
+    writeStore('config.json', { version: '99.0.0', preferences: {} });
+    writeStore('projects.json', { projects: [{ id: 'p1', name: 'Web' }] });
+
+    await expect(migrationService.run()).rejects.toThrow(
+      `STORAGE_TOO_NEW: storage format 99.0.0 is newer than ${STORAGE_VERSION}`
+    );
+    expect(readStore('projects.json')).toEqual({ projects: [{ id: 'p1', name: 'Web' }] });
+    expect(readStore('config.json').version).toBe('99.0.0');
+  });
+
+  it('should check the format of a folder without writing to it', async () => {
+    const newer = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-newer-'));
+    fs.mkdirSync(path.join(newer, '.knowledgebase'));
+    fs.writeFileSync(path.join(newer, '.knowledgebase', 'config.json'), JSON.stringify({ version: '99.0.0' }));
+
+    try {
+      await expect(migrationService.checkStorage(newer)).rejects.toThrow('STORAGE_TOO_NEW');
+      expect(fs.readdirSync(newer)).toEqual(['.knowledgebase']);
+      // Folders without a config are set up later
+      await expect(migrationService.checkStorage(storagePath)).resolves.toBeUndefined();
+    } finally {
+      fs.rmSync(newer, { recursive: true, force: true });
+    }
+  });
+
+  describe('from 1.0.0', () => {
+    beforeEach(() => {
+      writeStore('config.json', { version: '1.0.0', preferences: {} });
+      writeStore('projects.json', {
+        projects: [
+          { id: 'p1', name: 'Web App', folder: 'web-app' },
+          { id: 'p2', name: 'Old Project' },
+        ],
+      });
+      writeStore('daily-todos.json', {
+        dailyTodos: [
+          { id: 'd1', title: 'Ship', priority: 'urgent', createdAt: '2026-01-10T09:00:00Z' },
+          { id: 'd2', title: 'Test', priority: 'critical', daysOverdue: 2, createdDate: '2026-01-09' },
+        ],
+        lastRolloverDate: '2026-01-10',
+      });
+      writeFile('notes/p1/design.md', '---\nid: n1\nprojectId: p1\n---\nDesign');
+      writeFile('notes/p1/attachments/diagram.png', 'png');
+      writeFile('notes/web-app/readme.md', '---\nid: n2\nprojectId: p1\n---\nReadme');
+      writeFile('notes/web-app/design.md', '---\nid: n3\nprojectId: p1\n---\nOther design');
+      writeFile('notes/p2/plan.md', '---\nid: n4\nprojectId: p2\n---\nPlan');
+    });
+
+    it('should apply every step in order and record the version', async () => {
+      const result = await migrationService.run();
+
+      expect(result.from).toBe('1.0.0');
+      expect(result.applied).toEqual(['1.1.0', '1.2.0']);
+      expect(readStore('config.json').version).toBe(STORAGE_VERSION);
+    });
+
+    it('should complete the daily todo fields', async () => {
+      await migrationService.run();
+
+      const [first, second] = readStore('daily-todos.json').dailyTodos;
+      expect(first).toMatchObject({ priority: 'medium', daysOverdue: 0, createdDate: '2026-01-10' });
+      expect(second).toMatchObject({ priority: 'critical', daysOverdue: 2 });
+    });
+
+    it('should move project notes into the project folder', async () => {
+      await migrationService.run();
+
+      const notes = (...parts) => path.join(storagePath, 'notes', ...parts);
+      expect(fs.existsSync(notes('p1'))).toBe(false);
+      expect(fs.readFileSync(notes('web-app', 'readme.md'), 'utf-8')).toContain('Readme');
+      expect(fs.readFileSync(notes('web-app', 'attachments', 'diagram.png'), 'utf-8')).toBe('png');
+      // Both design notes are kept
+      expect(fs.readFileSync(notes('web-app', 'design.md'), 'utf-8')).toContain('Other design');
+      expect(fs.readFileSync(notes('web-app', 'design-2.md'), 'utf-8')).toContain('id: n1');
+
+      // Projects without a folder get one from their name
+      expect(readStore('projects.json').projects[1].folder).toBe('old-project');
+      expect(fs.existsSync(notes('old-project', 'plan.md'))).toBe(true);
+    });
+
+    it('should notify listeners before migrating', async () => {
+      const versions = [];
+      const unsubscribe = migrationService.onBeforeMigrate((version) => {
+        versions.push(version, readStore('config.json').version);
+        throw new Error('listener failure');
+      });
+
+      try {
+        const result = await migrationService.run();
+        expect(result.applied).toEqual(['1.1.0', '1.2.0']);
+      } finally {
+        unsubscribe();
+      }
+      expect(versions).toEqual(['1.0.0', '1.0.0']);
+    });
+
+    it('should back up the data before migrating', async () => {
+      fs.mkdirSync(kbPath('migration-backups', '2025-01-01T00-00-00-000Z-v1.0.0'), { recursive: true });
+
+      const { backupPath } = await migrationService.run();
+
+      expect(backupPath.startsWith(kbPath('migration-backups'))).toBe(true);
+      expect(JSON.parse(fs.readFileSync(path.join(backupPath, '.knowledgebase', 'config.json'), 'utf-8')).version)
+        .toBe('1.0.0');
+      expect(fs.existsSync(path.join(backupPath, 'notes', 'p1', 'design.md'))).toBe(true);
+      expect(fs.existsSync(path.join(backupPath, '.knowledgebase', 'migration-backups'))).toBe(false);
+      // Only the newest copy is kept
+      expect(fs.readdirSync(kbPath('migration-backups'))).toEqual([path.basename(backupPath)]);
+    });
+
+    it('should keep finished steps and report the failed one', async () => {
+      fs.writeFileSync(kbPath('projects.json'), '{ broken');
+
+      await expect(migrationService.run()).rejects.toThrow(/^MIGRATION_FAILED: 1\.2\.0: /);
+      expect(readStore('config.json').version).toBe('1.1.0');
+      expect(readStore('daily-todos.json').dailyTodos[0].priority).toBe('medium');
+    });
+  });
+});
@@ -0,0 +1,216 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import path from 'node:path';
+
+// In-memory file system for the history folder
+const files = new Map();
+const enoent = () => Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+
+vi.mock('node:fs/promises', () => ({
+  default: {
+    mkdir: vi.fn(async () => {}),
+    readdir: vi.fn(async (dirPath) => {
+      const names = [...files.keys()]
+        .filter(filePath => path.dirname(filePath) === dirPath)
+        .map(filePath => path.basename(filePath));
+      if (names.length === 0) throw enoent();
+      return names;
+    }),
+    readFile: vi.fn(async (filePath) => {
+      if (!files.has(filePath)) throw enoent();
+      return files.get(filePath);
+    }),
+    writeFile: vi.fn(async (filePath, data) => {
+      files.set(filePath, data);
+    }),
+    unlink: vi.fn(async (filePath) => {
+      files.delete(filePath);
+    }),
+    rm: vi.fn(async (dirPath) => {
+      for (const filePath of [...files.keys()]) {
+        if (filePath.startsWith(dirPath + path.sep)) files.delete(filePath);
+      }
+    }),
+  },
+}));
+
+// Import after mocking
+const { noteHistoryService } = await import('../../src/main/services/note-history-service.js');
+
+describe('NoteHistoryService', () => {
+  const testStoragePath = '/test/storage';
+  const day = 24 * 60 * 60 * 1000;
+
+  const makeNote = (overrides = {}) => ({
+    id: 'note-1',
+    title: 'First Note',
+    content: 'Line one',
+    projectId: null,
+    tags: [],
+    modifiedAt: '2026-01-01T00:00:00.000Z',
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    files.clear();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-03-01T00:00:00.000Z'));
+    noteHistoryService.initialize(testStoragePath);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('record', () => {
+    it('should store a compressed revision under the note folder', async () => {
+      const revisionId = await noteHistoryService.record(makeNote());
+
+      const filePath = path.join(testStoragePath, '.knowledgebase', 'history', 'note-1', `${revisionId}.json.gz`);
+      expect(files.has(filePath)).toBe(true);
+      expect(files.get(filePath).subarray(0, 2)).toEqual(Buffer.from([0x1f, 0x8b]));
+
+      const revision = await noteHistoryService.get('note-1', revisionId);
+      expect(revision).toMatchObject({ title: 'First Note', content: 'Line one', savedAt: '2026-03-01T00:00:00.000Z' });
+    });
+
+    it('should skip saves that did not change the note', async () => {
+      await noteHistoryService.record(makeNote());
+      vi.advanceTimersByTime(1000);
+
+      expect(await noteHistoryService.record(makeNote())).toBeNull();
+      expect(await noteHistoryService.list('note-1')).toHaveLength(1);
+    });
+
+    it('should keep unique IDs for saves within the same millisecond', async () => {
+      const first = await noteHistoryService.record(makeNote());
+      const second = await noteHistoryService.record(makeNote({ content: 'Changed' }));
+
+      expect(Number(second)).toBe(Number(first) + 1);
+    });
+
+    it('should reject note IDs that would escape the history folder', async () => {
+      await expect(noteHistoryService.record(makeNote({ id: '../config' }))).rejects.toThrow('VALIDATION_ERROR');
+    });
+  });
+
+  describe('list', () => {
+    it('should list revisions newest first', async () => {
+      await noteHistoryService.record(makeNote({ content: 'v1' }));
+      vi.advanceTimersByTime(1000);
+      await noteHistoryService.record(makeNote({ content: 'version 2' }));
+
+      const revisions = await noteHistoryService.list('note-1');
+
+      expect(revisions.map(r => r.size)).toEqual([9, 2]);
+      expect(revisions[0].savedAt > revisions[1].savedAt).toBe(true);
+    });
+
+    it('should return an empty list for notes without history', async () => {
+      expect(await noteHistoryService.list('unknown')).toEqual([]);
+    });
+  });
+
+  describe('prune', () => {
+    it('should keep at most maxRevisions revisions', async () => {
+      for (let i = 0; i < 5; i++) {
+        await noteHistoryService.record(makeNote({ content: `v${i}` }), { maxRevisions: 3 });
+        vi.advanceTimersByTime(1000);
+      }
+
+      const revisions = await noteHistoryService.list('note-1');
+      expect(revisions).toHaveLength(3);
+      expect((await noteHistoryService.get('note-1', revisions[0].id)).content).toBe('v4');
+    });
+
+    it('should drop revisions older than maxAgeDays but keep the newest', async () => {
+      await noteHistoryService.record(makeNote({ content: 'old' }));
+      vi.advanceTimersByTime(10 * day);
+      await noteHistoryService.record(makeNote({ content: 'new' }), { maxAgeDays: 7 });
+
+      expect(await noteHistoryService.list('note-1')).toHaveLength(1);
+
+      vi.advanceTimersByTime(30 * day);
+      expect(await noteHistoryService.prune('note-1', { maxAgeDays: 7 })).toBe(0);
+    });
+
+    it('should keep revisions forever when maxAgeDays is 0', async () => {
+      await noteHistoryService.record(makeNote({ content: 'old' }));
+      vi.advanceTimersByTime(1000 * day);
+      await noteHistoryService.record(makeNote({ content: 'new' }), { maxAgeDays: 0 });
+
+      expect(await noteHistoryService.list('note-1')).toHaveLength(2);
+    });
+  });
+
+  describe('get', () => {
+    it('should throw REVISION_NOT_FOUND for unknown revisions', async () => {
+      await expect(noteHistoryService.get('note-1', '123')).rejects.toThrow('REVISION_NOT_FOUND');
+      await expect(noteHistoryService.get('note-1', '../x')).rejects.toThrow('REVISION_NOT_FOUND');
+    });
+  });
+
+  describe('remove', () => {
+    it('should delete all revisions of a note', async () => {
+      await noteHistoryService.record(makeNote());
+      await noteHistoryService.record(makeNote({ id: 'note-2' }));
+
+      await noteHistoryService.remove('note-1');
+
+      expect(await noteHistoryService.list('note-1')).toEqual([]);
+      expect(await noteHistoryService.list('note-2')).toHaveLength(1);
+    });
+  });
+
+  describe('diffLines', () => {
+    it('should mark added, removed and unchanged lines', () => {
+      const diff = noteHistoryService.diffLines('a\nb\nc\nd', 'a\nc\nx\nd');
+
+      expect(diff).toEqual([
+        { type: 'equal', text: 'a' },
+        { type: 'remove', text: 'b' },
+        { type: 'equal', text: 'c' },
+        { type: 'add', text: 'x' },
+        { type: 'equal', text: 'd' },
+      ]);
+    });
+
+    it('should treat CRLF and LF line endings alike', () => {
+      const diff = noteHistoryService.diffLines('a\r\nb', 'a\nb');
+
+      expect(diff.every(line => line.type === 'equal')).toBe(true);
+    });
+  });
+
+  describe('mergeLines', () => {
+    const mergedText = ({ chunks }) => chunks.flatMap(chunk => chunk.lines).join('\n');
+
+    it('should combine changes made to different lines', () => {
+      const result = noteHistoryService.mergeLines('a\nb\nc\nd', 'a\nB\nc\nd', 'a\nb\nc\nD\ne');
+
+      expect(result.conflicts).toBe(0);
+      expect(mergedText(result)).toBe('a\nB\nc\nD\ne');
+      expect(result.chunks.map(chunk => chunk.source)).toEqual(['base', 'mine', 'base', 'theirs']);
+    });
+
+    it('should take identical changes once', () => {
+      const result = noteHistoryService.mergeLines('a\nb', 'a\nx', 'a\nx');
+
+      expect(result.conflicts).toBe(0);
+      expect(mergedText(result)).toBe('a\nx');
+    });
+
+    it('should report lines changed differently on both sides as a conflict', () => {
+      const result = noteHistoryService.mergeLines('a\nb\nc', 'a\nmine\nc', 'a\ntheirs\nc');
+
+      expect(result.conflicts).toBe(1);
+      expect(result.chunks[1]).toEqual({ type: 'conflict', base: ['b'], mine: ['mine'], theirs: ['theirs'] });
+    });
+
+    it('should keep deletions from either side', () => {
+      const result = noteHistoryService.mergeLines('a\nb\nc\nd', 'a\nc\nd', 'a\nb\nc');
+
+      expect(result.conflicts).toBe(0);
+      expect(mergedText(result)).toBe('a\nc');
+    });
+  });
+});
@@ -0,0 +1,308 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import path from 'node:path';
+
+// Mock the fs module with factory function
+vi.mock('node:fs/promises', () => ({
+  default: {
+    stat: vi.fn(),
+  },
+}));
+
+// Create mock for fileService
+const mockFileService = {
+  readJSON: vi.fn(),
+  writeJSON: vi.fn(),
+  ensureDirectoryExists: vi.fn(),
+  readDirectoryRecursive: vi.fn(),
+  readNote: vi.fn(),
+};
+
+// Mock the file-service module
+vi.mock('../../src/main/services/file-service.js', () => ({
+  fileService: mockFileService,
+}));
+
+// Import after mocking
+import fs from 'node:fs/promises';
+const { noteIndexService } = await import('../../src/main/services/note-index-service.js');
+
+describe('NoteIndexService', () => {
+  const testStoragePath = '/test/storage';
+  const notePath = (...parts) => path.join(testStoragePath, 'notes', ...parts);
+
+  const makeNote = (overrides = {}) => ({
+    id: 'note-1',
+    title: 'First Note',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    modifiedAt: '2026-01-02T00:00:00.000Z',
+    projectId: null,
+    tags: [],
+    content: 'Body',
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    // Reset service state
+    noteIndexService.storageRoot = null;
+    noteIndexService.entries = new Map();
+    noteIndexService.loading = null;
+
+    mockFileService.readJSON.mockResolvedValue(null);
+    mockFileService.writeJSON.mockResolvedValue(undefined);
+    mockFileService.ensureDirectoryExists.mockResolvedValue(undefined);
+    mockFileService.readDirectoryRecursive.mockResolvedValue([]);
+    fs.stat.mockResolvedValue({ mtimeMs: 1000 });
+  });
+
+  describe('initialize', () => {
+    it('should reject when no storage path is configured', async () => {
+      await expect(noteIndexService.initialize(null)).rejects.toThrow('STORAGE_NOT_CONFIGURED');
+    });
+
+    it('should build the index from note files when none exists', async () => {
+      mockFileService.readDirectoryRecursive.mockResolvedValue([
+        notePath('first-note.md'),
+        notePath('readme.txt'),
+      ]);
+      mockFileService.readNote.mockResolvedValue(makeNote({ filePath: notePath('first-note.md') }));
+
+      await noteIndexService.initialize(testStoragePath);
+
+      expect(mockFileService.readNote).toHaveBeenCalledTimes(1);
+      expect(noteIndexService.get('note-1')).toMatchObject({
+        id: 'note-1',
+        title: 'First Note',
+        filePath: notePath('first-note.md'),
+      });
+      expect(mockFileService.writeJSON).toHaveBeenCalledWith('notes-index.json', {
+        version: 3,
+        notes: [expect.objectContaining({ id: 'note-1', filePath: 'notes/first-note.md', mtimeMs: 1000 })],
+      });
+    });
+
+    it('should not re-read notes whose modification time is unchanged', async () => {
+      mockFileService.readJSON.mockResolvedValue({
+        version: 3,
+        notes: [{ ...makeNote(), content: undefined, filePath: 'notes/first-note.md', mtimeMs: 1000 }],
+      });
+      mockFileService.readDirectoryRecursive.mockResolvedValue([notePath('first-note.md')]);
+
+      await noteIndexService.initialize(testStoragePath);
+
+      expect(mockFileService.readNote).not.toHaveBeenCalled();
+      expect(mockFileService.writeJSON).not.toHaveBeenCalled();
+      expect(noteIndexService.get('note-1').title).toBe('First Note');
+    });
+
+    it('should re-read notes that changed on disk', async () => {
+      mockFileService.readJSON.mockResolvedValue({
+        version: 3,
+        notes: [{ ...makeNote(), filePath: 'notes/first-note.md', mtimeMs: 500 }],
+      });
+      mockFileService.readDirectoryRecursive.mockResolvedValue([notePath('first-note.md')]);
+      mockFileService.readNote.mockResolvedValue(makeNote({ title: 'Edited Elsewhere' }));
+
+      await noteIndexService.initialize(testStoragePath);
+
+      expect(mockFileService.readNote).toHaveBeenCalledWith(notePath('first-note.md'));
+      expect(noteIndexService.get('note-1').title).toBe('Edited Elsewhere');
+      expect(mockFileService.writeJSON).toHaveBeenCalled();
+    });
+
+    it('should drop entries whose files no longer exist', async () => {
+      mockFileService.readJSON.mockResolvedValue({
+        version: 3,
+        notes: [{ ...makeNote(), filePath: 'notes/first-note.md', mtimeMs: 1000 }],
+      });
+
+      await noteIndexService.initialize(testStoragePath);
+
+      expect(noteIndexService.get('note-1')).toBeNull();
+      expect(mockFileService.writeJSON).toHaveBeenCalledWith('notes-index.json', { version: 3, notes: [] });
+    });
+
+    it('should rebuild when the index file is corrupt', async () => {
+      mockFileService.readJSON.mockRejectedValue(new Error('JSON_PARSE_ERROR'));
+      mockFileService.readDirectoryRecursive.mockResolvedValue([notePath('first-note.md')]);
+      mockFileService.readNote.mockResolvedValue(makeNote());
+
+      await noteIndexService.initialize(testStoragePath);
+
+      expect(noteIndexService.get('note-1')).not.toBeNull();
+    });
+
+    it('should re-read all notes when the index has an older version', async () => {
+      mockFileService.readJSON.mockResolvedValue({
+        version: 1,
+        notes: [{ ...makeNote(), filePath: 'notes/first-note.md', mtimeMs: 1000 }],
+      });
+      mockFileService.readDirectoryRecursive.mockResolvedValue([notePath('first-note.md')]);
+      mockFileService.readNote.mockResolvedValue(makeNote({ content: 'Body with #inline tag' }));
+
+      await noteIndexService.initialize(testStoragePath);
+
+      expect(mockFileService.readNote).toHaveBeenCalledTimes(1);
+      expect(noteIndexService.get('note-1').inlineTags).toEqual(['inline']);
+    });
+
+    it('should only load once per storage location', async () => {
+      await noteIndexService.initialize(testStoragePath);
+      await noteIndexService.initialize(testStoragePath);
+
+      expect(mockFileService.readJSON).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip unreadable notes', async () => {
+      mockFileService.readDirectoryRecursive.mockResolvedValue([notePath('broken.md')]);
+      mockFileService.readNote.mockRejectedValue(new Error('READ_ERROR'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await noteIndexService.initialize(testStoragePath);
+
+      expect(noteIndexService.list()).toEqual([]);
+    });
+  });
+
+  describe('reconcile', () => {
+    beforeEach(async () => {
+      await noteIndexService.initialize(testStoragePath);
+      await noteIndexService.upsert(makeNote(), notePath('first-note.md'));
+      await noteIndexService.upsert(makeNote({ id: 'note-2', title: 'Second' }), notePath('second.md'));
+      vi.clearAllMocks();
+    });
+
+    it('should return the IDs of re-read and removed notes', async () => {
+      mockFileService.readDirectoryRecursive.mockResolvedValue([notePath('first-note.md')]);
+      fs.stat.mockResolvedValue({ mtimeMs: 2000 });
+      mockFileService.readNote.mockResolvedValue(makeNote({ title: 'Edited Elsewhere' }));
+
+      expect(await noteIndexService.reconcile()).toEqual({ changed: ['note-1'], removed: ['note-2'] });
+    });
+
+    it('should keep notes upserted while scanning', async () => {
+      mockFileService.readDirectoryRecursive.mockImplementation(async () => {
+        await noteIndexService.upsert(makeNote({ id: 'note-3', title: 'New' }), notePath('new.md'));
+        return [notePath('first-note.md'), notePath('second.md')];
+      });
+
+      const result = await noteIndexService.reconcile();
+
+      expect(result).toEqual({ changed: [], removed: [] });
+      expect(noteIndexService.get('note-3')).not.toBeNull();
+    });
+  });
+
+  describe('list', () => {
+    beforeEach(async () => {
+      mockFileService.readDirectoryRecursive.mockResolvedValue([
+        notePath('root-note.md'),
+        notePath('project-a', 'project-note.md'),
+      ]);
+      mockFileService.readNote
+        .mockResolvedValueOnce(makeNote({ id: 'root', title: 'Root Note' }))
+        .mockResolvedValueOnce(makeNote({ id: 'nested', title: 'Project Note', projectId: 'project-a' }));
+      await noteIndexService.initialize(testStoragePath);
+    });
+
+    it('should list all notes', () => {
+      expect(noteIndexService.list().map(n => n.id)).toEqual(['root', 'nested']);
+    });
+
+    it('should limit results to a project folder', () => {
+      const notes = noteIndexService.list('project-a');
+
+      expect(notes).toHaveLength(1);
+      expect(notes[0]).toEqual({
+        id: 'nested',
+        title: 'Project Note',
+        createdAt: '2026-01-01T00:00:00.000Z',
+        modifiedAt: '2026-01-02T00:00:00.000Z',
+        projectId: 'project-a',
+        tags: [],
+        aliases: [],
+        inlineTags: [],
+        filePath: notePath('project-a', 'project-note.md'),
+      });
+    });
+  });
+
+  describe('upsert', () => {
+    beforeEach(async () => {
+      await noteIndexService.initialize(testStoragePath);
+      vi.clearAllMocks();
+    });
+
+    it('should add a note and persist the index', async () => {
+      fs.stat.mockResolvedValue({ mtimeMs: 2000 });
+
+      await noteIndexService.upsert(makeNote(), notePath('first-note.md'));
+
+      expect(noteIndexService.get('note-1').filePath).toBe(notePath('first-note.md'));
+      expect(mockFileService.writeJSON).toHaveBeenCalledWith('notes-index.json', {
+        version: 3,
+        notes: [expect.objectContaining({ id: 'note-1', mtimeMs: 2000 })],
+      });
+    });
+
+    it('should keep inline tags on metadata-only upserts', async () => {
+      await noteIndexService.upsert(makeNote({ content: 'See #project' }), notePath('first-note.md'));
+      await noteIndexService.upsert({ ...makeNote(), content: undefined }, notePath('first-note.md'));
+
+      expect(noteIndexService.get('note-1').inlineTags).toEqual(['project']);
+    });
+
+    it('should replace the entry when a note was renamed', async () => {
+      fs.stat.mockResolvedValue({ mtimeMs: 2000 });
+      await noteIndexService.upsert(makeNote(), notePath('first-note.md'));
+      await noteIndexService.upsert(makeNote({ title: 'Renamed' }), notePath('renamed.md'));
+
+      expect(noteIndexService.list()).toHaveLength(1);
+      expect(noteIndexService.get('note-1')).toMatchObject({
+        title: 'Renamed',
+        filePath: notePath('renamed.md'),
+      });
+    });
+  });
+
+  describe('onChange', () => {
+    it('should notify listeners about upserts, removals and resets', async () => {
+      const listener = vi.fn();
+      const unsubscribe = noteIndexService.onChange(listener);
+
+      await noteIndexService.initialize(testStoragePath);
+      await noteIndexService.upsert(makeNote(), notePath('first-note.md'));
+      await noteIndexService.remove('note-1');
+      unsubscribe();
+      await noteIndexService.upsert(makeNote(), notePath('first-note.md'));
+
+      expect(listener.mock.calls.map(([event]) => event.type)).toEqual(['reset', 'upsert', 'remove']);
+      expect(listener.mock.calls[1][0].note).toMatchObject({
+        id: 'note-1',
+        content: 'Body',
+        filePath: notePath('first-note.md'),
+      });
+    });
+  });
+
+  describe('remove', () => {
+    beforeEach(async () => {
+      await noteIndexService.initialize(testStoragePath);
+      await noteIndexService.upsert(makeNote(), notePath('first-note.md'));
+      vi.clearAllMocks();
+    });
+
+    it('should remove a note and persist the index', async () => {
+      await noteIndexService.remove('note-1');
+
+      expect(noteIndexService.get('note-1')).toBeNull();
+      expect(mockFileService.writeJSON).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not write when the note is not indexed', async () => {
+      await noteIndexService.remove('unknown');
+
+      expect(mockFileService.writeJSON).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,203 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Create mocks for the services the link table reads from
+const mockFileService = {
+  readNote: vi.fn(),
+  writeNote: vi.fn(),
+  withFileLock: vi.fn((_filePath, task) => task()),
+};
+
+const mockNoteIndexService = {
+  list: vi.fn(),
+  get: vi.fn(),
+  upsert: vi.fn(),
+  onChange: vi.fn(),
+};
+
+vi.mock('../../src/main/services/file-service.js', () => ({
+  fileService: mockFileService,
+}));
+
+vi.mock('../../src/main/services/note-index-service.js', () => ({
+  noteIndexService: mockNoteIndexService,
+}));
+
+// Import after mocking
+const { noteLinkService } = await import('../../src/main/services/note-link-service.js');
+
+describe('NoteLinkService', () => {
+  let notes;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    noteLinkService.clear();
+
+    notes = [
+      { id: 'a', title: 'Architecture', projectId: 'p1', tags: [], content: 'See [[Decisions]] and [[Glossary]].' },
+      { id: 'b', title: 'Decisions', projectId: 'p1', tags: [], content: 'Back to [[Architecture]].\nMissing [[Nowhere]].' },
+      { id: 'c', title: 'Glossary', projectId: 'p2', tags: [], content: 'Terms used in [[Architecture]] docs.' },
+      { id: 'd', title: 'Orphan', projectId: null, tags: [], content: 'No links here.' },
+    ];
+
+    mockNoteIndexService.list.mockImplementation(() => notes.map(n => ({ ...n, filePath: `/notes/${n.id}.md` })));
+    mockNoteIndexService.get.mockImplementation(id => {
+      const note = notes.find(n => n.id === id);
+      return note ? { ...note, filePath: `/notes/${id}.md` } : null;
+    });
+    mockFileService.readNote.mockImplementation(async (filePath) => {
+      const id = filePath.replace('/notes/', '').replace('.md', '');
+      const note = notes.find(n => n.id === id);
+      return note ? { ...note, filePath } : note;
+    });
+    mockFileService.writeNote.mockResolvedValue(undefined);
+    mockNoteIndexService.upsert.mockResolvedValue(undefined);
+  });
+
+  describe('extractLinks', () => {
+    it('should return link targets with line context and ranges', () => {
+      const [link] = noteLinkService.extractLinks('First line\n  Related: [[Target Note]] here\nLast');
+
+      expect(link.target).toBe('Target Note');
+      expect(link.context).toBe('Related: [[Target Note]] here');
+      expect(link.context.substring(link.start, link.end)).toBe('[[Target Note]]');
+    });
+
+    it('should shorten long lines around the link', () => {
+      const content = 'x'.repeat(200) + ' [[Target]] ' + 'y'.repeat(200);
+      const [link] = noteLinkService.extractLinks(content);
+
+      expect(link.context.startsWith('...')).toBe(true);
+      expect(link.context.endsWith('...')).toBe(true);
+      expect(link.context.substring(link.start, link.end)).toBe('[[Target]]');
+    });
+  });
+
+  describe('getBacklinks', () => {
+    it('should list notes linking to a note with context', async () => {
+      const backlinks = await noteLinkService.getBacklinks('a');
+
+      expect(backlinks.map(b => b.id)).toEqual(['b', 'c']);
+      expect(backlinks[0].contexts).toEqual([
+        { context: 'Back to [[Architecture]].', start: 8, end: 24 },
+      ]);
+    });
+
+    it('should return an empty list for notes nobody links to', async () => {
+      expect(await noteLinkService.getBacklinks('d')).toEqual([]);
+    });
+
+    it('should throw NOTE_NOT_FOUND for unknown notes', async () => {
+      await expect(noteLinkService.getBacklinks('missing')).rejects.toThrow('NOTE_NOT_FOUND');
+    });
+
+    it('should only read all notes once', async () => {
+      await noteLinkService.getBacklinks('a');
+      await noteLinkService.getBacklinks('b');
+
+      expect(mockFileService.readNote).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  describe('getLinkGraph', () => {
+    it('should return nodes, resolved edges and unresolved links', async () => {
+      const graph = await noteLinkService.getLinkGraph();
+
+      expect(graph.nodes.map(n => n.id)).toEqual(['a', 'b', 'c', 'd']);
+      expect(graph.edges).toEqual([
+        { source: 'a', target: 'b' },
+        { source: 'a', target: 'c' },
+        { source: 'b', target: 'a' },
+        { source: 'c', target: 'a' },
+      ]);
+      expect(graph.unresolved).toEqual([{ source: 'b', title: 'Nowhere' }]);
+    });
+
+    it('should limit the graph to one project without reporting cross-project links as broken', async () => {
+      const graph = await noteLinkService.getLinkGraph({ projectId: 'p1' });
+
+      expect(graph.nodes.map(n => n.id)).toEqual(['a', 'b']);
+      expect(graph.edges).toEqual([
+        { source: 'a', target: 'b' },
+        { source: 'b', target: 'a' },
+      ]);
+      expect(graph.unresolved).toEqual([{ source: 'b', title: 'Nowhere' }]);
+    });
+  });
+
+  describe('previewLinkChanges', () => {
+    it('should list affected notes with occurrence counts', async () => {
+      const preview = await noteLinkService.previewLinkChanges('a');
+
+      expect(preview.map(n => [n.id, n.occurrences])).toEqual([['b', 1], ['c', 1]]);
+    });
+  });
+
+  describe('rewriteLinks', () => {
+    it('should replace links in every referencing note', async () => {
+      const rewritten = await noteLinkService.rewriteLinks('Architecture', '[[System Design]]');
+
+      expect(rewritten.sort()).toEqual(['b', 'c']);
+      expect(mockFileService.writeNote).toHaveBeenCalledWith('/notes/b.md', expect.objectContaining({
+        content: 'Back to [[System Design]].\nMissing [[Nowhere]].',
+      }));
+      expect(mockNoteIndexService.upsert).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip the excluded note', async () => {
+      const rewritten = await noteLinkService.rewriteLinks('Architecture', 'Architecture', { excludeId: 'c' });
+
+      expect(rewritten).toEqual(['b']);
+      expect(mockFileService.writeNote).toHaveBeenCalledTimes(1);
+    });
+
+    it('should rewrite the version of a note saved while waiting for its lock', async () => {
+      mockFileService.withFileLock.mockImplementationOnce(async (filePath, task) => {
+        // A save of note b finishes before the rewrite gets the lock
+        notes.find(n => n.id === 'b').content = 'Saved meanwhile, still [[Architecture]].';
+        return task();
+      });
+
+      await noteLinkService.rewriteLinks('Architecture', '[[System Design]]');
+
+      expect(mockFileService.withFileLock).toHaveBeenCalledWith('/notes/b.md', expect.any(Function));
+      expect(mockFileService.writeNote).toHaveBeenCalledWith('/notes/b.md', expect.objectContaining({
+        content: 'Saved meanwhile, still [[System Design]].',
+      }));
+    });
+
+    it('should restore already written notes when a write fails', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      mockFileService.writeNote
+        .mockResolvedValueOnce(undefined)
+        .mockRejectedValueOnce(new Error('WRITE_ERROR'));
+
+      await expect(noteLinkService.rewriteLinks('Architecture', '[[X]]')).rejects.toThrow('LINK_UPDATE_ERROR');
+
+      const restored = mockFileService.writeNote.mock.calls[2][1];
+      expect(restored.content).toBe(notes.find(n => n.id === restored.id).content);
+    });
+  });
+
+  describe('handleIndexChange', () => {
+    beforeEach(async () => {
+      await noteLinkService.ensureBuilt();
+    });
+
+    it('should pick up new links from upserted notes', async () => {
+      noteLinkService.handleIndexChange({
+        type: 'upsert',
+        note: { id: 'd', content: 'Now linking [[Architecture]]' },
+      });
+
+      const backlinks = await noteLinkService.getBacklinks('a');
+
+      expect(backlinks.map(b => b.id)).toEqual(['b', 'c', 'd']);
+    });
+
+    it('should forget links of removed notes', async () => {
+      noteLinkService.handleIndexChange({ type: 'remove', id: 'b' });
+
+      expect(await noteLinkService.getReferencingNoteIds('Architecture')).toEqual(['c']);
+    });
+  });
+});
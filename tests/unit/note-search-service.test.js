@@ -0,0 +1,202 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Create mocks for the services the search index reads from
+const mockFileService = {
+  readNote: vi.fn(),
+};
+
+const mockNoteIndexService = {
+  list: vi.fn(),
+  onChange: vi.fn(),
+};
+
+vi.mock('../../src/main/services/file-service.js', () => ({
+  fileService: mockFileService,
+}));
+
+vi.mock('../../src/main/services/note-index-service.js', () => ({
+  noteIndexService: mockNoteIndexService,
+}));
+
+// Import after mocking
+const { noteSearchService } = await import('../../src/main/services/note-search-service.js');
+
+describe('NoteSearchService', () => {
+  const notes = [
+    {
+      id: 'electron',
+      title: 'Electron IPC',
+      content: 'How the main process talks to the renderer using ipcMain and ipcRenderer.',
+      projectId: 'project-desktop',
+      tags: ['electron', 'architecture'],
+      modifiedAt: '2026-01-03T00:00:00.000Z',
+    },
+    {
+      id: 'testing',
+      title: 'Testing Guide',
+      content: 'Unit tests use vitest. The renderer is tested with happy-dom.',
+      projectId: null,
+      tags: ['testing'],
+      modifiedAt: '2026-01-02T00:00:00.000Z',
+    },
+    {
+      id: 'meeting',
+      title: 'Weekly Meeting',
+      content: 'Discussed the main process refactoring and the release plan.',
+      projectId: 'project-desktop',
+      tags: ['meeting'],
+      modifiedAt: '2026-01-01T00:00:00.000Z',
+    },
+  ];
+
+  const projects = [{ id: 'project-desktop', name: 'Desktop', folder: 'desktop' }];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    noteSearchService.clear();
+    mockNoteIndexService.list.mockReturnValue(notes.map(n => ({ id: n.id, filePath: `/notes/${n.id}.md` })));
+    mockFileService.readNote.mockImplementation(async (filePath) => {
+      const id = filePath.replace('/notes/', '').replace('.md', '');
+      return notes.find(n => n.id === id);
+    });
+  });
+
+  describe('tokenize', () => {
+    it('should lowercase terms and keep character offsets', () => {
+      expect(noteSearchService.tokenize('Hello, World')).toEqual([
+        { term: 'hello', start: 0, end: 5 },
+        { term: 'world', start: 7, end: 12 },
+      ]);
+    });
+  });
+
+  describe('parseQuery', () => {
+    it('should parse phrases, prefixes and field filters', () => {
+      const parsed = noteSearchService.parseQuery('"main process" rend* title:guide tag:#Testing project:Desktop');
+
+      expect(parsed.clauses).toEqual([
+        { field: null, terms: ['main', 'process'], phrase: true, prefix: false },
+        { field: null, terms: ['rend'], phrase: false, prefix: true },
+        { field: 'title', terms: ['guide'], phrase: false, prefix: false },
+      ]);
+      expect(parsed.tags).toEqual(['testing']);
+      expect(parsed.projects).toEqual(['desktop']);
+    });
+  });
+
+  describe('search', () => {
+    it('should build the index lazily on first search', async () => {
+      await noteSearchService.search('vitest');
+      await noteSearchService.search('renderer');
+
+      expect(mockFileService.readNote).toHaveBeenCalledTimes(3);
+    });
+
+    it('should require all terms to match', async () => {
+      const results = await noteSearchService.search('renderer vitest');
+
+      expect(results.map(r => r.id)).toEqual(['testing']);
+    });
+
+    it('should rank title matches above content matches', async () => {
+      const results = await noteSearchService.search('electron ipc');
+
+      expect(results[0].id).toBe('electron');
+    });
+
+    it('should match quoted phrases only in order', async () => {
+      const phrase = await noteSearchService.search('"main process"');
+      const reversed = await noteSearchService.search('"process main"');
+
+      expect(phrase.map(r => r.id).sort()).toEqual(['electron', 'meeting']);
+      expect(reversed).toEqual([]);
+    });
+
+    it('should support prefix matching', async () => {
+      const results = await noteSearchService.search('refact*');
+
+      expect(results.map(r => r.id)).toEqual(['meeting']);
+    });
+
+    it('should restrict title: terms to the title', async () => {
+      const results = await noteSearchService.search('title:renderer');
+
+      expect(results).toEqual([]);
+    });
+
+    it('should filter by tag', async () => {
+      const results = await noteSearchService.search('renderer tag:testing');
+
+      expect(results.map(r => r.id)).toEqual(['testing']);
+    });
+
+    it('should filter by project name, folder or id', async () => {
+      const byName = await noteSearchService.search('main project:desktop', { projects });
+      const byId = await noteSearchService.search('project:project-desktop', { projects });
+
+      expect(byName.map(r => r.id).sort()).toEqual(['electron', 'meeting']);
+      expect(byId.map(r => r.id).sort()).toEqual(['electron', 'meeting']);
+    });
+
+    it('should limit results to the projectId option', async () => {
+      const results = await noteSearchService.search('renderer', { projectId: 'project-desktop' });
+
+      expect(results.map(r => r.id)).toEqual(['electron']);
+    });
+
+    it('should return highlight ranges for title and snippet', async () => {
+      const [result] = await noteSearchService.search('vitest');
+      const [titleResult] = await noteSearchService.search('weekly');
+
+      const highlight = result.highlights[0];
+      expect(result.snippet.substring(highlight.start, highlight.end)).toBe('vitest');
+      expect(titleResult.titleHighlights).toEqual([{ start: 0, end: 6 }]);
+    });
+
+    it('should return no results for an empty query', async () => {
+      expect(await noteSearchService.search('   ')).toEqual([]);
+    });
+  });
+
+  describe('handleIndexChange', () => {
+    beforeEach(async () => {
+      await noteSearchService.ensureBuilt();
+    });
+
+    it('should index upserted notes', async () => {
+      noteSearchService.handleIndexChange({
+        type: 'upsert',
+        note: { id: 'new', title: 'Kubernetes', content: 'pods', tags: [] },
+      });
+
+      const results = await noteSearchService.search('kubernetes');
+
+      expect(results.map(r => r.id)).toEqual(['new']);
+    });
+
+    it('should replace the previous version of a note', async () => {
+      noteSearchService.handleIndexChange({
+        type: 'upsert',
+        note: { ...notes[1], content: 'Now using jest' },
+      });
+
+      expect(await noteSearchService.search('vitest')).toEqual([]);
+      expect((await noteSearchService.search('jest')).map(r => r.id)).toEqual(['testing']);
+    });
+
+    it('should drop removed notes', async () => {
+      noteSearchService.handleIndexChange({ type: 'remove', id: 'testing' });
+
+      expect(await noteSearchService.search('vitest')).toEqual([]);
+    });
+
+    it('should rebuild after a reset', async () => {
+      noteSearchService.handleIndexChange({ type: 'reset' });
+      mockFileService.readNote.mockClear();
+
+      await noteSearchService.search('vitest');
+
+      expect(mockFileService.readNote).toHaveBeenCalledTimes(3);
+    });
+  });
+});
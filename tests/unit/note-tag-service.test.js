@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+
+const { noteTagService } = await import('../../src/main/services/note-tag-service.js');
+
+describe('NoteTagService', () => {
+  describe('extractInlineTags', () => {
+    it('should find #tags in the body', () => {
+      const tags = noteTagService.extractInlineTags('Working on #Backend today,#api and\n#ops/deploy.');
+
+      expect(tags).toEqual(['backend', 'api', 'ops/deploy']);
+    });
+
+    it('should ignore headings, numbers, anchors and URLs', () => {
+      const content = '# Heading\n## Sub\nIssue #42, see [docs](#setup) and https://example.com/#frag';
+
+      expect(noteTagService.extractInlineTags(content)).toEqual([]);
+    });
+
+    it('should ignore tags inside code', () => {
+      const content = 'Use `#notatag` here\n```sh\n# comment #shell\n```\nBut #real counts';
+
+      expect(noteTagService.extractInlineTags(content)).toEqual(['real']);
+    });
+
+    it('should return each tag once', () => {
+      expect(noteTagService.extractInlineTags('#a1 and #A1 again')).toEqual(['a1']);
+    });
+  });
+
+  describe('normalizeTags', () => {
+    it('should trim, lowercase, strip # and drop duplicates', () => {
+      expect(noteTagService.normalizeTags([' Dev ', '#dev', 'JS', ''])).toEqual(['dev', 'js']);
+    });
+
+    it('should reject tags with invalid characters', () => {
+      expect(() => noteTagService.normalizeTags(['two words'])).toThrow('VALIDATION_ERROR');
+      expect(() => noteTagService.normalizeTags('dev')).toThrow('VALIDATION_ERROR');
+    });
+  });
+
+  describe('matchesTags', () => {
+    const note = { tags: ['dev'], inlineTags: ['api'] };
+
+    it('should require all tags in and mode', () => {
+      expect(noteTagService.matchesTags(note, ['dev', 'api'])).toBe(true);
+      expect(noteTagService.matchesTags(note, ['dev', 'ops'])).toBe(false);
+    });
+
+    it('should require any tag in or mode', () => {
+      expect(noteTagService.matchesTags(note, ['ops', 'API'], 'or')).toBe(true);
+      expect(noteTagService.matchesTags(note, ['ops'], 'or')).toBe(false);
+    });
+
+    it('should match everything without tags', () => {
+      expect(noteTagService.matchesTags(note, [])).toBe(true);
+    });
+  });
+
+  describe('countTags', () => {
+    it('should count notes per tag, most used first', () => {
+      const counts = noteTagService.countTags([
+        { tags: ['dev'], inlineTags: ['dev', 'api'] },
+        { tags: ['api'], inlineTags: [] },
+        { tags: ['zeta', 'api'], content: 'also #dev' },
+      ]);
+
+      expect(counts).toEqual([
+        { tag: 'api', count: 3 },
+        { tag: 'dev', count: 2 },
+        { tag: 'zeta', count: 1 },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { storageFixtures } from './helpers/storage-fixtures.js';
+
+const { fileService } = await import('../../src/main/services/file-service.js');
+const { trashService } = await import('../../src/main/services/trash-service.js');
+const { storageCheckService } = await import('../../src/main/services/storage-check-service.js');
+
+describe('StorageCheckService', () => {
+  let storagePath;
+
+  const { writeStore, readStore, storageFile, writeFile } = storageFixtures(() => storagePath);
+  const writeNote = (relativePath, { id, projectId = null, createdAt = '2026-01-01T00:00:00Z', body = 'Body' }) =>
+    writeFile(relativePath, `---\nid: ${id}\ntitle: ${path.basename(relativePath, '.md')}\ncreatedAt: ${createdAt}\nprojectId: ${projectId}\n---\n${body}`);
+  const issueIds = async () => (await storageCheckService.check()).issues.map(issue => issue.id);
+
+  beforeEach(async () => {
+    storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-check-'));
+    await fileService.createInitialConfig(storagePath);
+    await fileService.initialize(storagePath);
+    writeStore('projects.json', { projects: [{ id: 'p1', name: 'Web App', folder: 'web-app' }] });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should report nothing for consistent storage', async () => {
+    writeNote('notes/web-app/design.md', { id: 'n1', projectId: 'p1' });
+    writeNote('notes/journal/2026-01-01.md', { id: 'n2' });
+    writeNote('notes/ideas.md', { id: 'n3' });
+    writeStore('todos.json', { todos: [{ id: 't1', title: 'Linked', projectId: 'p1' }, { id: 't2', title: 'Loose', projectId: null }] });
+    writeStore('milestones.json', { milestones: [{ id: 'm1', title: 'Launch', projectId: 'p1' }] });
+
+    const result = await storageCheckService.check();
+
+    expect(result.issues).toEqual([]);
+    expect(result.checkedAt).toEqual(expect.any(String));
+  });
+
+  it('should leave journal notes alone when a project uses the journal folder', async () => {
+    writeStore('projects.json', { projects: [{ id: 'p2', name: 'Journal', folder: 'journal' }] });
+    writeNote('notes/journal/2026-01-01.md', { id: 'n1' });
+    writeNote('notes/journal/plan.md', { id: 'n2', projectId: 'p2' });
+
+    expect(await issueIds()).toEqual([]);
+  });
+
+  it('should move corrupt snippets to the trash', async () => {
+    writeFile('snippets/good.json', JSON.stringify({ id: 'good', title: 'Good' }));
+    writeFile('snippets/broken.json', '{ "id": ');
+
+    const { issues } = await storageCheckService.check();
+    expect(issues).toEqual([expect.objectContaining({
+      id: 'corrupt-snippet:snippets/broken.json',
+      type: 'corrupt-snippet',
+      fix: 'Move the file to the trash',
+    })]);
+
+    const result = await storageCheckService.repair([issues[0].id]);
+
+    expect(result).toEqual({ fixed: ['corrupt-snippet:snippets/broken.json'], failed: [] });
+    expect(fs.existsSync(storageFile('snippets/broken.json'))).toBe(false);
+    expect(fs.existsSync(storageFile('snippets/good.json'))).toBe(true);
+    trashService.initialize(storagePath);
+    expect((await trashService.list())[0]).toMatchObject({ type: 'snippet', title: 'broken.json' });
+  });
+
+  it('should give unreadable notes new frontmatter and keep their text', async () => {
+    writeFile('notes/web-app/broken.md', '---\ntitle: [unclosed\n---\nImportant text');
+
+    expect(await issueIds()).toEqual(['unreadable-note:notes/web-app/broken.md']);
+    await storageCheckService.repair(['unreadable-note:notes/web-app/broken.md']);
+
+    const note = await fileService.readNote(storageFile('notes/web-app/broken.md'));
+    expect(note).toMatchObject({ title: 'broken', projectId: 'p1' });
+    expect(note.content).toContain('Important text');
+    expect(await issueIds()).toEqual([]);
+  });
+
+  it('should give duplicate notes a new ID and keep the oldest', async () => {
+    writeNote('notes/a.md', { id: 'n1', createdAt: '2026-02-01T00:00:00Z' });
+    writeNote('notes/b.md', { id: 'n1', createdAt: '2026-01-01T00:00:00Z' });
+
+    expect(await issueIds()).toEqual(['duplicate-note-id:notes/a.md']);
+    await storageCheckService.repair(['duplicate-note-id:notes/a.md']);
+
+    expect((await fileService.readNote(storageFile('notes/b.md'))).id).toBe('n1');
+    expect((await fileService.readNote(storageFile('notes/a.md'))).id).not.toBe('n1');
+    expect(await issueIds()).toEqual([]);
+  });
+
+  it('should move notes into the folder of their project with their attachments', async () => {
+    writeNote('notes/misplaced.md', { id: 'n1', projectId: 'p1', body: '![](attachments/diagram.png)' });
+    writeFile('notes/attachments/diagram.png', 'png');
+    writeNote('notes/web-app/loose.md', { id: 'n2' });
+
+    expect(await issueIds()).toEqual([
+      'note-folder-mismatch:notes/misplaced.md',
+      'note-folder-mismatch:notes/web-app/loose.md',
+    ]);
+    const result = await storageCheckService.repair(await issueIds());
+
+    expect(result.failed).toEqual([]);
+    expect(fs.existsSync(storageFile('notes/web-app/misplaced.md'))).toBe(true);
+    expect(fs.readFileSync(storageFile('notes/web-app/attachments/diagram.png'), 'utf-8')).toBe('png');
+    expect(fs.existsSync(storageFile('notes/attachments/diagram.png'))).toBe(true);
+    expect(fs.existsSync(storageFile('notes/loose.md'))).toBe(true);
+    expect(await issueIds()).toEqual([]);
+  });
+
+  it('should not overwrite a note with the same name in the target folder', async () => {
+    writeNote('notes/plan.md', { id: 'n1', projectId: 'p1' });
+    writeNote('notes/web-app/plan.md', { id: 'n2', projectId: 'p1' });
+
+    const result = await storageCheckService.repair(['note-folder-mismatch:notes/plan.md']);
+
+    expect(result).toEqual({ fixed: [], failed: [{ id: 'note-folder-mismatch:notes/plan.md', error: 'DUPLICATE_TITLE' }] });
+    expect((await fileService.readNote(storageFile('notes/web-app/plan.md'))).id).toBe('n2');
+  });
+
+  it('should unlink notes and todos from deleted projects', async () => {
+    writeNote('notes/gone/plan.md', { id: 'n1', projectId: 'gone' });
+    writeStore('todos.json', { todos: [{ id: 't1', title: 'Orphan', projectId: 'gone' }, { id: 't2', title: 'Fine', projectId: 'p1' }] });
+
+    expect(await issueIds()).toEqual(['orphan-note:notes/gone/plan.md', 'orphan-todo:t1']);
+    await storageCheckService.repair(['orphan-note:notes/gone/plan.md', 'orphan-todo:t1']);
+
+    expect((await fileService.readNote(storageFile('notes/gone/plan.md'))).projectId).toBeNull();
+    expect(readStore('todos.json').todos.map(todo => todo.projectId)).toEqual([null, 'p1']);
+  });
+
+  it('should delete milestones without a project', async () => {
+    writeStore('milestones.json', {
+      milestones: [
+        { id: 'm1', title: 'Kept', projectId: 'p1' },
+        { id: 'm2', title: 'Gone', projectId: 'gone' },
+        { id: 'm3', title: 'None' },
+      ],
+    });
+
+    expect(await issueIds()).toEqual(['orphan-milestone:m2', 'orphan-milestone:m3']);
+    await storageCheckService.repair(['orphan-milestone:m2', 'orphan-milestone:m3']);
+
+    expect(readStore('milestones.json').milestones.map(milestone => milestone.id)).toEqual(['m1']);
+  });
+
+  it('should report issues that no longer exist', async () => {
+    const result = await storageCheckService.repair(['orphan-todo:missing']);
+
+    expect(result).toEqual({ fixed: [], failed: [{ id: 'orphan-todo:missing', error: 'ISSUE_NOT_FOUND' }] });
+  });
+});
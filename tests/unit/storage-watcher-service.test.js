@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import path from 'node:path';
+
+// Fake fs.watch that records the callback of every watched folder
+const watchers = new Map();
+
+vi.mock('node:fs', () => ({
+  default: {
+    watch: vi.fn((dirPath, options, callback) => {
+      const watcher = { options, callback, close: vi.fn(), on: vi.fn() };
+      watchers.set(dirPath, watcher);
+      return watcher;
+    }),
+  },
+}));
+
+vi.mock('node:fs/promises', () => ({
+  default: {
+    readFile: vi.fn(),
+  },
+}));
+
+// Create mocks for the services the watcher relies on
+const mockFileService = {
+  isOwnWrite: vi.fn(),
+};
+
+const mockNoteIndexService = {
+  initialize: vi.fn(),
+  reconcile: vi.fn(),
+  get: vi.fn(),
+};
+
+vi.mock('../../src/main/services/file-service.js', () => ({
+  fileService: mockFileService,
+}));
+
+vi.mock('../../src/main/services/note-index-service.js', () => ({
+  noteIndexService: mockNoteIndexService,
+}));
+
+// Import after mocking
+import fsp from 'node:fs/promises';
+const { storageWatcherService } = await import('../../src/main/services/storage-watcher-service.js');
+
+describe('StorageWatcherService', () => {
+  const testStoragePath = path.resolve('/test/storage');
+  const notesDir = path.join(testStoragePath, 'notes');
+  const snippetsDir = path.join(testStoragePath, 'snippets');
+  const dataDir = path.join(testStoragePath, '.knowledgebase');
+  let events;
+
+  const fire = (dirPath, filename) => watchers.get(dirPath).callback('change', filename);
+  const settle = async () => {
+    await vi.advanceTimersByTimeAsync(300);
+    await storageWatcherService.processing;
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    watchers.clear();
+
+    fsp.readFile.mockResolvedValue('{}');
+    mockFileService.isOwnWrite.mockReturnValue(false);
+    mockNoteIndexService.initialize.mockResolvedValue(undefined);
+    mockNoteIndexService.reconcile.mockResolvedValue({ changed: [], removed: [] });
+    mockNoteIndexService.get.mockImplementation(id => ({ id, filePath: path.join(notesDir, `${id}.md`) }));
+
+    events = [];
+    storageWatcherService.listeners.clear();
+    storageWatcherService.onChange(event => events.push(event));
+    storageWatcherService.start(testStoragePath);
+  });
+
+  afterEach(() => {
+    storageWatcherService.stop();
+    vi.useRealTimers();
+  });
+
+  describe('start', () => {
+    it('should watch notes recursively and the snippets and data folders', () => {
+      expect(watchers.get(notesDir).options).toEqual({ recursive: true });
+      expect(watchers.has(snippetsDir)).toBe(true);
+      expect(watchers.has(dataDir)).toBe(true);
+    });
+
+    it('should close the previous watchers when restarted', () => {
+      const previous = watchers.get(notesDir);
+
+      storageWatcherService.start(testStoragePath);
+
+      expect(previous.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('data files', () => {
+    it('should batch events and report each changed file once', async () => {
+      fire(dataDir, 'todos.json');
+      fire(dataDir, 'todos.json');
+      fire(dataDir, 'tools.json');
+      await settle();
+
+      expect(events).toEqual([{ type: 'data', files: ['todos.json', 'tools.json'] }]);
+    });
+
+    it('should ignore the note index, temp files and own writes', async () => {
+      mockFileService.isOwnWrite.mockImplementation(filePath => filePath.endsWith('projects.json'));
+
+      fire(dataDir, 'notes-index.json');
+      fire(dataDir, 'daily-todos.json.tmp');
+      fire(dataDir, 'projects.json');
+      await settle();
+
+      expect(events).toEqual([]);
+    });
+
+    it('should report deleted files', async () => {
+      fsp.readFile.mockRejectedValue(Object.assign(new Error('ENOENT'), { code: 'ENOENT' }));
+
+      fire(snippetsDir, 'snippet-1.json');
+      await settle();
+
+      expect(events).toEqual([{ type: 'snippets', files: ['snippet-1.json'] }]);
+    });
+  });
+
+  describe('notes', () => {
+    it('should reconcile the index and report external changes', async () => {
+      mockNoteIndexService.reconcile.mockResolvedValue({ changed: ['note-1', 'note-2'], removed: ['note-3'] });
+      mockFileService.isOwnWrite.mockImplementation(filePath => filePath.endsWith('note-2.md'));
+
+      fire(notesDir, path.join('project', 'note-1.md'));
+      fire(notesDir, 'note-2.md');
+      await settle();
+
+      expect(mockNoteIndexService.reconcile).toHaveBeenCalledTimes(1);
+      expect(events).toEqual([{ type: 'notes', changed: ['note-1'], removed: ['note-3'] }]);
+    });
+
+    it('should stay quiet when only own saves changed notes', async () => {
+      mockNoteIndexService.reconcile.mockResolvedValue({ changed: ['note-1'], removed: [] });
+      mockFileService.isOwnWrite.mockReturnValue(true);
+
+      fire(notesDir, 'note-1.md');
+      await settle();
+
+      expect(events).toEqual([]);
+    });
+  });
+
+  describe('stop', () => {
+    it('should close watchers and drop pending changes', async () => {
+      const watcher = watchers.get(dataDir);
+      fire(dataDir, 'todos.json');
+
+      storageWatcherService.stop();
+      await settle();
+
+      expect(watcher.close).toHaveBeenCalled();
+      expect(events).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import path from 'node:path';
+
+// Mock the fs module with factory function
+vi.mock('node:fs/promises', () => ({
+  default: {
+    access: vi.fn(),
+    mkdir: vi.fn(),
+    readFile: vi.fn(),
+    writeFile: vi.fn(),
+    readdir: vi.fn(),
+  },
+}));
+
+// Import after mocking
+import fs from 'node:fs/promises';
+const { templateService } = await import('../../src/main/services/template-service.js');
+
+describe('TemplateService', () => {
+  const testStoragePath = path.resolve('/test/storage');
+  const templatesPath = path.join(testStoragePath, 'templates');
+  const enoent = () => Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+
+  const standup = `---
+name: Standup
+description: Daily standup
+title: "Standup {{date}}"
+tags: [standup]
+---
+# {{title}} ({{project}})
+
+Yesterday: {{yesterday}}
+Blockers: {{blockers}} {{ yesterday }}
+`;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    templateService.initialize(testStoragePath);
+
+    fs.access.mockResolvedValue(undefined);
+    fs.mkdir.mockResolvedValue(undefined);
+    fs.writeFile.mockResolvedValue(undefined);
+  });
+
+  describe('list', () => {
+    it('should list markdown templates sorted by name', async () => {
+      fs.readdir.mockResolvedValue(['standup.md', 'notes.txt', 'blank.md']);
+      fs.readFile.mockImplementation(async (filePath) => (
+        filePath.endsWith('standup.md') ? standup : 'Just text'
+      ));
+
+      const templates = await templateService.list();
+
+      expect(templates.map(t => t.name)).toEqual(['blank', 'Standup']);
+      expect(templates[1]).toMatchObject({
+        id: 'standup',
+        description: 'Daily standup',
+        title: 'Standup {{date}}',
+        tags: ['standup'],
+      });
+    });
+
+    it('should create the folder with default templates when it is missing', async () => {
+      fs.access.mockRejectedValue(enoent());
+      fs.readdir.mockResolvedValue([]);
+
+      await templateService.list();
+
+      expect(fs.mkdir).toHaveBeenCalledWith(templatesPath, { recursive: true });
+      const written = fs.writeFile.mock.calls.map(([filePath]) => path.basename(filePath));
+      expect(written).toEqual(['meeting-notes.md', 'adr.md', 'incident-report.md', 'daily-journal.md']);
+    });
+  });
+
+  describe('get', () => {
+    it('should throw TEMPLATE_NOT_FOUND for missing templates', async () => {
+      fs.readFile.mockRejectedValue(enoent());
+
+      await expect(templateService.get('missing')).rejects.toThrow('TEMPLATE_NOT_FOUND');
+    });
+
+    it('should refuse IDs that leave the templates folder', async () => {
+      await expect(templateService.get('../notes/secret')).rejects.toThrow('TEMPLATE_NOT_FOUND');
+      await expect(templateService.get('..')).rejects.toThrow('TEMPLATE_NOT_FOUND');
+      expect(fs.readFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDefault', () => {
+    it('should return a built-in template without reading the folder', () => {
+      const template = templateService.getDefault('daily-journal');
+
+      expect(template.name).toBe('Daily Journal');
+      expect(template.fields).toEqual([]);
+      expect(fs.readFile).not.toHaveBeenCalled();
+    });
+
+    it('should throw TEMPLATE_NOT_FOUND for unknown IDs', () => {
+      expect(() => templateService.getDefault('standup')).toThrow('TEMPLATE_NOT_FOUND');
+    });
+  });
+
+  describe('parseTemplate', () => {
+    it('should list custom fields once, without built-in variables', () => {
+      const template = templateService.parseTemplate('standup', standup);
+
+      expect(template.fields).toEqual([
+        { name: 'yesterday', label: 'Yesterday' },
+        { name: 'blockers', label: 'Blockers' },
+      ]);
+    });
+
+    it('should turn field names into labels', () => {
+      expect(templateService.extractFields('{{root_cause}} {{follow-up}}')).toEqual([
+        { name: 'root_cause', label: 'Root cause' },
+        { name: 'follow-up', label: 'Follow up' },
+      ]);
+    });
+  });
+
+  describe('render', () => {
+    const template = templateService.parseTemplate('standup', standup);
+    const now = new Date(2026, 2, 5, 9, 7);
+
+    it('should fill in built-in variables and field values', () => {
+      const result = templateService.render(template, {
+        title: 'Team sync',
+        project: 'Apollo',
+        values: { yesterday: 'Reviews' },
+        now,
+      });
+
+      expect(result.title).toBe('Team sync');
+      expect(result.content).toBe('# Team sync (Apollo)\n\nYesterday: Reviews\nBlockers:  Reviews\n');
+      expect(result.tags).toEqual(['standup']);
+    });
+
+    it('should use the title pattern when no title is given', () => {
+      const result = templateService.render(template, { now });
+
+      expect(result.title).toBe('Standup 2026-03-05');
+      expect(result.content).toContain('# Standup 2026-03-05 ()');
+    });
+
+    it('should format the time as HH:mm', () => {
+      const result = templateService.render({ title: '', tags: [], content: '{{date}} {{time}}' }, { now });
+
+      expect(result.content).toBe('2026-03-05 09:07');
+    });
+  });
+});
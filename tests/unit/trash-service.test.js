@@ -0,0 +1,200 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import path from 'node:path';
+
+// Mock the fs module with factory function
+vi.mock('node:fs/promises', () => ({
+  default: {
+    access: vi.fn(),
+    mkdir: vi.fn(),
+    readFile: vi.fn(),
+    writeFile: vi.fn(),
+    readdir: vi.fn(),
+    rename: vi.fn(),
+    rm: vi.fn(),
+  },
+}));
+
+// Mock uuid
+vi.mock('uuid', () => ({
+  v4: vi.fn(() => 'trash-1'),
+}));
+
+// Import after mocking
+import fs from 'node:fs/promises';
+const { trashService } = await import('../../src/main/services/trash-service.js');
+
+describe('TrashService', () => {
+  const testStoragePath = path.resolve('/test/storage');
+  const trashPath = path.join(testStoragePath, '.knowledgebase', 'trash');
+  const enoent = () => Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+
+  const makeManifest = (overrides = {}) => ({
+    id: 'trash-1',
+    type: 'note',
+    itemId: 'note-1',
+    title: 'First Note',
+    deletedAt: '2026-03-01T00:00:00.000Z',
+    files: [{ name: '0-first-note.md', originalPath: 'notes/first-note.md' }],
+    data: {},
+    ...overrides,
+  });
+
+  const mockManifests = (manifests) => {
+    fs.readdir.mockResolvedValue(manifests.map(m => ({ name: m.id, isDirectory: () => true })));
+    fs.readFile.mockImplementation(async (filePath) => {
+      const manifest = manifests.find(m => filePath === path.join(trashPath, m.id, 'manifest.json'));
+      if (!manifest) throw enoent();
+      return JSON.stringify(manifest);
+    });
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    trashService.initialize(testStoragePath);
+
+    fs.mkdir.mockResolvedValue(undefined);
+    fs.writeFile.mockResolvedValue(undefined);
+    fs.rename.mockResolvedValue(undefined);
+    fs.rm.mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('add', () => {
+    it('should move files into the trash and write a manifest', async () => {
+      const notePath = path.join(testStoragePath, 'notes', 'first-note.md');
+
+      const manifest = await trashService.add('note', {
+        itemId: 'note-1',
+        title: 'First Note',
+        files: [notePath],
+        data: { projectId: null },
+      });
+
+      expect(fs.rename).toHaveBeenCalledWith(notePath, path.join(trashPath, 'trash-1', 'files', '0-first-note.md'));
+      expect(manifest).toMatchObject({
+        id: 'trash-1',
+        type: 'note',
+        itemId: 'note-1',
+        files: [{ name: '0-first-note.md', originalPath: 'notes/first-note.md' }],
+        data: { projectId: null },
+      });
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        path.join(trashPath, 'trash-1', 'manifest.json'),
+        JSON.stringify(manifest, null, 2),
+        'utf-8'
+      );
+    });
+
+    it('should store items without files', async () => {
+      const manifest = await trashService.add('todo', { itemId: 'todo-1', title: 'Task', data: { todo: { id: 'todo-1' } } });
+
+      expect(fs.rename).not.toHaveBeenCalled();
+      expect(manifest.files).toEqual([]);
+    });
+
+    it('should move files back and throw DELETE_ERROR when writing the manifest fails', async () => {
+      const notePath = path.join(testStoragePath, 'notes', 'first-note.md');
+      fs.writeFile.mockRejectedValue(new Error('EACCES'));
+
+      await expect(trashService.add('note', { itemId: 'note-1', title: 'First Note', files: [notePath] }))
+        .rejects.toThrow('DELETE_ERROR');
+
+      expect(fs.rename).toHaveBeenLastCalledWith(path.join(trashPath, 'trash-1', 'files', '0-first-note.md'), notePath);
+      expect(fs.rm).toHaveBeenCalledWith(path.join(trashPath, 'trash-1'), { recursive: true, force: true });
+    });
+  });
+
+  describe('list', () => {
+    it('should list items newest first and skip unreadable ones', async () => {
+      const older = makeManifest({ id: 'older', deletedAt: '2026-01-01T00:00:00.000Z' });
+      const newer = makeManifest({ id: 'newer', deletedAt: '2026-02-01T00:00:00.000Z' });
+      mockManifests([older, newer]);
+      fs.readdir.mockResolvedValue([
+        { name: 'older', isDirectory: () => true },
+        { name: 'broken', isDirectory: () => true },
+        { name: 'newer', isDirectory: () => true },
+      ]);
+
+      const items = await trashService.list();
+
+      expect(items.map(i => i.id)).toEqual(['newer', 'older']);
+    });
+
+    it('should return an empty list when there is no trash folder', async () => {
+      fs.readdir.mockRejectedValue(enoent());
+
+      expect(await trashService.list()).toEqual([]);
+    });
+  });
+
+  describe('restore', () => {
+    it('should move files back and remove the trash item', async () => {
+      mockManifests([makeManifest()]);
+      fs.access.mockRejectedValue(enoent());
+
+      const result = await trashService.restore('trash-1');
+      const notePath = path.join(testStoragePath, 'notes', 'first-note.md');
+
+      expect(fs.rename).toHaveBeenCalledWith(path.join(trashPath, 'trash-1', 'files', '0-first-note.md'), notePath);
+      expect(fs.rm).toHaveBeenCalledWith(path.join(trashPath, 'trash-1'), { recursive: true, force: true });
+      expect(result.restoredPaths).toEqual([notePath]);
+    });
+
+    it('should refuse to overwrite existing files', async () => {
+      mockManifests([makeManifest()]);
+      fs.access.mockResolvedValue(undefined);
+
+      await expect(trashService.restore('trash-1')).rejects.toThrow('RESTORE_CONFLICT');
+      expect(fs.rename).not.toHaveBeenCalled();
+    });
+
+    it('should refuse original paths outside the storage folder', async () => {
+      mockManifests([makeManifest({ files: [{ name: '0-x', originalPath: '../outside.md' }] })]);
+      fs.access.mockRejectedValue(enoent());
+
+      await expect(trashService.restore('trash-1')).rejects.toThrow('VALIDATION_ERROR');
+    });
+
+    it('should throw TRASH_ITEM_NOT_FOUND for unknown items', async () => {
+      mockManifests([]);
+
+      await expect(trashService.restore('missing')).rejects.toThrow('TRASH_ITEM_NOT_FOUND');
+      await expect(trashService.restore('../notes')).rejects.toThrow('TRASH_ITEM_NOT_FOUND');
+    });
+  });
+
+  describe('purgeExpired', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2026-03-31T00:00:00.000Z'));
+      mockManifests([
+        makeManifest({ id: 'expired', deletedAt: '2026-02-01T00:00:00.000Z' }),
+        makeManifest({ id: 'recent', deletedAt: '2026-03-20T00:00:00.000Z' }),
+      ]);
+    });
+
+    it('should purge items older than the retention', async () => {
+      const purged = await trashService.purgeExpired(30);
+
+      expect(purged.map(i => i.id)).toEqual(['expired']);
+      expect(fs.rm).toHaveBeenCalledTimes(1);
+      expect(fs.rm).toHaveBeenCalledWith(path.join(trashPath, 'expired'), { recursive: true, force: true });
+    });
+
+    it('should keep everything when the retention is 0', async () => {
+      expect(await trashService.purgeExpired(0)).toEqual([]);
+      expect(fs.rm).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRetentionDays', () => {
+    it('should fall back to the default retention', () => {
+      expect(trashService.getRetentionDays({})).toBe(30);
+      expect(trashService.getRetentionDays({ trashRetentionDays: 0 })).toBe(0);
+    });
+  });
+});
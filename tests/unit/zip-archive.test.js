@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import zlib from 'node:zlib';
+
+const { createZip, writeZip, readZip } = await import('../../src/main/services/zip-archive.js');
+
+describe('zip archive', () => {
+  it('should read back what it wrote', async () => {
+    const modifiedAt = new Date(2026, 0, 15, 10, 30, 20);
+    const archive = await createZip([
+      { name: 'notes/über.md', data: '# Title\n'.repeat(50), modifiedAt },
+      { name: 'notes/attachments/image.png', data: Buffer.from([0x89, 0x50, 0x4e, 0x47]) },
+    ]);
+
+    const entries = readZip(archive);
+
+    expect(entries.map(entry => entry.name)).toEqual(['notes/über.md', 'notes/attachments/image.png']);
+    expect((await entries[0].read()).toString('utf-8')).toBe('# Title\n'.repeat(50));
+    expect(entries[0].size).toBe(400);
+    expect(entries[0].modifiedAt).toEqual(modifiedAt);
+    expect([...await entries[1].read()]).toEqual([0x89, 0x50, 0x4e, 0x47]);
+  });
+
+  it('should compress repetitive content', async () => {
+    const data = 'a'.repeat(10000);
+
+    expect((await createZip([{ name: 'a.txt', data }])).length).toBeLessThan(500);
+  });
+
+  it('should take entries from an async generator', async () => {
+    async function* entries() {
+      yield { name: 'a.txt', data: 'A' };
+      yield { name: 'b.txt', data: 'B' };
+    }
+
+    const read = readZip(await createZip(entries()));
+
+    expect(read.map(entry => entry.name)).toEqual(['a.txt', 'b.txt']);
+    expect(read[1].crc).toBe(zlib.crc32('B'));
+  });
+
+  it('should write the same archive to a file', async () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-zip-'));
+    const filePath = path.join(folder, 'archive.zip');
+    const modifiedAt = new Date(2026, 0, 15);
+    const entries = [
+      { name: 'a.txt', data: 'A'.repeat(100), modifiedAt },
+      { name: 'b.bin', data: Buffer.from([1, 2, 3]), modifiedAt },
+    ];
+
+    try {
+      const size = await writeZip(filePath, entries);
+
+      const written = fs.readFileSync(filePath);
+      expect(size).toBe(written.length);
+      expect(written.equals(await createZip(entries))).toBe(true);
+      expect((await readZip(written)[0].read()).toString('utf-8')).toBe('A'.repeat(100));
+    } finally {
+      fs.rmSync(folder, { recursive: true, force: true });
+    }
+  });
+
+  it('should reject damaged archives', async () => {
+    const archive = await createZip([{ name: 'a.txt', data: 'some text that is long enough' }]);
+
+    expect(() => readZip(Buffer.from('not a zip'))).toThrow('ARCHIVE_CORRUPT');
+
+    // Flip a byte of the stored content
+    archive[40] ^= 0xff;
+    await expect(readZip(archive)[0].read()).rejects.toThrow('ARCHIVE_CORRUPT');
+  });
+
+  it('should reject offsets and sizes past the end of the archive', async () => {
+    const archive = await createZip([{ name: 'a.txt', data: 'some text that is long enough' }]);
+    const centralOffset = archive.readUInt32LE(archive.length - 6);
+    const damaged = (field, value) => {
+      const copy = Buffer.from(archive);
+      copy.writeUInt32LE(value, centralOffset + field);
+      return copy;
+    };
+
+    // Local header offset
+    expect(() => readZip(damaged(42, 0xfffffff0))).toThrow('ARCHIVE_CORRUPT');
+    // Central directory offset
+    const badDirectory = Buffer.from(archive);
+    badDirectory.writeUInt32LE(archive.length - 30, archive.length - 6);
+    expect(() => readZip(badDirectory)).toThrow('ARCHIVE_CORRUPT');
+    // Compressed size
+    await expect(readZip(damaged(20, 0xfffffff0))[0].read()).rejects.toThrow('ARCHIVE_CORRUPT');
+    // Name length, a 16-bit field
+    const badName = Buffer.from(archive);
+    badName.writeUInt16LE(0xffff, centralOffset + 28);
+    expect(() => readZip(badName)).toThrow('ARCHIVE_CORRUPT');
+  });
+});
@@ -2,6 +2,7 @@ import { defineConfig } from 'vite';
 import electron from 'vite-plugin-electron';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { CONTENT_SECURITY_POLICY } from './src/shared/constants.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -13,6 +14,17 @@ export default defineConfig({
     emptyOutDir: true,
   },
   plugins: [
+    {
+      // Pages loaded from file:// get no response headers, so the policy goes into the page
+      name: 'content-security-policy',
+      // Dev server pages get the policy as a header from the main process instead
+      apply: 'build',
+      transformIndexHtml: () => [{
+        tag: 'meta',
+        attrs: { 'http-equiv': 'Content-Security-Policy', content: CONTENT_SECURITY_POLICY },
+        injectTo: 'head-prepend',
+      }],
+    },
     electron([
       {
         entry: '../main/main.js',
@@ -23,10 +35,19 @@ export default defineConfig({
         },
       },
       {
-        entry: '../main/preload.js',
+        // Built without `entry` (library mode would force ESM): sandboxed preload
+        // scripts must be a single CommonJS file
         vite: {
           build: {
             outDir: path.join(__dirname, 'dist-electron'),
+            rollupOptions: {
+              input: path.join(__dirname, 'src/main/preload.js'),
+              output: {
+                format: 'cjs',
+                inlineDynamicImports: true,
+                entryFileNames: '[name].cjs',
+              },
+            },
           },
         },
         onstart(args) {